@@ -2,9 +2,18 @@
 // Deploy to: https://ai-processor-worker.metabilityllc1.workers.dev/
 
 // Environment Variables needed:
-// OPENAI_API_KEY
 // SUPABASE_URL
 // SUPABASE_SERVICE_KEY
+// LLM_PROVIDER (optional: openai, azure, anthropic, openai-compatible or mock; default openai)
+// plus the chosen provider's credentials:
+//   openai: OPENAI_API_KEY
+//   azure: AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_API_VERSION (optional)
+//   anthropic: ANTHROPIC_API_KEY
+//   openai-compatible: LLM_BASE_URL, LLM_MODEL, LLM_API_KEY (optional)
+//   mock: MOCK_LLM_RESPONSES (optional)
+// LLM_MODEL (optional: the LLM_PROVIDER's model; other providers use their own default)
+// LLM_TEMPERATURE, LLM_MAX_TOKENS (optional deployment defaults)
+// GEOCODER (optional: offline or census; default offline)
 
 // Service Bindings needed:
 // DATABASE_SERVICE (bound to database-worker)
@@ -14,17 +23,18 @@
 // =============================================================================
 
 function validateEnvironment(env) {
-  const required = ['OPENAI_API_KEY', 'SUPABASE_URL', 'SUPABASE_SERVICE_KEY', 'DATABASE_SERVICE'];
+  const provider = LLMProviderFactory.normalizeName(env.LLM_PROVIDER) || 'openai';
+  if (!LLM_PROVIDER_DEFAULTS[provider]) {
+    throw new Error(`LLM_PROVIDER "${env.LLM_PROVIDER}" is not supported (use ${Object.keys(LLM_PROVIDER_DEFAULTS).join(', ')})`);
+  }
+
+  const required = ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY', 'DATABASE_SERVICE', ...LLMProviderFactory.getRequiredEnv(provider)];
   const missing = required.filter(key => !env[key]);
   
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables/bindings: ${missing.join(', ')}`);
   }
 
-  if (!env.OPENAI_API_KEY.startsWith('sk-')) {
-    throw new Error('OPENAI_API_KEY appears to be invalid (should start with sk-)');
-  }
-
   try {
     new URL(env.SUPABASE_URL);
   } catch (error) {
@@ -87,7 +97,7 @@ class CircuitBreaker {
 // =============================================================================
 
 class AIErrorResponseManager {
-  static getAIErrorResponse(error, channel = 'voice') {
+  static getAIErrorResponse(error, channel = 'voice', language = 'en') {
     const errorType = this.categorizeError(error);
     
     const responses = {
@@ -120,8 +130,40 @@ class AIErrorResponseManager {
         sms: "I understand you need help. What appliance needs service?"
       }
     };
-    
-    return responses[errorType]?.[channel] || responses['default'][channel];
+
+    const spanishResponses = {
+      'openai_quota': {
+        voice: "Tenemos mucha demanda en este momento. Le comunico con alguien que le pueda ayudar.",
+        sms: "Tenemos mucha demanda. Por favor llame a nuestro número principal para recibir ayuda inmediata."
+      },
+      'openai_rate_limit': {
+        voice: "Estoy atendiendo muchas solicitudes. Por favor espere un momento e intente de nuevo.",
+        sms: "Estoy ocupada en este momento. Por favor espere un momento e intente de nuevo."
+      },
+      'openai_api': {
+        voice: "Estoy teniendo problemas para entender. ¿Qué aparato necesita servicio?",
+        sms: "Estoy teniendo problemas técnicos. ¿Qué aparato necesita servicio?"
+      },
+      'network': {
+        voice: "Tengo problemas de conexión. Intente de nuevo o llame a nuestro número principal.",
+        sms: "Tengo problemas de conexión. Intente de nuevo o llámenos directamente."
+      },
+      'database': {
+        voice: "No puedo consultar su información en este momento. Por favor llame a nuestro número principal.",
+        sms: "No puedo consultar su información. Por favor llame a nuestro número principal."
+      },
+      'validation': {
+        voice: "No le entendí bien. ¿Me puede decir qué aparato necesita servicio?",
+        sms: "No le entendí. ¿Qué aparato necesita servicio?"
+      },
+      'default': {
+        voice: "Entiendo que necesita ayuda. ¿Qué aparato le está dando problemas?",
+        sms: "Entiendo que necesita ayuda. ¿Qué aparato necesita servicio?"
+      }
+    };
+
+    const table = language === 'es' ? spanishResponses : responses;
+    return table[errorType]?.[channel] || table['default'][channel];
   }
 
   static categorizeError(error) {
@@ -302,38 +344,157 @@ class EnhancedDirectSupabaseClient {
   }
 }
 
+// =============================================================================
+// DATABASE SERVICE CLIENT (database-worker binding)
+// =============================================================================
+
+class EnhancedDatabaseServiceClient {
+  constructor(databaseService) {
+    this.service = databaseService;
+    this.circuitBreaker = new CircuitBreaker('database-service', 3, 30000);
+  }
+
+  async call(path, method = 'GET', body = null) {
+    const startTime = Date.now();
+
+    return this.circuitBreaker.execute(async () => {
+      const request = new Request(`http://internal${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : null
+      });
+
+      const response = await this.service.fetch(request);
+
+      // 4xx responses carry a { success: false, error } body the caller handles;
+      // only server failures count against the circuit breaker
+      if (response.status >= 500) {
+        throw new Error(`Database service ${path} failed: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      StructuredLogger.performance('database_service_call', Date.now() - startTime, {
+        path,
+        method,
+        status: response.status
+      });
+
+      return data;
+    });
+  }
+
+  async createAppointment(appointment) {
+    return this.call('/appointments', 'POST', appointment);
+  }
+
+  async getAvailableSlots(organizationId, options = {}) {
+    return this.call('/availability', 'POST', { organizationId, ...options });
+  }
+
+  async lookupFAQ(organizationId, query, language = null) {
+    return this.call('/faqs', 'POST', { companyId: organizationId, query, language });
+  }
+
+  async checkServiceArea(organizationId, zipCode) {
+    return this.call('/service-area', 'POST', { organizationId, zipCode });
+  }
+
+  async getVocabularies(organizationId) {
+    return this.call(`/vocabularies/resolved?organizationId=${organizationId}`, 'GET');
+  }
+
+  async createEscalation(escalation) {
+    return this.call('/escalations', 'POST', escalation);
+  }
+
+  async getPromptTemplate(organizationId) {
+    return this.call(`/prompt-templates/active?organizationId=${organizationId}`, 'GET');
+  }
+
+  async validatePromptTemplate(template, variables) {
+    return this.call('/prompt-templates/validate', 'POST', { template, variables });
+  }
+
+  async getPromptTemplateVersion(organizationId, version) {
+    return this.call(`/prompt-templates/${version}?organizationId=${organizationId}`, 'GET');
+  }
+
+  async getActiveExperiment(organizationId) {
+    return this.call(`/experiments/active?organizationId=${organizationId}`, 'GET');
+  }
+
+  async logGuardrailEvent(event) {
+    return this.call('/guardrail-events', 'POST', event);
+  }
+}
+
 // =============================================================================
 // CONVERSATION FLOW MANAGER - NEW
 // =============================================================================
 
 class ConversationFlowManager {
-  constructor() {
-    this.requiredFields = [
-      'applianceType',
-      'issueDescription', 
-      'applianceMake',
-      'customerName',
-      'streetAddress',
-      'city',
-      'zipCode',
-      'callbackNumber',
-      'preferredTime'
-    ];
+  constructor(schema = new IntakeSchema()) {
+    this.schema = schema;
+    this.requiredFields = schema.requiredFields;
+    this.language = 'en';
+    // Fields extracted below this confidence get read back before we trust them
+    this.confidenceThreshold = 0.6;
+    // The tenant's prompt template variables; the read-back quotes its fees
+    this.promptVariables = DEFAULT_PROMPT_VARIABLES;
+  }
+
+  // Questions and read-backs in the conversation's language
+  static forLanguage(schema, language = 'en') {
+    return language === 'es' ? new SpanishConversationFlowManager(schema) : new ConversationFlowManager(schema);
   }
 
-  generateResponse(extractedInfo, isVoice = true) {
+  // `step` is the conversation's current step; intake questions come from it
+  generateResponse(extractedInfo, isVoice = true, step = null) {
     const completion = extractedInfo.completionPercentage || 0;
-    
+
+    if (step === 'closed') {
+      return this.generateClosingResponse(extractedInfo, isVoice);
+    }
+
+    if (extractedInfo.appointmentId) {
+      return this.generateBookedResponse(extractedInfo, isVoice);
+    }
+
     // Handle urgent customers first
     if (extractedInfo.preferredTime === 'urgent' && completion < 50) {
       return this.handleUrgentCustomer(extractedInfo, isVoice);
     }
+
+    if (extractedInfo.correctionPending) {
+      return this.getCorrectionQuestion(isVoice);
+    }
+
+    if (extractedInfo.pendingConfirmation) {
+      return this.getReconfirmQuestion(extractedInfo.pendingConfirmation, extractedInfo, isVoice);
+    }
     
     const missingInfo = this.getMissingInformation(extractedInfo);
+
+    // Re-ask only the field the customer disputed
+    if (extractedInfo.correctingField) {
+      const missingKey = this.schema.getMissingKeyFor(extractedInfo.correctingField);
+      if (missingInfo.includes(missingKey)) {
+        return this.apologize(this.generateNextQuestion(missingKey, extractedInfo, isVoice));
+      }
+    }
     
     if (missingInfo.length === 0) {
       return this.generateSummaryResponse(extractedInfo, isVoice);
     }
+
+    const stepKeys = INTAKE_STEPS.includes(step) ? missingInfo.filter(key => this.schema.getStepForKey(key) === step) : [];
+    const nextKey = stepKeys[0] || missingInfo[0];
+
+    // Only the appointment time is left and we have real windows to offer
+    if (nextKey === 'preferredTime' && extractedInfo.offeredSlots?.length) {
+      return this.getTimeQuestion(isVoice, extractedInfo.offeredSlots, extractedInfo.timePreference);
+    }
     
     // Handle different customer types
     if (completion >= 60) {
@@ -343,30 +504,77 @@ class ConversationFlowManager {
     }
     
     // Standard flow - ask for next missing piece
-    return this.generateNextQuestion(missingInfo[0], extractedInfo, isVoice);
+    return this.generateNextQuestion(nextKey, extractedInfo, isVoice);
   }
   
   getMissingInformation(extractedInfo) {
-    const missing = [];
-    
-    // Critical repair information first
-    if (!extractedInfo.applianceType) missing.push('applianceType');
-    if (!extractedInfo.issueDescription) missing.push('issueDescription');
-    if (!extractedInfo.applianceMake) missing.push('applianceMake');
-    
-    // Customer contact information
-    if (!extractedInfo.customerName) missing.push('customerName');
-    if (!extractedInfo.streetAddress) missing.push('streetAddress');
-    if (!extractedInfo.city || !extractedInfo.zipCode) missing.push('location');
-    if (!extractedInfo.callbackNumber) missing.push('callbackNumber');
-    
-    // Scheduling
-    if (!extractedInfo.preferredTime) missing.push('preferredTime');
-    
-    return missing;
+    return this.schema.getMissingKeys(extractedInfo);
+  }
+
+  apologize(question) {
+    return `Sorry about that. ${question}`;
+  }
+
+  generateSlotTakenResponse(nextResponse) {
+    return `Sorry, that time was just booked. ${nextResponse}`;
+  }
+  
+  getCorrectionQuestion(isVoice) {
+    if (this.schema.isDefault) {
+      if (isVoice) {
+        return "Sorry about that. What should I fix - the name, address, phone number, appliance, or time?";
+      }
+      return "Sorry about that. What should I fix - name, address, phone number, appliance, or appointment time?";
+    }
+
+    const labels = [...new Set(this.requiredFields.map(key => this.schema.getLabel(this.schema.getMissingKeyFor(key))))];
+    return `Sorry about that. What should I fix - ${labels.slice(0, -1).join(', ')}, or ${labels[labels.length - 1]}?`;
+  }
+
+  getFieldsToReconfirm(extractedInfo) {
+    const fieldMeta = extractedInfo.fieldMeta || {};
+
+    return this.requiredFields.filter(field =>
+      extractedInfo[field] &&
+      fieldMeta[field] &&
+      fieldMeta[field].source !== 'confirmed' &&
+      fieldMeta[field].confidence < this.confidenceThreshold
+    );
+  }
+
+  getReconfirmQuestion(field, extractedInfo, isVoice) {
+    const value = extractedInfo[field];
+    const readBacks = {
+      'applianceType': `your appliance is a ${String(value).replace(/_/g, ' ')}`,
+      'issueDescription': `it's ${this.formatIssueDescription(value)}`,
+      'applianceMake': `it's a ${value}`,
+      'customerName': `your name is ${value}`,
+      'streetAddress': `the address is ${isVoice ? this.formatAddressForSpeech(extractedInfo) : value}`,
+      'city': `the city is ${value}`,
+      'zipCode': `the zip code is ${isVoice ? String(value).split('').join(' ') : value}`,
+      'callbackNumber': `the best number is ${PhoneNormalizer.format(value)}`,
+      'preferredTime': `you'd like ${value}`
+    };
+    const readBack = readBacks[field] || `the ${this.schema.getLabel(field).replace(/^your\s+/i, '')} is ${this.schema.formatValue(field, value)}`;
+
+    if (isVoice) {
+      return `Just to make sure I heard you right, ${readBack}?`;
+    }
+    return `Just to confirm, ${readBack}? Reply yes or no.`;
   }
   
   generateNextQuestion(missingField, extractedInfo, isVoice) {
+    // Tenant wording wins over the built-in appliance questions
+    const tenantQuestion = this.schema.getQuestion(missingField, isVoice, this.language);
+    if (tenantQuestion && missingField !== 'preferredTime') {
+      return tenantQuestion;
+    }
+
+    // The built-in name and address questions talk about "your repair"
+    if (!this.schema.isDefault && !tenantQuestion && !['location', 'callbackNumber', 'preferredTime'].includes(missingField)) {
+      return this.getFieldQuestion(missingField, isVoice);
+    }
+
     const responses = {
       'applianceType': this.getApplianceTypeQuestion(isVoice),
       'issueDescription': this.getIssueQuestion(extractedInfo.applianceType, isVoice),
@@ -375,10 +583,21 @@ class ConversationFlowManager {
       'streetAddress': this.getAddressQuestion(isVoice),
       'location': this.getLocationQuestion(isVoice),
       'callbackNumber': this.getPhoneQuestion(isVoice),
-      'preferredTime': this.getTimeQuestion(isVoice)
+      'preferredTime': this.getTimeQuestion(isVoice, extractedInfo.offeredSlots, extractedInfo.timePreference)
     };
     
-    return responses[missingField] || this.getDefaultQuestion(isVoice);
+    return responses[missingField] || this.getFieldQuestion(missingField, isVoice);
+  }
+
+  getFieldQuestion(missingField, isVoice) {
+    const label = this.schema.getLabel(missingField);
+    const field = this.schema.getField(missingField);
+
+    if (!isVoice && field?.type === 'enum') {
+      const options = Object.keys(field.options).slice(0, 4).map(option => option.replace(/_/g, ' '));
+      return `What's the ${label.replace(/^your\s+/i, '')} - ${options.join(', ')}, or something else?`;
+    }
+    return label.startsWith('your ') ? `What's ${label}?` : `What's the ${label}?`;
   }
   
   getApplianceTypeQuestion(isVoice) {
@@ -436,7 +655,32 @@ class ConversationFlowManager {
     return "What's the best callback number for you?";
   }
   
-  getTimeQuestion(isVoice) {
+  // Slots found inside the caller's stated days and hours are offered as
+  // such; when there were none, say so before offering the next openings
+  getTimeQuestion(isVoice, offeredSlots = [], timePreference = null) {
+    if (offeredSlots && offeredSlots.length > 0) {
+      const labels = offeredSlots.map(slot => slot.label);
+      const matched = timePreference?.status === 'matched' ? timePreference.label : null;
+      const missed = timePreference?.status === 'unmatched' ? `I don't have anything open ${timePreference.label}. ` : '';
+
+      if (isVoice) {
+        if (labels.length === 1) {
+          return matched ?
+            `For ${matched}, the first opening is ${labels[0]}. Does that work?` :
+            `${missed}The next opening is ${labels[0]}. Does that work?`;
+        }
+        const openings = `I have openings ${labels.slice(0, -1).join(', ')}, or ${labels[labels.length - 1]}. Which works best?`;
+        return matched ? `For ${matched}, ${openings.charAt(0).toLowerCase()}${openings.slice(1)}` : `${missed}${openings}`;
+      }
+
+      const choices = labels.map((label, index) => `${index + 1}. ${label.charAt(0).toUpperCase() + label.slice(1)}`);
+      const numbers = labels.map((label, index) => index + 1);
+      return `${matched ? `Here are the openings for ${matched}:` : `${missed}Here are the next available appointment windows:`}
+${choices.join('\n')}
+
+Reply with ${numbers.length > 1 ? `${numbers.slice(0, -1).join(', ')} or ${numbers[numbers.length - 1]}` : '1'}, or tell me another day that works.`;
+    }
+
     if (isVoice) {
       return "Morning or afternoon better?";
     }
@@ -447,19 +691,25 @@ class ConversationFlowManager {
     if (isVoice) {
       return "How can I help you today?";
     }
-    return "How can I help you with your appliance repair today?";
+    return `How can I help you with your ${this.schema.service} today?`;
   }
   
   generateSummaryResponse(extractedInfo, isVoice) {
+    if (!this.schema.isDefault) {
+      return this.generateSchemaSummaryResponse(extractedInfo, isVoice);
+    }
+
     const appliance = extractedInfo.applianceMake ? 
       `${extractedInfo.applianceMake} ${extractedInfo.applianceType}` : 
       extractedInfo.applianceType;
       
     const issue = this.formatIssueDescription(extractedInfo.issueDescription);
     const time = extractedInfo.preferredTime || 'your preferred time';
+    const { diagnostic_fee: fee, repair_range: range } = this.promptVariables;
     
     if (isVoice) {
-      return `Perfect! I have ${extractedInfo.customerName} at ${extractedInfo.streetAddress} for a ${appliance} that's ${issue}. Our diagnostic fee is $89 which goes toward the repair. Most repairs are $150 to $300. Sound good?`;
+      const when = extractedInfo.selectedSlot ? `, ${extractedInfo.selectedSlot.label}` : '';
+      return `Perfect! I have ${extractedInfo.customerName} at ${extractedInfo.streetAddress} for a ${appliance} that's ${issue}${when}. Our diagnostic fee is ${fee} which goes toward the repair. Most repairs are ${this.formatRange(range)}. Sound good?`;
     }
     
     return `Perfect! Let me confirm:
@@ -467,12 +717,96 @@ class ConversationFlowManager {
 - Address: ${extractedInfo.streetAddress}, ${extractedInfo.city} ${extractedInfo.zipCode}
 - Appliance: ${appliance} - ${issue}
 - Time: ${time}
-- Diagnostic fee: $89 (goes toward repair)
-- Repair cost: Most repairs range $150-$300
+- Diagnostic fee: ${fee} (goes toward repair)
+- Repair cost: Most repairs range ${range}
 
 Is this correct?`;
   }
-  
+
+  // Read-back for tenant schemas: every captured field by its label
+  generateSchemaSummaryResponse(extractedInfo, isVoice) {
+    const captured = this.schema.fields.filter(field => extractedInfo[field.key]);
+    const note = this.schema.summaryNote ? ` ${this.schema.summaryNote}` : '';
+
+    if (isVoice) {
+      const parts = captured.map(field => `${field.label.replace(/^your\s+/i, '')} ${this.schema.formatValue(field.key, extractedInfo[field.key])}`);
+      return `Perfect! I have ${parts.join(', ')}.${note} Sound good?`;
+    }
+
+    const lines = captured.map(field => {
+      const label = field.label.replace(/^your\s+/i, '');
+      return `- ${label.charAt(0).toUpperCase() + label.slice(1)}: ${this.schema.formatValue(field.key, extractedInfo[field.key])}`;
+    });
+
+    return `Perfect! Let me confirm:
+${lines.join('\n')}${note ? `\n\n${note.trim()}` : ''}
+
+Is this correct?`;
+  }
+
+  generateBookedResponse(extractedInfo, isVoice) {
+    const time = extractedInfo.preferredTime || 'your preferred time';
+    const subject = this.schema.getSubject(extractedInfo);
+    const job = subject ? `${subject} ${this.schema.jobNoun}` : this.schema.jobNoun;
+
+    if (isVoice) {
+      return `You're all set! Your ${subject || this.schema.jobNoun} appointment is booked for ${time}. We'll call you to confirm. Anything else?`;
+    }
+
+    const cityLine = [extractedInfo.city, extractedInfo.zipCode].filter(Boolean).join(' ');
+    const address = extractedInfo.streetAddress ?
+      `\n- Address: ${[extractedInfo.streetAddress, cityLine].filter(Boolean).join(', ')}` : '';
+
+    return `You're all set! Your ${job} is booked for ${time}.
+- Reference: ${extractedInfo.appointmentReference}${address}
+
+We'll reach out to confirm before the technician arrives. Anything else I can help with?`;
+  }
+
+  generateBookingFailedResponse(isVoice) {
+    if (isVoice) {
+      return "I have all your details, but I couldn't lock in the appointment just now. Our team will call you shortly to confirm.";
+    }
+    return "I have all your details, but I couldn't lock in the appointment just now. Our team will reach out shortly to confirm your time.";
+  }
+
+  generateClosingResponse(extractedInfo, isVoice) {
+    if (extractedInfo.serviceArea?.status === 'not_served') {
+      return this.generateOutOfAreaResponse(extractedInfo.serviceArea, isVoice);
+    }
+    if (extractedInfo.consentDeclined) {
+      return "No problem. Text this number with your name, address and what's going on, and we'll get you scheduled. Goodbye!";
+    }
+    if (isVoice) {
+      return "You're welcome! Have a great day.";
+    }
+    return "You're welcome! Text us any time if you need anything else.";
+  }
+
+  generateOutOfAreaResponse(serviceArea, isVoice) {
+    const referral = serviceArea.referral ? ` ${serviceArea.referral}` : '';
+    if (isVoice) {
+      const zip = String(serviceArea.zipCode).split('').join(' ');
+      return `I'm sorry, we don't service zip code ${zip} right now.${referral} If I heard the zip code wrong, please call us back. Thanks for calling!`;
+    }
+    return `Sorry, we don't currently service ZIP code ${serviceArea.zipCode}.${referral} If that ZIP isn't right, text us again with the correct one.`;
+  }
+
+  // Street, unit, city, state and ZIP in one breath for the voice read-back
+  formatAddressForSpeech(extractedInfo) {
+    return AddressParser.formatForSpeech({
+      streetAddress: extractedInfo.streetAddress,
+      city: extractedInfo.city,
+      state: extractedInfo.addressState,
+      zipCode: extractedInfo.zipCode
+    }, this.language);
+  }
+
+  // "$150-$300" as it is said aloud: "$150 to $300"
+  formatRange(range) {
+    return String(range).replace(/(\d)\s*[-–]\s*(?=\$?\d)/g, '$1 to ');
+  }
+
   formatIssueDescription(issue) {
     const formats = {
       'leaking': 'leaking',
@@ -495,27 +829,20 @@ Is this correct?`;
     const missing = this.getMissingInformation(extractedInfo);
     
     if (missing.length <= 2) {
-      const missingFields = missing.map(field => {
-        switch(field) {
-          case 'customerName': return 'your name';
-          case 'callbackNumber': return 'callback number';
-          case 'location': return 'city and zip code';
-          case 'preferredTime': return 'preferred time';
-          default: return field;
-        }
-      });
+      const missingFields = missing.map(field => this.schema.getLabel(field));
+      const subject = this.schema.getSubject(extractedInfo);
       
       if (isVoice) {
-        return `I can help with your ${extractedInfo.applianceType}. I just need ${missingFields.join(' and ')}.`;
+        return `I can help with your ${subject || this.schema.service}. I just need ${missingFields.join(' and ')}.`;
       }
-      return `I can help with your ${extractedInfo.applianceType} repair. To schedule a technician, I just need ${missingFields.join(' and ')}.`;
+      return `I can help with your ${subject ? `${subject} ${this.schema.jobNoun}` : this.schema.service}. To schedule a technician, I just need ${missingFields.join(' and ')}.`;
     }
     
     return this.generateNextQuestion(missing[0], extractedInfo, isVoice);
   }
   
   handleVagueCustomer(extractedInfo, isVoice) {
-    if (!extractedInfo.issueDescription && extractedInfo.applianceType) {
+    if (this.schema.isDefault && !extractedInfo.issueDescription && extractedInfo.applianceType) {
       return this.getIssueQuestion(extractedInfo.applianceType, isVoice);
     }
     
@@ -529,390 +856,5553 @@ Is this correct?`;
     }
     return "I understand this is urgent. To get you scheduled quickly, please provide: your name, address, and best callback number.";
   }
+
+  // `event` is what just happened: 'escalated' (safety advice for the hazard,
+  // then the page and, on calls, the transfer offer), 'accepted' or 'declined'
+  generateEmergencyResponse(extractedInfo, event, nextResponse, isVoice) {
+    const emergency = extractedInfo.emergency || {};
+
+    if (event === 'accepted') {
+      return "Connecting you to our on-call technician now. Please stay on the line.";
+    }
+    if (event === 'declined') {
+      return `No problem, they'll call you back shortly. ${nextResponse}`;
+    }
+
+    const safety = EMERGENCY_SAFETY_TIPS.en[emergency.hazard] || '';
+    if (emergency.transfer === 'offered') {
+      return [safety, "I've paged our on-call technician. Want me to connect you now?"].filter(Boolean).join(' ');
+    }
+    const notice = !emergency.paged ?
+      "I've flagged this as an emergency for our team." :
+      isVoice ? "I've paged our on-call technician and they'll call you back shortly." : "I've alerted our on-call technician and they'll reach out shortly.";
+    return [safety, notice, nextResponse].filter(Boolean).join(' ');
+  }
+
+  // The conversation is going to a person; the bot stops asking questions
+  generateHandoffResponse(handoff) {
+    if (handoff.action === 'transfer') {
+      return "Of course. Let me connect you with someone from our team now. Please stay on the line.";
+    }
+    const opening = handoff.signals.includes('asked_for_human') ? 'Of course.' : "I'm sorry about the trouble.";
+    return handoff.action === 'pause' ?
+      `${opening} I've let our team know, and someone will text you back shortly.` :
+      `${opening} I've let our team know, and someone will call you back shortly.`;
+  }
 }
 
 // =============================================================================
-// ENHANCED CONVERSATION STATE MANAGER WITH IMPROVED EXTRACTION
+// PHRASE MATCHING - WORD BOUNDARIES AND NEGATION
 // =============================================================================
 
-class EnhancedConversationStateManager {
-  constructor(db) {
-    this.db = db;
-    this.flowManager = new ConversationFlowManager();
+// Keyword and regex hits are usually right but can't say how sure they are
+const PATTERN_EXTRACTION_CONFIDENCE = 0.8;
+
+// Short or everyday words ("range", "warm", a bare two-word reply) only fill
+// gaps; they never replace a stronger match
+const WEAK_PATTERN_CONFIDENCE = 0.65;
+
+const APPLIANCE_KEYWORDS = {
+  washer: ['washer', 'washing machine', 'laundry'],
+  dryer: ['dryer', 'drying machine'],
+  dishwasher: ['dishwasher', 'dish washer'],
+  refrigerator: ['refrigerator', 'fridge', 'freezer', 'ice maker'],
+  oven: ['oven', 'stove', 'range', 'cooktop'],
+  microwave: ['microwave'],
+  garbage_disposal: ['garbage disposal', 'disposal', 'disposer'],
+  air_conditioner: ['ac', 'a c', 'air conditioner', 'air conditioning', 'hvac']
+};
+
+const MAKE_KEYWORDS = {
+  whirlpool: ['whirlpool'],
+  ge: ['ge', 'g e', 'general electric'],
+  samsung: ['samsung'],
+  lg: ['lg', 'l g'],
+  maytag: ['maytag'],
+  frigidaire: ['frigidaire'],
+  kenmore: ['kenmore'],
+  bosch: ['bosch'],
+  kitchenaid: ['kitchenaid', 'kitchen aid'],
+  electrolux: ['electrolux']
+};
+
+const ISSUE_KEYWORDS = {
+  leaking: ['leaking', 'leak', 'leaks', 'water coming out', 'dripping', 'flooding', 'flooded'],
+  not_starting: ['not starting', "won't start", "won't turn on", "doesn't turn on", 'not turning on', 'dead', 'not working', "isn't working", "doesn't work", 'stopped working'],
+  noisy: ['noisy', 'loud', 'making noise', 'banging', 'grinding', 'squeaking', 'rattling'],
+  not_heating: ['not heating', "isn't heating", "won't heat", "doesn't heat", 'not hot', 'no heat', 'cold'],
+  not_cooling: ['not cooling', "isn't cooling", 'not cold', "isn't cold", 'not getting cold', 'not freezing', 'warm'],
+  not_spinning: ['not spinning', "isn't spinning", "won't spin", "doesn't spin", 'not turning'],
+  not_draining: ['not draining', "isn't draining", "won't drain", "doesn't drain", 'water sitting', 'standing water'],
+  not_cleaning: ['not cleaning', "isn't cleaning", "won't clean", "doesn't clean", 'dishes dirty', 'not washing'],
+  door_issue: ["door won't close", "door won't open", 'door stuck', 'door problem'],
+  control_panel: ['buttons not working', 'display not working', 'controls broken', 'error code']
+};
+
+const CONFIRMATION_KEYWORDS = {
+  yes: ['yes', 'yeah', 'yep', 'sure', 'okay', 'ok', 'correct', "that's right", 'sounds good'],
+  no: ['no', 'nope', 'not right', 'incorrect', 'wrong', "that's wrong"]
+};
+
+const ISSUE_LOCATION_KEYWORDS = {
+  front: ['front', 'door', 'front door'],
+  bottom: ['bottom', 'underneath', 'under'],
+  back: ['back', 'behind', 'rear'],
+  inside: ['inside', 'interior'],
+  hose: ['hose', 'connection', 'pipe']
+};
+
+// `correction` disputes a value outright; `change` cues ("no", "actually")
+// only correct something when the message also gives the new value
+const CORRECTION_CUES = {
+  correction: ['wrong', 'incorrect', 'not right', 'not correct', 'typo', 'mistake', 'misspelled'],
+  change: ['no', 'nope', 'actually', 'meant', 'change', 'fix', 'update']
+};
+
+// "No, that's the right number" - the field is being confirmed, not disputed
+const FIELD_CONFIRMATION_CUES = {
+  confirmed: ["that's right", 'is right', 'the right', 'correct', 'fine', 'accurate']
+};
+
+const WEAK_KEYWORDS = ['range', 'ac', 'laundry', 'dead', 'loud', 'cold', 'warm', 'not turning', 'ok', 'sure'];
+
+const NEGATION_WORDS = ['not', 'no', 'never', "isn't", "doesn't", "don't", "didn't", "wasn't", "aren't", "won't", "hasn't", "haven't", 'without', 'nothing', 'nunca', 'sin', 'nada', 'tampoco'];
+
+// Negation doesn't carry past these ("not leaking but loud", "no gotea pero hace ruido")
+const NEGATION_BREAKS = ['but', 'and', 'though', 'although', 'pero', 'y', 'aunque', 'sino'];
+
+const CLAUSE_BOUNDARY = '|';
+
+// Words that show a capture is a sentence, not a name ("I'm calling about...")
+const NON_NAME_WORDS = new Set([
+  'i', 'im', 'me', 'my', 'you', 'your', 'we', 'our', 'it', 'its', 'the', 'a', 'an', 'this', 'that', 'is', 'am', 'are', 'was',
+  'in', 'at', 'on', 'of', 'for', 'to', 'from', 'with', 'about', 'and', 'or', 'but', 'so', 'just', 'still', 'really', 'very',
+  'calling', 'having', 'looking', 'trying', 'wondering', 'here', 'there', 'live', 'located', 'do', 'does', 'can', 'could', 'cover',
+  'service', 'not', 'sure', 'yes', 'no', 'ok', 'okay', 'thanks', 'thank', 'please', 'hi', 'hello', 'hey', 'good', 'great', 'fine',
+  'today', 'tomorrow', 'morning', 'afternoon', 'evening', 'night', 'week', 'asap', 'sounds', 'works', 'perfect',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'yo', 'mi', 'me', 'soy', 'es', 'el', 'la', 'los', 'las', 'un', 'una', 'de', 'del', 'en', 'con', 'por', 'para', 'que', 'y', 'o',
+  'pero', 'si', 'sí', 'hola', 'gracias', 'bueno', 'buenos', 'buenas', 'llamo', 'nombre', 'necesito', 'tengo', 'vivo', 'estoy', 'está',
+  'favor', 'ayuda', 'hoy', 'mañana', 'tarde', 'noche', 'semana', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado', 'domingo'
+]);
+
+class PhraseMatcher {
+  // Lowercased word tokens with clause punctuation kept as boundaries.
+  // Possessives drop their 's so "frigidaire's" still reads as the brand.
+  static tokenize(text) {
+    const raw = String(text || '').toLowerCase().replace(/[’‘]/g, "'").match(/[a-z0-9\u00e0-\u00fc]+(?:'[a-z]+)?|[.,;:!?]/g) || [];
+    const contractions = ['it', 'that', 'what', 'he', 'she', 'there', 'here', 'let', 'who', 'where'];
+
+    return raw.map(token => {
+      if (/^[.,;:!?]$/.test(token)) return CLAUSE_BOUNDARY;
+      if (token.endsWith("'s") && !contractions.includes(token.slice(0, -2))) return token.slice(0, -2);
+      return token;
+    });
   }
 
-  async getConversationState(organizationId, customerPhone) {
-    try {
-      StructuredLogger.info('Getting conversation state', {
-        organization_id: organizationId,
-        customer_phone: customerPhone
-      });
+  static isNegated(tokens, index, window = 3) {
+    for (let i = index - 1; i >= 0 && i >= index - window; i--) {
+      if (tokens[i] === CLAUSE_BOUNDARY || NEGATION_BREAKS.includes(tokens[i])) return false;
+      if (NEGATION_WORDS.includes(tokens[i])) return true;
+    }
+    return false;
+  }
 
-      const states = await this.db.query(
-        `conversation_states?organization_id=eq.${organizationId}&customer_phone=eq.${encodeURIComponent(customerPhone)}&is_active=eq.true&order=updated_at.desc&limit=1`
-      );
-      
-      if (states.length > 0) {
-        StructuredLogger.info('Existing conversation state found', {
-          state_id: states[0].id,
-          current_step: states[0].current_step
-        });
-        return states[0];
+  // Every whole-word occurrence of every phrase, in message order. A match
+  // inside a longer one ("washer" in "dish washer") is dropped.
+  static findMatches(tokens, vocabulary) {
+    const matches = [];
+
+    for (const [key, phrases] of Object.entries(vocabulary)) {
+      for (const phrase of phrases) {
+        const phraseTokens = PhraseMatcher.tokenize(phrase);
+
+        for (let start = 0; start + phraseTokens.length <= tokens.length; start++) {
+          if (phraseTokens.every((token, offset) => tokens[start + offset] === token)) {
+            matches.push({
+              key,
+              phrase,
+              start,
+              end: start + phraseTokens.length,
+              negated: PhraseMatcher.isNegated(tokens, start),
+              confidence: WEAK_KEYWORDS.includes(phrase) ? WEAK_PATTERN_CONFIDENCE : PATTERN_EXTRACTION_CONFIDENCE
+            });
+          }
+        }
       }
-      
-      const newState = await this.db.query('conversation_states', 'POST', {
-        organization_id: organizationId,
-        customer_phone: customerPhone,
-        conversation_data: {},
-        current_step: 'greeting',
-        is_active: true,
-        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      });
-      
-      StructuredLogger.info('New conversation state created', {
-        state_id: newState[0].id
-      });
-      
-      return newState[0];
-    } catch (error) {
-      StructuredLogger.error('Failed to get conversation state', {
-        organization_id: organizationId,
-        customer_phone: customerPhone,
-        error: error.message
-      });
-      
-      return {
-        conversation_data: {},
-        current_step: 'greeting',
-        is_active: true
-      };
     }
+
+    return matches
+      .filter(match => !matches.some(other =>
+        other !== match &&
+        other.start <= match.start &&
+        other.end >= match.end &&
+        other.end - other.start > match.end - match.start
+      ))
+      .sort((a, b) => a.start - b.start);
   }
 
-  async updateConversationState(stateId, updates) {
-    if (!stateId) return;
-    
-    try {
-      await this.db.query(`conversation_states?id=eq.${stateId}`, 'PATCH', {
-        ...updates,
+  // First mention that isn't negated, or null
+  static match(tokens, vocabulary) {
+    const list = Array.isArray(tokens) ? tokens : PhraseMatcher.tokenize(tokens);
+    return PhraseMatcher.findMatches(list, vocabulary).find(match => !match.negated) || null;
+  }
+
+  // Leading words of a capture up to the first one that isn't name-like:
+  // "Jon not John" -> "Jon"
+  static takeNameWords(text) {
+    const words = [];
+    for (const word of String(text).trim().split(/\s+/)) {
+      if (!PhraseMatcher.isPlausibleName(word)) break;
+      words.push(word);
+    }
+    return words.join(' ');
+  }
+
+  static isPlausibleName(text) {
+    const words = String(text).trim().split(/\s+/);
+    const keywordTokens = PhraseMatcher.getKeywordTokens();
+
+    return words.every(word => {
+      const lower = word.toLowerCase().replace(/'/g, '');
+      return /^[a-zA-Z\u00c0-\u00fc'-]+$/.test(word) && !NON_NAME_WORDS.has(lower) && !keywordTokens.has(lower);
+    });
+  }
+
+  static getKeywordTokens() {
+    if (!PhraseMatcher.keywordTokens) {
+      PhraseMatcher.keywordTokens = new Set(
+        [APPLIANCE_KEYWORDS, ISSUE_KEYWORDS, CONFIRMATION_KEYWORDS, SPANISH_VOCABULARIES.appliance, SPANISH_VOCABULARIES.issue, SPANISH_CONFIRMATION_KEYWORDS]
+          .flatMap(vocabulary => Object.values(vocabulary).flat())
+          .flatMap(phrase => PhraseMatcher.tokenize(phrase))
+          .map(token => token.replace(/'/g, ''))
+      );
+    }
+    return PhraseMatcher.keywordTokens;
+  }
+}
+
+// =============================================================================
+// LANGUAGE SUPPORT - DETECTION AND SPANISH CONVERSATION FLOW
+// =============================================================================
+
+const SUPPORTED_LANGUAGES = ['en', 'es'];
+
+// Words that give a message's language away. Strong markers count double;
+// names, addresses and numbers count for neither side.
+const LANGUAGE_MARKERS = {
+  en: {
+    strong: ['the', 'hello', 'thanks', 'please', "i'm", "it's", "won't", "doesn't", "don't"],
+    common: ['hi', 'yes', 'my', 'is', 'it', 'and', 'to', 'of', 'you', 'your', 'need', 'have', 'with', 'this', 'that', 'what', 'when', 'how',
+      'can', 'not', 'working', 'broken', 'washer', 'dryer', 'fridge', 'tomorrow', 'morning', 'afternoon', 'name', 'address', 'would',
+      'could', 'does', 'are', 'was', 'will', 'speak']
+  },
+  es: {
+    strong: ['hola', 'gracias', 'necesito', 'usted', 'funciona', 'enciende', 'lavadora', 'secadora', 'buenos', 'buenas', 'reparación', 'llamo'],
+    common: ['sí', 'mi', 'mis', 'es', 'está', 'esta', 'estoy', 'que', 'qué', 'por', 'favor', 'para', 'con', 'una', 'muy', 'bien', 'tengo',
+      'quiero', 'puede', 'pueden', 'cita', 'ayuda', 'nombre', 'dirección', 'mañana', 'hoy', 'semana', 'cuándo', 'cuánto', 'cómo', 'dónde',
+      'pero', 'porque', 'los', 'las', 'gotea', 'nevera', 'refrigerador', 'estufa', 'horno', 'hablo', 'habla']
+  }
+};
+
+// Asking for a language by name switches to it outright ("¿habla español?")
+const LANGUAGE_SWITCH_WORDS = {
+  en: ['english', 'inglés', 'ingles'],
+  es: ['spanish', 'español', 'espanol']
+};
+
+// Spanish phrases for the built-in vocabulary categories, merged into the
+// intake schema like database synonyms once a conversation is in Spanish
+const SPANISH_VOCABULARIES = {
+  appliance: {
+    washer: ['lavadora', 'máquina de lavar', 'maquina de lavar'],
+    dryer: ['secadora'],
+    dishwasher: ['lavavajillas', 'lavaplatos', 'lava platos', 'lavatrastes', 'lava trastes'],
+    refrigerator: ['refrigerador', 'refrigeradora', 'refri', 'nevera', 'heladera', 'congelador', 'frigorífico', 'frigorifico'],
+    oven: ['horno', 'estufa'],
+    microwave: ['microondas'],
+    garbage_disposal: ['triturador', 'triturador de basura', 'trituradora'],
+    air_conditioner: ['aire acondicionado', 'minisplit']
+  },
+  issue: {
+    leaking: ['gotea', 'goteando', 'fuga', 'sale agua', 'se sale el agua', 'tirando agua', 'inundando', 'se inundó'],
+    not_starting: ['no enciende', 'no prende', 'no arranca', 'no funciona', 'no sirve', 'dejó de funcionar', 'dejo de funcionar'],
+    noisy: ['hace ruido', 'ruido', 'ruidosa', 'ruidoso', 'rechina'],
+    not_heating: ['no calienta', 'no da calor', 'no seca'],
+    not_cooling: ['no enfría', 'no enfria', 'no congela', 'no está fría', 'no esta fria'],
+    not_spinning: ['no centrifuga', 'no gira', 'no da vueltas', 'no exprime'],
+    not_draining: ['no desagua', 'no drena', 'no saca el agua', 'agua estancada'],
+    not_cleaning: ['no lava', 'no limpia', 'platos sucios'],
+    door_issue: ['la puerta no cierra', 'la puerta no abre', 'puerta atorada', 'problema con la puerta'],
+    control_panel: ['botones no funcionan', 'la pantalla no funciona', 'código de error', 'codigo de error', 'panel de control']
+  },
+  location: {
+    front: ['frente', 'enfrente', 'adelante', 'la puerta'],
+    bottom: ['abajo', 'debajo', 'por debajo'],
+    back: ['atrás', 'atras', 'detrás', 'detras'],
+    inside: ['adentro', 'dentro', 'por dentro'],
+    hose: ['manguera', 'conexión', 'conexion', 'tubo', 'tubería', 'tuberia']
+  }
+};
+
+const SPANISH_CONFIRMATION_KEYWORDS = {
+  yes: ['sí', 'si', 'claro', 'correcto', 'está bien', 'esta bien', 'de acuerdo', 'exacto', 'así es', 'asi es', 'perfecto', 'por supuesto'],
+  no: ['no', 'incorrecto', 'está mal', 'esta mal', 'equivocado', 'no es correcto']
+};
+
+const SPANISH_CORRECTION_CUES = {
+  correction: ['incorrecto', 'equivocado', 'error', 'está mal', 'esta mal', 'me equivoqué', 'me equivoque'],
+  change: ['no', 'en realidad', 'quise decir', 'cambiar', 'corregir']
+};
+
+const SPANISH_FIELD_CONFIRMATION_CUES = {
+  confirmed: ['correcto', 'correcta', 'está bien', 'esta bien', 'exacto']
+};
+
+// Spanish time words rewritten to the English forms the time parser and
+// slot matcher read; the stored label is written back in Spanish
+const SPANISH_TIME_PHRASES = [
+  [/(\d{1,2})(?::\d{2})?\s*(?:de|en|por) la ma[ñn]ana/giu, '$1 am'],
+  [/(\d{1,2})(?::\d{2})?\s*(?:de|en|por) la (?:tarde|noche)/giu, '$1 pm'],
+  [/a las (\d{1,2})(?::\d{2})?(?![\d:]|\s*(?:am|pm|o'clock))/giu, "$1 o'clock"],
+  [/(?:por|en) la ma[ñn]ana/giu, 'morning'],
+  [/(?:por|en) la tarde/giu, 'afternoon'],
+  [/(?:por|en) la noche/giu, 'evening'],
+  [/(?<!\p{L})cualquier ma[ñn]ana(?!\p{L})/giu, 'any morning'],
+  [/(?<!\p{L})cualquier tarde(?!\p{L})/giu, 'any afternoon'],
+  [/(?<!\p{L})cualquier noche(?!\p{L})/giu, 'any evening'],
+  [/(?<!\p{L})ma[ñn]ana(?!\p{L})/giu, 'tomorrow'],
+  [/(?<!\p{L})hoy(?!\p{L})/giu, 'today'],
+  [/(?<!\p{L})(?:el )?pr[óo]ximo fin de semana(?!\p{L})/giu, 'next weekend'],
+  [/(?<!\p{L})(?:este |el )?fin de semana(?!\p{L})/giu, 'this weekend'],
+  [/(?<!\p{L})esta semana(?!\p{L})/giu, 'this week'],
+  [/(?<!\p{L})(?:la )?(?:pr[óo]xima semana|semana que viene)(?!\p{L})/giu, 'next week'],
+  [/(?<!\p{L})(?:urgente|emergencia|lo antes posible|cuanto antes|lo más pronto posible|lo mas pronto posible)(?!\p{L})/giu, 'asap'],
+  [/(?<!\p{L})lunes(?!\p{L})/giu, 'monday'],
+  [/(?<!\p{L})martes(?!\p{L})/giu, 'tuesday'],
+  [/(?<!\p{L})mi[ée]rcoles(?!\p{L})/giu, 'wednesday'],
+  [/(?<!\p{L})jueves(?!\p{L})/giu, 'thursday'],
+  [/(?<!\p{L})viernes(?!\p{L})/giu, 'friday'],
+  [/(?<!\p{L})s[áa]bado(?!\p{L})/giu, 'saturday'],
+  [/(?<!\p{L})domingo(?!\p{L})/giu, 'sunday'],
+  [/(?<!\p{L})(?:el |la )?primer[oa]?(?!\p{L})/giu, 'first'],
+  [/(?<!\p{L})(?:el |la )?segund[oa](?!\p{L})/giu, 'second'],
+  [/(?<!\p{L})(?:el |la )?tercer[oa]?(?!\p{L})/giu, 'third'],
+  [/(?<!\p{L})(?:el |la )?[úu]ltim[oa](?!\p{L})/giu, 'last'],
+  [/(?<!\p{L})cualquiera(?!\p{L})/giu, 'either'],
+  [/(?<!\p{L})opci[óo]n(?!\p{L})/giu, 'option'],
+  [/(?<!\p{L})n[úu]mero(?!\p{L})/giu, 'number'],
+  [/(?<!\p{L})entre las? (\d{1,2}(?::\d{2})?) y las? /giu, 'between $1 and '],
+  [/(?<!\p{L})despu[ée]s de(?:l| las?)?(?!\p{L})/giu, 'after'],
+  [/(?<!\p{L})antes de(?:l| las?)?(?!\p{L})/giu, 'before'],
+  [/(?<!\p{L})(?:excepto|salvo|menos)(?: el| los)?(?!\p{L})/giu, 'except'],
+  [/(?<!\p{L})los (monday|tuesday|wednesday|thursday|friday|saturday|sunday)(?!\p{L})/giu, '$1s'],
+  [/(?<!\p{L})cualquier d[íi]a(?!\p{L})/giu, 'any day'],
+  [/(?<!\p{L})(?:el |la )?pr[óo]xim[oa](?!\p{L})/giu, 'next'],
+  [/(?<!\p{L})(?:el )?mediod[íi]a(?!\p{L})/giu, 'noon']
+];
+
+// How stored time values read back in Spanish
+const SPANISH_TIME_LABELS = {
+  'today': 'hoy',
+  'tomorrow': 'mañana',
+  'this week': 'esta semana',
+  'next week': 'la próxima semana',
+  'morning': 'por la mañana',
+  'afternoon': 'por la tarde',
+  'evening': 'por la noche',
+  'urgent': 'lo antes posible'
+};
+
+// Spanish wording for the appliance intake: labels carry their article so
+// they read naturally in questions and summaries
+const DEFAULT_SPANISH_TRANSLATION = {
+  service: 'la reparación de su aparato',
+  jobNoun: 'reparación',
+  fields: {
+    applianceType: {
+      label: 'el aparato',
+      aliases: ['aparato', 'electrodoméstico', 'máquina'],
+      options: {
+        washer: 'la lavadora', dryer: 'la secadora', dishwasher: 'el lavavajillas', refrigerator: 'el refrigerador', oven: 'la estufa',
+        microwave: 'el microondas', garbage_disposal: 'el triturador de basura', air_conditioner: 'el aire acondicionado'
+      }
+    },
+    issueDescription: {
+      label: 'el problema',
+      aliases: ['problema', 'falla'],
+      options: {
+        leaking: 'está goteando', not_starting: 'no enciende', noisy: 'hace ruido', not_heating: 'no calienta', not_cooling: 'no enfría',
+        not_spinning: 'no centrifuga', not_draining: 'no desagua', not_cleaning: 'no lava bien', door_issue: 'tiene problemas con la puerta',
+        control_panel: 'tiene problemas con los controles'
+      }
+    },
+    applianceMake: { label: 'la marca', aliases: ['marca'] },
+    customerName: { label: 'su nombre', aliases: ['nombre', 'apellido'] },
+    streetAddress: { label: 'la dirección', aliases: ['dirección', 'direccion', 'calle', 'domicilio'] },
+    city: { label: 'la ciudad', aliases: ['ciudad'] },
+    zipCode: { label: 'el código postal', aliases: ['código postal', 'codigo postal'] },
+    callbackNumber: { label: 'el número de contacto', aliases: ['teléfono', 'telefono', 'número', 'numero', 'celular'] },
+    preferredTime: { label: 'la hora preferida', aliases: ['hora', 'día', 'dia', 'fecha', 'cita', 'horario'] },
+    issueLocation: {
+      label: 'el lugar de la fuga',
+      options: { front: 'el frente', bottom: 'la parte de abajo', back: 'la parte de atrás', inside: 'el interior', hose: 'la manguera' }
+    }
+  }
+};
+
+class LanguageManager {
+  // "es-US" -> "es"; anything we don't support -> null
+  static normalize(language) {
+    const code = String(language || '').toLowerCase().slice(0, 2);
+    return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+  }
+
+  // { language, score, explicit } when the message clearly reads as one
+  // language, or null for short or mixed replies
+  static detect(message) {
+    const tokens = PhraseMatcher.tokenize(message);
+
+    for (const [language, words] of Object.entries(LANGUAGE_SWITCH_WORDS)) {
+      const index = tokens.findIndex(token => words.includes(token));
+      // "no hablo inglés" is not a request for English
+      if (index !== -1 && !PhraseMatcher.isNegated(tokens, index)) {
+        return { language, score: null, explicit: true };
+      }
+    }
+
+    const scores = {};
+    for (const [language, markers] of Object.entries(LANGUAGE_MARKERS)) {
+      scores[language] = tokens.reduce((score, token) => {
+        if (markers.strong.includes(token)) return score + 2;
+        return markers.common.includes(token) ? score + 1 : score;
+      }, 0);
+    }
+
+    // Accents and inverted punctuation only show up in Spanish
+    if (/[ñ¿¡áéíóú]/i.test(message)) {
+      scores.es += 1;
+    }
+
+    const [best, runnerUp] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (best[1] >= 2 && best[1] >= runnerUp[1] * 2) {
+      return { language: best[0], score: best[1], explicit: false };
+    }
+    return null;
+  }
+
+  // An explicit request or a clear switch wins, then the language the
+  // conversation already uses, then the number's and the tenant's setting.
+  // A short reply ("sí", "ok", a name) never flips an ongoing conversation.
+  static resolve(message, conversationData = {}, requestedLanguage = null, organizationConfig = null) {
+    const current = LanguageManager.normalize(conversationData.language);
+    const detected = organizationConfig?.language_detection === false ? null : LanguageManager.detect(message);
+
+    if (detected && (detected.explicit || !current || detected.score >= 3)) {
+      return { language: detected.language, source: detected.explicit ? 'requested' : 'detected' };
+    }
+    if (current) {
+      return { language: current, source: 'conversation' };
+    }
+
+    const numberLanguage = LanguageManager.normalize(requestedLanguage);
+    if (numberLanguage) {
+      return { language: numberLanguage, source: 'number' };
+    }
+
+    const tenantLanguage = LanguageManager.normalize(organizationConfig?.default_language);
+    if (tenantLanguage) {
+      return { language: tenantLanguage, source: 'tenant' };
+    }
+
+    return { language: 'en', source: 'default' };
+  }
+
+  // Built-in Spanish phrases on top of the schema's (and the database's) lists
+  static localizeSchema(schema, language) {
+    return language === 'es' ? schema.applyVocabularies(SPANISH_VOCABULARIES) : schema;
+  }
+
+  static getConfirmationKeywords(language) {
+    return language === 'es' ? LanguageManager.mergeVocabularies(CONFIRMATION_KEYWORDS, SPANISH_CONFIRMATION_KEYWORDS) : CONFIRMATION_KEYWORDS;
+  }
+
+  static getCorrectionCues(language) {
+    return language === 'es' ? LanguageManager.mergeVocabularies(CORRECTION_CUES, SPANISH_CORRECTION_CUES) : CORRECTION_CUES;
+  }
+
+  static getFieldConfirmationCues(language) {
+    return language === 'es' ? LanguageManager.mergeVocabularies(FIELD_CONFIRMATION_CUES, SPANISH_FIELD_CONFIRMATION_CUES) : FIELD_CONFIRMATION_CUES;
+  }
+
+  static mergeVocabularies(base, extra) {
+    const merged = { ...base };
+    for (const [key, phrases] of Object.entries(extra)) {
+      merged[key] = [...new Set([...(merged[key] || []), ...phrases])];
+    }
+    return merged;
+  }
+
+  static normalizeTimeWords(message) {
+    return SPANISH_TIME_PHRASES.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), String(message));
+  }
+}
+
+// Same flow as ConversationFlowManager, worded in Spanish (formal "usted")
+class SpanishConversationFlowManager extends ConversationFlowManager {
+  constructor(schema = new IntakeSchema()) {
+    super(schema);
+    this.language = 'es';
+  }
+
+  apologize(question) {
+    return `Disculpe. ${question}`;
+  }
+
+  generateSlotTakenResponse(nextResponse) {
+    return `Lo siento, ese horario se acaba de ocupar. ${nextResponse}`;
+  }
+
+  getCorrectionQuestion(isVoice) {
+    if (this.schema.isDefault) {
+      if (isVoice) {
+        return "Disculpe. ¿Qué debo corregir: el nombre, la dirección, el teléfono, el aparato o la hora?";
+      }
+      return "Disculpe. ¿Qué debo corregir: nombre, dirección, teléfono, aparato u hora de la cita?";
+    }
+
+    const labels = [...new Set(this.requiredFields.map(key => this.schema.getLabel(this.schema.getMissingKeyFor(key), this.language)))];
+    return `Disculpe. ¿Qué debo corregir: ${this.joinChoices(labels)}?`;
+  }
+
+  getReconfirmQuestion(field, extractedInfo, isVoice) {
+    const value = extractedInfo[field];
+    const readBacks = {
+      'applianceType': `es ${this.formatValue(field, value)}`,
+      'issueDescription': `el problema es que ${this.formatIssueDescription(value)}`,
+      'applianceMake': `la marca es ${value}`,
+      'customerName': `su nombre es ${value}`,
+      'streetAddress': `la dirección es ${isVoice ? this.formatAddressForSpeech(extractedInfo) : value}`,
+      'city': `la ciudad es ${value}`,
+      'zipCode': `el código postal es ${isVoice ? String(value).split('').join(' ') : value}`,
+      'callbackNumber': `el mejor número es ${PhoneNormalizer.format(value)}`,
+      'preferredTime': `prefiere ${this.formatTime(extractedInfo)}`
+    };
+    const readBack = readBacks[field] || `${this.schema.getLabel(field, this.language)} es ${this.formatValue(field, value)}`;
+
+    if (isVoice) {
+      return `Para asegurarme de que le entendí bien, ¿${readBack}?`;
+    }
+    return `Solo para confirmar, ¿${readBack}? Responda sí o no.`;
+  }
+
+  getFieldQuestion(missingField, isVoice) {
+    const label = this.schema.getLabel(missingField, this.language);
+    const field = this.schema.getField(missingField);
+
+    if (!isVoice && field?.type === 'enum') {
+      const options = Object.keys(field.options).slice(0, 4).map(option => this.formatValue(missingField, option));
+      return `¿Cuál es ${label}: ${options.join(', ')} u otro?`;
+    }
+    return `¿Cuál es ${label}?`;
+  }
+
+  getApplianceTypeQuestion(isVoice) {
+    if (isVoice) {
+      return "¿Qué aparato necesita reparación?";
+    }
+    return "¿Qué aparato necesita reparación: lavadora, secadora, lavavajillas, refrigerador u otro?";
+  }
+
+  getIssueQuestion(applianceType, isVoice) {
+    const questions = {
+      'washer': isVoice ? "¿Qué le pasa a su lavadora?" : "¿Qué le pasa a su lavadora: no enciende, gotea, no centrifuga, hace ruido u otra cosa?",
+      'dryer': isVoice ? "¿Qué problema tiene su secadora?" : "¿Qué problema tiene su secadora: no calienta, no enciende, hace ruido o no seca bien la ropa?",
+      'dishwasher': isVoice ? "¿Qué está haciendo el lavavajillas?" : "¿Qué problema tiene su lavavajillas: no lava bien, no desagua, gotea o no enciende?",
+      'refrigerator': isVoice ? "¿Qué problema tiene su refrigerador?" : "¿Qué problema tiene su refrigerador: no enfría, hace ruido, gotea u otra cosa?",
+      'oven': isVoice ? "¿Qué le pasa a su estufa?" : "¿Qué le pasa a su estufa u horno: no calienta, no enciende, problemas con la puerta o con la temperatura?",
+      'microwave': isVoice ? "¿Qué problema tiene su microondas?" : "¿Qué problema tiene su microondas: no calienta, no enciende, hace ruido o falla la pantalla?"
+    };
+
+    return questions[applianceType] || (isVoice ? "¿Cuál es el problema exactamente?" : "¿Cuál es el problema exactamente con su aparato?");
+  }
+
+  getMakeQuestion(applianceType, isVoice) {
+    const appliance = this.formatValue('applianceType', applianceType) || 'el aparato';
+    if (isVoice) {
+      return `¿De qué marca es ${appliance}?`;
+    }
+    return `¿De qué marca es ${appliance}: Whirlpool, GE, Samsung, LG u otra?`;
+  }
+
+  getNameQuestion(isVoice) {
+    if (isVoice) {
+      return "¿Cuál es su nombre completo?";
+    }
+    return "¡Muy bien! Para programar su reparación, necesito su nombre completo.";
+  }
+
+  getAddressQuestion(isVoice) {
+    if (isVoice) {
+      return "¿Cuál es su dirección?";
+    }
+    return "¿Cuál es la dirección donde se necesita la reparación?";
+  }
+
+  getLocationQuestion(isVoice) {
+    if (isVoice) {
+      return "¿En qué ciudad y código postal?";
+    }
+    return "¿En qué ciudad y código postal está esa dirección?";
+  }
+
+  getPhoneQuestion(isVoice) {
+    if (isVoice) {
+      return "¿A qué número le podemos llamar?";
+    }
+    return "¿Cuál es el mejor número para comunicarnos con usted?";
+  }
+
+  getTimeQuestion(isVoice, offeredSlots = [], timePreference = null) {
+    if (offeredSlots && offeredSlots.length > 0) {
+      const labels = offeredSlots.map(slot => this.formatSlotLabel(slot));
+      const matched = timePreference?.status === 'matched' ? timePreference.label : null;
+      const missed = timePreference?.status === 'unmatched' ? `No tengo nada disponible ${timePreference.label}. ` : '';
+
+      if (isVoice) {
+        if (labels.length === 1) {
+          return matched ?
+            `Para ${matched}, la primera cita disponible es ${labels[0]}. ¿Le funciona?` :
+            `${missed}La próxima cita disponible es ${labels[0]}. ¿Le funciona?`;
+        }
+        return matched ?
+          `Para ${matched}, tengo disponibilidad ${this.joinChoices(labels)}. ¿Cuál le conviene más?` :
+          `${missed}Tengo disponibilidad ${this.joinChoices(labels)}. ¿Cuál le conviene más?`;
+      }
+
+      const choices = labels.map((label, index) => `${index + 1}. ${label.charAt(0).toUpperCase() + label.slice(1)}`);
+      const numbers = labels.map((label, index) => index + 1);
+      return `${matched ? `Estos son los horarios disponibles para ${matched}:` : `${missed}Estos son los próximos horarios disponibles:`}
+${choices.join('\n')}
+
+Responda con ${numbers.length > 1 ? this.joinChoices(numbers) : '1'}, o dígame otro día que le funcione.`;
+    }
+
+    if (isVoice) {
+      return "¿Prefiere en la mañana o en la tarde?";
+    }
+    return "¿Cuándo le conviene? ¿Prefiere por la mañana o por la tarde?";
+  }
+
+  getDefaultQuestion(isVoice) {
+    return "¿En qué le puedo ayudar hoy?";
+  }
+
+  generateSummaryResponse(extractedInfo, isVoice) {
+    if (!this.schema.isDefault) {
+      return this.generateSchemaSummaryResponse(extractedInfo, isVoice);
+    }
+
+    const appliance = [this.formatValue('applianceType', extractedInfo.applianceType), extractedInfo.applianceMake].filter(Boolean).join(' ');
+    const issue = this.formatIssueDescription(extractedInfo.issueDescription);
+    const time = this.formatTime(extractedInfo) || 'en su horario preferido';
+    const { diagnostic_fee: fee, repair_range: range } = this.promptVariables;
+
+    if (isVoice) {
+      const when = extractedInfo.selectedSlot ? `, ${this.formatSlotLabel(extractedInfo.selectedSlot)}` : '';
+      return `¡Perfecto! Tengo a ${extractedInfo.customerName} en ${extractedInfo.streetAddress} por ${appliance}, que ${issue}${when}. El diagnóstico cuesta ${fee} y se abona a la reparación; la mayoría cuestan de ${this.formatRange(range)}. ¿Está bien?`;
+    }
+
+    return `¡Perfecto! Confirmo sus datos:
+- Cliente: ${extractedInfo.customerName}
+- Dirección: ${extractedInfo.streetAddress}, ${extractedInfo.city} ${extractedInfo.zipCode}
+- Aparato: ${appliance} - ${issue}
+- Horario: ${time}
+- Diagnóstico: ${fee} (se abona a la reparación)
+- Costo de reparación: la mayoría de ${this.formatRange(range)}
+
+¿Es correcto?`;
+  }
+
+  generateSchemaSummaryResponse(extractedInfo, isVoice) {
+    const captured = this.schema.fields.filter(field => extractedInfo[field.key]);
+    const summaryNote = this.schema.getText('summaryNote', this.language);
+    const note = summaryNote ? ` ${summaryNote}` : '';
+
+    if (isVoice) {
+      const parts = captured.map(field => `${this.schema.getLabel(field.key, this.language)}: ${this.formatValue(field.key, extractedInfo[field.key])}`);
+      return `¡Perfecto! Tengo ${parts.join(', ')}.${note} ¿Está bien?`;
+    }
+
+    const lines = captured.map(field => {
+      const label = this.schema.getLabel(field.key, this.language);
+      return `- ${label.charAt(0).toUpperCase() + label.slice(1)}: ${this.formatValue(field.key, extractedInfo[field.key])}`;
+    });
+
+    return `¡Perfecto! Confirmo sus datos:
+${lines.join('\n')}${note ? `\n\n${note.trim()}` : ''}
+
+¿Es correcto?`;
+  }
+
+  generateBookedResponse(extractedInfo, isVoice) {
+    const time = this.formatTime(extractedInfo) || 'en su horario preferido';
+    const subject = this.schema.getSubject(extractedInfo, this.language);
+    const forSubject = subject ? ` para ${subject}` : '';
+
+    if (isVoice) {
+      return `¡Listo! Su cita${forSubject} quedó reservada ${time}. Le llamaremos para confirmar. ¿Algo más?`;
+    }
+
+    const cityLine = [extractedInfo.city, extractedInfo.zipCode].filter(Boolean).join(' ');
+    const address = extractedInfo.streetAddress ?
+      `\n- Dirección: ${[extractedInfo.streetAddress, cityLine].filter(Boolean).join(', ')}` : '';
+
+    return `¡Listo! Su cita${forSubject} quedó reservada ${time}.
+- Referencia: ${extractedInfo.appointmentReference}${address}
+
+Nos comunicaremos con usted para confirmar antes de que llegue el técnico. ¿Le puedo ayudar con algo más?`;
+  }
+
+  generateBookingFailedResponse(isVoice) {
+    if (isVoice) {
+      return "Tengo todos sus datos, pero no pude reservar la cita en este momento. Nuestro equipo le llamará pronto para confirmar.";
+    }
+    return "Tengo todos sus datos, pero no pude reservar la cita en este momento. Nuestro equipo se comunicará con usted pronto para confirmar el horario.";
+  }
+
+  generateClosingResponse(extractedInfo, isVoice) {
+    if (extractedInfo.serviceArea?.status === 'not_served') {
+      return this.generateOutOfAreaResponse(extractedInfo.serviceArea, isVoice);
+    }
+    if (extractedInfo.consentDeclined) {
+      return "No hay problema. Envíe un mensaje de texto a este número con su nombre, su dirección y lo que está pasando, y le agendamos la cita. ¡Hasta luego!";
+    }
+    if (isVoice) {
+      return "¡De nada! Que tenga un buen día.";
+    }
+    return "¡De nada! Escríbanos cuando necesite algo más.";
+  }
+
+  generateOutOfAreaResponse(serviceArea, isVoice) {
+    const referral = serviceArea.referral ? ` ${serviceArea.referral}` : '';
+    if (isVoice) {
+      const zip = String(serviceArea.zipCode).split('').join(' ');
+      return `Lo siento, por ahora no damos servicio en el código postal ${zip}.${referral} Si entendí mal el código postal, por favor llámenos de nuevo. ¡Gracias por llamar!`;
+    }
+    return `Lo sentimos, por ahora no damos servicio en el código postal ${serviceArea.zipCode}.${referral} Si el código no es correcto, escríbanos de nuevo con el correcto.`;
+  }
+
+  formatRange(range) {
+    return String(range).replace(/(\d)\s*[-–]\s*(?=\$?\d)/g, '$1 a ');
+  }
+
+  formatIssueDescription(issue) {
+    if (!issue) return 'tiene problemas';
+    return this.formatValue('issueDescription', issue);
+  }
+
+  handleDetailedCustomer(extractedInfo, isVoice) {
+    const missing = this.getMissingInformation(extractedInfo);
+
+    if (missing.length <= 2) {
+      const missingFields = missing.map(field => this.schema.getLabel(field, this.language));
+      const subject = this.schema.getSubject(extractedInfo, this.language) || this.schema.getText('service', this.language);
+
+      if (isVoice) {
+        return `Le puedo ayudar con ${subject}. Solo necesito ${missingFields.join(' y ')}.`;
+      }
+      return `Le puedo ayudar con ${subject}. Para programar a un técnico, solo necesito ${missingFields.join(' y ')}.`;
+    }
+
+    return this.generateNextQuestion(missing[0], extractedInfo, isVoice);
+  }
+
+  handleUrgentCustomer(extractedInfo, isVoice) {
+    if (isVoice) {
+      return "Entiendo que es urgente. Vamos a programarle rápido. ¿Cuál es su nombre y dirección?";
+    }
+    return "Entiendo que es urgente. Para programarle rápido, envíeme su nombre, su dirección y el mejor número para llamarle.";
+  }
+
+  generateEmergencyResponse(extractedInfo, event, nextResponse, isVoice) {
+    const emergency = extractedInfo.emergency || {};
+
+    if (event === 'accepted') {
+      return "Le comunico ahora con nuestro técnico de guardia. Por favor no cuelgue.";
+    }
+    if (event === 'declined') {
+      return `Está bien, le devolverán la llamada en breve. ${nextResponse}`;
+    }
+
+    const safety = EMERGENCY_SAFETY_TIPS.es[emergency.hazard] || '';
+    if (emergency.transfer === 'offered') {
+      return [safety, "Ya avisé a nuestro técnico de guardia. ¿Quiere que lo comunique ahora?"].filter(Boolean).join(' ');
+    }
+    const notice = emergency.paged ?
+      "Ya avisé a nuestro técnico de guardia y se comunicará con usted en breve." :
+      "Marqué esto como emergencia para nuestro equipo.";
+    return [safety, notice, nextResponse].filter(Boolean).join(' ');
+  }
+
+  generateHandoffResponse(handoff) {
+    if (handoff.action === 'transfer') {
+      return "Por supuesto. Le comunico ahora con alguien de nuestro equipo. Por favor no cuelgue.";
+    }
+    const opening = handoff.signals.includes('asked_for_human') ? 'Por supuesto.' : 'Disculpe las molestias.';
+    return handoff.action === 'pause' ?
+      `${opening} Ya avisé a nuestro equipo y alguien le escribirá en breve.` :
+      `${opening} Ya avisé a nuestro equipo y alguien le llamará en breve.`;
+  }
+
+  formatValue(key, value) {
+    return this.schema.formatValue(key, value, this.language);
+  }
+
+  formatTime(extractedInfo) {
+    if (extractedInfo.selectedSlot) {
+      return this.formatSlotLabel(extractedInfo.selectedSlot);
+    }
+
+    const time = extractedInfo.preferredTime;
+    if (!time) return '';
+    if (/^\d{1,2}\s*(?:am|pm)$/i.test(time)) return `a las ${time}`;
+    return SPANISH_TIME_LABELS[String(time).toLowerCase()] || time;
+  }
+
+  // "mañana de 8 a 10 de la mañana"; slots from before the time zone was
+  // passed along keep their English label
+  formatSlotLabel(slot) {
+    if (!slot?.timeZone || !slot.start || !slot.end) return slot?.label || '';
+
+    const timeZone = slot.timeZone;
+    const clock = date => {
+      const parts = new Intl.DateTimeFormat('en-US', { hour: 'numeric', minute: '2-digit', hourCycle: 'h23', timeZone }).formatToParts(new Date(date));
+      const hour = Number(parts.find(part => part.type === 'hour').value);
+      const minute = parts.find(part => part.type === 'minute').value;
+      return {
+        time: `${hour % 12 || 12}${minute === '00' ? '' : `:${minute}`}`,
+        period: hour < 12 ? 'de la mañana' : hour < 19 ? 'de la tarde' : 'de la noche'
+      };
+    };
+    const start = clock(slot.start);
+    const end = clock(slot.end);
+    const hours = start.period === end.period ?
+      `de ${start.time} a ${end.time} ${end.period}` :
+      `de ${start.time} ${start.period} a ${end.time} ${end.period}`;
+
+    let day;
+    if (slot.dayLabel === 'today') {
+      day = 'hoy';
+    } else if (slot.dayLabel === 'tomorrow') {
+      day = 'mañana';
+    } else {
+      const options = /\d/.test(slot.dayLabel || '') ? { weekday: 'long', day: 'numeric', month: 'long', timeZone } : { weekday: 'long', timeZone };
+      day = `el ${new Intl.DateTimeFormat('es-US', options).format(new Date(slot.start))}`;
+    }
+
+    return `${day} ${hours}`;
+  }
+
+  joinChoices(items) {
+    if (items.length <= 1) return String(items[0] ?? '');
+    return `${items.slice(0, -1).join(', ')} o ${items[items.length - 1]}`;
+  }
+}
+
+// =============================================================================
+// INTAKE SCHEMA - TENANT-DEFINED FIELDS
+// =============================================================================
+
+// Field types the extractor knows how to read. `enum` fields carry an
+// `options` map of value -> phrases; `text` fields carry regex `patterns`
+// whose first capture group is the value.
+const INTAKE_FIELD_TYPES = ['enum', 'text', 'name', 'address', 'city', 'zip', 'phone', 'time'];
+
+// Every step a conversation moves through; the intake steps are the ones that
+// collect fields, asked in this order
+const CONVERSATION_STEPS = ['greeting', 'consent', 'problem', 'appliance_details', 'contact', 'address', 'scheduling', 'confirmation', 'booked', 'closed'];
+const INTAKE_STEPS = ['problem', 'appliance_details', 'contact', 'address', 'scheduling'];
+
+// Step for tenant fields that don't name one; anything else is part of the problem
+const FIELD_TYPE_STEPS = {
+  name: 'contact',
+  phone: 'contact',
+  address: 'address',
+  city: 'address',
+  zip: 'address',
+  time: 'scheduling'
+};
+
+// Appliance repair intake, used when a tenant hasn't defined its own.
+// `preferredTime` is the scheduling field appointment slots are offered for;
+// `group` fields are asked for together ("city and zip code"); `vocabulary`
+// names the database synonym category merged into an enum's options;
+// `step` is the conversation step that asks for the field.
+// `translations` holds per-language wording: { es: { service, jobNoun,
+// summaryNote, fields: { key: { label, questions, aliases, options } } } }.
+const DEFAULT_INTAKE_SCHEMA = {
+  service: 'appliance repair',
+  jobNoun: 'repair',
+  subjectField: 'applianceType',
+  translations: { es: DEFAULT_SPANISH_TRANSLATION },
+  fields: [
+    { key: 'applianceType', step: 'problem', label: 'appliance', description: 'Appliance type (washer, dryer, dishwasher, etc.)', type: 'enum', options: APPLIANCE_KEYWORDS, vocabulary: 'appliance', aliases: ['appliance', 'machine'] },
+    { key: 'issueDescription', step: 'problem', label: 'issue', description: 'Specific issue description', type: 'enum', options: ISSUE_KEYWORDS, vocabulary: 'issue', aliases: ['problem', 'issue'] },
+    { key: 'applianceMake', step: 'appliance_details', label: 'brand', description: 'Appliance make/brand', type: 'enum', options: MAKE_KEYWORDS, vocabulary: 'brand', capitalize: true, allowOther: true, aliases: ['brand', 'make'] },
+    { key: 'customerName', step: 'contact', label: 'your name', description: 'Customer full name', type: 'name', aliases: ['name', 'spelled', 'spelling', 'spell'] },
+    { key: 'streetAddress', step: 'address', label: 'street address', description: 'Street address (without city or zip)', type: 'address', aliases: ['address', 'street', 'house number'] },
+    { key: 'city', step: 'address', label: 'city', description: 'City', type: 'city', group: 'location', aliases: ['city', 'town'] },
+    { key: 'zipCode', step: 'address', label: 'zip code', description: 'Zip code', type: 'zip', group: 'location', validate: { pattern: '^\\d{5}$' }, aliases: ['zip', 'zip code', 'zipcode', 'postal code'] },
+    { key: 'callbackNumber', step: 'contact', label: 'callback number', description: 'Callback phone number', type: 'phone', aliases: ['phone', 'number', 'phone number', 'callback', 'cell'] },
+    { key: 'preferredTime', step: 'scheduling', label: 'preferred time', description: 'Preferred appointment time', type: 'time', aliases: ['time', 'day', 'date', 'appointment', 'window', 'slot'] },
+    { key: 'issueLocation', step: 'problem', label: 'leak location', type: 'enum', options: ISSUE_LOCATION_KEYWORDS, vocabulary: 'location', required: false, when: ['leak', 'leaking', 'water', 'gotea', 'goteando', 'fuga', 'agua'] }
+  ]
+};
+
+const GROUP_LABELS = {
+  location: 'city and zip code'
+};
+
+const GROUP_TRANSLATIONS = {
+  es: { location: 'la ciudad y el código postal' }
+};
+
+class IntakeSchema {
+  constructor(definition = DEFAULT_INTAKE_SCHEMA) {
+    this.isDefault = definition === DEFAULT_INTAKE_SCHEMA;
+    this.service = definition.service || 'service';
+    this.jobNoun = definition.jobNoun || 'service';
+    this.subjectField = definition.subjectField || null;
+    this.summaryNote = definition.summaryNote || null;
+    this.translations = definition.translations || {};
+    this.fields = definition.fields
+      .map((field, index) => ({ required: true, order: index, ...field }))
+      .sort((a, b) => a.order - b.order);
+    this.requiredFields = this.fields.filter(field => field.required !== false).map(field => field.key);
+  }
+
+  // Load `tenant_configs.intake_schema`, falling back to the appliance schema
+  // when it's missing or doesn't validate
+  static fromConfig(organizationConfig) {
+    let definition = organizationConfig?.intake_schema;
+    if (!definition) return new IntakeSchema();
+
+    try {
+      if (typeof definition === 'string') {
+        definition = JSON.parse(definition);
+      }
+
+      const errors = IntakeSchema.validateDefinition(definition);
+      if (errors.length > 0) {
+        StructuredLogger.warn('Invalid intake schema, using default', {
+          organization_id: organizationConfig.organization_id,
+          errors
+        });
+        return new IntakeSchema();
+      }
+
+      return new IntakeSchema(definition);
+    } catch (error) {
+      StructuredLogger.warn('Could not parse intake schema, using default', {
+        organization_id: organizationConfig.organization_id,
+        error: error.message
+      });
+      return new IntakeSchema();
+    }
+  }
+
+  static validateDefinition(definition) {
+    const errors = [];
+
+    if (!definition || !Array.isArray(definition.fields) || definition.fields.length === 0) {
+      return ['fields must be a non-empty array'];
+    }
+
+    const keys = new Set();
+    definition.fields.forEach((field, index) => {
+      const name = field?.key || `fields[${index}]`;
+
+      if (!field?.key || !/^[a-zA-Z][a-zA-Z0-9_]*$/.test(field.key)) {
+        errors.push(`${name}: key must be an identifier`);
+      } else if (keys.has(field.key)) {
+        errors.push(`${name}: duplicate key`);
+      }
+      keys.add(field?.key);
+
+      if (!INTAKE_FIELD_TYPES.includes(field?.type)) {
+        errors.push(`${name}: type must be one of ${INTAKE_FIELD_TYPES.join(', ')}`);
+      }
+      if (field?.type === 'enum' && (!field.options || typeof field.options !== 'object' || Object.keys(field.options).length === 0)) {
+        errors.push(`${name}: enum fields need options`);
+      }
+      if (field?.type === 'text' && field.patterns && !Array.isArray(field.patterns)) {
+        errors.push(`${name}: patterns must be an array of regex strings`);
+      }
+      if (field?.vocabulary !== undefined && !/^[a-z][a-z0-9_]*$/.test(field.vocabulary)) {
+        errors.push(`${name}: vocabulary must be a lowercase category name`);
+      }
+      if (field?.questions && (typeof field.questions.voice !== 'string' || typeof field.questions.sms !== 'string')) {
+        errors.push(`${name}: questions need voice and sms text`);
+      }
+      if (field?.step !== undefined && !INTAKE_STEPS.includes(field.step)) {
+        errors.push(`${name}: step must be one of ${INTAKE_STEPS.join(', ')}`);
+      }
+
+      for (const source of [field?.validate?.pattern, ...(field?.patterns || [])].filter(Boolean)) {
+        try {
+          new RegExp(source);
+        } catch (error) {
+          errors.push(`${name}: invalid regex ${source}`);
+        }
+      }
+    });
+
+    for (const [language, translation] of Object.entries(definition.translations || {})) {
+      if (!SUPPORTED_LANGUAGES.includes(language)) {
+        errors.push(`translations.${language}: language must be one of ${SUPPORTED_LANGUAGES.join(', ')}`);
+        continue;
+      }
+
+      for (const [key, fieldTranslation] of Object.entries(translation?.fields || {})) {
+        if (!keys.has(key)) {
+          errors.push(`translations.${language}.fields.${key}: unknown field`);
+        }
+        const questions = fieldTranslation?.questions;
+        if (questions && (typeof questions.voice !== 'string' || typeof questions.sms !== 'string')) {
+          errors.push(`translations.${language}.fields.${key}: questions need voice and sms text`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  getField(key) {
+    return this.fields.find(field => field.key === key) || null;
+  }
+
+  // Ask the listed fields in this order (a question order experiment). Steps
+  // keep their order, so this only reorders fields within a step; fields not
+  // listed follow the listed ones.
+  applyQuestionOrder(keys = []) {
+    const position = (field) => {
+      const index = keys.indexOf(field.key);
+      return index === -1 ? keys.length + field.order : index;
+    };
+    this.fields = [...this.fields].sort((a, b) => position(a) - position(b));
+    this.requiredFields = this.fields.filter(field => field.required !== false).map(field => field.key);
+    return this;
+  }
+
+  // Add database synonyms on top of the built-in phrase lists
+  applyVocabularies(vocabularies = {}) {
+    for (const field of this.fields) {
+      const extra = field.type === 'enum' && field.vocabulary && vocabularies[field.vocabulary];
+      if (!extra) continue;
+
+      const options = { ...field.options };
+      for (const [value, phrases] of Object.entries(extra)) {
+        options[value] = [...new Set([...(options[value] || []), ...phrases])];
+      }
+      field.options = options;
+    }
+
+    return this;
+  }
+
+  // "speed_queen" -> "Speed Queen" for fields stored in display form
+  static displayOption(field, value) {
+    if (!field.capitalize) return value;
+    return String(value).split(/[_\s]+/).map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join(' ');
+  }
+
+  hasField(key) {
+    return !!this.getField(key);
+  }
+
+  // Required fields still empty, by step and then field order; grouped fields
+  // collapse to their group name so they're asked for together
+  getMissingKeys(data) {
+    const missing = [];
+
+    for (const field of this.fields) {
+      if (field.required === false || data[field.key]) continue;
+
+      const missingKey = field.group || field.key;
+      if (!missing.includes(missingKey)) {
+        missing.push(missingKey);
+      }
+    }
+
+    const stepIndex = (key) => INTAKE_STEPS.indexOf(this.getStepForKey(key));
+    return missing
+      .map((key, index) => ({ key, index }))
+      .sort((a, b) => stepIndex(a.key) - stepIndex(b.key) || a.index - b.index)
+      .map(entry => entry.key);
+  }
+
+  // Conversation step that collects a field
+  getStep(key) {
+    const field = this.getField(key);
+    if (!field) return null;
+    return field.step || FIELD_TYPE_STEPS[field.type] || 'problem';
+  }
+
+  // Same for a missing key, which may be a group name
+  getStepForKey(missingKey) {
+    const field = this.fields.find(candidate => candidate.key === missingKey || candidate.group === missingKey);
+    return field ? this.getStep(field.key) : null;
+  }
+
+  getMissingKeyFor(key) {
+    return this.getField(key)?.group || key;
+  }
+
+  // Wording for one field in another language, or null
+  getFieldTranslation(key, language = 'en') {
+    if (language === 'en') return null;
+    return this.translations[language]?.fields?.[key] || null;
+  }
+
+  // Schema-level text (service, jobNoun, summaryNote) in the given language,
+  // falling back to the English definition
+  getText(property, language = 'en') {
+    return (language !== 'en' && this.translations[language]?.[property]) || this[property];
+  }
+
+  getLabel(missingKey, language = 'en') {
+    if (language !== 'en') {
+      const translated = GROUP_TRANSLATIONS[language]?.[missingKey] || this.getFieldTranslation(missingKey, language)?.label;
+      if (translated) return translated;
+    }
+    return GROUP_LABELS[missingKey] || this.getField(missingKey)?.label || missingKey;
+  }
+
+  getQuestion(missingKey, isVoice, language = 'en') {
+    const questionsFor = field => language === 'en' ? field.questions : this.getFieldTranslation(field.key, language)?.questions;
+    const field = this.getField(missingKey);
+    const questions = (field && questionsFor(field)) ||
+      this.fields.filter(candidate => candidate.group === missingKey).map(questionsFor).find(Boolean);
+
+    if (!questions) return null;
+    return isVoice ? questions.voice : questions.sms;
+  }
+
+  // Words a customer uses to point at a field ("that's the wrong address")
+  getAliasVocabulary(language = 'en') {
+    return Object.fromEntries(
+      this.fields.map(field => [field.key, [
+        ...(field.aliases || [String(field.label).replace(/^your\s+/i, '')]),
+        ...(this.getFieldTranslation(field.key, language)?.aliases || [])
+      ]])
+    );
+  }
+
+  isValid(key, value) {
+    const rules = this.getField(key)?.validate;
+    if (!rules) return true;
+
+    const text = String(value);
+    if (rules.pattern && !new RegExp(rules.pattern).test(text)) return false;
+    if (rules.minLength && text.length < rules.minLength) return false;
+    if (rules.maxLength && text.length > rules.maxLength) return false;
+    return true;
+  }
+
+  formatValue(key, value, language = 'en') {
+    if (value === null || value === undefined) return '';
+
+    const translated = this.getFieldTranslation(key, language)?.options?.[value];
+    if (translated) return translated;
+    if (this.getField(key)?.type === 'phone') return PhoneNormalizer.format(value);
+    return this.getField(key)?.type === 'enum' ? String(value).replace(/_/g, ' ') : String(value);
+  }
+
+  getSubject(data, language = 'en') {
+    return this.subjectField ? this.formatValue(this.subjectField, data[this.subjectField], language) : '';
+  }
+}
+
+// =============================================================================
+// PHONE NUMBERS - E.164 NORMALIZATION
+// =============================================================================
+
+// The voice, SMS and database workers carry copies of PhoneNormalizer; change
+// them together so every worker stores a caller under the same number.
+// test/phone-normalizer.mjs runs the same vectors through every copy.
+
+const DEFAULT_PHONE_COUNTRY_CODE = '1';
+
+// Two-digit country codes; 1 and 7 are the only one-digit codes and
+// everything else is three digits
+const TWO_DIGIT_COUNTRY_CODES = new Set([
+  '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+  '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66',
+  '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98'
+]);
+
+const PHONE_EXTENSION_PATTERN = /\s*(?:;\s*ext=|,\s*|\b(?:ext|extension|extensi[óo]n)\.?\s*|\bx\.?\s*|#\s*)(\d{1,6})\s*$/i;
+
+class PhoneNormalizer {
+  static getCountryCode(digits) {
+    if (/^[17]/.test(digits)) return digits.charAt(0);
+    if (TWO_DIGIT_COUNTRY_CODES.has(digits.substring(0, 2))) return digits.substring(0, 2);
+    return digits.substring(0, 3);
+  }
+
+  // Splits a raw number into { e164, countryCode, nationalNumber, extension, valid, reason }.
+  // Numbers without a "+" or international prefix are read as North American.
+  static parse(value, defaultCountryCode = DEFAULT_PHONE_COUNTRY_CODE) {
+    if (value === null || value === undefined) return null;
+
+    let text = String(value).trim().replace(/^tel:/i, '');
+    if (!text) return null;
+
+    let extension = null;
+    const extensionMatch = text.match(PHONE_EXTENSION_PATTERN);
+    if (extensionMatch && /\d{7}/.test(text.slice(0, extensionMatch.index).replace(/\D/g, ''))) {
+      extension = extensionMatch[1];
+      text = text.slice(0, extensionMatch.index);
+    }
+
+    // Anything left besides digits and punctuation ("anonymous", "client:alice") isn't a number
+    if (!/^[+\d\s().-]+$/.test(text)) {
+      return { e164: null, countryCode: null, nationalNumber: null, extension, valid: false, reason: 'not_a_number' };
+    }
+
+    let digits = text.replace(/\D/g, '');
+    const international = /^\s*\+/.test(text) || /^(?:00|011)/.test(digits);
+    if (!international) {
+      // A bare "1" in front of ten digits is the North American trunk prefix
+      if (defaultCountryCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+        digits = digits.substring(1);
+      }
+      digits = `${defaultCountryCode}${digits}`;
+    } else if (!/^\s*\+/.test(text)) {
+      digits = digits.replace(/^(?:011|00)/, '');
+    }
+
+    const countryCode = PhoneNormalizer.getCountryCode(digits);
+    const nationalNumber = digits.substring(countryCode.length);
+    const result = { e164: `+${digits}`, countryCode, nationalNumber, extension, valid: false, reason: null };
+
+    if (/^0/.test(digits)) {
+      result.reason = 'invalid_country_code';
+    } else if (digits.length < 8) {
+      result.reason = 'too_short';
+    } else if (digits.length > 15) {
+      result.reason = 'too_long';
+    } else if (countryCode === '1' && !/^[2-9]\d{2}[2-9]\d{6}$/.test(nationalNumber)) {
+      // Area codes and exchanges never start with 0 or 1
+      result.reason = 'invalid_nanp';
+    } else {
+      result.valid = true;
+    }
+    return result;
+  }
+
+  // E.164 with any extension as ";ext=", or null when the number doesn't hold up
+  static normalize(value, defaultCountryCode = DEFAULT_PHONE_COUNTRY_CODE) {
+    const parsed = PhoneNormalizer.parse(value, defaultCountryCode);
+    if (!parsed?.valid) return null;
+    return parsed.extension ? `${parsed.e164};ext=${parsed.extension}` : parsed.e164;
+  }
+
+  static isValid(value) {
+    return !!PhoneNormalizer.parse(value)?.valid;
+  }
+
+  // "(571) 555-0199 ext. 23" at home, "+44 2079460958" abroad
+  static format(value) {
+    const parsed = PhoneNormalizer.parse(value);
+    if (!parsed?.valid) return value;
+
+    const { countryCode, nationalNumber, extension } = parsed;
+    const number = countryCode === '1' ?
+      `(${nationalNumber.substring(0, 3)}) ${nationalNumber.substring(3, 6)}-${nationalNumber.substring(6)}` :
+      `+${countryCode} ${nationalNumber}`;
+    return extension ? `${number} ext. ${extension}` : number;
+  }
+}
+
+// =============================================================================
+// ADDRESS PARSING - NUMBER, STREET, UNIT, CITY, STATE AND ZIP
+// =============================================================================
+
+// Suffixes in the spelled-out form we store and read back ("St" -> "Street")
+const STREET_SUFFIXES = {
+  street: 'Street', st: 'Street', str: 'Street',
+  avenue: 'Avenue', ave: 'Avenue', av: 'Avenue',
+  drive: 'Drive', dr: 'Drive',
+  road: 'Road', rd: 'Road',
+  lane: 'Lane', ln: 'Lane',
+  way: 'Way',
+  court: 'Court', ct: 'Court',
+  circle: 'Circle', cir: 'Circle',
+  place: 'Place', pl: 'Place',
+  boulevard: 'Boulevard', blvd: 'Boulevard',
+  parkway: 'Parkway', pkwy: 'Parkway',
+  highway: 'Highway', hwy: 'Highway',
+  terrace: 'Terrace', ter: 'Terrace',
+  trail: 'Trail', trl: 'Trail',
+  square: 'Square', sq: 'Square',
+  pike: 'Pike',
+  loop: 'Loop',
+  run: 'Run',
+  row: 'Row'
+};
+
+const STREET_DIRECTIONS = {
+  n: 'North', s: 'South', e: 'East', w: 'West',
+  north: 'North', south: 'South', east: 'East', west: 'West',
+  ne: 'NE', nw: 'NW', se: 'SE', sw: 'SW',
+  northeast: 'NE', northwest: 'NW', southeast: 'SE', southwest: 'SW'
+};
+
+const UNIT_LABELS = {
+  apt: 'Apt', apartment: 'Apt', apto: 'Apt', apartamento: 'Apt',
+  unit: 'Unit', '#': 'Unit',
+  suite: 'Suite', ste: 'Suite',
+  floor: 'Floor'
+};
+const SPOKEN_UNIT_LABELS = {
+  en: { Apt: 'apartment', Unit: 'unit', Suite: 'suite', Floor: 'floor' },
+  es: { Apt: 'apartamento', Unit: 'unidad', Suite: 'suite', Floor: 'piso' }
+};
+
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas',
+  KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts',
+  MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri', MT: 'Montana',
+  NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico',
+  NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma',
+  OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+  TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia', WA: 'Washington',
+  WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming', PR: 'Puerto Rico'
+};
+
+// Words that end a street name when someone keeps talking ("123 Main St and my...")
+const ADDRESS_STOP_WORDS = new Set([
+  'and', 'in', 'near', 'by', 'but', 'my', 'it', 'its', "it's", 'i', "i'm", 'is', 'so', 'please',
+  'thanks', 'thank', 'the', 'off', 'across', 'next', 'behind', 'y', 'en', 'cerca', 'por', 'mi'
+]);
+
+// "my zip is 22030": the number after these is a ZIP, and nothing before them a city
+const ZIP_LABEL_WORDS = new Set(['zip', 'zipcode', 'postal', 'código', 'codigo']);
+
+// Says outright that an address follows, so a street without a suffix counts
+const ADDRESS_CUE_PATTERN = /(?:address is|live at|located at|mi direcci[óo]n es|vivo en)/i;
+
+class AddressParser {
+  static titleCase(word) {
+    // Leave anything already capitalized alone ("McLean", "NW")
+    if (word !== word.toLowerCase()) return word;
+    if (/^\d/.test(word)) return word;
+    return word.charAt(0).toUpperCase() + word.slice(1);
+  }
+
+  static cleanWord(word) {
+    return word.replace(/^[("']+|[)"',.;:!?]+$/g, '');
+  }
+
+  // Two-letter code for a state name or abbreviation at tokens[index], with
+  // how many tokens it used
+  static matchState(tokens, index) {
+    for (const length of [3, 2, 1]) {
+      const words = tokens.slice(index, index + length).map(token => AddressParser.cleanWord(token.text));
+      if (words.length < length) continue;
+
+      const phrase = words.join(' ').toLowerCase();
+      const code = Object.keys(US_STATES).find(key => US_STATES[key].toLowerCase() === phrase);
+      if (code) return { code, length };
+
+      // Bare two-letter codes only count in capitals or right before a ZIP,
+      // so "in" and "me" stay words
+      if (length === 1 && US_STATES[words[0].toUpperCase()] && words[0].length === 2) {
+        const beforeZip = /^\d{5}/.test(tokens[index + 1]?.text || '');
+        if (words[0] === words[0].toUpperCase() || beforeZip) {
+          return { code: words[0].toUpperCase(), length: 1 };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Splits free text into { number, street, unit, city, state, zipCode, line1, hasSuffix }.
+  // Returns null for empty text; city, state and ZIP without a house number
+  // and street come back with street null.
+  static parse(text) {
+    if (!text) return null;
+
+    const tokens = [];
+    const tokenPattern = /[^\s,]+(,?)/g;
+    let match;
+    while ((match = tokenPattern.exec(text))) {
+      tokens.push({ text: match[0].replace(/,$/, ''), comma: match[1] === ',' });
+    }
+
+    const result = { number: null, street: null, unit: null, city: null, state: null, zipCode: null, line1: null, hasSuffix: false };
+    let index = 0;
+    let numberIndex = -1;
+
+    // House number: digits (optionally a letter) followed by a word that isn't
+    // a time or duration, and not a ZIP someone just labeled as one
+    for (; index < tokens.length; index++) {
+      const number = AddressParser.cleanWord(tokens[index].text);
+      const next = AddressParser.cleanWord(tokens[index + 1]?.text || '');
+      const afterZipLabel = tokens.slice(Math.max(0, index - 3), index)
+        .some(token => ZIP_LABEL_WORDS.has(AddressParser.cleanWord(token.text).toLowerCase()));
+      if (/^\d{1,6}[a-z]?$/i.test(number) && /^[a-z]/i.test(next) && !afterZipLabel &&
+          !/^(?:am|pm|a\.m|p\.m|minutes?|hours?|days?|weeks?|months?|years?|times?|o'?clock|minutos?|horas?|d[íi]as?|semanas?|mes(?:es)?|a[ñn]os?|veces)$/i.test(next)) {
+        result.number = number.toUpperCase();
+        numberIndex = index;
+        index++;
+        break;
+      }
+    }
+    if (!result.number) index = 0;
+
+    if (result.number) {
+      const words = [];
+      for (; index < tokens.length; index++) {
+        const word = AddressParser.cleanWord(tokens[index].text);
+        const lower = word.toLowerCase();
+        if (!word || ADDRESS_STOP_WORDS.has(lower) || UNIT_LABELS[lower] || word.startsWith('#') || /^\d{5}$/.test(word)) break;
+        if (!/^[a-z0-9À-ü'.-]+$/i.test(word)) break;
+        words.push(word);
+        if (tokens[index].comma) {
+          index++;
+          break;
+        }
+      }
+
+      // The street ends at its last suffix, plus a trailing direction ("Main St NW")
+      let end = -1;
+      words.forEach((word, position) => {
+        if (position > 0 && STREET_SUFFIXES[word.toLowerCase().replace(/\.$/, '')]) end = position;
+      });
+      result.hasSuffix = end !== -1;
+      const suffixPosition = end;
+      if (end !== -1 && STREET_DIRECTIONS[words[end + 1]?.toLowerCase().replace(/\.$/, '')]) end++;
+
+      // Without a suffix, keep a short run of words ("4512 Broadway")
+      const streetWords = end !== -1 ? words.slice(0, end + 1) : words.slice(0, 3);
+      if (end !== -1 && end + 1 < words.length) {
+        // Words between the street and a comma are the city ("123 Main St Fairfax, VA")
+        index -= words.length - end - 1;
+      }
+
+      if (streetWords.length > 0) {
+        result.street = streetWords.map((word, position) => {
+          const key = word.toLowerCase().replace(/\.$/, '');
+          const isLast = position === streetWords.length - 1;
+          // A leading direction needs a name after it: "N Main St", but "E St" is E Street
+          if (position === 0 && (result.hasSuffix ? suffixPosition > 1 : streetWords.length > 1) && STREET_DIRECTIONS[key] && STREET_DIRECTIONS[key].length > 2) {
+            return STREET_DIRECTIONS[key];
+          }
+          if (isLast && position > 0 && STREET_DIRECTIONS[key] && STREET_DIRECTIONS[key].length === 2 && result.hasSuffix) {
+            return STREET_DIRECTIONS[key];
+          }
+          if (result.hasSuffix && STREET_SUFFIXES[key] && position === suffixPosition) {
+            return STREET_SUFFIXES[key];
+          }
+          return AddressParser.titleCase(word.replace(/\.$/, ''));
+        }).join(' ');
+      } else {
+        result.number = null;
+      }
+    }
+
+    // Unit: "apt 4B", "unit 12", "#3", "suite 200"
+    const unitIndex = tokens.findIndex((token, position) => position >= index - 1 &&
+      (UNIT_LABELS[AddressParser.cleanWord(token.text).toLowerCase()] || /^#\w+/.test(token.text)));
+    if (result.street && unitIndex !== -1) {
+      const label = AddressParser.cleanWord(tokens[unitIndex].text);
+      const inline = label.match(/^#(\w+)/);
+      const id = inline ? inline[1] : AddressParser.cleanWord(tokens[unitIndex + 1]?.text || '').replace(/^#/, '');
+      if (/^[a-z0-9-]{1,6}$/i.test(id) && /\d|^[a-z]$/i.test(id)) {
+        result.unit = `${inline ? 'Unit' : UNIT_LABELS[label.toLowerCase()] || 'Unit'} ${id.toUpperCase()}`;
+        index = Math.max(index, unitIndex + (inline ? 1 : 2));
+      }
+    }
+
+    // ZIP, then the state just before it (or at the end), then the city before that
+    const zipIndex = tokens.findIndex((token, position) => position >= index && /^\d{5}(?:-\d{4})?$/.test(AddressParser.cleanWord(token.text)));
+    if (zipIndex !== -1) {
+      result.zipCode = AddressParser.cleanWord(tokens[zipIndex].text).substring(0, 5);
+    }
+
+    const searchEnd = zipIndex !== -1 ? zipIndex : tokens.length;
+    let stateIndex = -1;
+    for (let position = Math.max(index, searchEnd - 3); position < searchEnd; position++) {
+      const state = AddressParser.matchState(tokens, position);
+      if (state && position + state.length === searchEnd) {
+        result.state = state.code;
+        stateIndex = position;
+        break;
+      }
+    }
+
+    let cityWords = [];
+    if (stateIndex !== -1 || zipIndex !== -1) {
+      cityWords = tokens.slice(index, stateIndex !== -1 ? stateIndex : searchEnd).map(token => AddressParser.cleanWord(token.text));
+      const labelAt = cityWords.findLastIndex(word => ZIP_LABEL_WORDS.has(word.toLowerCase()));
+      cityWords = cityWords.slice(labelAt + 1);
+      // Keep the trailing place-name words: "Do you cover Fairfax 22030" is Fairfax
+      while (cityWords.length > 0 && !PhraseMatcher.isPlausibleName(cityWords[0])) {
+        cityWords.shift();
+      }
+    } else if (result.street && (tokens[index - 1]?.comma || /^in$/i.test(tokens[index]?.text || ''))) {
+      // No state or ZIP to anchor on: only "..., Fairfax" or "... in Fairfax"
+      for (let position = /^in$/i.test(tokens[index]?.text || '') ? index + 1 : index; position < tokens.length; position++) {
+        const word = AddressParser.cleanWord(tokens[position].text);
+        if (!PhraseMatcher.isPlausibleName(word) || ADDRESS_STOP_WORDS.has(word.toLowerCase())) break;
+        cityWords.push(word);
+        if (tokens[position].comma) break;
+      }
+    }
+    if (cityWords.length > 0 && cityWords.length <= 3 && cityWords.every(word => PhraseMatcher.isPlausibleName(word))) {
+      result.city = cityWords.map(AddressParser.titleCase).join(' ');
+    }
+
+    // A street without a suffix needs an address cue, a state, a city and ZIP,
+    // or to be the whole message ("4512 Broadway"), so "I have 2 kids" isn't one
+    const wholeMessage = numberIndex === 0 && index >= tokens.length;
+    if (result.street && !result.hasSuffix && !wholeMessage && !ADDRESS_CUE_PATTERN.test(text) && !result.state && !(result.city && result.zipCode)) {
+      result.number = null;
+      result.street = null;
+      result.unit = null;
+    }
+
+    if (result.street) {
+      result.line1 = [result.number, result.street, result.unit].filter(Boolean).join(' ');
+    }
+    return result;
+  }
+
+  // "123 Main Street, apartment 4B, Fairfax, Virginia, 2 2 0 3 0" for the voice read-back
+  static formatForSpeech({ streetAddress, city, state, zipCode }, language = 'en') {
+    const unitLabels = SPOKEN_UNIT_LABELS[language] || SPOKEN_UNIT_LABELS.en;
+    const street = streetAddress ?
+      streetAddress.replace(/ (Apt|Unit|Suite|Floor) (\w+)$/, (_, label, id) => `, ${unitLabels[label]} ${id}`) :
+      null;
+    return [
+      street,
+      city,
+      state ? US_STATES[state] || state : null,
+      zipCode ? String(zipCode).split('').join(' ') : null
+    ].filter(Boolean).join(', ');
+  }
+}
+
+// =============================================================================
+// GEOCODING - PLUGGABLE ADDRESS VALIDATION
+// =============================================================================
+
+// First three ZIP digits per state, for the offline check that a ZIP and
+// state belong together
+const STATE_ZIP_PREFIXES = {
+  AL: ['350-369'], AK: ['995-999'], AZ: ['850-865'], AR: ['716-729'], CA: ['900-961'], CO: ['800-816'],
+  CT: ['060-069'], DE: ['197-199'], DC: ['200', '202-205', '569'], FL: ['320-349'], GA: ['300-319', '398-399'],
+  HI: ['967-968'], ID: ['832-838'], IL: ['600-629'], IN: ['460-479'], IA: ['500-528'], KS: ['660-679'],
+  KY: ['400-427'], LA: ['700-714'], ME: ['039-049'], MD: ['206-219'], MA: ['010-027', '055'],
+  MI: ['480-499'], MN: ['550-567'], MS: ['386-397'], MO: ['630-658'], MT: ['590-599'], NE: ['680-693'],
+  NV: ['889-898'], NH: ['030-038'], NJ: ['070-089'], NM: ['870-884'], NY: ['005', '100-149'],
+  NC: ['270-289'], ND: ['580-588'], OH: ['430-459'], OK: ['730-749'], OR: ['970-979'], PA: ['150-196'],
+  RI: ['028-029'], SC: ['290-299'], SD: ['570-577'], TN: ['370-385'], TX: ['750-799', '885'],
+  UT: ['840-847'], VT: ['050-054', '056-059'], VA: ['201', '220-246'], WA: ['980-994'], WV: ['247-268'],
+  WI: ['530-549'], WY: ['820-831'], PR: ['006-009']
+};
+
+// Every geocoder takes { streetAddress, city, state, zipCode } and resolves to
+// { status: 'valid' | 'invalid' | 'unverified', formatted, location, issues }
+class Geocoder {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async geocode(address) {
+    throw new Error(`${this.name} geocoder does not implement geocode()`);
+  }
+}
+
+// Structural checks only: a house number, and a ZIP that fits the state.
+// Stands in wherever no geocoding service is configured.
+class OfflineGeocoder extends Geocoder {
+  constructor() {
+    super('offline');
+  }
+
+  static zipMatchesState(zipCode, state) {
+    const prefix = Number(String(zipCode).substring(0, 3));
+    return (STATE_ZIP_PREFIXES[state] || []).some(range => {
+      const [from, to = from] = range.split('-').map(Number);
+      return prefix >= from && prefix <= to;
+    });
+  }
+
+  async geocode({ streetAddress, city, state, zipCode }) {
+    const issues = [];
+
+    if (!/^\d/.test(streetAddress || '')) issues.push('missing_house_number');
+    if (zipCode && !/^\d{5}$/.test(zipCode)) issues.push('invalid_zip');
+    if (zipCode && state && !OfflineGeocoder.zipMatchesState(zipCode, state)) issues.push('zip_state_mismatch');
+
+    const checkable = !!(zipCode || city);
+    return {
+      status: issues.length > 0 ? 'invalid' : checkable ? 'valid' : 'unverified',
+      formatted: [streetAddress, city, [state, zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+      location: null,
+      issues
+    };
+  }
+}
+
+// US Census Bureau geocoder; free and keyless, US addresses only
+class CensusGeocoder extends Geocoder {
+  constructor() {
+    super('census');
+  }
+
+  async geocode({ streetAddress, city, state, zipCode }) {
+    const oneLine = [streetAddress, city, state, zipCode].filter(Boolean).join(', ');
+    const url = `https://geocoding.geo.census.gov/geocoder/locations/onelineaddress?address=${encodeURIComponent(oneLine)}&benchmark=Public_AR_Current&format=json`;
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Census geocoder error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const best = data.result?.addressMatches?.[0];
+    if (!best) {
+      return { status: 'invalid', formatted: oneLine, location: null, issues: ['no_match'] };
+    }
+
+    const issues = [];
+    const matchedZip = best.addressComponents?.zip;
+    if (zipCode && matchedZip && matchedZip !== zipCode) issues.push('zip_differs');
+
+    return {
+      status: issues.length > 0 ? 'invalid' : 'valid',
+      formatted: best.matchedAddress,
+      location: best.coordinates ? { lat: best.coordinates.y, lng: best.coordinates.x } : null,
+      issues
+    };
+  }
+}
+
+const GEOCODERS = {
+  offline: OfflineGeocoder,
+  census: CensusGeocoder
+};
+
+class GeocoderFactory {
+  static create(env) {
+    const name = String(env.GEOCODER || 'offline').toLowerCase();
+    if (!GEOCODERS[name]) {
+      StructuredLogger.warn('Unknown geocoder, using offline checks', { geocoder: env.GEOCODER });
+      return new OfflineGeocoder();
+    }
+    return new GEOCODERS[name]();
+  }
+}
+
+// Below the default read-back threshold, so a rejected address gets confirmed
+const UNVERIFIED_ADDRESS_CONFIDENCE = 0.5;
+
+class AddressVerifier {
+  constructor(geocoder = new OfflineGeocoder()) {
+    this.geocoder = geocoder;
+    this.fallback = new OfflineGeocoder();
+  }
+
+  static getAddress(extractedInfo) {
+    return {
+      streetAddress: extractedInfo.streetAddress || null,
+      city: extractedInfo.city || null,
+      state: extractedInfo.addressState || null,
+      zipCode: extractedInfo.zipCode || null
+    };
+  }
+
+  static getKey(extractedInfo) {
+    const { streetAddress, city, state, zipCode } = AddressVerifier.getAddress(extractedInfo);
+    return [streetAddress, city, state, zipCode].join('|');
+  }
+
+  // Once there's a street and somewhere to put it, and again whenever a part changes
+  needsCheck(extractedInfo) {
+    return !!extractedInfo.streetAddress && !!(extractedInfo.city || extractedInfo.zipCode) &&
+      extractedInfo.addressValidation?.key !== AddressVerifier.getKey(extractedInfo);
+  }
+
+  // Records the result on extractedInfo.addressValidation. An address the
+  // geocoder rejects drops below the confidence threshold so it gets read back.
+  async verify(extractedInfo, requestId = null) {
+    const address = AddressVerifier.getAddress(extractedInfo);
+    let geocoder = this.geocoder;
+    let result;
+
+    try {
+      result = await geocoder.geocode(address);
+    } catch (error) {
+      StructuredLogger.warn('Geocoder failed, using offline checks', {
+        request_id: requestId,
+        geocoder: geocoder.name,
+        error: error.message
+      });
+      geocoder = this.fallback;
+      result = await geocoder.geocode(address);
+    }
+
+    extractedInfo.addressValidation = {
+      key: AddressVerifier.getKey(extractedInfo),
+      status: result.status,
+      provider: geocoder.name,
+      formatted: result.formatted,
+      location: result.location,
+      issues: result.issues,
+      checkedAt: new Date().toISOString()
+    };
+
+    const meta = extractedInfo.fieldMeta?.streetAddress;
+    if (result.status === 'invalid' && meta && meta.source !== 'confirmed') {
+      meta.confidence = Math.min(meta.confidence, UNVERIFIED_ADDRESS_CONFIDENCE);
+    }
+
+    StructuredLogger.info('Address verified', {
+      request_id: requestId,
+      geocoder: geocoder.name,
+      status: result.status,
+      issues: result.issues
+    });
+
+    return extractedInfo.addressValidation;
+  }
+
+  // Callers hear the full normalized address once before we rely on it
+  requestReadBack(extractedInfo) {
+    const meta = extractedInfo.fieldMeta?.streetAddress;
+    const key = AddressVerifier.getKey(extractedInfo);
+    if (extractedInfo.pendingConfirmation || extractedInfo.appointmentId || extractedInfo.addressReadBack === key) return false;
+    if (!extractedInfo.streetAddress || !extractedInfo.city || !extractedInfo.zipCode) return false;
+    if (meta?.source === 'confirmed' || extractedInfo.serviceArea?.status === 'not_served') return false;
+
+    extractedInfo.pendingConfirmation = 'streetAddress';
+    extractedInfo.addressReadBack = key;
+    return true;
+  }
+}
+
+// =============================================================================
+// VOCABULARY MANAGER - DATABASE-MANAGED SYNONYMS
+// =============================================================================
+
+// Shared by every request this isolate serves; synonyms change rarely
+const vocabularyCache = new Map();
+
+class VocabularyManager {
+  constructor(databaseClient, ttlMs = 5 * 60 * 1000) {
+    this.db = databaseClient;
+    this.ttlMs = ttlMs;
+  }
+
+  // Global defaults plus the tenant's own entries, as { category: { value: [phrases] } }
+  async getVocabularies(organizationId) {
+    const cached = vocabularyCache.get(organizationId);
+    if (cached && Date.now() - cached.loadedAt < this.ttlMs) {
+      return cached.vocabularies;
+    }
+
+    try {
+      const result = await this.db.getVocabularies(organizationId);
+      if (!result?.success) {
+        throw new Error(result?.error || 'Vocabulary lookup failed');
+      }
+
+      vocabularyCache.set(organizationId, { vocabularies: result.vocabularies, loadedAt: Date.now() });
+
+      StructuredLogger.info('Vocabularies loaded', {
+        organization_id: organizationId,
+        categories: Object.keys(result.vocabularies)
+      });
+
+      return result.vocabularies;
+    } catch (error) {
+      // A stale copy beats falling back to the built-in lists alone
+      StructuredLogger.warn('Could not load vocabularies', {
+        organization_id: organizationId,
+        using_cached: !!cached,
+        error: error.message
+      });
+      return cached?.vocabularies || {};
+    }
+  }
+}
+
+// =============================================================================
+// CONVERSATION STATE MACHINE - GUARDED STEP TRANSITIONS
+// =============================================================================
+
+// Transitions kept on the conversation row; older ones are dropped
+const MAX_STEP_HISTORY = 50;
+
+// Phrases that end a conversation once it has nothing left to do
+const CLOSING_PATTERNS = {
+  en: /\b(thanks|thank you|thx|bye|goodbye|that'?s all|that'?s it|have a good (day|one|night))\b/i,
+  es: /\b(gracias|adiós|adios|hasta luego|eso es todo|nada más|nada mas|que tenga buen día)\b/i
+};
+
+class ConversationStateMachine {
+  constructor(schema = new IntakeSchema()) {
+    this.schema = schema;
+  }
+
+  // Voice calls open with a recording consent prompt the voice worker asks.
+  // A "no" there ends the call; anything else (including answering with the
+  // problem itself) is taken as consent.
+  applyConsent(extractedInfo, { channel, stage }) {
+    if (channel !== 'voice' || extractedInfo.consentGiven || extractedInfo.consentDeclined) {
+      return extractedInfo;
+    }
+
+    if (stage === 'consent' && extractedInfo.lastConfirmation === 'no') {
+      extractedInfo.consentDeclined = true;
+    } else {
+      extractedInfo.consentGiven = true;
+    }
+
+    if (stage === 'consent') {
+      delete extractedInfo.lastConfirmation;
+    }
+    return extractedInfo;
+  }
+
+  isClosing(message, language = 'en') {
+    return (CLOSING_PATTERNS[language] || CLOSING_PATTERNS.en).test(message || '');
+  }
+
+  // Null when the move is allowed, otherwise why it isn't
+  checkTransition(from, to, { extractedInfo, channel }) {
+    if (!CONVERSATION_STEPS.includes(to)) return `unknown step ${to}`;
+    if (from === to) return 'already in step';
+    if (from === 'closed') return 'conversation is closed';
+    if (to === 'greeting') return 'cannot return to greeting';
+    if (to === 'closed') return null;
+
+    if (to === 'consent' && (from !== 'greeting' || channel !== 'voice')) {
+      return 'consent is only asked at the start of a call';
+    }
+    if (from === 'consent' && !extractedInfo.consentGiven) {
+      return 'consent not given';
+    }
+    if (from === 'booked') {
+      return 'a booked conversation can only close';
+    }
+
+    const missingInfo = this.schema.getMissingKeys(extractedInfo);
+
+    if (INTAKE_STEPS.includes(to)) {
+      const collecting = missingInfo.some(key => this.schema.getStepForKey(key) === to) ||
+        (extractedInfo.pendingConfirmation && this.schema.getStep(extractedInfo.pendingConfirmation) === to);
+      return collecting ? null : `nothing left to collect in ${to}`;
+    }
+    if (to === 'confirmation') {
+      if (missingInfo.length > 0) return `still missing ${missingInfo.join(', ')}`;
+      if (extractedInfo.pendingConfirmation || extractedInfo.correctionPending) return 'a field is awaiting confirmation';
+      return null;
+    }
+    if (to === 'booked') {
+      return extractedInfo.appointmentId ? null : 'no appointment booked';
+    }
+    return null;
+  }
+
+  // Where the conversation belongs given what has been collected, with the reason
+  resolveStep(current, extractedInfo, { message, language }) {
+    if (current === 'closed') return { step: 'closed', reason: null };
+    if (extractedInfo.consentDeclined) return { step: 'closed', reason: 'consent_declined' };
+    if (extractedInfo.serviceArea?.status === 'not_served' && !extractedInfo.appointmentId) {
+      return { step: 'closed', reason: 'out_of_service_area' };
+    }
+
+    if (extractedInfo.appointmentId) {
+      return current === 'booked' && this.isClosing(message, language) ?
+        { step: 'closed', reason: 'customer_closed' } :
+        { step: 'booked', reason: 'appointment_booked' };
+    }
+
+    if (extractedInfo.pendingConfirmation) {
+      return { step: this.schema.getStep(extractedInfo.pendingConfirmation), reason: `confirming:${extractedInfo.pendingConfirmation}` };
+    }
+
+    const missingInfo = this.schema.getMissingKeys(extractedInfo);
+    if (missingInfo.length === 0) {
+      // "What should I fix?" is answered from the summary, so stay put
+      return extractedInfo.correctionPending ?
+        { step: current, reason: null } :
+        { step: 'confirmation', reason: 'intake_complete' };
+    }
+
+    return { step: this.schema.getStepForKey(missingInfo[0]), reason: `field_missing:${missingInfo[0]}` };
+  }
+
+  // Moves the conversation on from `current`, returning the new step and the
+  // transitions taken (each { from, to, at, reason }) for the step history
+  advance(current, extractedInfo, context) {
+    const transitions = [];
+    let step = CONVERSATION_STEPS.includes(current) ? current : 'greeting';
+
+    const move = (to, reason) => {
+      const rejected = this.checkTransition(step, to, { ...context, extractedInfo });
+      if (rejected) {
+        if (to !== step) {
+          StructuredLogger.warn('Conversation step change rejected', {
+            request_id: context.requestId,
+            from: step,
+            to,
+            reason: rejected
+          });
+        }
+        return;
+      }
+
+      transitions.push({ from: step, to, at: new Date().toISOString(), reason });
+      StructuredLogger.info('Conversation step changed', {
+        request_id: context.requestId,
+        from: step,
+        to,
+        reason
+      });
+      step = to;
+    };
+
+    // Calls pass through consent before any intake step
+    if (step === 'greeting' && context.channel === 'voice') {
+      move('consent', 'call_started');
+    }
+
+    const { step: target, reason } = this.resolveStep(step, extractedInfo, context);
+    move(target, reason);
+
+    return { step, transitions };
+  }
+}
+
+// =============================================================================
+// ENHANCED CONVERSATION STATE MANAGER WITH IMPROVED EXTRACTION
+// =============================================================================
+
+class EnhancedConversationStateManager {
+  constructor(db, schema = new IntakeSchema()) {
+    this.db = db;
+    this.schema = schema;
+    this.language = 'en';
+    this.timeZone = DEFAULT_TIME_ZONE;
+    this.flowManager = new ConversationFlowManager(schema);
+  }
+
+  // Switch extraction keywords and the question flow to the conversation's language
+  setLanguage(language) {
+    this.language = language;
+    this.flowManager = ConversationFlowManager.forLanguage(this.schema, language);
+    return this;
+  }
+
+  async getConversationState(organizationId, customerPhone) {
+    try {
+      StructuredLogger.info('Getting conversation state', {
+        organization_id: organizationId,
+        customer_phone: customerPhone
+      });
+
+      const states = await this.db.query(
+        `conversation_states?organization_id=eq.${organizationId}&customer_phone=eq.${encodeURIComponent(customerPhone)}&is_active=eq.true&order=updated_at.desc&limit=1`
+      );
+      
+      if (states.length > 0) {
+        StructuredLogger.info('Existing conversation state found', {
+          state_id: states[0].id,
+          current_step: states[0].current_step
+        });
+        return states[0];
+      }
+      
+      const newState = await this.db.query('conversation_states', 'POST', {
+        organization_id: organizationId,
+        customer_phone: customerPhone,
+        conversation_data: {},
+        current_step: 'greeting',
+        step_history: [],
+        history_summary: null,
+        summarized_through: null,
+        is_active: true,
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
+      
+      StructuredLogger.info('New conversation state created', {
+        state_id: newState[0].id
+      });
+      
+      return newState[0];
+    } catch (error) {
+      StructuredLogger.error('Failed to get conversation state', {
+        organization_id: organizationId,
+        customer_phone: customerPhone,
+        error: error.message
+      });
+      
+      return {
+        conversation_data: {},
+        current_step: 'greeting',
+        step_history: [],
+        is_active: true
+      };
+    }
+  }
+
+  async updateConversationState(stateId, updates) {
+    if (!stateId) return;
+    
+    try {
+      await this.db.query(`conversation_states?id=eq.${stateId}`, 'PATCH', {
+        ...updates,
+        updated_at: new Date().toISOString()
+      });
+      
+      StructuredLogger.info('Conversation state updated', {
+        state_id: stateId,
+        updates: Object.keys(updates)
+      });
+    } catch (error) {
+      StructuredLogger.error('Failed to update conversation state', {
+        state_id: stateId,
+        error: error.message
+      });
+    }
+  }
+
+  // Saves only if `column` still holds `expected`; false when another request
+  // changed it first or the update failed
+  async updateConversationStateIfUnchanged(stateId, column, expected, updates) {
+    if (!stateId) return false;
+
+    const condition = expected === null ? 'is.null' : `eq.${encodeURIComponent(expected)}`;
+    try {
+      const rows = await this.db.query(`conversation_states?id=eq.${stateId}&${column}=${condition}`, 'PATCH', {
+        ...updates,
         updated_at: new Date().toISOString()
       });
-      
-      StructuredLogger.info('Conversation state updated', {
-        state_id: stateId,
-        updates: Object.keys(updates)
+      return rows.length > 0;
+    } catch (error) {
+      StructuredLogger.error('Failed to update conversation state', {
+        state_id: stateId,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  extractInformation(message, conversationData = {}) {
+    const extracted = { ...conversationData };
+    const fieldMeta = { ...(conversationData.fieldMeta || {}) };
+    const tokens = PhraseMatcher.tokenize(message);
+    const correction = this.detectCorrection(message, tokens, conversationData);
+
+    // A confirmation only answers the message it was given in
+    delete extracted.lastConfirmation;
+    
+    StructuredLogger.ai('information_extraction_started', {
+      message_length: message.length,
+      existing_data_keys: Object.keys(conversationData)
+    });
+
+    // A weaker match never replaces a value we're more sure of, and a field the
+    // customer confirmed only changes through an explicit correction
+    const setField = (field, value, confidence = PATTERN_EXTRACTION_CONFIDENCE) => {
+      if (extracted[field] === value) return true;
+
+      const meta = fieldMeta[field];
+      const isDisputed = correction?.field === field;
+      if (!isDisputed && extracted[field] && meta && (meta.source === 'confirmed' || meta.confidence > confidence)) {
+        return false;
+      }
+
+      extracted[field] = value;
+      fieldMeta[field] = { confidence, source: 'pattern' };
+      return true;
+    };
+    
+    // Read each field the tenant's intake schema asks for
+    const extractionCache = {};
+    for (const field of this.schema.fields) {
+      const match = this.extractFieldValue(field, message, tokens, extractionCache);
+      if (match && this.schema.isValid(field.key, match.value)) {
+        setField(field.key, match.value, match.confidence);
+      }
+    }
+    
+    // The state isn't an intake field, but the address read-back and geocoder use it
+    if (extractionCache.address?.state) {
+      extracted.addressState = extractionCache.address.state;
+    }
+
+    // Keep the days and hours behind a time answer so slots can be searched
+    // within them; a different answer retires the old ones
+    if (extractionCache.timePreference && extracted.preferredTime === extractionCache.timePreference.label) {
+      extracted.timePreference = extractionCache.timePreference;
+    } else if (extracted.timePreference && extracted.preferredTime && extracted.preferredTime !== extracted.timePreference.label) {
+      delete extracted.timePreference;
+    }
+
+    // Extract confirmation responses
+    const confirmation = PhraseMatcher.match(tokens, LanguageManager.getConfirmationKeywords(this.language));
+    if (confirmation) {
+      extracted.lastConfirmation = confirmation.key;
+    }
+    
+    extracted.fieldMeta = fieldMeta;
+
+    if (correction) {
+      this.applyCorrection(extracted, conversationData, correction);
+    }
+
+    // The re-asked field has been answered
+    if (extracted.correctingField && extracted[extracted.correctingField] && !correction?.field) {
+      const editHistory = extracted.editHistory || [];
+      const lastEdit = editHistory[editHistory.length - 1];
+      if (lastEdit && lastEdit.field === extracted.correctingField && lastEdit.to === null) {
+        lastEdit.to = extracted[extracted.correctingField];
+      }
+      delete extracted.correctingField;
+    }
+
+    // Answer to a "just to confirm" read-back of a low-confidence field
+    if (extracted.pendingConfirmation) {
+      const field = extracted.pendingConfirmation;
+      const replaced = extracted[field] !== conversationData[field];
+
+      if (!replaced && extracted.lastConfirmation === 'yes') {
+        fieldMeta[field] = { confidence: 1, source: 'confirmed' };
+      } else if (!replaced && extracted.lastConfirmation === 'no') {
+        delete extracted[field];
+        delete fieldMeta[field];
+      }
+
+      // The yes/no answered the read-back, not the booking summary or a slot offer
+      delete extracted.pendingConfirmation;
+      delete extracted.lastConfirmation;
+    }
+    
+    // Resolve a pick from the appointment windows offered last turn
+    if (extracted.offeredSlots?.length && !extracted.selectedSlot) {
+      const slotMessage = this.language === 'es' ? LanguageManager.normalizeTimeWords(message) : message;
+      const slot = SchedulingManager.matchSlotSelection(slotMessage, extracted.offeredSlots, extracted.lastConfirmation);
+      // "Thursday afternoon" only picks an offered window on Thursday
+      // afternoon; otherwise it's a new preference to search
+      const newPreference = extractionCache.timePreference;
+      if (slot && (!newPreference || TimePreferenceParser.covers(newPreference, slot.start))) {
+        extracted.selectedSlot = slot;
+        extracted.preferredTime = slot.label;
+        fieldMeta.preferredTime = { confidence: 1, source: 'slot_selection' };
+      }
+    }
+    
+    // Calculate completion percentage
+    extracted.completionPercentage = this.calculateCompletionPercentage(extracted);
+    
+    StructuredLogger.ai('information_extraction_completed', {
+      extracted_fields: Object.keys(extracted).filter(k => extracted[k] && k !== 'completionPercentage'),
+      completion_percentage: extracted.completionPercentage,
+      missing_fields: this.flowManager.requiredFields.filter(field => !extracted[field])
+    });
+    
+    return extracted;
+  }
+
+  // Read one intake field from the message, or null
+  extractFieldValue(field, message, tokens, cache) {
+    switch (field.type) {
+      case 'enum': {
+        if (field.when && !PhraseMatcher.match(tokens, { [field.key]: field.when })) return null;
+
+        const match = PhraseMatcher.match(tokens, field.options);
+        if (!match) return null;
+
+        return { value: IntakeSchema.displayOption(field, match.key), confidence: match.confidence };
+      }
+      case 'name':
+        return this.extractName(message);
+      case 'address':
+        return this.extractAddress(message, cache);
+      case 'city':
+      case 'zip': {
+        if (!cache.cityZip) {
+          cache.cityZip = this.extractCityZip(message, cache);
+        }
+        const value = field.type === 'city' ? cache.cityZip.city : cache.cityZip.zipCode;
+        return value ? { value, confidence: PATTERN_EXTRACTION_CONFIDENCE } : null;
+      }
+      case 'phone':
+        return this.extractPhone(message);
+      case 'time':
+        return this.extractTime(message, cache);
+      case 'text':
+        return this.extractWithPatterns(message, field.patterns || []);
+      default:
+        return null;
+    }
+  }
+
+  extractName(message) {
+    const namePatterns = [
+      { pattern: /(?:i'm|i am|my name is|call me|this is)\s+([a-zA-Z]+(?:\s+[a-zA-Z]+)?)/i, confidence: PATTERN_EXTRACTION_CONFIDENCE },
+      { pattern: /(?:me llamo|mi nombre es|le habla)\s+([a-zA-Z\u00c0-\u00fc]+(?:\s+[a-zA-Z\u00c0-\u00fc]+)?)/i, confidence: PATTERN_EXTRACTION_CONFIDENCE },
+      { pattern: /hi,?\s+([a-zA-Z]+\s+[a-zA-Z]+)/i, confidence: PATTERN_EXTRACTION_CONFIDENCE },  // "Hi, John Smith"
+      { pattern: /^([a-zA-Z\u00c0-\u00fc]+\s+[a-zA-Z\u00c0-\u00fc]+)$/, confidence: WEAK_PATTERN_CONFIDENCE }  // Full name only
+    ];
+    
+    for (const { pattern, confidence } of namePatterns) {
+      const nameMatch = message.trim().match(pattern);
+      if (nameMatch && nameMatch[1]) {
+        const name = PhraseMatcher.takeNameWords(nameMatch[1]);
+        // Only extract if it looks like a real name (2-50 chars, no everyday words)
+        if (name.length >= 2 && name.length <= 50) {
+          return { value: name, confidence };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Parsed once per message and shared by the street, city and zip fields
+  parseAddress(message, cache = {}) {
+    if (!('address' in cache)) {
+      cache.address = AddressParser.parse(message);
+    }
+    return cache.address;
+  }
+
+  extractAddress(message, cache = {}) {
+    const parsed = this.parseAddress(message, cache);
+    if (parsed?.line1) {
+      // A recognized suffix or an explicit cue makes it a real address; a
+      // state or city and ZIP alone leave it less sure
+      return {
+        value: parsed.line1,
+        confidence: parsed.hasSuffix || ADDRESS_CUE_PATTERN.test(message) ? PATTERN_EXTRACTION_CONFIDENCE : WEAK_PATTERN_CONFIDENCE
+      };
+    }
+
+    // Addresses the parser can't split (no house number) still count after a cue
+    const addressPatterns = [
+      { pattern: /(?:address is|live at|located at|mi direcci[óo]n es)\s+([^,\n]+)/i, confidence: PATTERN_EXTRACTION_CONFIDENCE }
+    ];
+    
+    for (const { pattern, confidence } of addressPatterns) {
+      const addressMatch = message.match(pattern);
+      if (addressMatch && addressMatch[1]) {
+        const address = addressMatch[1].trim().replace(/,$/, '');
+        // "2 weeks ago" and "3 pm" are numbers followed by words too
+        const isDuration = /^\d+\s+(?:am|pm|minutes?|hours?|days?|weeks?|months?|years?|times?|minutos?|horas?|d[íi]as?|semanas?|mes(?:es)?|a[ñn]os?|veces)\b/i.test(address);
+        if (address.length >= 5 && address.length <= 100 && !isDuration) {
+          return { value: address, confidence };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  extractCityZip(message, cache = {}) {
+    const parsed = this.parseAddress(message, cache);
+    return { city: parsed?.city || null, zipCode: parsed?.zipCode || null };
+  }
+
+  extractPhone(message) {
+    const phonePatterns = [
+      /(?:\+|\b00|\b011)\s*\d[\d\s().-]{6,18}\d/g,
+      /(?:\b1[-.\s]?)?(?:\(\d{3}\)|\b\d{3})[-.\s]?\d{3}[-.\s]?\d{4}\b/g
+    ];
+
+    for (const pattern of phonePatterns) {
+      for (const phoneMatch of message.matchAll(pattern)) {
+        // Keep an extension said after the number ("571-555-0199 ext 23")
+        const rest = message.slice(phoneMatch.index + phoneMatch[0].length);
+        const extension = rest.match(/^\s*,?\s*(?:ext|extension|extensi[óo]n|x)\.?\s*(\d{1,6})\b/i);
+        const phone = PhoneNormalizer.normalize(extension ? `${phoneMatch[0]} ext ${extension[1]}` : phoneMatch[0]);
+        if (phone) {
+          return { value: phone, confidence: PATTERN_EXTRACTION_CONFIDENCE };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // "next Tuesday after 3" is stored as its read-back label ("Tuesday, October
+  // 27 after 3 PM") with the structured windows kept in the cache
+  extractTime(message, cache = {}) {
+    const preference = TimePreferenceParser.parse(message, { timeZone: this.timeZone, language: this.language });
+    if (preference) {
+      cache.timePreference = preference;
+      return { value: preference.label, confidence: PATTERN_EXTRACTION_CONFIDENCE };
+    }
+
+    const text = this.language === 'es' ? LanguageManager.normalizeTimeWords(message) : message;
+    if (/\b(asap|urgent|emergency|right away)\b/i.test(text)) {
+      return { value: 'urgent', confidence: PATTERN_EXTRACTION_CONFIDENCE };
+    }
+
+    return null;
+  }
+
+  extractWithPatterns(message, patterns) {
+    for (const source of patterns) {
+      const match = message.match(new RegExp(source, 'i'));
+      const value = match && (match[1] || match[0]).trim();
+      if (value) {
+        return { value, confidence: PATTERN_EXTRACTION_CONFIDENCE };
+      }
+    }
+
+    return null;
+  }
+
+  // Work out whether the message disputes something we already captured.
+  // Returns null, { field: null } when the customer said the summary is wrong
+  // without saying what, or { field, replacement } for a specific field;
+  // `needsValue` marks one that only stands if the message gave a new value.
+  detectCorrection(message, tokens, conversationData = {}) {
+    if (conversationData.appointmentId || conversationData.pendingConfirmation) return null;
+
+    const requiredFields = this.flowManager.requiredFields;
+    const cues = PhraseMatcher.findMatches(tokens, LanguageManager.getCorrectionCues(this.language));
+    const disputed = conversationData.correctionPending || cues.some(cue => cue.key === 'correction');
+    const hasCue = disputed || cues.length > 0;
+
+    // "Jon, not John" names the old value after a "not"
+    const freeTextFields = this.schema.fields
+      .filter(field => ['name', 'address', 'city', 'zip', 'phone', 'text'].includes(field.type))
+      .map(field => field.key);
+
+    for (const field of freeTextFields) {
+      const value = conversationData[field];
+      if (!value) continue;
+
+      const escaped = String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const not = this.language === 'es' ? '(?:not|no)' : 'not';
+      const swap = message.match(new RegExp(`([\\w' -]+?)\\s*,?\\s+${not}\\s+${escaped}\\b`, 'i'));
+      if (swap) {
+        const wordCount = String(value).trim().split(/\s+/).length;
+        const replacement = swap[1].trim().split(/\s+/).slice(-wordCount).join(' ');
+        if (replacement && replacement.toLowerCase() !== String(value).toLowerCase()) {
+          return { field, replacement };
+        }
+      }
+    }
+
+    if (!hasCue) return null;
+
+    // "no the name is right" confirms it
+    if (!disputed && PhraseMatcher.match(tokens, LanguageManager.getFieldConfirmationCues(this.language))) {
+      return null;
+    }
+
+    // Field keywords are read even when negated ("that's not my address")
+    const mentioned = PhraseMatcher.findMatches(tokens, this.schema.getAliasVocabulary(this.language))
+      .find(match => conversationData[match.key]);
+    if (mentioned) {
+      return { field: mentioned.key, replacement: null, needsValue: !disputed };
+    }
+
+    // A bare "no" only counts as a correction when it answers the summary
+    const summaryShown = requiredFields.every(field => conversationData[field]);
+    if (summaryShown || conversationData.correctionPending) {
+      return { field: null, replacement: null };
+    }
+
+    return null;
+  }
+
+  applyCorrection(extracted, previousData, correction) {
+    const fieldMeta = extracted.fieldMeta;
+    const { field, replacement } = correction;
+
+    if (!field) {
+      const changedFields = this.flowManager.requiredFields.filter(key =>
+        extracted[key] && extracted[key] !== previousData[key]
+      );
+
+      if (changedFields.length > 0) {
+        // They answered "what should I fix?" with the new value itself
+        extracted.editHistory = [
+          ...(extracted.editHistory || []),
+          ...changedFields.map(key => ({ field: key, from: previousData[key] || null, to: extracted[key], at: new Date().toISOString() }))
+        ].slice(-20);
+        delete extracted.correctionPending;
+      } else if (previousData.correctionPending && extracted.lastConfirmation === 'yes') {
+        // Changed their mind - everything was right after all
+        delete extracted.correctionPending;
+      } else {
+        extracted.correctionPending = true;
+      }
+
+      delete extracted.lastConfirmation;
+      return extracted;
+    }
+
+    const previousValue = previousData[field] || null;
+    if (replacement && extracted[field] === previousValue) {
+      extracted[field] = replacement;
+    }
+
+    const newValue = extracted[field] && extracted[field] !== previousValue ? extracted[field] : null;
+
+    // "No problem" or "can you change the day?" named a field but gave
+    // nothing to replace it with
+    if (!newValue && correction.needsValue) {
+      return extracted;
+    }
+
+    if (newValue) {
+      fieldMeta[field] = { confidence: PATTERN_EXTRACTION_CONFIDENCE, source: 'correction' };
+      delete extracted.correctingField;
+    } else {
+      // We know it's wrong but not what's right - clear it and ask again
+      delete extracted[field];
+      delete fieldMeta[field];
+      extracted.correctingField = field;
+    }
+
+    // A new time means the old window pick no longer stands
+    if (field === 'preferredTime') {
+      delete extracted.selectedSlot;
+      delete extracted.offeredSlots;
+      delete extracted.offeredSlotsAt;
+    }
+
+    extracted.editHistory = [
+      ...(extracted.editHistory || []),
+      { field, from: previousValue, to: newValue, at: new Date().toISOString() }
+    ].slice(-20);
+
+    delete extracted.correctionPending;
+    delete extracted.lastConfirmation;
+
+    StructuredLogger.ai('field_corrected', {
+      field,
+      cleared: !newValue
+    });
+
+    return extracted;
+  }
+
+  // Fold the model's reading of the message into the pattern result. Agreement
+  // raises confidence; a disagreement goes to whichever side is more sure, and a
+  // field the customer already confirmed is never replaced.
+  mergeModelExtraction(extracted, modelFields) {
+    const fieldMeta = extracted.fieldMeta || {};
+
+    for (const [field, result] of Object.entries(modelFields)) {
+      const definition = this.schema.getField(field);
+      const value = definition && StructuredExtractionManager.normalizeValue(definition, result?.value);
+      if (!value || !this.schema.isValid(field, value)) continue;
+
+      const confidence = Math.max(0, Math.min(1, Number(result.confidence) || 0));
+      const current = extracted[field];
+      const meta = fieldMeta[field];
+
+      if (current && String(current).toLowerCase() === String(value).toLowerCase()) {
+        if (meta?.source !== 'confirmed') {
+          fieldMeta[field] = {
+            confidence: Math.max(meta?.confidence || 0, confidence),
+            source: meta?.source === 'pattern' ? 'pattern+model' : (meta?.source || 'model')
+          };
+        }
+        continue;
+      }
+
+      if (meta?.source === 'confirmed' || meta?.source === 'slot_selection') continue;
+
+      if (!current || confidence > (meta?.confidence || 0)) {
+        extracted[field] = value;
+        fieldMeta[field] = { confidence, source: 'model' };
+      }
+    }
+
+    extracted.fieldMeta = fieldMeta;
+    extracted.completionPercentage = this.calculateCompletionPercentage(extracted);
+
+    return extracted;
+  }
+
+  // Queue a read-back for the first field we're not sure enough about
+  flagLowConfidenceFields(extracted) {
+    if (extracted.appointmentId || extracted.pendingConfirmation) return extracted;
+
+    const fields = this.flowManager.getFieldsToReconfirm(extracted);
+    if (fields.length > 0) {
+      extracted.pendingConfirmation = fields[0];
+    }
+
+    return extracted;
+  }
+
+  // A question the intake flow can't answer ("do you fix Sub-Zero?") goes to the model
+  isOpenQuestion(message, previousData = {}, extractedInfo) {
+    const msgLower = message.trim().toLowerCase();
+    const looksLikeQuestion = msgLower.endsWith('?') ||
+      /^(what|when|where|why|how|do|does|did|can|could|is|are|will|would|which)\b/.test(msgLower) ||
+      (this.language === 'es' && /^(¿|(qu[ée]|cu[áa]ndo|d[óo]nde|por qu[ée]|c[óo]mo|cu[áa]nto|cu[áa]l|pueden?|tienen?|hacen?|hay)(\s|$))/.test(msgLower));
+
+    if (!looksLikeQuestion) return false;
+
+    // Bookkeeping that changes on every turn, whatever the message said
+    const ignoredKeys = ['completionPercentage', 'lastConfirmation', 'frustration'];
+    const learnedSomething = Object.keys(extractedInfo)
+      .filter(key => !ignoredKeys.includes(key))
+      .some(key => JSON.stringify(extractedInfo[key]) !== JSON.stringify(previousData?.[key]));
+
+    return !learnedSomething;
+  }
+
+  calculateCompletionPercentage(conversationData) {
+    const requiredFields = this.flowManager.requiredFields;
+    const completedFields = requiredFields.filter(field => conversationData[field]);
+    return Math.round((completedFields.length / requiredFields.length) * 100);
+  }
+}
+
+// =============================================================================
+// STRUCTURED EXTRACTION - MODEL-BACKED FIELDS WITH CONFIDENCE
+// =============================================================================
+
+class StructuredExtractionManager {
+  constructor(llmClient, intakeSchema = new IntakeSchema()) {
+    this.llmClient = llmClient;
+    this.intakeSchema = intakeSchema;
+  }
+
+  static getSchema(intakeSchema = new IntakeSchema()) {
+    const field = (description, values = null) => ({
+      type: 'object',
+      properties: {
+        value: values ?
+          { type: ['string', 'null'], enum: [...values, null], description } :
+          { type: ['string', 'null'], description },
+        confidence: { type: 'number', description: '0 to 1, how sure you are the customer said this' }
+      },
+      required: ['value', 'confidence'],
+      additionalProperties: false
+    });
+
+    const properties = Object.fromEntries(intakeSchema.fields.map(definition => [
+      definition.key,
+      field(
+        definition.description || definition.label,
+        definition.type === 'enum' && !definition.allowOther ? Object.keys(definition.options) : null
+      )
+    ]));
+
+    return {
+      name: 'intake_fields',
+      strict: true,
+      schema: {
+        type: 'object',
+        properties,
+        required: Object.keys(properties),
+        additionalProperties: false
+      }
+    };
+  }
+
+  static normalizeValue(field, value) {
+    if (value === null || value === undefined) return null;
+
+    const text = String(value).trim();
+    if (!text) return null;
+
+    switch (field.type) {
+      case 'enum': {
+        const key = text.toLowerCase().replace(/\s+/g, '_');
+        const option = Object.keys(field.options).find(option => option.toLowerCase() === key);
+        const result = option || (field.allowOther ? text : null);
+        return result ? IntakeSchema.displayOption(field, result) : null;
+      }
+      case 'zip': {
+        const zip = text.match(/\b\d{5}\b/);
+        return zip ? zip[0] : null;
+      }
+      case 'address':
+        return AddressParser.parse(text)?.line1 || text;
+      case 'phone':
+        return PhoneNormalizer.normalize(text);
+      default:
+        return text;
+    }
+  }
+
+  // Ask the model for the intake fields in the latest message. Returns {} when
+  // the model is unavailable so the pattern result still stands.
+  async extract(message, conversationData = {}) {
+    const schema = StructuredExtractionManager.getSchema(this.intakeSchema);
+    const known = Object.fromEntries(
+      Object.entries(conversationData).filter(([key, value]) => value && key in schema.schema.properties)
+    );
+
+    const messages = [
+      {
+        role: 'system',
+        content: `You extract ${this.intakeSchema.service} intake details from one customer message.
+Only report what the latest message states or clearly implies; use null for everything else.
+Map descriptions to the closest allowed value ("the thing that washes clothes" is a washer, "dead" is not_starting).
+Confidence is 0 to 1: use 0.9+ only when the customer said it plainly, below 0.6 when you are guessing.
+Already known: ${JSON.stringify(known)}`
+      },
+      { role: 'user', content: message }
+    ];
+
+    try {
+      const assistantMessage = await this.llmClient.requestCompletion(messages, {
+        retries: 0,
+        responseFormat: { type: 'json_schema', json_schema: schema },
+        maxTokens: 400,
+        messageLength: message.length
+      });
+
+      const fields = JSON.parse(assistantMessage.content || '{}');
+
+      StructuredLogger.ai('structured_extraction_completed', {
+        fields: Object.keys(fields).filter(key => fields[key]?.value)
+      });
+
+      return fields;
+    } catch (error) {
+      StructuredLogger.warn('Structured extraction failed, using pattern extraction only', {
+        error: error.message
+      });
+      return {};
+    }
+  }
+}
+
+// =============================================================================
+// SERVICE AREA - ZIP CHECK AS SOON AS ONE IS CAPTURED
+// =============================================================================
+
+class ServiceAreaManager {
+  constructor(databaseClient) {
+    this.db = databaseClient;
+  }
+
+  // Each ZIP is checked once; a corrected ZIP gets checked again
+  needsCheck(extractedInfo) {
+    return !!extractedInfo.zipCode && extractedInfo.serviceArea?.zipCode !== extractedInfo.zipCode;
+  }
+
+  // Stores the outcome on extractedInfo.serviceArea. A failed check is left
+  // unrecorded so the next message retries it, and never blocks the intake.
+  async check(organizationId, extractedInfo, requestId = null) {
+    const zipCode = extractedInfo.zipCode;
+
+    try {
+      const result = await this.db.checkServiceArea(organizationId, zipCode);
+      if (!result?.success) {
+        throw new Error(result?.error || 'Service area check failed');
+      }
+
+      ServiceAreaManager.record(extractedInfo, result);
+
+      StructuredLogger.info('Service area checked', {
+        request_id: requestId,
+        organization_id: organizationId,
+        zip_code: result.zipCode,
+        outcome: result.status,
+        reason: result.reason || null,
+        distance_miles: result.distanceMiles ?? null,
+        has_referral: !!result.referral
+      });
+    } catch (error) {
+      StructuredLogger.warn('Could not check service area', {
+        request_id: requestId,
+        organization_id: organizationId,
+        zip_code: zipCode,
+        error: error.message
+      });
+    }
+
+    return extractedInfo.serviceArea || null;
+  }
+
+  static record(extractedInfo, result) {
+    extractedInfo.serviceArea = {
+      zipCode: result.zipCode,
+      status: result.status,
+      reason: result.reason || null,
+      distanceMiles: result.distanceMiles ?? null,
+      referral: result.referral || null,
+      checkedAt: new Date().toISOString()
+    };
+    return extractedInfo.serviceArea;
+  }
+}
+
+// =============================================================================
+// EMERGENCY ESCALATION - ON-CALL PAGING AND WARM TRANSFER
+// =============================================================================
+
+// Hazards that make an urgent visit an emergency
+const EMERGENCY_HAZARD_KEYWORDS = {
+  flooding: ['flooding', 'flooded', 'flood', 'water everywhere', 'inundando', 'inundado', 'inundación', 'agua por todas partes'],
+  gas: ['gas smell', 'smell gas', 'smells like gas', 'smelling gas', 'gas leak', 'leaking gas', 'olor a gas', 'huele a gas', 'fuga de gas'],
+  fire: ['fire', 'smoke', 'smoking', 'sparks', 'sparking', 'burning smell', 'smells like burning', 'fuego', 'humo', 'chispas', 'olor a quemado']
+};
+
+// Said before anything else when the caller reports a hazard
+const EMERGENCY_SAFETY_TIPS = {
+  en: {
+    flooding: 'If you can, shut off the water to the appliance.',
+    gas: 'Please leave the house and call your gas company from outside.',
+    fire: "If there's smoke or fire, get out and call 911."
+  },
+  es: {
+    flooding: 'Si puede, cierre la llave de agua del aparato.',
+    gas: 'Por favor salga de la casa y llame a la compañía de gas desde afuera.',
+    fire: 'Si hay humo o fuego, salga de la casa y llame al 911.'
+  }
+};
+
+class EmergencyEscalationManager {
+  constructor(databaseClient) {
+    this.db = databaseClient;
+  }
+
+  static detectHazard(message) {
+    return PhraseMatcher.match(message, EMERGENCY_HAZARD_KEYWORDS)?.key || null;
+  }
+
+  // The first hazard the caller mentions stays on extractedInfo.hazard, so a
+  // gas smell reported two messages ago still counts
+  static recordHazard(extractedInfo, message) {
+    const hazard = extractedInfo.hazard || EmergencyEscalationManager.detectHazard(message);
+    if (hazard) extractedInfo.hazard = hazard;
+    return hazard;
+  }
+
+  // Page once per conversation, as soon as the visit turns urgent or the
+  // caller reports a hazard, however soon they want the visit
+  needsEscalation(extractedInfo) {
+    return (extractedInfo.preferredTime === 'urgent' || !!extractedInfo.hazard) && !extractedInfo.emergency;
+  }
+
+  // Records the escalation (the database worker pages the first on-call
+  // contact) and stores it on extractedInfo.emergency. Calls with someone on
+  // call get offered a transfer. A failed escalation is left unrecorded so
+  // the next message retries it.
+  async escalate(organizationId, customerPhone, conversationState, extractedInfo, { channel, message, requestId = null }) {
+    const hazard = EmergencyEscalationManager.recordHazard(extractedInfo, message);
+
+    try {
+      const result = await this.db.createEscalation({
+        organizationId,
+        customerPhone,
+        conversationStateId: conversationState.id,
+        channel,
+        reason: hazard ? `${hazard} reported` : 'urgent visit requested',
+        urgency: hazard ? 'emergency' : 'urgent',
+        summary: JSON.stringify(extractedInfo)
+      });
+      if (!result?.success) {
+        throw new Error(result?.error || 'Escalation failed');
+      }
+
+      const onCall = result.page?.contact || null;
+      extractedInfo.emergency = {
+        escalationId: result.escalation.id,
+        hazard,
+        paged: !!result.page?.paged,
+        onCall,
+        transfer: channel === 'voice' && onCall?.phone ? 'offered' : null,
+        escalatedAt: new Date().toISOString()
+      };
+
+      StructuredLogger.info('Emergency escalated', {
+        request_id: requestId,
+        organization_id: organizationId,
+        escalation_id: result.escalation.id,
+        hazard,
+        paged: extractedInfo.emergency.paged,
+        page_reason: result.page?.reason || null,
+        transfer_offered: extractedInfo.emergency.transfer === 'offered'
+      });
+    } catch (error) {
+      StructuredLogger.warn('Could not escalate emergency', {
+        request_id: requestId,
+        organization_id: organizationId,
+        error: error.message
+      });
+    }
+
+    return extractedInfo.emergency || null;
+  }
+
+  // The caller's answer to the transfer offer: 'accepted' on a yes, 'declined'
+  // on a no or on moving on without answering. The yes/no is used up here so
+  // it can't also confirm a booking summary.
+  static takeTransferAnswer(extractedInfo) {
+    const emergency = extractedInfo.emergency;
+    if (emergency?.transfer !== 'offered') return null;
+
+    emergency.transfer = extractedInfo.lastConfirmation === 'yes' ? 'accepted' : 'declined';
+    const answered = !!extractedInfo.lastConfirmation;
+    delete extractedInfo.lastConfirmation;
+
+    if (emergency.transfer === 'accepted') return 'accepted';
+    return answered ? 'declined' : null;
+  }
+
+  // What the voice worker needs to <Dial> the on-call contact
+  static getTransferTarget(extractedInfo) {
+    const emergency = extractedInfo.emergency;
+    if (emergency?.transfer !== 'accepted' || !emergency.onCall?.phone) return null;
+    return { number: emergency.onCall.phone, escalationId: emergency.escalationId };
+  }
+}
+
+// =============================================================================
+// FRUSTRATION DETECTION - HANDOFF TO A PERSON
+// =============================================================================
+
+// Asking for a person hands the conversation off straight away
+const HUMAN_REQUEST_KEYWORDS = {
+  en: [
+    'talk to a person', 'speak to a person', 'talk to a human', 'speak to a human', 'talk to someone', 'speak to someone',
+    'speak with someone', 'talk with someone', 'talk to somebody', 'speak to somebody', 'talk to a real person',
+    'speak to a real person', 'real person', 'live person', 'actual person', 'a human', 'live agent',
+    'a representative', 'representative', 'operator', 'talk to a manager', 'speak to a manager'
+  ],
+  es: [
+    'hablar con una persona', 'hablar con alguien', 'hablar con un humano', 'hablar con un agente', 'hablar con un representante',
+    'hablar con el gerente', 'persona real', 'un humano', 'una persona de verdad', 'representante', 'operador', 'operadora'
+  ]
+};
+
+const PROFANITY_KEYWORDS = {
+  en: ['fuck', 'fucking', 'fucked', 'shit', 'shitty', 'bullshit', 'damn', 'damn it', 'goddamn', 'crap', 'asshole', 'wtf', 'pissed', 'hell'],
+  es: ['mierda', 'carajo', 'joder', 'coño', 'pinche', 'chingado', 'chingada', 'puta', 'maldita sea']
+};
+
+// Phrases that say the conversation itself is the problem
+const FRUSTRATION_PHRASES = {
+  en: [
+    'already told you', 'i told you', 'i just said', 'not listening', "you don't understand", 'not understanding',
+    'ridiculous', 'useless', 'stupid bot', 'waste of time', 'wasting my time', 'not helpful', 'unbelievable',
+    'are you a robot', 'are you a bot', 'stop asking', 'how many times'
+  ],
+  es: [
+    'ya le dije', 'ya te dije', 'no me entiende', 'no entiende', 'no me escucha', 'ridículo', 'inútil',
+    'pérdida de tiempo', 'perdiendo el tiempo', 'cuántas veces', 'eres un robot', 'es un robot', 'deje de preguntar'
+  ]
+};
+
+// Points per signal; the score carries across turns and drops by one on a calm one
+const FRUSTRATION_SIGNAL_WEIGHTS = { profanity: 2, repetition: 2, frustration_phrase: 1, shouting: 1 };
+
+// Tenants can set tenant_configs.frustration_handoff_score
+const DEFAULT_FRUSTRATION_HANDOFF_SCORE = 3;
+
+// A message this close to one of the caller's last few counts as repeating
+// themselves; shorter messages ("yes", "no") repeat naturally
+const REPETITION_SIMILARITY = 0.8;
+const REPETITION_MIN_WORDS = 3;
+const REPETITION_MEMORY = 3;
+
+// How long an SMS conversation handed to staff stays with them; tenants can
+// set tenant_configs.handoff_pause_minutes
+const DEFAULT_HANDOFF_PAUSE_MINUTES = 240;
+
+class FrustrationDetector {
+  // Scores the message against the running state kept on
+  // extractedInfo.frustration: { score, signals, seen, askedForHuman, recent }.
+  // `signals` are this message's; `seen` is every signal so far.
+  static analyze(message, previous = {}) {
+    const tokens = PhraseMatcher.tokenize(message);
+    const words = tokens.filter(token => token !== CLAUSE_BOUNDARY);
+    const signals = [];
+
+    const askedForHuman = !!PhraseMatcher.match(tokens, HUMAN_REQUEST_KEYWORDS);
+    if (PhraseMatcher.match(tokens, PROFANITY_KEYWORDS)) signals.push('profanity');
+    if (PhraseMatcher.match(tokens, FRUSTRATION_PHRASES)) signals.push('frustration_phrase');
+    if (FrustrationDetector.isShouting(message)) signals.push('shouting');
+
+    const recent = previous.recent || [];
+    if (words.length >= REPETITION_MIN_WORDS && recent.some(earlier => FrustrationDetector.similarity(words, earlier.split(' ')) >= REPETITION_SIMILARITY)) {
+      signals.push('repetition');
+    }
+
+    const points = signals.reduce((sum, signal) => sum + FRUSTRATION_SIGNAL_WEIGHTS[signal], 0);
+    return {
+      score: points > 0 ? (previous.score || 0) + points : Math.max(0, (previous.score || 0) - 1),
+      signals,
+      seen: [...new Set([...(previous.seen || []), ...signals])],
+      askedForHuman,
+      recent: [...recent, words.join(' ')].slice(-REPETITION_MEMORY)
+    };
+  }
+
+  // Mostly capital letters, or a run of !!! / ???
+  static isShouting(message) {
+    const letters = String(message || '').replace(/[^a-zA-Z]/g, '');
+    if (letters.length >= 10 && letters.replace(/[^A-Z]/g, '').length / letters.length >= 0.8) return true;
+    return /[!?]{3,}/.test(message || '');
+  }
+
+  // Shared words over all words (Jaccard)
+  static similarity(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    const shared = [...setA].filter(word => setB.has(word)).length;
+    const total = new Set([...setA, ...setB]).size;
+    return total === 0 ? 0 : shared / total;
+  }
+}
+
+class HumanHandoffManager {
+  constructor(databaseClient, organizationConfig = null) {
+    this.db = databaseClient;
+    this.threshold = Number(organizationConfig?.frustration_handoff_score) || DEFAULT_FRUSTRATION_HANDOFF_SCORE;
+    this.pauseMinutes = Number(organizationConfig?.handoff_pause_minutes) || DEFAULT_HANDOFF_PAUSE_MINUTES;
+    // Where voice handoffs are transferred; without one staff call back
+    this.staffPhone = PhoneNormalizer.normalize(organizationConfig?.staff_phone);
+  }
+
+  // An SMS conversation with staff; the bot stays quiet until the pause runs out
+  static isPaused(conversationData, now = new Date()) {
+    const handoff = conversationData?.handoff;
+    return handoff?.action === 'pause' && !!handoff.pausedUntil && new Date(handoff.pausedUntil) > now;
+  }
+
+  // Once the pause is over the bot picks the conversation back up
+  static releaseExpired(extractedInfo, now = new Date()) {
+    const handoff = extractedInfo.handoff;
+    if (handoff?.action !== 'pause' || HumanHandoffManager.isPaused(extractedInfo, now)) return false;
+
+    delete extractedInfo.handoff;
+    delete extractedInfo.frustration;
+    return true;
+  }
+
+  // Runs the detector and records its state; one handoff per conversation
+  needsHandoff(extractedInfo, message) {
+    extractedInfo.frustration = FrustrationDetector.analyze(message, extractedInfo.frustration);
+    if (extractedInfo.handoff) return false;
+    return extractedInfo.frustration.askedForHuman || extractedInfo.frustration.score >= this.threshold;
+  }
+
+  // Records an escalation (the database worker texts the staff line) and
+  // stores the handoff on extractedInfo.handoff. Calls go to the staff line
+  // when there is one; texts pause the bot. A failed escalation is left
+  // unrecorded so the next message retries it, except that a call can still
+  // be transferred.
+  async handOff(organizationId, customerPhone, conversationState, extractedInfo, { channel, requestId = null }) {
+    const { seen: signals, askedForHuman } = extractedInfo.frustration;
+    const action = channel !== 'voice' ? 'pause' : this.staffPhone ? 'transfer' : 'callback';
+    const pausedUntil = action === 'pause' ? new Date(Date.now() + this.pauseMinutes * 60 * 1000).toISOString() : null;
+    const reason = askedForHuman ? 'customer asked for a person' : `customer frustrated (${signals.join(', ')})`;
+
+    let result = null;
+    try {
+      result = await this.db.createEscalation({
+        organizationId,
+        customerPhone,
+        conversationStateId: conversationState.id,
+        channel,
+        reason,
+        urgency: 'normal',
+        summary: JSON.stringify(extractedInfo),
+        notifyStaff: true,
+        botPausedUntil: pausedUntil
+      });
+      if (!result?.success) {
+        throw new Error(result?.error || 'Escalation failed');
+      }
+    } catch (error) {
+      StructuredLogger.warn('Could not record handoff', {
+        request_id: requestId,
+        organization_id: organizationId,
+        error: error.message
+      });
+      if (action !== 'transfer') return null;
+      result = null;
+    }
+
+    extractedInfo.handoff = {
+      action,
+      reason,
+      signals: askedForHuman ? ['asked_for_human', ...signals] : signals,
+      escalationId: result?.escalation?.id || null,
+      notified: !!result?.notification?.sent,
+      number: action === 'transfer' ? this.staffPhone : null,
+      pausedUntil,
+      handedOffAt: new Date().toISOString()
+    };
+
+    StructuredLogger.info('Conversation handed off', {
+      request_id: requestId,
+      organization_id: organizationId,
+      escalation_id: extractedInfo.handoff.escalationId,
+      action,
+      signals: extractedInfo.handoff.signals,
+      frustration_score: extractedInfo.frustration.score,
+      staff_notified: extractedInfo.handoff.notified
+    });
+
+    return extractedInfo.handoff;
+  }
+
+  // The handoff signal in the /process response
+  static getSignal(handoff, paused = false) {
+    if (!handoff) return null;
+    return {
+      action: handoff.action,
+      reason: handoff.reason,
+      signals: handoff.signals,
+      escalationId: handoff.escalationId,
+      number: handoff.number,
+      pausedUntil: handoff.pausedUntil,
+      paused
+    };
+  }
+}
+
+// =============================================================================
+// INTENT CLASSIFICATION - WHAT EACH TURN IS ABOUT
+// =============================================================================
+
+// Stored on interactions.intent and counted in the database worker's intentBreakdown
+const INTERACTION_INTENTS = ['book_repair', 'pricing_question', 'hours', 'status_check', 'reschedule', 'cancel', 'complaint', 'spam', 'other'];
+
+const INTENT_KEYWORDS = {
+  book_repair: [
+    'repair', 'fix', 'fixed', 'schedule', 'book', 'appointment', 'send a technician', 'send someone', 'come out', 'take a look', 'service call',
+    'reparar', 'reparación', 'arreglar', 'agendar', 'programar', 'que venga alguien'
+  ],
+  pricing_question: [
+    'how much', 'price', 'prices', 'pricing', 'cost', 'costs', 'charge', 'fee', 'fees', 'estimate', 'quote', 'rates', 'diagnostic fee', 'trip charge',
+    'cuánto cuesta', 'cuanto cuesta', 'cuánto cobran', 'cuanto cobran', 'precio', 'precios', 'costo', 'tarifa', 'cotización', 'presupuesto'
+  ],
+  hours: [
+    'what are your hours', 'your hours', 'business hours', 'opening hours', 'office hours', 'hours of operation', 'what hours', 'are you open', 'open today', 'open tomorrow', 'open on', 'when do you open', 'when do you close', 'what time do you', 'closing time',
+    'horario', 'horarios', 'abren', 'cierran', 'a qué hora abren', 'a que hora abren', 'están abiertos', 'estan abiertos'
+  ],
+  status_check: [
+    'status', 'on the way', 'on his way', 'on her way', 'on their way', 'eta', 'running late', 'still coming', 'is someone coming',
+    'where is the technician', 'when is my appointment', 'check on', 'confirm my appointment',
+    'estado de mi cita', 'en camino', 'ya viene', 'dónde está el técnico', 'donde esta el tecnico'
+  ],
+  reschedule: [
+    'reschedule', 'change my appointment', 'move my appointment', 'change the time', 'different time', 'different day', 'another time', 'another day',
+    'push back', 'postpone',
+    'reprogramar', 'cambiar mi cita', 'cambiar la cita', 'mover la cita', 'otro día', 'otra hora', 'posponer'
+  ],
+  cancel: [
+    'cancel', 'cancellation', 'call off', 'no longer need', "don't need the appointment",
+    'cancelar', 'cancelación', 'anular', 'ya no necesito'
+  ],
+  complaint: [
+    'complaint', 'complain', 'unhappy', 'not happy', 'terrible service', 'awful service', 'worst service', 'worst company', 'rude', 'refund',
+    'still broken', "didn't fix",
+    'never showed', 'no show', 'overcharged', 'disappointed', 'poor service',
+    'queja', 'quejarme', 'reembolso', 'pésimo', 'sigue sin funcionar', 'no lo arregló', 'nunca llegó', 'nunca vino', 'mal servicio'
+  ],
+  spam: [
+    'click here', 'you have won', "you've won", 'winner', 'free gift', 'crypto', 'bitcoin', 'seo', 'web design', 'business loan',
+    'merchant cash', 'car warranty', 'limited time offer', 'act now', 'reply stop', 'unsubscribe'
+  ]
+};
+
+// Mentions of an existing appointment: they back a cancel or reschedule, and
+// on their own ask about its status
+const APPOINTMENT_REFERENCES = { appointment: ['my appointment', 'the appointment', 'our appointment', 'mi cita', 'la cita'] };
+
+// Which intent wins a tie. Booking a repair is what every conversation is
+// about, so it loses ties to anything more specific.
+const INTENT_PRIORITY = ['cancel', 'reschedule', 'complaint', 'status_check', 'pricing_question', 'hours', 'spam', 'book_repair'];
+
+// Below this the classifier asks the model, when the tenant uses hybrid extraction
+const INTENT_MODEL_THRESHOLD = 0.6;
+
+// Keywords that turn up in ordinary repair talk ("fix", "appointment") or
+// in real names ("seo") score 1; every other keyword scores 2. One weak hit
+// on its own stays below INTENT_MODEL_THRESHOLD.
+const INTENT_WEAK_KEYWORDS = [
+  'repair', 'fix', 'fixed', 'book', 'schedule', 'appointment', 'reparar', 'reparación', 'arreglar', 'status',
+  'charge', 'cost', 'costs', 'fee', 'fees', 'rates', 'seo', 'winner', 'crypto'
+];
+const INTENT_WEAK_HIT = 1;
+const INTENT_STRONG_HIT = 2;
+
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\.|\b[a-z0-9-]+\.(?:com|net|xyz|ly|io|biz)\/\S/i;
+
+class IntentClassifier {
+  // { intent, confidence, source } for one turn. `context` is what the
+  // conversation already knows: fields this message filled (`newFields`), the
+  // step it was answering, this turn's frustration signals (and whether it
+  // asked for a person) and emergency event.
+  static classify(message, context = {}) {
+    const tokens = PhraseMatcher.tokenize(message);
+    const scores = Object.fromEntries(INTERACTION_INTENTS.map(intent => [intent, 0]));
+
+    for (const match of PhraseMatcher.findMatches(tokens, INTENT_KEYWORDS)) {
+      if (!match.negated) scores[match.key] += INTENT_WEAK_KEYWORDS.includes(match.phrase) ? INTENT_WEAK_HIT : INTENT_STRONG_HIT;
+    }
+
+    if (PhraseMatcher.match(tokens, APPOINTMENT_REFERENCES)) {
+      const change = ['cancel', 'reschedule'].find(intent => scores[intent] > 0);
+      scores[change || 'status_check'] += 1;
+    }
+    if (LINK_PATTERN.test(message || '')) scores.spam += 1;
+    if ((context.frustrationSignals || []).some(signal => signal === 'frustration_phrase' || signal === 'profanity')) {
+      scores.complaint += 1;
+    }
+
+    // Answering an intake question is a strong sign; naming an appliance or
+    // its problem is a weak one
+    const describesRepair = !!PhraseMatcher.match(tokens, APPLIANCE_KEYWORDS) || !!PhraseMatcher.match(tokens, ISSUE_KEYWORDS) ||
+      !!PhraseMatcher.match(tokens, SPANISH_VOCABULARIES.appliance) || !!PhraseMatcher.match(tokens, SPANISH_VOCABULARIES.issue);
+    if ((context.newFields || []).length > 0) {
+      scores.book_repair += INTENT_STRONG_HIT;
+    } else if (describesRepair) {
+      scores.book_repair += INTENT_WEAK_HIT;
+    }
+    if (context.emergencyEvent) scores.book_repair += 1;
+
+    const ranked = INTENT_PRIORITY
+      .map(intent => ({ intent, score: scores[intent] }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    if (ranked.length === 0) {
+      // A short answer mid-intake ("yes", "mornings") is still booking a repair;
+      // asking for a person isn't
+      const answeringIntake = INTAKE_STEPS.includes(context.step) || context.step === 'confirmation';
+      return answeringIntake && !context.askedForHuman ?
+        { intent: 'book_repair', confidence: 0.55, source: 'context' } :
+        { intent: 'other', confidence: 0.5, source: 'keywords' };
+    }
+
+    const [best, runnerUp] = ranked;
+    let confidence = 0.5 + 0.1 * Math.min(best.score - 1, 4);
+    if (runnerUp) confidence -= runnerUp.score === best.score ? 0.2 : 0.1;
+
+    return {
+      intent: best.intent,
+      confidence: Math.round(Math.max(0.3, Math.min(0.95, confidence)) * 100) / 100,
+      source: 'keywords'
+    };
+  }
+
+  // Keyword result first; a low-confidence one goes to the model when
+  // `llmClient` is given. A failed model call keeps the keyword result.
+  static async classifyTurn(message, context = {}, llmClient = null) {
+    const result = IntentClassifier.classify(message, context);
+    if (!llmClient || result.confidence >= INTENT_MODEL_THRESHOLD) return result;
+
+    const schema = {
+      name: 'turn_intent',
+      strict: true,
+      schema: {
+        type: 'object',
+        properties: {
+          intent: { type: 'string', enum: INTERACTION_INTENTS },
+          confidence: { type: 'number', description: '0 to 1' }
+        },
+        required: ['intent', 'confidence'],
+        additionalProperties: false
+      }
+    };
+
+    try {
+      const assistantMessage = await llmClient.requestCompletion([
+        {
+          role: 'system',
+          content: `Classify one message to an appliance repair company. Intents: ${INTERACTION_INTENTS.join(', ')}.
+book_repair covers describing a problem or answering booking questions; status_check is asking about an existing appointment.
+The conversation was at step: ${context.step || 'greeting'}.`
+        },
+        { role: 'user', content: message }
+      ], {
+        retries: 0,
+        responseFormat: { type: 'json_schema', json_schema: schema },
+        maxTokens: 60,
+        messageLength: message.length
+      });
+
+      const parsed = JSON.parse(assistantMessage.content || '{}');
+      if (!INTERACTION_INTENTS.includes(parsed.intent)) return result;
+
+      return {
+        intent: parsed.intent,
+        confidence: Math.round(Math.max(0, Math.min(1, Number(parsed.confidence) || 0)) * 100) / 100,
+        source: 'model'
+      };
+    } catch (error) {
+      StructuredLogger.warn('Intent classification by model failed, using keywords', {
+        error: error.message
+      });
+      return result;
+    }
+  }
+}
+
+// =============================================================================
+// TIME PREFERENCES - DAYS AND HOURS IN THE TENANT'S TIMEZONE
+// =============================================================================
+
+const DEFAULT_TIME_ZONE = 'America/New_York';
+
+// How far ahead "any Tuesday" is spelled out as windows; the database still
+// clips offers to the tenant's own scheduling horizon
+const TIME_PREFERENCE_HORIZON_DAYS = 14;
+
+const TIME_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_WORK_WEEK = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+const TIME_MONTH_PREFIXES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Minutes after midnight, wall clock in the tenant's timezone
+const DAYPART_RANGES = {
+  morning: { start: 8 * 60, end: 12 * 60 },
+  afternoon: { start: 12 * 60, end: 17 * 60 },
+  evening: { start: 17 * 60, end: 21 * 60 }
+};
+
+const SPANISH_DAYPARTS = { morning: 'por la mañana', afternoon: 'por la tarde', evening: 'por la noche' };
+
+const WEEKDAY_PATTERN = TIME_WEEKDAYS.join('|');
+const CLOCK_PATTERN = "(noon|midday|midnight|\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|a\\.m\\.|p\\.m\\.|o'?clock)?)";
+// A bare "3" is only an hour when nothing after it makes it a count or an address
+const CLOCK_END = '(?=\\s*(?:$|[,.!?;)]|(?:or|and|on|to|please|if|but|works?|would|is|tomorrow|today|tonight|next|this|any|then|so|because|in|that)\\b))';
+const PAST_DAY_PATTERN = new RegExp(`\\b(?:since|last|this past|(?:broke|stopped|started|began|quit|died|happened|was|were)\\b(?:\\s+[\\w']+){0,3}?\\s+on)\\s+(?:(?:${WEEKDAY_PATTERN})s?|the\\s+\\d{1,2}(?:st|nd|rd|th)|weekend|week)\\b`, 'g');
+
+class TimePreferenceParser {
+  static resolveTimeZone(timeZone) {
+    if (!timeZone) return DEFAULT_TIME_ZONE;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return timeZone;
+    } catch (error) {
+      return DEFAULT_TIME_ZONE;
+    }
+  }
+
+  // Wall-clock parts of an instant in the given timezone
+  static getZonedDateParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute') };
+  }
+
+  // UTC instant for a wall-clock time in the given timezone (DST-safe)
+  static zonedTimeToUtc(year, month, day, minutes, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    let instant = wallClock;
+
+    for (let pass = 0; pass < 2; pass++) {
+      const parts = TimePreferenceParser.getZonedDateParts(new Date(instant), timeZone);
+      const seen = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+      instant += wallClock - seen;
+    }
+
+    return new Date(instant);
+  }
+
+  // Calendar days are UTC-midnight Dates so day arithmetic ignores DST
+  static getToday(now, timeZone) {
+    const { year, month, day } = TimePreferenceParser.getZonedDateParts(now, timeZone);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  static addDays(date, days) {
+    return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  static toDateKey(date) {
+    return date.toISOString().substring(0, 10);
+  }
+
+  // "3" -> 15:00, "9" -> 9:00, "3:30 pm" -> 15:30, "noon" -> 12:00. Bare hours
+  // from 1 to 6 mean the afternoon; nobody books a repair at 3 AM.
+  static parseClock(value) {
+    const text = String(value).trim().toLowerCase();
+    if (text === 'noon' || text === 'midday') return 12 * 60;
+    if (text === 'midnight') return 24 * 60;
+
+    const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.|o'?clock)?$/);
+    if (!match) return null;
+
+    let hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2] || '0', 10);
+    const meridiem = match[3] || '';
+    if (hour > 23 || minute > 59) return null;
+
+    if (meridiem.startsWith('a')) {
+      if (hour > 12) return null;
+      hour = hour % 12;
+    } else if (meridiem.startsWith('p')) {
+      if (hour > 12) return null;
+      hour = (hour % 12) + 12;
+    } else if (hour >= 1 && hour <= 6) {
+      hour += 12;
+    }
+    return hour * 60 + minute;
+  }
+
+  static hasMeridiem(value) {
+    return /am|pm|a\.m\.|p\.m\.|noon|midday|midnight/i.test(value);
+  }
+
+  // Next date for a weekday. "next Tuesday" is the one in next week's calendar
+  // week (Monday to Sunday); a bare or "this" Tuesday is the soonest, today included.
+  static resolveWeekday(today, weekdayIndex, qualifier) {
+    let offset = (weekdayIndex - today.getUTCDay() + 7) % 7;
+    if (qualifier === 'next') {
+      const mondayIndex = (today.getUTCDay() + 6) % 7;
+      if (mondayIndex + offset <= 6) offset += 7;
+    }
+    return TimePreferenceParser.addDays(today, offset);
+  }
+
+  static parseDays(text, today, preference) {
+    const dateRange = (start, count) => Array.from({ length: count }, (_, index) => TimePreferenceParser.toDateKey(TimePreferenceParser.addDays(today, start + index)));
+    const weekday = today.getUTCDay();
+    let match;
+
+    if (/\bday after tomorrow\b/.test(text)) {
+      preference.dates = dateRange(2, 1);
+      return true;
+    }
+    if (/\b(?:today|tonight|this (?:morning|afternoon|evening))\b/.test(text)) {
+      preference.dates = dateRange(0, 1);
+      if (/\btonight\b/.test(text)) preference.daypart = 'evening';
+      return true;
+    }
+    if (/\btomorrow\b/.test(text)) {
+      preference.dates = dateRange(1, 1);
+      return true;
+    }
+
+    if ((match = text.match(/\b(?:(this|next|coming)\s+)?weekend\b/))) {
+      const isNext = match[1] === 'next';
+      preference.dayPhrase = isNext ? 'next weekend' : 'this weekend';
+      if (weekday === 0) {
+        // Sunday: this weekend is today, next weekend starts Saturday
+        preference.dates = isNext ? dateRange(6, 2) : dateRange(0, 1);
+      } else {
+        const saturday = 6 - weekday;
+        preference.dates = dateRange(isNext ? saturday + 7 : saturday, 2);
+      }
+      return true;
+    }
+
+    if ((match = text.match(/\b(this|next)\s+week\b/))) {
+      const daysLeft = (7 - weekday) % 7;
+      const nextMonday = daysLeft + 1;
+      preference.dayPhrase = `${match[1]} week`;
+      preference.dates = match[1] === 'next' ? dateRange(nextMonday, 7) : dateRange(0, daysLeft + 1);
+      return true;
+    }
+
+    if (/\bweekdays?\b/.test(text)) {
+      preference.weekdays = [...TIME_WORK_WEEK];
+      return true;
+    }
+
+    // "Tuesdays" and "any Tuesday" repeat; "next Tuesday" and "Tuesday" are one day
+    const weekdayMatches = [...text.matchAll(new RegExp(`\\b(?:(this|next|coming|any|every|on)\\s+)?(${WEEKDAY_PATTERN})(s)?\\b`, 'g'))];
+    if (weekdayMatches.length > 0) {
+      const recurring = weekdayMatches.filter(m => m[3] || ['any', 'every'].includes(m[1]));
+      if (recurring.length === weekdayMatches.length) {
+        preference.weekdays = [...new Set(recurring.map(m => m[2]))];
+      } else {
+        preference.dates = [...new Set(weekdayMatches.map(m =>
+          TimePreferenceParser.toDateKey(TimePreferenceParser.resolveWeekday(today, TIME_WEEKDAYS.indexOf(m[2]), m[1]))
+        ))].sort();
+      }
+      return true;
+    }
+
+    // "October 28", "Oct 28th", "10/28", "the 28th"
+    const monthMatch = text.match(/\b(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept?|oct|nov|dec)\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b(?!\s*(?:am|pm|:))/);
+    const numericMatch = text.match(/\b(\d{1,2})\/(\d{1,2})\b/);
+    const ordinalMatch = text.match(/\bthe\s+(\d{1,2})(?:st|nd|rd|th)\b/);
+    let month = null;
+    let day = null;
+    if (monthMatch) {
+      month = TIME_MONTH_PREFIXES.indexOf(monthMatch[1].substring(0, 3)) + 1;
+      day = parseInt(monthMatch[2], 10);
+    } else if (numericMatch) {
+      month = parseInt(numericMatch[1], 10);
+      day = parseInt(numericMatch[2], 10);
+    } else if (ordinalMatch) {
+      day = parseInt(ordinalMatch[1], 10);
+      month = today.getUTCMonth() + (day < today.getUTCDate() ? 2 : 1);
+    }
+    if (month && day && month <= 13 && day <= 31) {
+      // A date that already went by this year means next year's ("the 3rd"
+      // late in December rolls into January the same way)
+      let date = new Date(Date.UTC(today.getUTCFullYear(), month - 1, day));
+      if (date < today) date = new Date(Date.UTC(today.getUTCFullYear() + 1, month - 1, day));
+      if (date.getUTCDate() === day && (month <= 12 || ordinalMatch)) {
+        preference.dates = [TimePreferenceParser.toDateKey(date)];
+        return true;
+      }
+    }
+
+    if (/\b(?:any\s*(?:day|time)|anytime|whenever|any (?:morning|afternoon|evening)s?)\b/.test(text)) {
+      preference.flexible = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  static parseHours(text, preference) {
+    let match;
+
+    const dayparts = Object.keys(DAYPART_RANGES).filter(part => new RegExp(`\\b${part}s?\\b`).test(text));
+    if (/\bnights?\b/.test(text) && !dayparts.includes('evening')) dayparts.push('evening');
+    if (dayparts.length === 1 && !preference.daypart) preference.daypart = dayparts[0];
+    if (preference.daypart) {
+      preference.startMinute = DAYPART_RANGES[preference.daypart].start;
+      preference.endMinute = DAYPART_RANGES[preference.daypart].end;
+    }
+
+    const within = (start, end) => {
+      const from = Math.max(start ?? 0, preference.startMinute ?? 0);
+      const to = Math.min(end ?? 24 * 60, preference.endMinute ?? 24 * 60);
+      if (from >= to) return false;
+      preference.startMinute = start === null && preference.startMinute === null ? null : from;
+      preference.endMinute = end === null && preference.endMinute === null ? null : to;
+      return true;
+    };
+
+    // "between 9 and 11", "from 1 to 3", or a bare "9 to 11" when nothing after
+    // it makes it a count ("2 to 3 weeks")
+    const ranges = [
+      new RegExp(`\\b(?:between|from)\\s+${CLOCK_PATTERN}\\s*(?:and|to|-)\\s*${CLOCK_PATTERN}`),
+      new RegExp(`\\b${CLOCK_PATTERN}\\s*(?:to|-)\\s*${CLOCK_PATTERN}(?:(?<=[a-z.])|${CLOCK_END})`)
+    ];
+    for (const range of ranges) {
+      if (!(match = text.match(range))) continue;
+      let start = TimePreferenceParser.parseClock(match[1]);
+      const end = TimePreferenceParser.parseClock(match[2]);
+      // "between 9 and 11 am": the second hour's am/pm covers the first
+      if (start !== null && end !== null && !TimePreferenceParser.hasMeridiem(match[1]) && TimePreferenceParser.hasMeridiem(match[2])) {
+        const shifted = TimePreferenceParser.parseClock(`${match[1].trim()} ${match[2].match(/am|pm/i)?.[0] || ''}`);
+        if (shifted !== null && shifted < end) start = shifted;
+      }
+      if (start !== null && end !== null && start < end && within(start, end)) {
+        preference.clock = 'between';
+        return true;
+      }
+    }
+
+    const bounded = (words) => new RegExp(`\\b(?:${words})\\s+${CLOCK_PATTERN}(?:(?<=[a-z.])|${CLOCK_END})`);
+    // "I work until 5, so after that": the hour they are busy until is the
+    // earliest they can be seen
+    if ((match = text.match(new RegExp(`\\b(?:until|till)\\s+${CLOCK_PATTERN}[^.!?]*?\\b(?:after|later than)\\s+(?:that|then)\\b`)))) {
+      const start = TimePreferenceParser.parseClock(match[1]);
+      if (start !== null && within(start, null)) {
+        preference.clock = 'after';
+        return true;
+      }
+    }
+    if ((match = text.match(bounded('after|past|later than|no earlier than')))) {
+      const start = TimePreferenceParser.parseClock(match[1]);
+      if (start !== null && within(start, null)) {
+        preference.clock = 'after';
+        return true;
+      }
+    }
+    if ((match = text.match(bounded('before|by|until|till|no later than')))) {
+      const end = TimePreferenceParser.parseClock(match[1]);
+      if (end !== null && within(null, end)) {
+        preference.clock = 'before';
+        return true;
+      }
+    }
+
+    // "at 3 pm", "around 10 o'clock", or a bare "at 10" / "at 3:30": the
+    // window that covers that hour
+    const points = [
+      /\b(?:at|around|about)?\s*(noon|\d{1,2}(?::\d{2})?\s*(?:am|pm|a\.m\.|p\.m\.|o'?clock))/,
+      new RegExp(`\\b(?:at|around)\\s+(\\d{1,2}(?::\\d{2})?)${CLOCK_END}`)
+    ];
+    for (const point of points) {
+      if (!(match = text.match(point))) continue;
+      const at = TimePreferenceParser.parseClock(match[1]);
+      if (at !== null && within(at, at + 60)) {
+        preference.clock = 'around';
+        return true;
+      }
+    }
+
+    return !!preference.daypart;
+  }
+
+  // Structured preference for a phrase like "next Tuesday after 3" or "any
+  // morning but Friday", or null when the message says nothing about when
+  static parse(message, { now = new Date(), timeZone = DEFAULT_TIME_ZONE, language = 'en' } = {}) {
+    if (!message) return null;
+
+    const zone = TimePreferenceParser.resolveTimeZone(timeZone);
+    let text = (language === 'es' ? LanguageManager.normalizeTimeWords(message) : String(message)).toLowerCase();
+    const today = TimePreferenceParser.getToday(now, zone);
+    const preference = {
+      dates: null,
+      weekdays: null,
+      excludedWeekdays: [],
+      startMinute: null,
+      endMinute: null,
+      daypart: null,
+      clock: null,
+      dayPhrase: null,
+      flexible: false,
+      timeZone: zone
+    };
+
+    // "broken since Tuesday", "last Friday", "it stopped on Monday": days
+    // that already went by describe the problem, not the visit
+    text = text.replace(PAST_DAY_PATTERN, ' ');
+
+    // "but Friday", "except Fridays", "not on a Friday"
+    text = text.replace(new RegExp(`\\b(?:but|except|excluding|other than|not|no)\\s+(?:on\\s+)?(?:a\\s+)?(${WEEKDAY_PATTERN})s?\\b`, 'g'), (_, day) => {
+      preference.excludedWeekdays.push(day);
+      return ' ';
+    });
+
+    const hasDays = TimePreferenceParser.parseDays(text, today, preference);
+    const hasHours = TimePreferenceParser.parseHours(text, preference);
+    if (!hasDays && !hasHours && preference.excludedWeekdays.length === 0) return null;
+
+    if (preference.dates) {
+      preference.dates = preference.dates.filter(date =>
+        !preference.excludedWeekdays.includes(TIME_WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()])
+      );
+      if (preference.dates.length === 0) return null;
+    }
+
+    preference.label = TimePreferenceParser.describe(preference, language, now);
+    return preference;
+  }
+
+  static formatClock(minutes, language = 'en') {
+    if (minutes === 12 * 60) return language === 'es' ? 'el mediodía' : 'noon';
+    const hour = Math.floor(minutes / 60) % 24;
+    const minute = minutes % 60;
+    const clock = `${hour % 12 || 12}${minute ? `:${String(minute).padStart(2, '0')}` : ''} ${hour < 12 ? 'AM' : 'PM'}`;
+    if (language !== 'es') return clock;
+    return `${hour % 12 === 1 ? 'la' : 'las'} ${clock}`;
+  }
+
+  static describeDays(preference, language, now) {
+    const isSpanish = language === 'es';
+    const today = TimePreferenceParser.toDateKey(TimePreferenceParser.getToday(now, preference.timeZone));
+    const tomorrow = TimePreferenceParser.toDateKey(TimePreferenceParser.addDays(new Date(`${today}T00:00:00Z`), 1));
+    const joinWord = isSpanish ? ' o ' : ' or ';
+
+    if (preference.dayPhrase) {
+      if (!isSpanish) return preference.dayPhrase;
+      return {
+        'this weekend': 'este fin de semana',
+        'next weekend': 'el próximo fin de semana',
+        'this week': 'esta semana',
+        'next week': 'la próxima semana'
+      }[preference.dayPhrase];
+    }
+
+    if (preference.dates) {
+      return preference.dates.map(date => {
+        if (date === today) return isSpanish ? 'hoy' : 'today';
+        if (date === tomorrow) return isSpanish ? 'mañana' : 'tomorrow';
+        const formatted = new Intl.DateTimeFormat(isSpanish ? 'es-US' : 'en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' })
+          .format(new Date(`${date}T12:00:00Z`));
+        return isSpanish ? `el ${formatted}` : formatted;
+      }).join(joinWord);
+    }
+
+    if (preference.weekdays) {
+      const isWorkWeek = preference.weekdays.length === TIME_WORK_WEEK.length && TIME_WORK_WEEK.every(day => preference.weekdays.includes(day));
+      if (isWorkWeek) return isSpanish ? 'cualquier día entre semana' : 'any weekday';
+      const names = preference.weekdays.map(day => TimePreferenceParser.weekdayName(day, language));
+      return `${isSpanish ? 'cualquier' : 'any'} ${names.join(joinWord)}`;
+    }
+
+    return null;
+  }
+
+  static weekdayName(day, language) {
+    const index = TIME_WEEKDAYS.indexOf(day);
+    // 2023-01-01 was a Sunday
+    return new Intl.DateTimeFormat(language === 'es' ? 'es-US' : 'en-US', { weekday: 'long', timeZone: 'UTC' })
+      .format(new Date(Date.UTC(2023, 0, 1 + index, 12)));
+  }
+
+  // Plain-language read-back: "tomorrow morning", "Tuesday, October 27 after
+  // 3 PM", "any morning except Friday"
+  static describe(preference, language = 'en', now = new Date()) {
+    const isSpanish = language === 'es';
+    const { startMinute, endMinute, daypart, clock } = preference;
+    let days = TimePreferenceParser.describeDays(preference, language, now);
+
+    let hours = '';
+    if (clock === 'between') {
+      hours = isSpanish ?
+        `entre ${TimePreferenceParser.formatClock(startMinute, language)} y ${TimePreferenceParser.formatClock(endMinute, language)}` :
+        `between ${TimePreferenceParser.formatClock(startMinute)} and ${TimePreferenceParser.formatClock(endMinute)}`;
+    } else if (clock === 'after') {
+      hours = `${isSpanish ? 'después de' : 'after'} ${TimePreferenceParser.formatClock(startMinute, language)}`;
+    } else if (clock === 'before') {
+      hours = `${isSpanish ? 'antes de' : 'before'} ${TimePreferenceParser.formatClock(endMinute, language)}`;
+    } else if (clock === 'around') {
+      hours = `${isSpanish ? 'alrededor de' : 'around'} ${TimePreferenceParser.formatClock(startMinute, language)}`;
+    } else if (daypart) {
+      if (!days) {
+        days = isSpanish ? `cualquier día ${SPANISH_DAYPARTS[daypart]}` : `any ${daypart}`;
+      } else if (!isSpanish && (days === 'today' || days === 'tomorrow')) {
+        days = days === 'today' ? (daypart === 'evening' ? 'tonight' : `this ${daypart}`) : `tomorrow ${daypart}`;
+      } else {
+        hours = isSpanish ? SPANISH_DAYPARTS[daypart] : `in the ${daypart}`;
+      }
+    }
+
+    if (!days) {
+      days = isSpanish ? 'cualquier día' : 'any day';
+    }
+
+    const excluded = preference.excludedWeekdays.length > 0 && !preference.dates ?
+      `${isSpanish ? 'excepto el' : 'except'} ${preference.excludedWeekdays.map(day => TimePreferenceParser.weekdayName(day, language)).join(isSpanish ? ' o el ' : ' or ')}` :
+      '';
+
+    return [days, hours, excluded].filter(Boolean).join(' ').replace(/\bde el\b/g, 'del');
+  }
+
+  // Whether an instant (an offered slot's start) falls inside the preference
+  static covers(preference, instant) {
+    const time = new Date(instant).toISOString();
+    return TimePreferenceParser.toWindows(preference).some(range => time >= range.start && time < range.end);
+  }
+
+  // The preference as [{ start, end }] ISO ranges, one per allowed day, for
+  // /availability to narrow its windows to
+  static toWindows(preference, { now = new Date(), horizonDays = TIME_PREFERENCE_HORIZON_DAYS } = {}) {
+    const timeZone = TimePreferenceParser.resolveTimeZone(preference.timeZone);
+    const today = TimePreferenceParser.getToday(now, timeZone);
+    const startMinute = preference.startMinute ?? 0;
+    const endMinute = preference.endMinute ?? 24 * 60;
+    const windows = [];
+
+    for (let offset = 0; offset < horizonDays; offset++) {
+      const day = TimePreferenceParser.addDays(today, offset);
+      const key = TimePreferenceParser.toDateKey(day);
+      const weekday = TIME_WEEKDAYS[day.getUTCDay()];
+
+      if (preference.dates && !preference.dates.includes(key)) continue;
+      if (preference.weekdays && !preference.weekdays.includes(weekday)) continue;
+      if (preference.excludedWeekdays?.includes(weekday)) continue;
+
+      const [year, month, date] = [day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate()];
+      windows.push({
+        start: TimePreferenceParser.zonedTimeToUtc(year, month, date, startMinute, timeZone).toISOString(),
+        end: TimePreferenceParser.zonedTimeToUtc(year, month, date, endMinute, timeZone).toISOString()
+      });
+    }
+
+    return windows;
+  }
+}
+
+// =============================================================================
+// SCHEDULING MANAGER - CONCRETE APPOINTMENT WINDOWS
+// =============================================================================
+
+class SchedulingManager {
+  constructor(databaseClient) {
+    this.db = databaseClient;
+    this.slotTtlMs = 30 * 60 * 1000;
+  }
+
+  // Days and hours the caller asked for that haven't been searched yet
+  static hasUncheckedPreference(extractedInfo) {
+    return !!extractedInfo.timePreference && !extractedInfo.timePreference.status && !extractedInfo.selectedSlot;
+  }
+
+  shouldOfferSlots(extractedInfo, missingInfo) {
+    // A stated preference is searched once everything else is collected
+    if (SchedulingManager.hasUncheckedPreference(extractedInfo)) {
+      return missingInfo.every(key => key === 'preferredTime');
+    }
+
+    if (missingInfo[0] !== 'preferredTime' || extractedInfo.preferredTime) return false;
+    if (!extractedInfo.offeredSlots?.length) return true;
+
+    // Re-offer once the windows we quoted have gone stale
+    const offeredAt = new Date(extractedInfo.offeredSlotsAt || 0).getTime();
+    return Date.now() - offeredAt > this.slotTtlMs;
+  }
+
+  async getSlots(organizationId, timePreference = null) {
+    try {
+      const options = { limit: 3 };
+      if (timePreference) {
+        options.windows = TimePreferenceParser.toWindows(timePreference);
+      }
+      const availability = await this.db.getAvailableSlots(organizationId, options);
+
+      StructuredLogger.info('Appointment slots loaded', {
+        organization_id: organizationId,
+        slot_count: availability?.slots?.length || 0,
+        time_zone: availability?.timeZone,
+        time_preference: timePreference?.label || null
+      });
+
+      return (availability?.slots || []).map(slot => ({
+        start: slot.start,
+        end: slot.end,
+        label: slot.label,
+        weekday: slot.weekday,
+        dayLabel: slot.dayLabel,
+        startHour: slot.startHour,
+        timeZone: availability.timeZone
+      }));
+    } catch (error) {
+      StructuredLogger.warn('Could not load appointment slots', {
+        organization_id: organizationId,
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  // Offer windows inside the caller's stated days and hours, or the next
+  // openings overall when nothing there is free. The caller then picks one,
+  // so the stated preference stops standing in for the appointment time;
+  // with nothing open at all it stays for the office to work from.
+  async offerSlots(organizationId, extractedInfo) {
+    const preference = extractedInfo.timePreference;
+    let slots = await this.getSlots(organizationId, preference);
+
+    if (preference) {
+      preference.status = 'matched';
+      if (slots.length === 0) {
+        slots = await this.getSlots(organizationId);
+        preference.status = slots.length > 0 ? 'unmatched' : 'unavailable';
+      }
+    }
+
+    extractedInfo.offeredSlots = slots;
+    extractedInfo.offeredSlotsAt = new Date().toISOString();
+
+    if (preference && slots.length > 0) {
+      delete extractedInfo.preferredTime;
+      delete extractedInfo.fieldMeta?.preferredTime;
+    }
+    return slots;
+  }
+
+  static matchSlotSelection(message, offeredSlots, confirmation) {
+    const msgLower = message.toLowerCase();
+    let candidates = offeredSlots;
+    let criteriaMatched = false;
+
+    // Day, part of day and hour all narrow the choice; a stated criterion
+    // that no offered slot satisfies means the caller wants something else
+    const dayMatches = offeredSlots.filter(slot =>
+      msgLower.includes(slot.dayLabel) || msgLower.includes(slot.weekday)
+    );
+    if (dayMatches.length > 0) {
+      candidates = dayMatches;
+      criteriaMatched = true;
+    }
+
+    const daypartFilters = {
+      morning: slot => slot.startHour < 12,
+      afternoon: slot => slot.startHour >= 12 && slot.startHour < 17,
+      evening: slot => slot.startHour >= 17
+    };
+    for (const [daypart, filter] of Object.entries(daypartFilters)) {
+      if (new RegExp(`\\b${daypart}\\b`).test(msgLower)) {
+        candidates = candidates.filter(filter);
+        criteriaMatched = true;
+        break;
+      }
+    }
+
+    const hourMatch = msgLower.match(/\b(\d{1,2})(?::\d{2})?\s*(am|pm|a\.m\.|p\.m\.|o'?clock)/);
+    if (hourMatch) {
+      let hour = parseInt(hourMatch[1], 10);
+      if (hourMatch[2].startsWith('p') && hour < 12) hour += 12;
+      if (hourMatch[2].startsWith('a') && hour === 12) hour = 0;
+      if (hourMatch[2].startsWith('o') && hour < 7) hour += 12;
+      candidates = candidates.filter(slot => slot.startHour === hour);
+      criteriaMatched = true;
+    }
+
+    if (criteriaMatched) {
+      return candidates[0] || null;
+    }
+
+    // Positional picks: "2", "option 2", "the second one", "the last one"
+    const numberMatch = msgLower.match(/^\s*(?:option|number|#)?\s*(\d)\s*[.!]?\s*$/) ||
+      msgLower.match(/(?:\boption|\bnumber|#)\s*(\d)\b/);
+    if (numberMatch) {
+      return offeredSlots[parseInt(numberMatch[1], 10) - 1] || null;
+    }
+
+    const ordinals = [
+      { pattern: /\b(first|1st|earliest|soonest|either|whichever|any of (?:those|them))\b/, index: 0 },
+      { pattern: /\b(second|2nd)\b/, index: 1 },
+      { pattern: /\b(third|3rd)\b/, index: 2 },
+      { pattern: /\b(last|latest)\b/, index: offeredSlots.length - 1 }
+    ];
+    for (const { pattern, index } of ordinals) {
+      if (pattern.test(msgLower)) {
+        return offeredSlots[index] || null;
+      }
+    }
+
+    // "Does that work?" answered with yes when only one window was offered
+    if (offeredSlots.length === 1 && confirmation === 'yes') {
+      return offeredSlots[0];
+    }
+
+    return null;
+  }
+}
+
+// =============================================================================
+// APPOINTMENT BOOKING MANAGER
+// =============================================================================
+
+class AppointmentBookingManager {
+  constructor(databaseClient, schema = new IntakeSchema()) {
+    this.db = databaseClient;
+    this.schema = schema;
+  }
+
+  isReadyToBook(currentStep, extractedInfo) {
+    return currentStep === 'confirmation' &&
+      extractedInfo.completionPercentage === 100 &&
+      extractedInfo.lastConfirmation === 'yes' &&
+      extractedInfo.serviceArea?.status !== 'not_served' &&
+      !extractedInfo.appointmentId;
+  }
+
+  // Every intake field, so tenant-defined fields reach the appointment too
+  getIntakeData(extractedInfo) {
+    return Object.fromEntries(
+      this.schema.fields
+        .filter(field => extractedInfo[field.key] !== undefined)
+        .map(field => [field.key, extractedInfo[field.key]])
+    );
+  }
+
+  async book(organizationId, customerPhone, conversationState, extractedInfo, channel) {
+    try {
+      StructuredLogger.info('Booking appointment', {
+        organization_id: organizationId,
+        customer_phone: customerPhone,
+        state_id: conversationState.id
+      });
+
+      const result = await this.db.createAppointment({
+        organizationId,
+        customerPhone,
+        conversationStateId: conversationState.id,
+        channel,
+        customerName: extractedInfo.customerName,
+        streetAddress: extractedInfo.streetAddress,
+        city: extractedInfo.city,
+        zipCode: extractedInfo.zipCode,
+        callbackNumber: extractedInfo.callbackNumber,
+        applianceType: extractedInfo.applianceType,
+        applianceMake: extractedInfo.applianceMake,
+        issueDescription: extractedInfo.issueDescription,
+        issueLocation: extractedInfo.issueLocation,
+        preferredTime: extractedInfo.preferredTime,
+        intakeData: this.getIntakeData(extractedInfo),
+        scheduledStart: extractedInfo.selectedSlot?.start,
+        scheduledEnd: extractedInfo.selectedSlot?.end,
+        experimentId: extractedInfo.experiment?.id,
+        experimentVariant: extractedInfo.experiment?.variant
+      });
+
+      if (!result?.success) {
+        StructuredLogger.error('Appointment booking rejected', {
+          organization_id: organizationId,
+          state_id: conversationState.id,
+          error: result?.error,
+          code: result?.code
+        });
+        return { error: result?.error, code: result?.code, serviceArea: result?.serviceArea };
+      }
+
+      StructuredLogger.info('Appointment booked', {
+        organization_id: organizationId,
+        state_id: conversationState.id,
+        appointment_id: result.appointment.id,
+        duplicate: !!result.duplicate,
+        needs_review: !!result.review
+      });
+
+      return { appointment: result.appointment };
+    } catch (error) {
+      StructuredLogger.error('Appointment booking failed', {
+        organization_id: organizationId,
+        state_id: conversationState.id,
+        error: error.message
+      });
+      return { error: error.message };
+    }
+  }
+}
+
+// =============================================================================
+// LLM PROVIDERS - OPENAI, AZURE OPENAI, ANTHROPIC, OPENAI-COMPATIBLE, MOCK
+// =============================================================================
+
+// Messages, tool definitions and replies use the OpenAI chat shape throughout
+// the worker; providers that speak something else translate at the edge.
+// Secrets and endpoints come from the environment. Tenants only pick the
+// provider, model, temperature and max tokens (llm_* columns in tenant_configs).
+const LLM_PROVIDER_DEFAULTS = {
+  openai: { label: 'OpenAI', model: 'gpt-4o-mini', requiredEnv: ['OPENAI_API_KEY'] },
+  azure: { label: 'Azure OpenAI', model: null, requiredEnv: ['AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_DEPLOYMENT'] },
+  anthropic: { label: 'Anthropic', model: 'claude-3-5-haiku-latest', requiredEnv: ['ANTHROPIC_API_KEY'] },
+  'openai-compatible': { label: 'OpenAI-compatible', model: null, requiredEnv: ['LLM_BASE_URL', 'LLM_MODEL'] },
+  mock: { label: 'Mock', model: 'mock', requiredEnv: [] }
+};
+
+const DEFAULT_LLM_TEMPERATURE = 0.2;
+const DEFAULT_LLM_MAX_TOKENS = 200;
+
+class LLMProvider {
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.label = LLM_PROVIDER_DEFAULTS[name]?.label || name;
+    this.model = settings.model || LLM_PROVIDER_DEFAULTS[name]?.model || null;
+    this.temperature = settings.temperature ?? DEFAULT_LLM_TEMPERATURE;
+    this.maxTokens = settings.maxTokens ?? DEFAULT_LLM_MAX_TOKENS;
+  }
+
+  // request: { messages, tools, toolChoice, responseFormat, maxTokens, onDelta }
+  // Resolves to an assistant message: { role, content, tool_calls? }
+  async complete(request) {
+    throw new Error(`${this.label} provider does not implement complete()`);
+  }
+
+  async readEventStream(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return;
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') return;
+      onData(JSON.parse(payload));
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+  }
+}
+
+class OpenAIProvider extends LLMProvider {
+  constructor(settings = {}, name = 'openai') {
+    super(name, settings);
+    this.apiKey = settings.apiKey;
+    this.baseUrl = (settings.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  }
+
+  getUrl() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  buildBody({ messages, tools, toolChoice, responseFormat, maxTokens, onDelta }) {
+    const body = {
+      model: this.model,
+      messages,
+      temperature: this.temperature,
+      max_tokens: maxTokens ?? this.maxTokens,
+      stream: !!onDelta
+    };
+
+    if (responseFormat) {
+      body.response_format = responseFormat;
+    }
+
+    if (tools && tools.length > 0) {
+      body.tools = tools;
+      body.tool_choice = toolChoice;
+    }
+
+    return body;
+  }
+
+  async complete(request) {
+    const response = await fetch(this.getUrl(), {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildBody(request))
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`${this.label} API error: ${response.status} - ${errorText}`);
+    }
+
+    if (!request.onDelta) {
+      const data = await response.json();
+      return data.choices[0].message;
+    }
+
+    return this.readCompletionStream(response, request.onDelta);
+  }
+
+  // Rebuilds the assistant message from a server-sent event stream, handing
+  // text on as it arrives. Tool call names and arguments come in fragments
+  // keyed by the call's index.
+  async readCompletionStream(response, onDelta) {
+    const message = { role: 'assistant', content: '' };
+    const toolCalls = [];
+
+    await this.readEventStream(response, (data) => {
+      const delta = data.choices?.[0]?.delta || {};
+      if (delta.content) {
+        message.content += delta.content;
+        onDelta(delta.content);
+      }
+      for (const part of delta.tool_calls || []) {
+        const call = toolCalls[part.index] || (toolCalls[part.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.function.name += part.function.name;
+        if (part.function?.arguments) call.function.arguments += part.function.arguments;
+      }
+    });
+
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls;
+    }
+    if (!message.content) {
+      message.content = null;
+    }
+    return message;
+  }
+}
+
+// Same wire format; the model is picked by deployment name in the URL
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(settings = {}) {
+    super(settings, 'azure');
+    this.endpoint = (settings.endpoint || '').replace(/\/+$/, '');
+    this.apiVersion = settings.apiVersion || '2024-06-01';
+  }
+
+  getUrl() {
+    return `${this.endpoint}/openai/deployments/${encodeURIComponent(this.model)}/chat/completions?api-version=${this.apiVersion}`;
+  }
+
+  getHeaders() {
+    return { 'Content-Type': 'application/json', 'api-key': this.apiKey };
+  }
+
+  buildBody(request) {
+    const body = super.buildBody(request);
+    delete body.model;
+    return body;
+  }
+}
+
+// vLLM, Ollama, LM Studio and friends; the key is optional
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(settings = {}) {
+    super(settings, 'openai-compatible');
+  }
+}
+
+class AnthropicProvider extends LLMProvider {
+  constructor(settings = {}) {
+    super('anthropic', settings);
+    this.apiKey = settings.apiKey;
+    this.baseUrl = (settings.baseUrl || 'https://api.anthropic.com/v1').replace(/\/+$/, '');
+  }
+
+  buildBody({ messages, tools, toolChoice, responseFormat, maxTokens, onDelta }) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content);
+
+    // No response_format here; ask for the JSON in the system prompt instead
+    if (responseFormat?.json_schema) {
+      system.push(`Reply with only a JSON object matching this schema, no other text: ${JSON.stringify(responseFormat.json_schema.schema)}`);
+    }
+
+    const body = {
+      model: this.model,
+      system: system.join('\n\n'),
+      messages: this.toAnthropicMessages(messages.filter(m => m.role !== 'system')),
+      temperature: this.temperature,
+      max_tokens: maxTokens ?? this.maxTokens,
+      stream: !!onDelta
+    };
+
+    if (tools && tools.length > 0) {
+      body.tools = tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters
+      }));
+      body.tool_choice = { type: toolChoice === 'none' ? 'none' : 'auto' };
+    }
+
+    return body;
+  }
+
+  // Tool calls become tool_use blocks and tool results go back as user turns
+  toAnthropicMessages(messages) {
+    const converted = [];
+
+    for (const message of messages) {
+      if (message.role === 'tool') {
+        const block = { type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content };
+        const previous = converted[converted.length - 1];
+        if (previous?.role === 'user' && Array.isArray(previous.content) && previous.content[0]?.type === 'tool_result') {
+          previous.content.push(block);
+        } else {
+          converted.push({ role: 'user', content: [block] });
+        }
+      } else if (message.role === 'assistant' && message.tool_calls?.length) {
+        const content = message.content ? [{ type: 'text', text: message.content }] : [];
+        for (const call of message.tool_calls) {
+          let input = {};
+          try {
+            input = JSON.parse(call.function.arguments || '{}');
+          } catch (error) {
+            input = {};
+          }
+          content.push({ type: 'tool_use', id: call.id, name: call.function.name, input });
+        }
+        converted.push({ role: 'assistant', content });
+      } else {
+        converted.push({ role: message.role, content: message.content });
+      }
+    }
+
+    return converted;
+  }
+
+  fromAnthropicContent(blocks) {
+    const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+    const toolCalls = blocks.filter(block => block.type === 'tool_use').map(block => ({
+      id: block.id,
+      type: 'function',
+      function: { name: block.name, arguments: typeof block.input === 'string' ? block.input : JSON.stringify(block.input || {}) }
+    }));
+
+    const message = { role: 'assistant', content: text || null };
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls;
+    }
+    return message;
+  }
+
+  async complete(request) {
+    const response = await fetch(`${this.baseUrl}/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify(this.buildBody(request))
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`${this.label} API error: ${response.status} - ${errorText}`);
+    }
+
+    if (!request.onDelta) {
+      const data = await response.json();
+      return this.fromAnthropicContent(data.content || []);
+    }
+
+    // Text and tool input arrive as deltas against the block index
+    const blocks = [];
+    await this.readEventStream(response, (event) => {
+      if (event.type === 'content_block_start') {
+        blocks[event.index] = { ...event.content_block, input: event.content_block.type === 'tool_use' ? '' : undefined };
+      } else if (event.type === 'content_block_delta') {
+        const block = blocks[event.index];
+        if (event.delta.type === 'text_delta') {
+          block.text = (block.text || '') + event.delta.text;
+          request.onDelta(event.delta.text);
+        } else if (event.delta.type === 'input_json_delta') {
+          block.input += event.delta.partial_json;
+        }
+      }
+    });
+
+    return this.fromAnthropicContent(blocks.filter(Boolean).map(block => (
+      block.type === 'tool_use' ? { ...block, input: block.input || '{}' } : block
+    )));
+  }
+}
+
+// Offline and deterministic: the same conversation always gets the same reply.
+// Scripted replies come from MOCK_LLM_RESPONSES, a JSON list of
+// { "match": "<regex on the latest user message>", "reply": "...", "tool": { "name", "arguments" } }.
+// A scripted tool call is made once, then the reply is given.
+class MockLLMProvider extends LLMProvider {
+  constructor(settings = {}) {
+    super('mock', settings);
+    this.responses = settings.responses || [];
+    this.defaultReply = settings.defaultReply || 'I can help with that. What appliance needs service?';
+  }
+
+  async complete({ messages, tools, toolChoice, responseFormat, onDelta }) {
+    if (responseFormat?.json_schema) {
+      // Structured extraction: report nothing, so pattern extraction decides
+      const properties = responseFormat.json_schema.schema?.properties || {};
+      return { role: 'assistant', content: JSON.stringify(Object.fromEntries(Object.keys(properties).map(key => [key, null]))) };
+    }
+
+    const lastUser = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const scripted = this.responses.find(entry => new RegExp(entry.match, 'i').test(lastUser));
+    const toolUsed = messages.some(m => m.role === 'tool');
+
+    if (scripted?.tool && !toolUsed && toolChoice !== 'none' && tools?.some(tool => tool.function.name === scripted.tool.name)) {
+      return {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{
+          id: `mock_call_${messages.length}`,
+          type: 'function',
+          function: { name: scripted.tool.name, arguments: JSON.stringify(scripted.tool.arguments || {}) }
+        }]
+      };
+    }
+
+    const reply = scripted?.reply || this.defaultReply;
+    if (onDelta) {
+      for (const piece of reply.match(/\S+\s*/g) || []) {
+        onDelta(piece);
+      }
+    }
+    return { role: 'assistant', content: reply };
+  }
+}
+
+class LLMProviderFactory {
+  static normalizeName(name) {
+    const key = (name || '').toString().trim().toLowerCase();
+    if (key === 'azure-openai' || key === 'azure_openai') return 'azure';
+    if (key === 'openai_compatible' || key === 'local') return 'openai-compatible';
+    return key;
+  }
+
+  static getRequiredEnv(name) {
+    return LLM_PROVIDER_DEFAULTS[this.normalizeName(name) || 'openai']?.requiredEnv || [];
+  }
+
+  static hasCredentials(name, env) {
+    return this.getRequiredEnv(name).every(key => env[key]);
+  }
+
+  // The tenant's choice wins when the deployment has credentials for it;
+  // otherwise the deployment default (LLM_PROVIDER, else OpenAI) is used
+  static create(env, organizationConfig = null) {
+    const deploymentDefault = this.normalizeName(env.LLM_PROVIDER) || 'openai';
+    let name = this.normalizeName(organizationConfig?.llm_provider) || deploymentDefault;
+
+    if (!LLM_PROVIDER_DEFAULTS[name]) {
+      StructuredLogger.warn('Unknown LLM provider, using deployment default', {
+        organization_id: organizationConfig?.organization_id,
+        requested_provider: name,
+        provider: deploymentDefault
+      });
+      name = deploymentDefault;
+    } else if (!this.hasCredentials(name, env)) {
+      StructuredLogger.warn('LLM provider not configured for this deployment, using default', {
+        organization_id: organizationConfig?.organization_id,
+        requested_provider: name,
+        provider: deploymentDefault,
+        missing_env: this.getRequiredEnv(name).filter(key => !env[key])
+      });
+      name = deploymentDefault;
+    }
+
+    // Tenant settings only apply to the provider they picked
+    const tenantSettings = name === this.normalizeName(organizationConfig?.llm_provider) || !organizationConfig?.llm_provider;
+    const numberOrNull = (value) => (value === null || value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value));
+    const settings = {
+      model: (tenantSettings && organizationConfig?.llm_model) || this.getDeploymentModel(name, deploymentDefault, env),
+      temperature: (tenantSettings ? numberOrNull(organizationConfig?.llm_temperature) : null) ?? numberOrNull(env.LLM_TEMPERATURE),
+      maxTokens: (tenantSettings ? numberOrNull(organizationConfig?.llm_max_tokens) : null) ?? numberOrNull(env.LLM_MAX_TOKENS)
+    };
+
+    switch (name) {
+      case 'azure':
+        return new AzureOpenAIProvider({
+          ...settings,
+          apiKey: env.AZURE_OPENAI_API_KEY,
+          endpoint: env.AZURE_OPENAI_ENDPOINT,
+          apiVersion: env.AZURE_OPENAI_API_VERSION
+        });
+      case 'anthropic':
+        return new AnthropicProvider({ ...settings, apiKey: env.ANTHROPIC_API_KEY });
+      case 'openai-compatible':
+        return new OpenAICompatibleProvider({ ...settings, apiKey: env.LLM_API_KEY, baseUrl: env.LLM_BASE_URL });
+      case 'mock':
+        return new MockLLMProvider({ ...settings, responses: this.parseMockResponses(env.MOCK_LLM_RESPONSES) });
+      default:
+        return new OpenAIProvider({ ...settings, apiKey: env.OPENAI_API_KEY });
+    }
+  }
+
+  // LLM_MODEL names the deployment default's model (and is the only model an
+  // OpenAI-compatible server gets); Azure calls its deployment. Any other
+  // provider uses its own default from LLM_PROVIDER_DEFAULTS.
+  static getDeploymentModel(name, deploymentDefault, env) {
+    if (name === 'azure') return env.AZURE_OPENAI_DEPLOYMENT || null;
+    if (name === deploymentDefault || name === 'openai-compatible') return env.LLM_MODEL || null;
+    return null;
+  }
+
+  static parseMockResponses(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      StructuredLogger.warn('MOCK_LLM_RESPONSES is not valid JSON', { error: error.message });
+      return [];
+    }
+  }
+}
+
+// =============================================================================
+// ENHANCED LLM CLIENT - TOOL LOOP, RETRIES AND LOGGING OVER ANY PROVIDER
+// =============================================================================
+
+class EnhancedLLMClient {
+  constructor(provider) {
+    this.provider = provider;
+    this.circuitBreaker = new CircuitBreaker(`llm-${provider.name}`, 3, 60000);
+  }
+
+  // `conversationHistory` is sent as given (ConversationMemory has already fit
+  // it to the budget); `summary` condenses the turns before it
+  async processMessage(message, systemPrompt, conversationHistory = [], options = {}) {
+    const { retries = 2, toolbox = null, maxToolRounds = 3, onDelta = null, summary = null } = options;
+
+    // Build optimized message array
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      ...(summary ? [{ role: 'system', content: `Summary of the conversation so far: ${summary}` }] : []),
+      ...conversationHistory.flatMap(h => [
+        { role: 'user', content: h.speech_input || h.message || h.user_message },
+        { role: 'assistant', content: h.ai_response || h.response || h.assistant_message }
+      ]).filter(m => m.content),
+      { role: 'user', content: message }
+    ];
+
+    const tools = toolbox ? toolbox.getDefinitions() : null;
+    const toolCalls = [];
+
+    for (let round = 0; round <= maxToolRounds; round++) {
+      // Out of tool rounds: the model has to answer with what it has
+      const toolChoice = tools && round === maxToolRounds ? 'none' : 'auto';
+      const assistantMessage = await this.requestCompletion(messages, { retries, tools, toolChoice, onDelta, messageLength: message.length });
+
+      if (!assistantMessage.tool_calls || assistantMessage.tool_calls.length === 0) {
+        return {
+          content: assistantMessage.content,
+          hasTools: toolCalls.length > 0,
+          toolCalls
+        };
+      }
+
+      messages.push(assistantMessage);
+
+      for (const call of assistantMessage.tool_calls) {
+        let args = {};
+        try {
+          args = JSON.parse(call.function.arguments || '{}');
+        } catch (error) {
+          StructuredLogger.warn('Tool call arguments were not valid JSON', {
+            tool: call.function.name,
+            error: error.message
+          });
+        }
+
+        const result = await toolbox.execute(call.function.name, args);
+        toolCalls.push({ name: call.function.name, arguments: args, result });
+
+        messages.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: JSON.stringify(result)
+        });
+      }
+    }
+
+    // tool_choice 'none' on the last round should always produce text
+    return { content: null, hasTools: toolCalls.length > 0, toolCalls };
+  }
+
+  async requestCompletion(messages, options = {}) {
+    const { retries = 2, tools = null, toolChoice = 'auto', responseFormat = null, maxTokens = null, messageLength = 0, onDelta = null } = options;
+    const provider = this.provider;
+
+    return this.circuitBreaker.execute(async () => {
+      // Once text has gone out to the caller a retry would repeat it
+      let streamed = false;
+      const forwardDelta = onDelta && ((text) => {
+        streamed = true;
+        onDelta(text);
+      });
+
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        const startTime = Date.now();
+        
+        try {
+          StructuredLogger.ai('llm_request_started', {
+            provider: provider.name,
+            model: provider.model,
+            attempt: attempt + 1,
+            max_attempts: retries + 1,
+            message_length: messageLength,
+            history_length: messages.length,
+            tool_count: tools ? tools.length : 0,
+            streaming: !!onDelta
+          });
+
+          const assistantMessage = await provider.complete({
+            messages,
+            tools,
+            toolChoice,
+            responseFormat,
+            maxTokens,
+            onDelta: forwardDelta
+          });
+          const duration = Date.now() - startTime;
+          
+          StructuredLogger.ai('llm_request_completed', {
+            provider: provider.name,
+            model: provider.model,
+            attempt: attempt + 1,
+            duration_ms: duration,
+            streamed,
+            response_length: assistantMessage.content?.length || 0,
+            tool_calls: assistantMessage.tool_calls?.map(call => call.function.name) || []
+          });
+
+          return assistantMessage;
+        } catch (error) {
+          const duration = Date.now() - startTime;
+          StructuredLogger.warn('LLM request attempt failed', {
+            provider: provider.name,
+            attempt: attempt + 1,
+            max_attempts: retries + 1,
+            duration_ms: duration,
+            error: error.message
+          });
+          
+          if (attempt === retries || streamed) {
+            StructuredLogger.error('All LLM attempts failed', {
+              provider: provider.name,
+              total_attempts: attempt + 1,
+              final_error: error.message,
+              streamed
+            });
+            throw error;
+          }
+          
+          // Exponential backoff
+          const backoffDelay = Math.pow(2, attempt) * 1000;
+          StructuredLogger.info('LLM retry backoff', {
+            provider: provider.name,
+            attempt: attempt + 1,
+            backoff_ms: backoffDelay
+          });
+          await new Promise(resolve => setTimeout(resolve, backoffDelay));
+        }
+      }
+    });
+  }
+}
+
+// =============================================================================
+// CONVERSATION MEMORY - ROLLING SUMMARIES WITHIN A TOKEN BUDGET
+// =============================================================================
+
+// Tokens of summary plus recent turns sent with each model request; tenants
+// can override with tenant_configs.context_token_budget
+const DEFAULT_CONTEXT_TOKEN_BUDGET = 1200;
+// Interactions loaded per request, and per page when a longer backlog is
+// folded into the summary
+const HISTORY_LOAD_LIMIT = 40;
+// Turns that always stay verbatim when older ones are condensed
+const MIN_RECENT_TURNS = 3;
+// Condense once the recent turns fill this share of the budget, so turns are
+// summarized before they have to be dropped
+const SUMMARIZE_AT_BUDGET_SHARE = 0.75;
+const SUMMARY_MAX_TOKENS = 250;
+
+class ConversationMemory {
+  constructor(llmClient, { tokenBudget = DEFAULT_CONTEXT_TOKEN_BUDGET } = {}) {
+    this.llmClient = llmClient;
+    this.tokenBudget = Number(tokenBudget) > 0 ? Number(tokenBudget) : DEFAULT_CONTEXT_TOKEN_BUDGET;
+    // Set by loadHistory when unsummarized turns go back further than it loads
+    this.olderTurnsBefore = null;
+  }
+
+  // Roughly four characters per token across the models we support; close
+  // enough for budgeting without shipping a tokenizer
+  static estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  static turnTokens(turn) {
+    return ConversationMemory.estimateTokens(turn.speech_input) + ConversationMemory.estimateTokens(turn.ai_response);
+  }
+
+  // The newest interactions not yet folded into the summary, oldest first
+  async loadHistory(directDB, organizationId, customerPhone, conversationState) {
+    const rows = await ConversationMemory.queryTurns(directDB, organizationId, customerPhone, {
+      after: conversationState.summarized_through || conversationState.created_at,
+      newestFirst: true,
+      limit: HISTORY_LOAD_LIMIT + 1
+    });
+
+    const history = rows.slice(0, HISTORY_LOAD_LIMIT).reverse();
+    this.olderTurnsBefore = rows.length > HISTORY_LOAD_LIMIT ? history[0].created_at : null;
+    return history;
+  }
+
+  static async queryTurns(directDB, organizationId, customerPhone, { after = null, before = null, newestFirst = false, limit }) {
+    const filters = [
+      after ? `&created_at=gt.${encodeURIComponent(after)}` : '',
+      before ? `&created_at=lt.${encodeURIComponent(before)}` : ''
+    ].join('');
+
+    return directDB.query(
+      `interactions?customer_phone=eq.${encodeURIComponent(customerPhone)}&organization_id=eq.${organizationId}${filters}&order=created_at.${newestFirst ? 'desc' : 'asc'}&limit=${limit}&select=speech_input,ai_response,created_at`
+    );
+  }
+
+  needsCompaction(context) {
+    return context.turnsToSummarize.length > 0 || !!this.olderTurnsBefore;
+  }
+
+  // Splits the history into the turns that go to the model verbatim and the
+  // older turns that should be condensed into the summary
+  buildContext(history, summary = null) {
+    const available = this.tokenBudget - ConversationMemory.estimateTokens(summary);
+    const recentTurns = [];
+    let recentTokens = 0;
+
+    // Newest first, so a turn that doesn't fit pushes out everything older too
+    for (let i = history.length - 1; i >= 0; i--) {
+      const tokens = ConversationMemory.turnTokens(history[i]);
+      if (recentTokens + tokens > available) break;
+      recentTurns.unshift(history[i]);
+      recentTokens += tokens;
+    }
+
+    const droppedCount = history.length - recentTurns.length;
+    let summarizeCount = droppedCount;
+    if (recentTokens > available * SUMMARIZE_AT_BUDGET_SHARE && recentTurns.length > MIN_RECENT_TURNS) {
+      summarizeCount = history.length - MIN_RECENT_TURNS;
+    }
+
+    return {
+      summary,
+      recentTurns,
+      droppedCount,
+      turnsToSummarize: history.slice(0, summarizeCount),
+      tokens: ConversationMemory.estimateTokens(summary) + recentTokens
+    };
+  }
+
+  // Folds turns into the running summary. Returns null when the model is
+  // unavailable, leaving the turns to be summarized on a later request.
+  async summarize(previousSummary, turns) {
+    const transcript = turns.map(turn =>
+      `Customer: ${turn.speech_input || ''}\nAgent: ${turn.ai_response || ''}`
+    ).join('\n');
+
+    const messages = [
+      {
+        role: 'system',
+        content: `You keep a running summary of a customer service conversation for the agent handling it.
+Merge the earlier summary with the new turns into one short paragraph, in English.
+Keep what the customer needs, details they gave, questions they asked, and anything promised to them. Drop greetings and small talk.`
+      },
+      {
+        role: 'user',
+        content: `Earlier summary: ${previousSummary || '(none)'}\n\nNew turns:\n${transcript}`
+      }
+    ];
+
+    try {
+      const assistantMessage = await this.llmClient.requestCompletion(messages, {
+        retries: 0,
+        maxTokens: SUMMARY_MAX_TOKENS,
+        messageLength: transcript.length
+      });
+      const summary = assistantMessage.content?.trim();
+      return summary || null;
+    } catch (error) {
+      StructuredLogger.warn('Conversation summary failed, keeping turns for next time', {
+        turn_count: turns.length,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  // Condenses the turns and saves the result, returning the state updates
+  // made. Makes at most one summarize call per turn: turns older than the
+  // loaded window go first, a page at a time, and anything left over is
+  // picked up by the next request. summarized_through versions the summary:
+  // the save only lands if no other request moved it meanwhile, so
+  // overlapping requests can't fold the same turns in twice.
+  async compact(conversationManager, directDB, { organizationId, customerPhone, conversationState, turnsToSummarize }) {
+    let turns = turnsToSummarize;
+
+    if (this.olderTurnsBefore) {
+      try {
+        const page = await ConversationMemory.queryTurns(directDB, organizationId, customerPhone, {
+          after: conversationState.summarized_through || conversationState.created_at,
+          before: this.olderTurnsBefore,
+          limit: HISTORY_LOAD_LIMIT
+        });
+        if (page.length > 0) turns = page;
+      } catch (error) {
+        StructuredLogger.warn('Could not load older turns to summarize', {
+          state_id: conversationState.id,
+          error: error.message
+        });
+        return null;
+      }
+    }
+
+    if (turns.length === 0) return null;
+
+    const summary = await this.summarize(conversationState.history_summary || null, turns);
+    if (!summary) return null;
+
+    const updates = {
+      history_summary: summary,
+      summarized_through: turns[turns.length - 1].created_at
+    };
+    const saved = await conversationManager.updateConversationStateIfUnchanged(
+      conversationState.id, 'summarized_through', conversationState.summarized_through || null, updates
+    );
+    if (!saved) {
+      StructuredLogger.info('Conversation history already summarized by another request', {
+        state_id: conversationState.id
+      });
+      return null;
+    }
+
+    StructuredLogger.info('Conversation history summarized', {
+      state_id: conversationState.id,
+      summarized_turns: turns.length,
+      summary_tokens: ConversationMemory.estimateTokens(summary)
+    });
+
+    return updates;
+  }
+}
+
+// =============================================================================
+// RESPONSE SHORTENING - SENTENCE-AWARE CHANNEL LIMITS
+// =============================================================================
+
+// Characters per reply. Tenants can set tenant_configs.voice_max_chars and
+// sms_max_chars within the bounds; the SMS worker cuts anything over 1500.
+const DEFAULT_RESPONSE_LIMITS = { voice: 200, sms: 1500 };
+const RESPONSE_LIMIT_BOUNDS = { voice: [80, 1000], sms: [160, 1500] };
+
+// A period after these doesn't end the sentence ("123 Main St. in Fairfax")
+const SENTENCE_ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'st', 'ave', 'rd', 'blvd', 'apt', 'vs', 'etc', 'sr', 'sra', 'srta', 'ud', 'uds']);
+// "2 p.m. tomorrow" goes on; "at 2 p.m. We'll call first" ends at the period
+const CLOCK_ABBREVIATION = /^[ap]\.m$/;
+
+class ResponseShortener {
+  constructor(llmClient, limits = DEFAULT_RESPONSE_LIMITS) {
+    this.llmClient = llmClient;
+    this.limits = limits;
+  }
+
+  static getLimits(organizationConfig) {
+    const limit = (channel, value) => {
+      const [min, max] = RESPONSE_LIMIT_BOUNDS[channel];
+      const number = Number(value);
+      return value != null && Number.isFinite(number) ?
+        Math.min(max, Math.max(min, Math.round(number))) :
+        DEFAULT_RESPONSE_LIMITS[channel];
+    };
+
+    return {
+      voice: limit('voice', organizationConfig?.voice_max_chars),
+      sms: limit('sms', organizationConfig?.sms_max_chars)
+    };
+  }
+
+  // Sentences with their trailing whitespace, so joining them back keeps line breaks
+  static splitSentences(text) {
+    const sentences = [];
+    const boundary = /[.!?…]+["')\]]*\s+|\n+/g;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(text))) {
+      const word = text.slice(start, match.index).split(/\s+/).pop().toLowerCase();
+      if (match[0].trim() === '.' && SENTENCE_ABBREVIATIONS.has(word)) continue;
+      if (match[0].trim() === '.' && CLOCK_ABBREVIATION.test(word) && !/^\p{Lu}/u.test(text.slice(boundary.lastIndex))) continue;
+
+      sentences.push(text.slice(start, match.index + match[0].length));
+      start = match.index + match[0].length;
+    }
+
+    if (start < text.length) sentences.push(text.slice(start));
+    return sentences.filter(sentence => sentence.trim());
+  }
+
+  // Whole sentences from the start that fit, keeping a closing question so
+  // the customer still knows what to answer. Null if not even one fits.
+  static fitSentences(text, limit) {
+    const sentences = ResponseShortener.splitSentences(text);
+    const last = sentences[sentences.length - 1] || '';
+    const keepQuestion = sentences.length > 1 && /[?？]["')\]]*\s*$/.test(last);
+    const body = keepQuestion ? sentences.slice(0, -1) : sentences;
+    const room = limit - (keepQuestion ? last.trim().length + 1 : 0);
+
+    let kept = '';
+    for (const sentence of body) {
+      if ((kept + sentence).trim().length > room) break;
+      kept += sentence;
+    }
+
+    const fitted = (keepQuestion ? `${kept.trimEnd()} ${last.trim()}` : kept).trim();
+    return fitted && fitted.length <= limit ? fitted : null;
+  }
+
+  // Last resort: stop at a word boundary rather than mid-word
+  static cutAtWord(text, limit) {
+    const cut = text.slice(0, limit - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > limit / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:–-]+$/, '')}…`;
+  }
+
+  // Returns { text, method, limit }; method is null when the reply already fit
+  async shorten(text, { channel, language = 'en', requestId = null }) {
+    const limitChannel = channel === 'voice' ? 'voice' : 'sms';
+    const limit = this.limits[limitChannel];
+    if (!text || text.length <= limit) {
+      return { text, method: null, limit };
+    }
+
+    let shortened = ResponseShortener.fitSentences(text, limit);
+    let method = 'sentences';
+
+    if (!shortened) {
+      shortened = await this.rewrite(text, limitChannel, limit, language);
+      method = 'model';
+    }
+    if (!shortened) {
+      shortened = ResponseShortener.cutAtWord(text, limit);
+      method = 'word_cut';
+    }
+
+    StructuredLogger.info('Response shortened', {
+      request_id: requestId,
+      channel: limitChannel,
+      method,
+      limit,
+      full_length: text.length,
+      delivered_length: shortened.length,
+      full_response: text,
+      delivered_response: shortened
+    });
+
+    return { text: shortened, method, limit };
+  }
+
+  // One request for a shorter version; null if the model fails or overshoots again
+  async rewrite(text, channel, limit, language) {
+    const medium = channel === 'voice' ? 'a phone call, spoken aloud' : 'a text message';
+    const messages = [
+      {
+        role: 'system',
+        content: `Shorten this customer service reply for ${medium} to at most ${limit} characters.
+Keep it in the same language (${language}), keep any question it asks the customer, and keep prices, times and reference numbers exact.
+Reply with only the shortened text.`
+      },
+      { role: 'user', content: text }
+    ];
+
+    try {
+      const assistantMessage = await this.llmClient.requestCompletion(messages, {
+        retries: 0,
+        maxTokens: Math.ceil(limit / 3) + 20,
+        messageLength: text.length
       });
+      const rewritten = assistantMessage.content?.trim();
+
+      if (!rewritten || rewritten.length > limit) {
+        StructuredLogger.warn('Shortened reply still over the limit', {
+          channel,
+          limit,
+          rewritten_length: rewritten?.length || 0
+        });
+        return null;
+      }
+      return rewritten;
     } catch (error) {
-      StructuredLogger.error('Failed to update conversation state', {
-        state_id: stateId,
+      StructuredLogger.warn('Could not shorten reply with the model', {
+        channel,
         error: error.message
       });
+      return null;
     }
   }
+}
 
-  extractInformation(message, conversationData = {}) {
-    const extracted = { ...conversationData };
-    const msgLower = message.toLowerCase();
-    
-    StructuredLogger.ai('information_extraction_started', {
-      message_length: message.length,
-      existing_data_keys: Object.keys(conversationData)
-    });
-    
-    // Extract appliance type
-    const appliances = {
-      washer: ['washer', 'washing machine', 'laundry'],
-      dryer: ['dryer', 'drying machine'],
-      dishwasher: ['dishwasher', 'dish washer'],
-      refrigerator: ['refrigerator', 'fridge', 'freezer'],
-      oven: ['oven', 'stove', 'range', 'cooktop'],
-      microwave: ['microwave'],
-      garbage_disposal: ['garbage disposal', 'disposal', 'disposer'],
-      air_conditioner: ['ac', 'air conditioner', 'air conditioning', 'hvac']
-    };
-    
-    for (const [appliance, keywords] of Object.entries(appliances)) {
-      for (const keyword of keywords) {
-        if (msgLower.includes(keyword)) {
-          extracted.applianceType = appliance;
-          break;
+// =============================================================================
+// CONVERSATION TOOLBOX - OPENAI FUNCTION CALLING
+// =============================================================================
+
+class ConversationToolbox {
+  constructor({ databaseClient, bookingManager, schedulingManager, flowManager, organizationId, customerPhone, conversationState, extractedInfo, channel }) {
+    this.db = databaseClient;
+    this.bookingManager = bookingManager;
+    this.schedulingManager = schedulingManager;
+    this.flowManager = flowManager;
+    this.organizationId = organizationId;
+    this.customerPhone = customerPhone;
+    this.conversationState = conversationState;
+    this.extractedInfo = extractedInfo;
+    this.channel = channel;
+
+    // Side effects the handler has to persist after the model finishes
+    this.appointment = null;
+    this.escalation = null;
+  }
+
+  getDefinitions() {
+    return [
+      {
+        type: 'function',
+        function: {
+          name: 'lookup_faq',
+          description: 'Look up the business answer to a customer question about pricing, hours, warranty, brands serviced or policies.',
+          parameters: {
+            type: 'object',
+            properties: {
+              question: { type: 'string', description: 'The customer question in their own words' }
+            },
+            required: ['question']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'check_service_area',
+          description: 'Check whether the business serves a 5-digit ZIP code.',
+          parameters: {
+            type: 'object',
+            properties: {
+              zipCode: { type: 'string', description: '5-digit US ZIP code' }
+            },
+            required: ['zipCode']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'find_appointment_slots',
+          description: 'Get the next open appointment windows to offer the customer, within the days and hours they asked for when possible.',
+          parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'book_appointment',
+          description: 'Book the repair appointment. Only call after you read the full summary of their details back to the customer and they said yes to it.',
+          parameters: {
+            type: 'object',
+            properties: {
+              slotNumber: { type: 'integer', description: 'Number of the offered appointment window the customer picked, starting at 1' }
+            }
+          }
         }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'escalate_to_human',
+          description: 'Hand the conversation to a staff member, e.g. when the customer asks for a person or reports an emergency.',
+          parameters: {
+            type: 'object',
+            properties: {
+              reason: { type: 'string', description: 'Why a person is needed' },
+              urgency: { type: 'string', enum: ['normal', 'urgent', 'emergency'] }
+            },
+            required: ['reason']
+          }
+        }
+      }
+    ];
+  }
+
+  async execute(name, args) {
+    const startTime = Date.now();
+
+    try {
+      let result;
+      switch (name) {
+        case 'lookup_faq':
+          result = await this.lookupFaq(args);
+          break;
+        case 'check_service_area':
+          result = await this.checkServiceArea(args);
+          break;
+        case 'find_appointment_slots':
+          result = await this.findAppointmentSlots();
+          break;
+        case 'book_appointment':
+          result = await this.bookAppointment(args);
+          break;
+        case 'escalate_to_human':
+          result = await this.escalateToHuman(args);
+          break;
+        default:
+          result = { error: `Unknown tool: ${name}` };
       }
-      if (extracted.applianceType) break;
+
+      StructuredLogger.ai('tool_executed', {
+        tool: name,
+        duration_ms: Date.now() - startTime,
+        success: !result.error
+      });
+
+      return result;
+    } catch (error) {
+      StructuredLogger.error('Tool execution failed', {
+        tool: name,
+        duration_ms: Date.now() - startTime,
+        error: error.message
+      });
+      return { error: 'Tool temporarily unavailable' };
     }
-    
-    // Extract appliance make/brand
-    const makes = {
-      'whirlpool': ['whirlpool'],
-      'ge': ['ge', 'general electric'],
-      'samsung': ['samsung'],
-      'lg': ['lg'],
-      'maytag': ['maytag'],
-      'frigidaire': ['frigidaire'],
-      'kenmore': ['kenmore'],
-      'bosch': ['bosch'],
-      'kitchenaid': ['kitchenaid', 'kitchen aid'],
-      'electrolux': ['electrolux']
+  }
+
+  async lookupFaq({ question }) {
+    const { faq } = await this.db.lookupFAQ(this.organizationId, question || '', this.flowManager.language);
+    return faq ? { found: true, answer: faq.response } : { found: false };
+  }
+
+  async checkServiceArea({ zipCode }) {
+    const result = await this.db.checkServiceArea(this.organizationId, zipCode);
+    if (!result.success) return { error: result.error };
+    return { zipCode: result.zipCode, status: result.status, referral: result.referral || null };
+  }
+
+  async findAppointmentSlots() {
+    const slots = await this.schedulingManager.offerSlots(this.organizationId, this.extractedInfo);
+    const preference = this.extractedInfo.timePreference;
+    return {
+      slots: slots.map((slot, index) => ({ number: index + 1, label: slot.label })),
+      ...(preference ? { requested: preference.label, requestedAvailable: preference.status === 'matched' } : {})
     };
-    
-    for (const [make, keywords] of Object.entries(makes)) {
-      for (const keyword of keywords) {
-        if (msgLower.includes(keyword)) {
-          extracted.applianceMake = make.charAt(0).toUpperCase() + make.slice(1);
-          break;
-        }
+  }
+
+  async bookAppointment({ slotNumber }) {
+    if (this.extractedInfo.appointmentId) {
+      return { booked: true, reference: this.extractedInfo.appointmentReference };
+    }
+
+    if (slotNumber && this.extractedInfo.offeredSlots?.[slotNumber - 1]) {
+      const slot = this.extractedInfo.offeredSlots[slotNumber - 1];
+      this.extractedInfo.selectedSlot = slot;
+      this.extractedInfo.preferredTime = slot.label;
+    }
+
+    if (this.extractedInfo.serviceArea?.status === 'not_served') {
+      return { booked: false, reason: 'out_of_service_area' };
+    }
+
+    const missingFields = this.flowManager.getMissingInformation(this.extractedInfo);
+    if (missingFields.length > 0) {
+      return { booked: false, missingFields };
+    }
+
+    // Same rule as the handler's own booking: the caller said yes to the
+    // read-back summary on this turn
+    if (this.conversationState.current_step !== 'confirmation' || this.extractedInfo.lastConfirmation !== 'yes') {
+      return {
+        booked: false,
+        reason: 'not_confirmed',
+        instruction: 'Read the full summary back to the customer and book only after they confirm it.'
+      };
+    }
+
+    const booking = await this.bookingManager.book(
+      this.organizationId,
+      this.customerPhone,
+      this.conversationState,
+      this.extractedInfo,
+      this.channel
+    );
+
+    if (!booking.appointment) {
+      if (booking.serviceArea) {
+        ServiceAreaManager.record(this.extractedInfo, booking.serviceArea);
       }
-      if (extracted.applianceMake) break;
+      return { booked: false, reason: booking.code || 'booking_failed' };
     }
-    
-    // Extract issue description with more detail
-    const issues = {
-      'leaking': ['leaking', 'leak', 'water coming out', 'dripping', 'flooding'],
-      'not_starting': ['not starting', 'won\'t start', 'not turning on', 'dead', 'not working'],
-      'noisy': ['noisy', 'loud', 'making noise', 'banging', 'grinding', 'squeaking'],
-      'not_heating': ['not heating', 'cold', 'not hot', 'no heat'],
-      'not_cooling': ['not cooling', 'warm', 'not cold', 'not freezing'],
-      'not_spinning': ['not spinning', 'not turning', 'won\'t spin'],
-      'not_draining': ['not draining', 'water sitting', 'standing water', 'won\'t drain'],
-      'not_cleaning': ['not cleaning', 'dishes dirty', 'not washing'],
-      'door_issue': ['door won\'t close', 'door stuck', 'door problem'],
-      'control_panel': ['buttons not working', 'display not working', 'controls broken']
+
+    this.appointment = booking.appointment;
+    this.extractedInfo.appointmentId = booking.appointment.id;
+    this.extractedInfo.appointmentReference = booking.appointment.id.substring(0, 8).toUpperCase();
+    return { booked: true, reference: this.extractedInfo.appointmentReference, time: this.extractedInfo.preferredTime };
+  }
+
+  async escalateToHuman({ reason, urgency = 'normal' }) {
+    const result = await this.db.createEscalation({
+      organizationId: this.organizationId,
+      customerPhone: this.customerPhone,
+      conversationStateId: this.conversationState.id,
+      channel: this.channel,
+      reason,
+      urgency,
+      summary: JSON.stringify(this.extractedInfo)
+    });
+
+    if (!result.success) return { escalated: false };
+
+    this.escalation = result.escalation;
+
+    // Urgent hand-offs were paged; don't page again if the visit turns urgent
+    if (result.page && !this.extractedInfo.emergency) {
+      this.extractedInfo.emergency = {
+        escalationId: result.escalation.id,
+        hazard: null,
+        paged: !!result.page.paged,
+        onCall: result.page.contact || null,
+        transfer: null,
+        escalatedAt: new Date().toISOString()
+      };
+    }
+    return { escalated: true, paged: !!result.page?.paged };
+  }
+}
+
+// =============================================================================
+// OUTPUT GUARDRAILS - TENANT FACTS AND DISALLOWED CONTENT
+// =============================================================================
+
+// Advice the assistant isn't there to give. Negated mentions ("you don't
+// need to sue") don't count.
+const LEGAL_ADVICE_KEYWORDS = {
+  en: [
+    'sue', 'lawsuit', 'small claims', 'take them to court', 'file a claim against', 'legally entitled', 'legally required',
+    'your legal rights', 'breach of contract', 'liable', 'negligence', 'statute of limitations'
+  ],
+  es: ['demandar', 'demandarlos', 'reclamos menores', 'derechos legales', 'incumplimiento de contrato', 'negligencia', 'responsable legalmente']
+};
+
+const MEDICAL_ADVICE_KEYWORDS = {
+  en: [
+    'ibuprofen', 'acetaminophen', 'tylenol', 'advil', 'aspirin', 'antibiotic', 'antibiotics', 'dosage', 'milligrams', 'mg',
+    'ointment', 'burn cream', 'medication', 'medicine'
+  ],
+  es: ['ibuprofeno', 'paracetamol', 'aspirina', 'antibiótico', 'antibióticos', 'dosis', 'miligramos', 'pomada', 'medicamento', 'medicina']
+};
+
+// Sending the customer elsewhere; tenants add their local rivals on
+// tenant_configs.competitor_names
+const COMPETITOR_KEYWORDS = {
+  en: [
+    'another company', 'another repair company', 'a different company', 'other companies', 'a competitor',
+    'sears home services', 'geek squad', 'home depot', "lowe's", 'best buy', "angie's list", 'angi', 'thumbtack', 'taskrabbit', 'a handyman'
+  ],
+  es: ['otra compañía', 'otra empresa', 'otro técnico', 'la competencia']
+};
+
+// Sentences that state opening hours or warranty terms; their times and
+// durations have to come from the tenant
+const HOURS_CLAIM_KEYWORDS = {
+  en: ['open', 'opens', 'close', 'closes', 'closed', 'hours', 'business hours', 'office hours'],
+  es: ['abrimos', 'abierto', 'abiertos', 'cerramos', 'cerrado', 'cerrados', 'horario', 'horarios', 'atendemos']
+};
+
+const WARRANTY_KEYWORDS = {
+  en: ['warranty', 'warranties', 'guarantee', 'guaranteed', 'guarantees'],
+  es: ['garantía', 'garantia', 'garantizado', 'garantizamos']
+};
+
+const PRICE_PATTERN = /\$\s?(\d+(?:,\d{3})*(?:\.\d+)?)(?:\s*(?:-|–|to|a)\s*\$?(\d+(?:,\d{3})*(?:\.\d+)?))?|\b(\d+(?:,\d{3})*(?:\.\d+)?)\s*(?:dollars|d[óo]lares)\b/gi;
+const CLOCK_TIME_PATTERN = /\b(\d{1,2})(?::(\d{2}))?\s*(?:([ap])\.?\s?m(?![a-z]))?/gi;
+const ROUND_THE_CLOCK_PATTERN = /\b24\s*(?:\/\s*7|hours|horas)\b/i;
+const WARRANTY_TERM_PATTERN = /\b(\d+)[\s-]*(?:days?|weeks?|months?|years?|yrs?|d[ií]as?|semanas?|mes(?:es)?|años?)(?![a-zà-ü])/gi;
+const LIFETIME_PATTERN = /\blifetime\b|de por vida/i;
+const PHONE_NUMBER_PATTERN = /(?:\+?1[\s.-]?)?(?:\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/g;
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+// House number, one to three capitalized words and a suffix ("4410 Oak Hill Dr")
+const STREET_ADDRESS_PATTERN = new RegExp(
+  `\\b(\\d{1,6})\\s+([A-Z][\\w'.-]*)(?:\\s+[A-Z][\\w'.-]*){0,2}\\s+(?:${Object.keys(STREET_SUFFIXES).map(suffix => suffix[0].toUpperCase() + suffix.slice(1)).join('|')})\\b`,
+  'g'
+);
+
+// Intake field types whose values the customer gave about themselves; the
+// reply may repeat them back, but they never back a price, hours or warranty
+const GUARDRAIL_CONTACT_FIELD_TYPES = ['name', 'address', 'city', 'zip', 'phone', 'text'];
+
+class ResponseGuardrail {
+  // The tenant's side of the facts: prompt variables (fees, repair range,
+  // hours, warranty), the intake summary note, business hours and numbers.
+  // check() adds the turn's tool results (FAQ answers, offered windows);
+  // nothing from the conversation counts as a fact.
+  constructor(databaseClient, { organizationConfig = null, promptTemplate = null, intakeSchema = null, customerPhone = null } = {}) {
+    this.db = databaseClient;
+    this.contactFields = (intakeSchema || new IntakeSchema()).fields
+      .filter(field => GUARDRAIL_CONTACT_FIELD_TYPES.includes(field.type))
+      .map(field => field.key);
+    this.tenantFacts = [
+      ...Object.values(promptTemplate?.variables || DEFAULT_PROMPT_VARIABLES),
+      intakeSchema?.summaryNote,
+      organizationConfig?.business_name,
+      organizationConfig?.business_phone,
+      organizationConfig?.staff_phone,
+      organizationConfig?.business_hours ? JSON.stringify(organizationConfig.business_hours) : null
+    ].filter(Boolean).map(String);
+    this.ownPhones = [customerPhone, organizationConfig?.business_phone, organizationConfig?.staff_phone]
+      .map(phone => PhoneNormalizer.normalize(phone))
+      .filter(Boolean);
+
+    const competitorNames = Array.isArray(organizationConfig?.competitor_names) ?
+      organizationConfig.competitor_names.filter(name => typeof name === 'string' && name.trim()) :
+      [];
+    this.competitors = { ...COMPETITOR_KEYWORDS, tenant: competitorNames };
+  }
+
+  // Every number in the facts, so "$89.00", "08:00" and "1,500" compare as 89, 8 and 1500
+  static numbersIn(text) {
+    return new Set((text.match(/\d+(?:,\d{3})*(?:\.\d+)?/g) || []).map(ResponseGuardrail.normalizeNumber));
+  }
+
+  static normalizeNumber(value) {
+    return String(Number(String(value).replace(/,/g, '')));
+  }
+
+  // [{ rule, excerpt }] for everything in `text` the facts don't back up or
+  // the assistant shouldn't say; empty when the reply is fine
+  check(text, { extractedInfo = {}, toolCalls = [] } = {}) {
+    const facts = [
+      ...this.tenantFacts,
+      JSON.stringify(toolCalls.map(call => call.result))
+    ].join('\n');
+    const factNumbers = ResponseGuardrail.numbersIn(facts);
+    // Reading the customer's own details back isn't leaking them
+    const contactDetails = [facts, ...this.contactFields.map(key => extractedInfo[key]).filter(value => typeof value === 'string')].join('\n');
+    const contactLower = contactDetails.toLowerCase();
+    const violations = [];
+    const flag = (rule, excerpt) => {
+      if (!violations.some(violation => violation.rule === rule && violation.excerpt === excerpt)) {
+        violations.push({ rule, excerpt });
+      }
     };
-    
-    for (const [issue, keywords] of Object.entries(issues)) {
-      for (const keyword of keywords) {
-        if (msgLower.includes(keyword)) {
-          extracted.issueDescription = issue;
-          break;
-        }
+
+    for (const match of text.matchAll(PRICE_PATTERN)) {
+      const amounts = [match[1], match[2], match[3]].filter(Boolean);
+      if (amounts.some(amount => !factNumbers.has(ResponseGuardrail.normalizeNumber(amount)))) {
+        flag('price', match[0].trim());
       }
-      if (extracted.issueDescription) break;
     }
-    
-    // Extract customer name - ENHANCED
-    const namePatterns = [
-      /(?:i'm|my name is|call me|this is)\s+([a-zA-Z]+(?:\s+[a-zA-Z]+)?)/i,
-      /^([a-zA-Z]+\s+[a-zA-Z]+)$/,  // Full name only
-      /hi,?\s+([a-zA-Z]+\s+[a-zA-Z]+)/i  // "Hi, John Smith"
-    ];
-    
-    for (const pattern of namePatterns) {
-      const nameMatch = message.match(pattern);
-      if (nameMatch && nameMatch[1]) {
-        const name = nameMatch[1].trim();
-        // Only extract if it looks like a real name (2-50 chars, proper format)
-        if (name.length >= 2 && name.length <= 50 && /^[a-zA-Z\s]+$/.test(name)) {
-          extracted.customerName = name;
-          break;
+
+    for (const sentence of ResponseShortener.splitSentences(text)) {
+      const tokens = PhraseMatcher.tokenize(sentence);
+
+      if (PhraseMatcher.findMatches(tokens, HOURS_CLAIM_KEYWORDS).length > 0) {
+        for (const match of sentence.matchAll(CLOCK_TIME_PATTERN)) {
+          const [excerpt, hourText, minutes, meridiem] = match;
+          if (!minutes && !meridiem) continue;
+
+          // "6 pm" is backed by a 6 or an 18 ("18:00") in the facts
+          const hour = Number(hourText);
+          const hour24 = meridiem?.toLowerCase() === 'p' && hour < 12 ? hour + 12 : hour;
+          if (!factNumbers.has(String(hour)) && !factNumbers.has(String(hour24))) {
+            flag('hours', excerpt.trim());
+          }
+        }
+        if (ROUND_THE_CLOCK_PATTERN.test(sentence) && !factNumbers.has('24')) {
+          flag('hours', sentence.match(ROUND_THE_CLOCK_PATTERN)[0]);
         }
       }
-    }
-    
-    // Extract address - ENHANCED
-    const addressPatterns = [
-      /(\d+\s+[a-zA-Z\s]+(?:street|st|avenue|ave|drive|dr|road|rd|lane|ln|way|court|ct|circle|cir|place|pl))/i,
-      /(?:address is|live at|located at)\s+([^,\n]+)/i,
-      /(\d{1,5}\s+[a-zA-Z\s,]+)/i
-    ];
-    
-    for (const pattern of addressPatterns) {
-      const addressMatch = message.match(pattern);
-      if (addressMatch && addressMatch[1]) {
-        const address = addressMatch[1].trim();
-        if (address.length >= 5 && address.length <= 100) {
-          extracted.streetAddress = address;
-          break;
+
+      if (PhraseMatcher.findMatches(tokens, WARRANTY_KEYWORDS).length > 0) {
+        for (const match of sentence.matchAll(WARRANTY_TERM_PATTERN)) {
+          if (!factNumbers.has(ResponseGuardrail.normalizeNumber(match[1]))) {
+            flag('warranty', match[0]);
+          }
+        }
+        if (LIFETIME_PATTERN.test(sentence) && !LIFETIME_PATTERN.test(facts)) {
+          flag('warranty', sentence.match(LIFETIME_PATTERN)[0]);
         }
       }
     }
-    
-    // Extract city and zip
-    const cityZipPattern = /([a-zA-Z\s]+),?\s+(\d{5})/;
-    const cityZipMatch = message.match(cityZipPattern);
-    if (cityZipMatch) {
-      extracted.city = cityZipMatch[1].trim();
-      extracted.zipCode = cityZipMatch[2];
+
+    const tokens = PhraseMatcher.tokenize(text);
+    const legal = PhraseMatcher.match(tokens, LEGAL_ADVICE_KEYWORDS);
+    if (legal) flag('legal_advice', legal.phrase);
+    const medical = PhraseMatcher.match(tokens, MEDICAL_ADVICE_KEYWORDS);
+    if (medical) flag('medical_advice', medical.phrase);
+    const competitor = PhraseMatcher.match(tokens, this.competitors);
+    if (competitor) flag('competitor', competitor.phrase);
+
+    // Contact details that belong to neither this customer nor the business
+    const knownPhones = new Set([
+      ...this.ownPhones,
+      ...this.contactFields.map(key => PhoneNormalizer.normalize(extractedInfo[key])),
+      ...(contactDetails.match(PHONE_NUMBER_PATTERN) || []).map(phone => PhoneNormalizer.normalize(phone))
+    ].filter(Boolean));
+    for (const match of text.matchAll(PHONE_NUMBER_PATTERN)) {
+      const phone = PhoneNormalizer.normalize(match[0]);
+      if (phone && !knownPhones.has(phone)) flag('pii', match[0].trim());
     }
-    
-    // Extract phone number
-    const phonePatterns = [
-      /(\d{3}[-.\s]?\d{3}[-.\s]?\d{4})/,
-      /\((\d{3})\)\s?(\d{3})[-.\s]?(\d{4})/
-    ];
-    
-    for (const pattern of phonePatterns) {
-      const phoneMatch = message.match(pattern);
-      if (phoneMatch) {
-        extracted.callbackNumber = phoneMatch[0].replace(/[^\d]/g, '');
-        if (extracted.callbackNumber.length === 10) {
-          extracted.callbackNumber = `+1${extracted.callbackNumber}`;
-        }
-        break;
+    for (const match of text.matchAll(EMAIL_PATTERN)) {
+      if (!contactLower.includes(match[0].toLowerCase())) flag('pii', match[0]);
+    }
+    for (const match of text.matchAll(STREET_ADDRESS_PATTERN)) {
+      if (!contactLower.includes(`${match[1]} ${match[2]}`.toLowerCase())) flag('pii', match[0]);
+    }
+
+    return violations;
+  }
+
+  // Returns { text, violations }: the reply as it was, or `fallback()` (the
+  // flow's next question) when it broke a rule. A blocked reply is logged and
+  // recorded on the database worker's guardrail_events; a failed record
+  // still blocks it.
+  async review(text, { fallback, extractedInfo, toolCalls, organizationId, customerPhone, conversationStateId, channel, requestId = null }) {
+    const violations = text ? this.check(text, { extractedInfo, toolCalls }) : [];
+    if (violations.length === 0) {
+      return { text, violations };
+    }
+
+    const replacement = fallback();
+    StructuredLogger.warn('Reply blocked by output guardrail', {
+      request_id: requestId,
+      organization_id: organizationId,
+      rules: [...new Set(violations.map(violation => violation.rule))],
+      violations,
+      blocked_response: text,
+      fallback_response: replacement
+    });
+
+    try {
+      const result = await this.db.logGuardrailEvent({
+        organizationId,
+        customerPhone,
+        conversationStateId,
+        channel,
+        violations,
+        blockedResponse: text,
+        fallbackResponse: replacement
+      });
+      if (!result?.success) {
+        throw new Error(result?.error || 'Guardrail event failed');
       }
+    } catch (error) {
+      StructuredLogger.warn('Could not record guardrail event', {
+        request_id: requestId,
+        organization_id: organizationId,
+        error: error.message
+      });
     }
-    
-    // Extract time preferences - ENHANCED
-    const timePatterns = [
-      { pattern: /(\d{1,2})\s*(am|pm)/i, extract: (match) => match[0] },
-      { pattern: /(morning|afternoon|evening)/i, extract: (match) => match[0] },
-      { pattern: /(today|tomorrow|this week|next week)/i, extract: (match) => match[0] },
-      { pattern: /(asap|urgent|emergency|right away)/i, extract: () => 'urgent' }
-    ];
-    
-    for (const { pattern, extract } of timePatterns) {
-      const match = message.match(pattern);
-      if (match) {
-        extracted.preferredTime = extract(match);
-        break;
+
+    return { text: replacement, violations };
+  }
+
+  // metadata.guardrail in the /process response
+  static getSignal(violations) {
+    if (!violations || violations.length === 0) return null;
+    return {
+      blocked: true,
+      rules: [...new Set(violations.map(violation => violation.rule))]
+    };
+  }
+}
+
+// =============================================================================
+// PROMPT TEMPLATES - TENANT PERSONA, PRICING AND POLICY
+// =============================================================================
+
+// What every tenant starts from; a saved template version overrides any of
+// them. The database worker checks names against PROMPT_TEMPLATE_VARIABLES.
+const DEFAULT_PROMPT_VARIABLES = {
+  persona_name: 'Sarah',
+  tone: 'professional',
+  diagnostic_fee: '$89',
+  repair_range: '$150-$300',
+  warranty_policy: '',
+  business_hours: ''
+};
+
+// For tenants that never saved a template of their own. {{name}} is replaced;
+// {{#name}}...{{/name}} is dropped when the variable is empty.
+const DEFAULT_PROMPT_TEMPLATE = `You are {{persona_name}}, a {{tone}} AI assistant for {{business_name}}. {{channel_guidance}} {{#language_guidance}}{{language_guidance}} {{/language_guidance}}Your goal is to efficiently gather information and schedule {{service}} appointments.
+
+CURRENT CONVERSATION DATA ({{completion_percentage}}% complete):
+{{conversation_data}}
+
+REQUIRED INFORMATION TO COLLECT (in this order):
+{{required_fields}}
+
+CONVERSATION FLOW RULES:
+1. Ask ONE question at a time
+2. Collect the information in the order listed above
+3. Then collect customer contact information
+4. Finally schedule the appointment
+5. Keep voice responses very short and natural
+
+{{examples}}{{pricing}}{{#business_hours}}BUSINESS HOURS: {{business_hours}}
+
+{{/business_hours}}{{#warranty_policy}}WARRANTY POLICY: {{warranty_policy}}
+
+{{/warranty_policy}}IMPORTANT:
+- Match customer's communication style (detailed vs brief)
+- Handle multiple pieces of info if customer provides them
+- If customer gives lots of info at once, acknowledge and ask for missing pieces
+- For urgent customers, streamline the process
+- Always confirm all details before final scheduling
+
+{{tools}}Generate your next response based on what information is missing and keep it natural and efficient.`;
+
+// Shared by every request this isolate serves; a saved version is live
+// everywhere once the cached copy expires
+const promptTemplateCache = new Map();
+
+class PromptTemplateManager {
+  constructor(databaseClient, ttlMs = 5 * 60 * 1000) {
+    this.db = databaseClient;
+    this.ttlMs = ttlMs;
+  }
+
+  // { template, variables, version }: the tenant's active version (or the
+  // saved `version` a prompt experiment names) over the defaults
+  async getTemplate(organizationId, version = null) {
+    const cacheKey = version ? `${organizationId}:${version}` : organizationId;
+    const cached = promptTemplateCache.get(cacheKey);
+    if (cached && Date.now() - cached.loadedAt < this.ttlMs) {
+      return cached.promptTemplate;
+    }
+
+    try {
+      const result = version ?
+        await this.db.getPromptTemplateVersion(organizationId, version) :
+        await this.db.getPromptTemplate(organizationId);
+      if (!result?.success) {
+        throw new Error(result?.error || 'Prompt template lookup failed');
+      }
+
+      const promptTemplate = PromptTemplateManager.fromRow(result.template);
+      promptTemplateCache.set(cacheKey, { promptTemplate, loadedAt: Date.now() });
+
+      StructuredLogger.info('Prompt template loaded', {
+        organization_id: organizationId,
+        version: promptTemplate.version
+      });
+
+      return promptTemplate;
+    } catch (error) {
+      // A stale copy keeps the tenant's persona and prices; without one the defaults
+      StructuredLogger.warn('Could not load prompt template', {
+        organization_id: organizationId,
+        version,
+        using_cached: !!cached,
+        error: error.message
+      });
+      return cached?.promptTemplate || PromptTemplateManager.fromRow(null);
+    }
+  }
+
+  // The active version, or a draft ({ template, variables } as
+  // POST /prompt-templates on the database worker would save it) after the
+  // database worker has checked it
+  async preview(organizationId, draft = {}) {
+    if (draft.template === undefined && draft.variables === undefined) {
+      const result = await this.db.getPromptTemplate(organizationId);
+      if (!result?.success) {
+        throw new Error(result?.error || 'Prompt template lookup failed');
       }
+      return { valid: true, errors: [], draft: false, promptTemplate: PromptTemplateManager.fromRow(result.template) };
     }
-    
-    // Extract confirmation responses
-    const confirmationPatterns = {
-      'yes': ['yes', 'yeah', 'yep', 'sure', 'okay', 'ok', 'correct', 'right', 'that\'s right'],
-      'no': ['no', 'nope', 'not right', 'incorrect', 'wrong', 'that\'s wrong']
-    };
-    
-    for (const [confirmation, keywords] of Object.entries(confirmationPatterns)) {
-      for (const keyword of keywords) {
-        if (msgLower.includes(keyword)) {
-          extracted.lastConfirmation = confirmation;
-          break;
-        }
-      }
-      if (extracted.lastConfirmation) break;
+
+    const check = await this.db.validatePromptTemplate(draft.template ?? null, draft.variables || {});
+    if (!check?.success) {
+      throw new Error(check?.error || 'Prompt template validation failed');
     }
-    
-    // Extract location within issue (for specific problems)
-    const locationPatterns = {
-      'front': ['front', 'door', 'front door'],
-      'bottom': ['bottom', 'underneath', 'under'],
-      'back': ['back', 'behind', 'rear'],
-      'inside': ['inside', 'interior'],
-      'hose': ['hose', 'connection', 'pipe']
+    return {
+      valid: check.valid,
+      errors: check.errors,
+      draft: true,
+      promptTemplate: PromptTemplateManager.fromRow({ template: draft.template, variables: draft.variables })
     };
-    
-    for (const [location, keywords] of Object.entries(locationPatterns)) {
-      for (const keyword of keywords) {
-        if (msgLower.includes(keyword) && (msgLower.includes('leak') || msgLower.includes('water'))) {
-          extracted.issueLocation = location;
-          break;
-        }
-      }
-      if (extracted.issueLocation) break;
-    }
-    
-    // Calculate completion percentage
-    const requiredFields = ['applianceType', 'issueDescription', 'applianceMake', 'customerName', 'streetAddress', 'city', 'zipCode', 'callbackNumber', 'preferredTime'];
-    const completedFields = requiredFields.filter(field => extracted[field]);
-    extracted.completionPercentage = Math.round((completedFields.length / requiredFields.length) * 100);
-    
-    StructuredLogger.ai('information_extraction_completed', {
-      extracted_fields: Object.keys(extracted).filter(k => extracted[k] && k !== 'completionPercentage'),
-      completion_percentage: extracted.completionPercentage,
-      missing_fields: requiredFields.filter(field => !extracted[field])
-    });
-    
-    return extracted;
+  }
+
+  // A stored row (or null) as { template, variables, version }
+  static fromRow(row) {
+    return {
+      template: row?.template || DEFAULT_PROMPT_TEMPLATE,
+      variables: { ...DEFAULT_PROMPT_VARIABLES, ...(row?.variables || {}) },
+      version: row?.version || null
+    };
+  }
+
+  // Sections first, so the placeholders inside a kept one are filled too
+  static render(template, values) {
+    return template
+      .replace(/\{\{#([a-z_]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (_, name, inner) => values[name] ? inner : '')
+      .replace(/\{\{([a-z_]+)\}\}/g, (_, name) => values[name] ?? '');
   }
 }
 
 // =============================================================================
-// ENHANCED OPENAI CLIENT WITH CONVERSATION FLOW
+// EXPERIMENTS - A/B VARIANTS FOR PROMPTS, QUESTION ORDER AND VOICES
 // =============================================================================
 
-class EnhancedOpenAIClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.circuitBreaker = new CircuitBreaker('openai', 3, 60000);
+// Shared by every request this isolate serves; a short TTL so starting or
+// stopping an experiment takes effect within a minute
+const experimentCache = new Map();
+
+class ExperimentManager {
+  constructor(databaseClient, ttlMs = 60 * 1000) {
+    this.db = databaseClient;
+    this.ttlMs = ttlMs;
   }
 
-  async processMessage(message, systemPrompt, conversationHistory = [], retries = 2) {
-    return this.circuitBreaker.execute(async () => {
-      for (let attempt = 0; attempt <= retries; attempt++) {
-        const startTime = Date.now();
-        
-        try {
-          StructuredLogger.ai('openai_request_started', {
-            attempt: attempt + 1,
-            max_attempts: retries + 1,
-            message_length: message.length,
-            history_length: conversationHistory.length
-          });
+  // The tenant's running experiment (the database worker allows one), or null
+  async getActiveExperiment(organizationId) {
+    const cached = experimentCache.get(organizationId);
+    if (cached && Date.now() - cached.loadedAt < this.ttlMs) {
+      return cached.experiment;
+    }
 
-          // Build optimized message array
-          const messages = [
-            { role: 'system', content: systemPrompt },
-            ...conversationHistory.slice(-4).flatMap(h => [
-              { role: 'user', content: h.speech_input || h.message || h.user_message },
-              { role: 'assistant', content: h.ai_response || h.response || h.assistant_message }
-            ]).filter(m => m.content),
-            { role: 'user', content: message }
-          ];
-
-          const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${this.apiKey}`,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-              model: 'gpt-4o-mini',
-              messages,
-              temperature: 0.2,
-              max_tokens: 200,
-              stream: false
-            })
-          });
+    try {
+      const result = await this.db.getActiveExperiment(organizationId);
+      if (!result?.success) {
+        throw new Error(result?.error || 'Experiment lookup failed');
+      }
 
-          if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`OpenAI API error: ${response.status} - ${errorText}`);
-          }
+      experimentCache.set(organizationId, { experiment: result.experiment, loadedAt: Date.now() });
+      return result.experiment;
+    } catch (error) {
+      // Without a copy the caller just gets the tenant's normal settings
+      StructuredLogger.warn('Could not load experiment', {
+        organization_id: organizationId,
+        using_cached: !!cached,
+        error: error.message
+      });
+      return cached?.experiment || null;
+    }
+  }
 
-          const data = await response.json();
-          const assistantMessage = data.choices[0].message;
-          const duration = Date.now() - startTime;
-          
-          StructuredLogger.ai('openai_request_completed', {
-            attempt: attempt + 1,
-            duration_ms: duration,
-            response_length: assistantMessage.content?.length || 0
-          });
-          
-          return {
-            content: assistantMessage.content,
-            hasTools: false
-          };
-        } catch (error) {
-          const duration = Date.now() - startTime;
-          StructuredLogger.warn('OpenAI request attempt failed', {
-            attempt: attempt + 1,
-            max_attempts: retries + 1,
-            duration_ms: duration,
-            error: error.message
-          });
-          
-          if (attempt === retries) {
-            StructuredLogger.error('All OpenAI attempts failed', {
-              total_attempts: retries + 1,
-              final_error: error.message
-            });
-            throw error;
-          }
-          
-          // Exponential backoff
-          const backoffDelay = Math.pow(2, attempt) * 1000;
-          StructuredLogger.info('OpenAI retry backoff', {
-            attempt: attempt + 1,
-            backoff_ms: backoffDelay
-          });
-          await new Promise(resolve => setTimeout(resolve, backoffDelay));
-        }
-      }
-    });
+  // The same phone lands in the same variant on every turn and channel, in
+  // proportion to the variants' weights
+  static assign(experiment, customerPhone) {
+    const variants = experiment?.variants || [];
+    if (variants.length === 0 || !customerPhone) return null;
+
+    const weights = variants.map(variant => Number(variant.weight) > 0 ? Number(variant.weight) : 1);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let point = ExperimentManager.hash(`${experiment.id}:${customerPhone}`) / 0x100000000 * total;
+
+    for (let index = 0; index < variants.length; index++) {
+      point -= weights[index];
+      if (point < 0) return variants[index];
+    }
+    return variants[variants.length - 1];
+  }
+
+  // 32-bit FNV-1a, as an unsigned integer, with MurmurHash3's finalizer so
+  // numbers one digit apart land far apart
+  static hash(text) {
+    let hash = 0x811c9dc5;
+    for (let index = 0; index < text.length; index++) {
+      hash ^= text.charCodeAt(index);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+  }
+
+  // Kept on the conversation state and returned as metadata.experiment; the
+  // voice and SMS workers log it on each interaction
+  static getSignal(experiment, variant) {
+    if (!experiment || !variant) return null;
+    return {
+      id: experiment.id,
+      name: experiment.name,
+      kind: experiment.kind,
+      variant: variant.key,
+      voiceId: variant.voiceId || null
+    };
   }
 }
 
@@ -921,65 +6411,72 @@ class EnhancedOpenAIClient {
 // =============================================================================
 
 class EnhancedSystemPromptBuilder {
-  static buildPrompt(organizationId, organizationConfig, conversationData, channel = 'voice') {
+  // Renders the tenant's template (options.promptTemplate, from
+  // PromptTemplateManager) with this turn's conversation filled in
+  static buildPrompt(organizationId, organizationConfig, conversationData, channel = 'voice', options = {}) {
     const businessName = organizationConfig?.business_name || 'ABZ Appliance Repair';
     const isVoice = channel === 'voice';
+    const intakeSchema = options.intakeSchema || new IntakeSchema();
+    const { template, variables } = options.promptTemplate || PromptTemplateManager.fromRow(null);
     
     // Calculate completion percentage
-    const requiredFields = ['applianceType', 'issueDescription', 'applianceMake', 'customerName', 'streetAddress', 'city', 'zipCode', 'callbackNumber', 'preferredTime'];
+    const requiredFields = intakeSchema.requiredFields;
     const completedFields = requiredFields.filter(field => conversationData[field]);
     const completionPercentage = Math.round((completedFields.length / requiredFields.length) * 100);
     
-    let prompt = `You are Sarah, a professional AI assistant for ${businessName}. `;
-    
-    if (isVoice) {
-      prompt += `You're handling voice calls, so keep responses short (under 15 words when possible) and conversational. `;
-    } else {
-      prompt += `You're handling text messages, so be concise but can provide more detail when needed. `;
-    }
-    
-    prompt += `Your goal is to efficiently gather information and schedule appliance repairs.
-
-CURRENT CONVERSATION DATA (${completionPercentage}% complete):
-${JSON.stringify(conversationData, null, 2)}
-
-REQUIRED INFORMATION TO COLLECT:
-✅ Appliance type (washer, dryer, dishwasher, etc.)
-✅ Specific issue description 
-✅ Appliance make/brand
-✅ Customer full name
-✅ Complete address (street, city, zip)
-✅ Callback phone number
-✅ Preferred appointment time
-
-CONVERSATION FLOW RULES:
-1. Ask ONE question at a time
-2. Prioritize appliance and issue details first
-3. Then collect customer contact information
-4. Finally schedule the appointment
-5. Always mention diagnostic fee ($89) before final confirmation
-6. Keep voice responses very short and natural
+    const fieldList = intakeSchema.fields
+      .filter(field => field.required !== false)
+      .map(field => `✅ ${field.description || field.label}`)
+      .join('\n');
 
-RESPONSE EXAMPLES:
+    let examples = '';
+    let pricing = '';
+    if (intakeSchema.isDefault) {
+      examples = `RESPONSE EXAMPLES:
 - "What's happening with your washer?" (not "Can you tell me what specific issues you're experiencing with your washing machine?")
 - "What brand is it?" (not "What is the manufacturer or brand name of your appliance?")
 - "Your address?" (not "I'll need your complete street address where the repair will take place")
 
-DIAGNOSTIC AND PRICING INFO:
-- Diagnostic fee: $89 (goes toward repair)
-- Most repairs: $150-$300 plus parts
-- Mention pricing only at final confirmation
+`;
+      pricing = `DIAGNOSTIC AND PRICING INFO:
+- Diagnostic fee: ${variables.diagnostic_fee} (goes toward repair)
+- Most repairs: ${variables.repair_range} plus parts
+- Mention pricing only at final confirmation, and always mention the diagnostic fee before it
 
-IMPORTANT:
-- Match customer's communication style (detailed vs brief)
-- Handle multiple pieces of info if customer provides them
-- If customer gives lots of info at once, acknowledge and ask for missing pieces
-- For urgent customers, streamline the process
-- Always confirm all details before final scheduling
+`;
+    } else if (intakeSchema.summaryNote) {
+      pricing = `BEFORE FINAL CONFIRMATION, MENTION:
+${intakeSchema.summaryNote}
 
-Generate your next response based on what information is missing and keep it natural and efficient.`;
+`;
+    }
+
+    const tools = options.toolsEnabled ? `TOOLS:
+- lookup_faq: answer pricing, hours, warranty or policy questions from the business FAQ instead of guessing
+- check_service_area: check a ZIP code before promising a visit
+- find_appointment_slots: get real appointment windows instead of inventing times
+- book_appointment: only after the customer said yes to the full summary
+- escalate_to_human: when the customer asks for a person or describes an emergency
 
-    return prompt;
+` : '';
+
+    return PromptTemplateManager.render(template, {
+      ...variables,
+      business_name: businessName,
+      channel_guidance: isVoice ?
+        `You're handling voice calls, so keep responses short (under 15 words when possible) and conversational.` :
+        `You're handling text messages, so be concise but can provide more detail when needed.`,
+      language_guidance: options.language === 'es' ?
+        `The customer speaks Spanish: always reply in Spanish, using the formal "usted", even though these instructions are in English. Keep names, addresses and brand names exactly as the customer gave them.` :
+        '',
+      service: intakeSchema.service,
+      completion_percentage: String(completionPercentage),
+      conversation_data: JSON.stringify(conversationData, null, 2),
+      required_fields: fieldList,
+      examples,
+      pricing,
+      tools
+    });
   }
 }
 
@@ -987,14 +6484,28 @@ Generate your next response based on what information is missing and keep it nat
 // MAIN AI PROCESSING HANDLER WITH CONVERSATION FLOW
 // =============================================================================
 
-async function handleEnhancedAIProcessing(request, env, ctx) {
+// `emit`, when given, receives stream events (start, delta) while the reply is
+// being produced; the returned Response still carries the complete result.
+// `services` swaps in other data stores ({ directDB, databaseClient });
+// test/conversation-scenarios.mjs runs against in-memory ones.
+async function handleEnhancedAIProcessing(request, env, ctx, emit = null, services = {}) {
   const totalStartTime = EnhancedAIPerformanceMonitor.startTimer();
   let stageTimer = totalStartTime;
+  // Read by the error handler, which can't see the try block's constants
+  let requestData = {};
+  let responseLanguage = 'en';
   
   try {
     validateEnvironment(env);
     
-    const { message, tenantId, customerPhone, channel = 'voice' } = await request.json();
+    requestData = await request.json();
+    // `language` is the caller's number setting from the voice or SMS worker;
+    // `stage` is 'consent' when a call is answering the recording consent prompt
+    const { message, tenantId, channel = 'voice', language: requestedLanguage, stage } = requestData;
+    // One caller, one number: Twilio's From, a dashboard's "(571) 555-0199" and
+    // "5715550199" all key the same conversation
+    const customerPhone = PhoneNormalizer.normalize(requestData.customerPhone) || requestData.customerPhone;
+    responseLanguage = LanguageManager.normalize(requestedLanguage) || 'en';
     
     if (!message) {
       return Response.json({ 
@@ -1022,9 +6533,9 @@ async function handleEnhancedAIProcessing(request, env, ctx) {
     const organizationId = resolveOrganizationId(tenantId);
     
     // Initialize enhanced clients
-    const directDB = new EnhancedDirectSupabaseClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
-    const conversationManager = new EnhancedConversationStateManager(directDB);
-    const openaiClient = new EnhancedOpenAIClient(env.OPENAI_API_KEY);
+    const directDB = services.directDB || new EnhancedDirectSupabaseClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+    const databaseClient = services.databaseClient || new EnhancedDatabaseServiceClient(env.DATABASE_SERVICE);
+    const schedulingManager = new SchedulingManager(databaseClient);
 
     // Get organization config
     let organizationConfig = null;
@@ -1038,9 +6549,41 @@ async function handleEnhancedAIProcessing(request, env, ctx) {
       });
     }
     
+    // Provider, model, temperature and max tokens can be set per tenant
+    const llmClient = new EnhancedLLMClient(LLMProviderFactory.create(env, organizationConfig));
+
+    // The tenant's intake fields drive extraction, the question flow and the prompt
+    const intakeSchema = IntakeSchema.fromConfig(organizationConfig);
+    const vocabularyManager = new VocabularyManager(databaseClient);
+    intakeSchema.applyVocabularies(await vocabularyManager.getVocabularies(organizationId));
+
+    // Persona, tone, fees and policies the tenant set on their prompt template
+    const templateManager = new PromptTemplateManager(databaseClient);
+    let promptTemplate = await templateManager.getTemplate(organizationId);
+
+    // A running experiment may swap the template version, question order or voice
+    const experiment = await new ExperimentManager(databaseClient).getActiveExperiment(organizationId);
+    const variant = ExperimentManager.assign(experiment, customerPhone);
+    const experimentSignal = ExperimentManager.getSignal(experiment, variant);
+    if (variant?.promptTemplateVersion) {
+      promptTemplate = await templateManager.getTemplate(organizationId, variant.promptTemplateVersion);
+    }
+    if (variant?.questionOrder) {
+      intakeSchema.applyQuestionOrder(variant.questionOrder);
+    }
+
+    const conversationManager = new EnhancedConversationStateManager(directDB, intakeSchema);
+    const bookingManager = new AppointmentBookingManager(databaseClient, intakeSchema);
+    
     stageTimer = EnhancedAIPerformanceMonitor.logStage('load_config', stageTimer, {
       request_id: requestId,
-      organization_id: organizationId
+      organization_id: organizationId,
+      intake_schema: intakeSchema.isDefault ? 'default' : intakeSchema.service,
+      prompt_template_version: promptTemplate.version,
+      experiment_id: experimentSignal?.id || null,
+      experiment_variant: experimentSignal?.variant || null,
+      llm_provider: llmClient.provider.name,
+      llm_model: llmClient.provider.model
     });
 
     // Get conversation state
@@ -1050,61 +6593,324 @@ async function handleEnhancedAIProcessing(request, env, ctx) {
       state_id: conversationState.id
     });
 
+    // Questions, keywords, prompt and FAQs all follow the conversation's language
+    const { language, source: languageSource } = LanguageManager.resolve(
+      message,
+      conversationState.conversation_data,
+      requestedLanguage,
+      organizationConfig
+    );
+    responseLanguage = language;
+    conversationManager.setLanguage(language);
+    LanguageManager.localizeSchema(intakeSchema, language);
+
+    if (language !== conversationState.conversation_data?.language) {
+      StructuredLogger.info('Conversation language set', {
+        request_id: requestId,
+        language,
+        previous_language: conversationState.conversation_data?.language || null,
+        source: languageSource
+      });
+    }
+
+    emit?.({ type: 'start', language, experiment: experimentSignal });
+
+    // A text conversation handed to staff gets no bot reply until the pause runs out
+    if (!isVoice && HumanHandoffManager.isPaused(conversationState.conversation_data)) {
+      const handoff = conversationState.conversation_data.handoff;
+      StructuredLogger.info('Conversation is with staff, bot paused', {
+        request_id: requestId,
+        escalation_id: handoff.escalationId,
+        paused_until: handoff.pausedUntil
+      });
+
+      const totalTime = EnhancedAIPerformanceMonitor.logTotal(totalStartTime, requestId, {
+        organization_id: organizationId,
+        channel,
+        handoff_paused: true
+      });
+
+      const pausedIntent = IntentClassifier.classify(message);
+      return Response.json({
+        success: true,
+        response: '',
+        processingTime: totalTime,
+        metadata: {
+          organizationId,
+          conversationStep: conversationState.current_step,
+          handoff: HumanHandoffManager.getSignal(handoff, true),
+          intent: pausedIntent.intent,
+          intentConfidence: pausedIntent.confidence,
+          intentSource: pausedIntent.source,
+          language,
+          languageSource,
+          version: '16.0.0-conversation-flow'
+        }
+      });
+    }
+
+    // Days and hours the caller names are read on the tenant's clock
+    conversationManager.timeZone = TimePreferenceParser.resolveTimeZone(organizationConfig?.timezone);
+
     // Extract information from message
     const extractedInfo = conversationManager.extractInformation(message, conversationState.conversation_data);
-    
-    // Update conversation state if new info was extracted
-    if (JSON.stringify(extractedInfo) !== JSON.stringify(conversationState.conversation_data)) {
-      conversationManager.updateConversationState(conversationState.id, {
-        conversation_data: extractedInfo
+    extractedInfo.language = language;
+    if (experimentSignal) {
+      extractedInfo.experiment = { id: experimentSignal.id, variant: experimentSignal.variant };
+    } else {
+      delete extractedInfo.experiment;
+    }
+
+    // Hybrid mode lets the model catch phrasings the keyword lists miss
+    const extractionMode = organizationConfig?.extraction_mode === 'hybrid' ? 'hybrid' : 'pattern';
+    if (organizationConfig?.extraction_confidence_threshold != null) {
+      conversationManager.flowManager.confidenceThreshold = Number(organizationConfig.extraction_confidence_threshold);
+    }
+    conversationManager.flowManager.promptVariables = promptTemplate.variables;
+
+    if (extractionMode === 'hybrid') {
+      const extractor = new StructuredExtractionManager(llmClient, intakeSchema);
+      const modelFields = await extractor.extract(message, conversationState.conversation_data);
+      conversationManager.mergeModelExtraction(extractedInfo, modelFields);
+    }
+
+    // Validate the address before deciding what needs a read-back
+    const addressVerifier = new AddressVerifier(GeocoderFactory.create(env));
+    if (addressVerifier.needsCheck(extractedInfo)) {
+      await addressVerifier.verify(extractedInfo, requestId);
+      stageTimer = EnhancedAIPerformanceMonitor.logStage('verify_address', stageTimer, {
+        request_id: requestId,
+        geocoder: extractedInfo.addressValidation.provider,
+        outcome: extractedInfo.addressValidation.status
       });
     }
-    
+    conversationManager.flagLowConfidenceFields(extractedInfo);
+
+    const stateMachine = new ConversationStateMachine(intakeSchema);
+    stateMachine.applyConsent(extractedInfo, { channel, stage });
+
+    // Check the ZIP as soon as we have it, before any visit is promised
+    const serviceAreaManager = new ServiceAreaManager(databaseClient);
+    if (serviceAreaManager.needsCheck(extractedInfo)) {
+      await serviceAreaManager.check(organizationId, extractedInfo, requestId);
+      stageTimer = EnhancedAIPerformanceMonitor.logStage('service_area', stageTimer, {
+        request_id: requestId,
+        zip_code: extractedInfo.zipCode,
+        outcome: extractedInfo.serviceArea?.status || 'check_failed'
+      });
+    }
+
+    // Callers can't see the address, so read the normalized one back once
+    if (isVoice) {
+      addressVerifier.requestReadBack(extractedInfo);
+    }
+
+    // Urgent visits and hazards page the on-call technician; callers can be put straight through
+    const emergencyManager = new EmergencyEscalationManager(databaseClient);
+    let emergencyEvent = EmergencyEscalationManager.takeTransferAnswer(extractedInfo);
+    EmergencyEscalationManager.recordHazard(extractedInfo, message);
+    if (emergencyManager.needsEscalation(extractedInfo)) {
+      if (await emergencyManager.escalate(organizationId, customerPhone, conversationState, extractedInfo, { channel, message, requestId })) {
+        emergencyEvent = 'escalated';
+      }
+      stageTimer = EnhancedAIPerformanceMonitor.logStage('emergency_escalation', stageTimer, {
+        request_id: requestId,
+        escalation_id: extractedInfo.emergency?.escalationId || null,
+        hazard: extractedInfo.emergency?.hazard || null,
+        paged: !!extractedInfo.emergency?.paged
+      });
+    }
+
+    // Callers who ask for a person, or keep getting more frustrated, go to
+    // staff; an emergency that was just escalated already has someone on it
+    const handoffManager = new HumanHandoffManager(databaseClient, organizationConfig);
+    HumanHandoffManager.releaseExpired(extractedInfo);
+    let handoff = null;
+    if (handoffManager.needsHandoff(extractedInfo, message) && !emergencyEvent) {
+      handoff = await handoffManager.handOff(organizationId, customerPhone, conversationState, extractedInfo, { channel, requestId });
+      stageTimer = EnhancedAIPerformanceMonitor.logStage('human_handoff', stageTimer, {
+        request_id: requestId,
+        action: handoff?.action || null,
+        signals: handoff?.signals || extractedInfo.frustration.signals,
+        frustration_score: extractedInfo.frustration.score
+      });
+    }
+
+    // What the turn is about, for the interaction log and the analytics breakdown
+    const previousData = conversationState.conversation_data || {};
+    const intentResult = await IntentClassifier.classifyTurn(message, {
+      newFields: intakeSchema.fields.map(field => field.key).filter(key => extractedInfo[key] && extractedInfo[key] !== previousData[key]),
+      step: conversationState.current_step,
+      frustrationSignals: extractedInfo.frustration.signals,
+      askedForHuman: extractedInfo.frustration.askedForHuman,
+      emergencyEvent
+    }, extractionMode === 'hybrid' ? llmClient : null);
+    stageTimer = EnhancedAIPerformanceMonitor.logStage('classify_intent', stageTimer, {
+      request_id: requestId,
+      intent: intentResult.intent,
+      confidence: intentResult.confidence,
+      source: intentResult.source
+    });
+
+    const isOpenQuestion = conversationManager.isOpenQuestion(message, conversationState.conversation_data, extractedInfo);
+
     stageTimer = EnhancedAIPerformanceMonitor.logStage('extract_info', stageTimer, {
       request_id: requestId,
+      extraction_mode: extractionMode,
+      pending_confirmation: extractedInfo.pendingConfirmation || null,
       extracted_fields: Object.keys(extractedInfo).filter(k => extractedInfo[k]),
       completion_percentage: extractedInfo.completionPercentage
     });
 
+    // Book the appointment once the caller confirms the read-back summary
+    let bookingFailed = false;
+    let slotTaken = false;
+
+    if (bookingManager.isReadyToBook(conversationState.current_step, extractedInfo)) {
+      const booking = await bookingManager.book(organizationId, customerPhone, conversationState, extractedInfo, channel);
+
+      if (booking.appointment) {
+        extractedInfo.appointmentId = booking.appointment.id;
+        extractedInfo.appointmentReference = booking.appointment.id.substring(0, 8).toUpperCase();
+      } else if (booking.code === 'out_of_service_area' && booking.serviceArea) {
+        // Caught at booking time (e.g. the service area changed mid-conversation)
+        ServiceAreaManager.record(extractedInfo, booking.serviceArea);
+      } else if (booking.code === 'slot_unavailable') {
+        // Someone else took the window; drop the pick so fresh slots get offered
+        slotTaken = true;
+        delete extractedInfo.selectedSlot;
+        delete extractedInfo.preferredTime;
+        delete extractedInfo.offeredSlots;
+        extractedInfo.completionPercentage = conversationManager.calculateCompletionPercentage(extractedInfo);
+      } else {
+        bookingFailed = true;
+      }
+
+      stageTimer = EnhancedAIPerformanceMonitor.logStage('book_appointment', stageTimer, {
+        request_id: requestId,
+        appointment_id: extractedInfo.appointmentId,
+        booking_failed: bookingFailed,
+        slot_taken: slotTaken
+      });
+    }
+
+    // Offer concrete windows once the appointment time is the next thing to ask
+    const missingInfo = conversationManager.flowManager.getMissingInformation(extractedInfo);
+    if (schedulingManager.shouldOfferSlots(extractedInfo, missingInfo)) {
+      await schedulingManager.offerSlots(organizationId, extractedInfo);
+      extractedInfo.completionPercentage = conversationManager.calculateCompletionPercentage(extractedInfo);
+
+      stageTimer = EnhancedAIPerformanceMonitor.logStage('load_slots', stageTimer, {
+        request_id: requestId,
+        slot_count: extractedInfo.offeredSlots.length,
+        time_preference: extractedInfo.timePreference?.status || null
+      });
+    }
+
+    // Move to the step the collected information calls for; the flow asks from it
+    const stepContext = { requestId, channel, message, language };
+    const advanced = stateMachine.advance(conversationState.current_step, extractedInfo, stepContext);
+    let currentStep = advanced.step;
+    const stepTransitions = advanced.transitions;
+
     // Use conversation flow manager for response
-    let finalResponse = conversationManager.flowManager.generateResponse(extractedInfo, isVoice);
+    let finalResponse = bookingFailed ?
+      conversationManager.flowManager.generateBookingFailedResponse(isVoice) :
+      conversationManager.flowManager.generateResponse(extractedInfo, isVoice, currentStep);
+
+    if (slotTaken) {
+      finalResponse = conversationManager.flowManager.generateSlotTakenResponse(finalResponse);
+    }
+
+    if (emergencyEvent) {
+      finalResponse = conversationManager.flowManager.generateEmergencyResponse(extractedInfo, emergencyEvent, finalResponse, isVoice);
+    }
+
+    if (handoff) {
+      finalResponse = conversationManager.flowManager.generateHandoffResponse(handoff);
+    }
     
-    // If conversation flow didn't generate a good response, use AI
-    if (!finalResponse || finalResponse.includes('How can I help')) {
+    let toolbox = null;
+    let aiResult = null;
+    
+    // If conversation flow didn't generate a good response, or the customer
+    // asked something the flow can't answer, use AI (a closed conversation just
+    // says goodbye, an emergency keeps its safety advice and page notice, and a
+    // handoff just tells the customer who's taking over)
+    if (currentStep !== 'closed' && !emergencyEvent && !handoff && (!finalResponse || finalResponse.includes('How can I help') || isOpenQuestion)) {
+      const toolsEnabled = organizationConfig?.ai_tools_enabled !== false;
+      if (toolsEnabled) {
+        toolbox = new ConversationToolbox({
+          databaseClient,
+          bookingManager,
+          schedulingManager,
+          flowManager: conversationManager.flowManager,
+          organizationId,
+          customerPhone,
+          conversationState,
+          extractedInfo,
+          channel
+        });
+      }
+
       // Build system prompt
       const systemPrompt = EnhancedSystemPromptBuilder.buildPrompt(
         organizationId, 
         organizationConfig, 
         extractedInfo, 
-        channel
+        channel,
+        { toolsEnabled, intakeSchema, language, promptTemplate }
       );
 
-      // Get recent conversation history
+      // Recent turns verbatim plus a summary of everything before them
+      const memory = new ConversationMemory(llmClient, { tokenBudget: organizationConfig?.context_token_budget });
       let conversationHistory = [];
       try {
-        conversationHistory = await directDB.query(
-          `interactions?customer_phone=eq.${encodeURIComponent(customerPhone)}&organization_id=eq.${organizationId}&order=created_at.desc&limit=4&select=speech_input,ai_response`
-        );
-        conversationHistory = conversationHistory.reverse();
+        conversationHistory = await memory.loadHistory(directDB, organizationId, customerPhone, conversationState);
       } catch (error) {
         StructuredLogger.warn('Could not load conversation history', {
           error: error.message,
           customer_phone: customerPhone
         });
       }
+      const context = memory.buildContext(conversationHistory, conversationState.history_summary);
+
+      // Older turns are condensed after the reply, ready for the next request
+      if (memory.needsCompaction(context) && conversationState.id) {
+        ctx.waitUntil(memory.compact(conversationManager, directDB, {
+          organizationId,
+          customerPhone,
+          conversationState,
+          turnsToSummarize: context.turnsToSummarize
+        }));
+      }
       
       stageTimer = EnhancedAIPerformanceMonitor.logStage('load_history', stageTimer, {
         request_id: requestId,
-        history_count: conversationHistory.length
+        history_count: conversationHistory.length,
+        recent_turns: context.recentTurns.length,
+        dropped_turns: context.droppedCount,
+        summarizing_turns: context.turnsToSummarize.length,
+        has_summary: !!context.summary,
+        context_tokens: context.tokens,
+        token_budget: memory.tokenBudget
       });
 
-      // Process with OpenAI
-      const aiResult = await openaiClient.processMessage(message, systemPrompt, conversationHistory);
-      stageTimer = EnhancedAIPerformanceMonitor.logStage('openai_processing', stageTimer, {
-        request_id: requestId
+      // Process with the tenant's model
+      aiResult = await llmClient.processMessage(message, systemPrompt, context.recentTurns, {
+        toolbox,
+        summary: context.summary,
+        onDelta: emit && ((text) => emit({ type: 'delta', text }))
+      });
+      stageTimer = EnhancedAIPerformanceMonitor.logStage('llm_processing', stageTimer, {
+        request_id: requestId,
+        provider: llmClient.provider.name,
+        tool_calls: aiResult.toolCalls.map(call => call.name)
       });
       
-      finalResponse = aiResult.content;
+      // Tools may have moved the conversation on (e.g. booked), so fall back
+      // to a flow response built from the updated data
+      finalResponse = aiResult.content || conversationManager.flowManager.generateResponse(extractedInfo, isVoice, currentStep);
     } else {
       StructuredLogger.info('Using conversation flow response', {
         request_id: requestId,
@@ -1112,21 +6918,81 @@ async function handleEnhancedAIProcessing(request, env, ctx) {
       });
     }
 
-    // Ensure response length limits
-    if (isVoice && finalResponse.length > 200) {
-      finalResponse = finalResponse.substring(0, 200) + '...';
-      StructuredLogger.warn('Voice response truncated', {
+    // Whatever the model wrote is checked against the tenant's facts before
+    // it is spoken or texted; a blocked reply becomes the flow's next question
+    let guardrail = null;
+    let guardrailContext = null;
+    let guardrailViolations = [];
+    if (aiResult?.content) {
+      guardrail = new ResponseGuardrail(databaseClient, { organizationConfig, promptTemplate, intakeSchema, customerPhone });
+      guardrailContext = {
+        fallback: () => conversationManager.flowManager.generateResponse(extractedInfo, isVoice, currentStep),
+        extractedInfo,
+        toolCalls: aiResult.toolCalls,
+        organizationId,
+        customerPhone,
+        conversationStateId: conversationState.id,
+        channel,
+        requestId
+      };
+      const review = await guardrail.review(finalResponse, guardrailContext);
+      finalResponse = review.text;
+      guardrailViolations = review.violations;
+    }
+
+    // Fit the channel's limit at sentence boundaries; the full text is logged
+    const fullResponse = finalResponse;
+    const shortener = new ResponseShortener(llmClient, ResponseShortener.getLimits(organizationConfig));
+    const shortening = await shortener.shorten(finalResponse, { channel, language, requestId });
+    finalResponse = shortening.text;
+    if (shortening.method) {
+      stageTimer = EnhancedAIPerformanceMonitor.logStage('shorten_response', stageTimer, {
         request_id: requestId,
-        original_length: finalResponse.length + 3
+        method: shortening.method,
+        limit: shortening.limit
       });
-    } else if (!isVoice && finalResponse.length > 1500) {
-      finalResponse = finalResponse.substring(0, 1500) + '...';
-      StructuredLogger.warn('SMS response truncated', {
+    }
+
+    // A model rewrite is new model text, so it gets the same check
+    if (guardrail && guardrailViolations.length === 0 && shortening.method === 'model') {
+      const review = await guardrail.review(finalResponse, guardrailContext);
+      finalResponse = review.text;
+      guardrailViolations = review.violations;
+    }
+
+    if (guardrail) {
+      stageTimer = EnhancedAIPerformanceMonitor.logStage('output_guardrail', stageTimer, {
         request_id: requestId,
-        original_length: finalResponse.length + 3
+        blocked: guardrailViolations.length > 0,
+        rules: [...new Set(guardrailViolations.map(violation => violation.rule))]
       });
     }
 
+    // The reply is settled; the voice worker starts voicing it while state is saved
+    emit?.({ type: 'reply', text: finalResponse });
+
+    // Tools may have filled fields or booked, so settle the step again
+    const afterTools = stateMachine.advance(currentStep, extractedInfo, stepContext);
+    currentStep = afterTools.step;
+    stepTransitions.push(...afterTools.transitions);
+
+    // Update conversation state if new info was extracted or the step moved
+    const stateUpdates = {};
+    if (JSON.stringify(extractedInfo) !== JSON.stringify(conversationState.conversation_data)) {
+      stateUpdates.conversation_data = extractedInfo;
+    }
+    if (stepTransitions.length > 0) {
+      stateUpdates.current_step = currentStep;
+      stateUpdates.step_history = [...(conversationState.step_history || []), ...stepTransitions].slice(-MAX_STEP_HISTORY);
+    }
+    if (currentStep === 'closed') {
+      // The next message from this number starts a fresh conversation
+      stateUpdates.is_active = false;
+    }
+    if (Object.keys(stateUpdates).length > 0) {
+      await conversationManager.updateConversationState(conversationState.id, stateUpdates);
+    }
+
     const totalTime = EnhancedAIPerformanceMonitor.logTotal(totalStartTime, requestId, {
       organization_id: organizationId,
       channel,
@@ -1148,8 +7014,24 @@ async function handleEnhancedAIProcessing(request, env, ctx) {
       metadata: {
         organizationId,
         extractedInfo,
-        conversationStep: conversationState.current_step,
+        conversationStep: currentStep,
+        stepTransitions,
+        shortened: shortening.method,
+        fullResponseLength: fullResponse.length,
         completionPercentage: extractedInfo.completionPercentage,
+        appointmentId: extractedInfo.appointmentId || null,
+        toolCalls: aiResult ? aiResult.toolCalls.map(call => call.name) : [],
+        escalationId: toolbox?.escalation?.id || (emergencyEvent === 'escalated' ? extractedInfo.emergency.escalationId : null) || handoff?.escalationId || null,
+        transfer: emergencyEvent === 'accepted' ? EmergencyEscalationManager.getTransferTarget(extractedInfo) : null,
+        handoff: HumanHandoffManager.getSignal(handoff, handoff?.action === 'pause'),
+        intent: intentResult.intent,
+        intentConfidence: intentResult.confidence,
+        intentSource: intentResult.source,
+        promptTemplateVersion: promptTemplate.version,
+        experiment: experimentSignal,
+        guardrail: ResponseGuardrail.getSignal(guardrailViolations),
+        language,
+        languageSource,
         version: '16.0.0-conversation-flow'
       }
     });
@@ -1158,12 +7040,17 @@ async function handleEnhancedAIProcessing(request, env, ctx) {
     StructuredLogger.error('AI processing failed', {
       error: error.message,
       stack: error.stack,
-      request_data: { message: message?.substring(0, 100), tenantId, customerPhone, channel }
+      request_data: {
+        message: requestData.message?.substring(0, 100),
+        tenantId: requestData.tenantId,
+        customerPhone: requestData.customerPhone,
+        channel: requestData.channel
+      }
     });
     
     const totalTime = EnhancedAIPerformanceMonitor.logTotal(totalStartTime, 'ERROR');
     
-    const errorResponse = AIErrorResponseManager.getAIErrorResponse(error, channel);
+    const errorResponse = AIErrorResponseManager.getAIErrorResponse(error, requestData.channel || 'voice', responseLanguage);
     
     return Response.json({
       success: false,
@@ -1174,6 +7061,51 @@ async function handleEnhancedAIProcessing(request, env, ctx) {
   }
 }
 
+// =============================================================================
+// STREAMING PROCESSING - NDJSON OVER THE SERVICE BINDING
+// =============================================================================
+
+// Same processing as /process, written as one JSON event per line: `start`
+// (with the conversation language), `delta` text as the model produces it,
+// `reply` once the reply text is settled, then `done` with the usual response
+// body, or `error` with the fallback reply. The final `response` can differ
+// from the deltas (voice truncation, a flow fallback after tool calls, a
+// reply the output guardrails blocked), so clients should treat it as
+// authoritative.
+function handleStreamingAIProcessing(request, env, ctx) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const send = (event) => writer.write(encoder.encode(JSON.stringify(event) + '\n')).catch(() => {});
+
+  const work = (async () => {
+    try {
+      const response = await handleEnhancedAIProcessing(request, env, ctx, send);
+      const body = await response.json();
+      await send({ type: body.success ? 'done' : 'error', ...body });
+    } catch (error) {
+      StructuredLogger.error('Streaming processing failed', { error: error.message });
+      await send({
+        type: 'error',
+        success: false,
+        error: error.message,
+        response: AIErrorResponseManager.getAIErrorResponse(error)
+      });
+    } finally {
+      await writer.close().catch(() => {});
+    }
+  })();
+
+  ctx.waitUntil(work);
+
+  return new Response(readable, {
+    headers: {
+      'Content-Type': 'application/x-ndjson',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
@@ -1207,7 +7139,10 @@ async function handleRequest(request, env, ctx) {
   }
 
   if (url.pathname === '/process' && request.method === 'POST') {
-    const response = await handleEnhancedAIProcessing(request, env, ctx);
+    const wantsStream = (request.headers.get('Accept') || '').includes('application/x-ndjson');
+    const response = wantsStream ?
+      handleStreamingAIProcessing(request, env, ctx) :
+      await handleEnhancedAIProcessing(request, env, ctx);
     response.headers.set('Access-Control-Allow-Origin', '*');
     return response;
   }
@@ -1224,6 +7159,30 @@ async function handleRequest(request, env, ctx) {
           'enhanced-information-extraction',
           'scenario-based-responses',
           'completion-percentage-tracking',
+          'appointment-booking',
+          'technician-availability-slots',
+          'openai-tool-calling',
+          'hybrid-structured-extraction',
+          'negation-aware-phrase-matching',
+          'field-corrections',
+          'conversation-state-machine',
+          'rolling-conversation-summaries',
+          'sentence-aware-shortening',
+          'service-area-validation',
+          'address-normalization',
+          'e164-phone-normalization',
+          'natural-language-time-preferences',
+          'emergency-escalation',
+          'frustration-handoff',
+          'intent-classification',
+          'tenant-prompt-templates',
+          'ab-experiments',
+          'output-guardrails',
+          'tenant-intake-schemas',
+          'database-vocabularies',
+          'spanish-language-support',
+          'streaming-responses',
+          'pluggable-llm-providers',
           'structured-logging',
           'performance-monitoring'
         ]
@@ -1237,6 +7196,77 @@ async function handleRequest(request, env, ctx) {
     }
   }
 
+  // Keyword intent for turns answered without /process (FAQ and quick replies),
+  // so the SMS and voice workers can log one; given the tenant and caller, also
+  // the caller's experiment variant
+  if (url.pathname === '/classify' && request.method === 'POST') {
+    const { message, organizationId, customerPhone } = await request.json().catch(() => ({}));
+    if (!message) {
+      return Response.json({ success: false, error: 'Message required' }, { status: 400, headers: corsHeaders });
+    }
+
+    let experiment = null;
+    if (organizationId && customerPhone && env.DATABASE_SERVICE) {
+      const running = await new ExperimentManager(new EnhancedDatabaseServiceClient(env.DATABASE_SERVICE))
+        .getActiveExperiment(resolveOrganizationId(organizationId));
+      const phone = PhoneNormalizer.normalize(customerPhone) || customerPhone;
+      experiment = ExperimentManager.getSignal(running, ExperimentManager.assign(running, phone));
+    }
+
+    return Response.json({ success: true, ...IntentClassifier.classify(message), experiment }, { headers: corsHeaders });
+  }
+
+  // The prompt a tenant's template renders to, or a draft's before it is
+  // saved, with the conversation data given (or none yet)
+  if (url.pathname === '/prompt-templates/preview' && request.method === 'POST') {
+    try {
+      validateEnvironment(env);
+      const data = await request.json().catch(() => ({}));
+      if (!data.organizationId) {
+        return Response.json({ success: false, error: 'organizationId required' }, { status: 400, headers: corsHeaders });
+      }
+
+      const templateManager = new PromptTemplateManager(new EnhancedDatabaseServiceClient(env.DATABASE_SERVICE));
+      const preview = await templateManager.preview(data.organizationId, data);
+      if (!preview.valid) {
+        return Response.json({ success: false, valid: false, errors: preview.errors }, { status: 400, headers: corsHeaders });
+      }
+
+      const directDB = new EnhancedDirectSupabaseClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+      const configs = await directDB.query(`tenant_configs?organization_id=eq.${data.organizationId}&select=*&limit=1`);
+      const organizationConfig = configs[0] || null;
+
+      const prompt = EnhancedSystemPromptBuilder.buildPrompt(
+        data.organizationId,
+        organizationConfig,
+        data.conversationData || {},
+        data.channel === 'voice' ? 'voice' : 'sms',
+        {
+          toolsEnabled: !!data.toolsEnabled,
+          intakeSchema: IntakeSchema.fromConfig(organizationConfig),
+          language: data.language === 'es' ? 'es' : 'en',
+          promptTemplate: preview.promptTemplate
+        }
+      );
+
+      return Response.json({
+        success: true,
+        valid: true,
+        errors: [],
+        draft: preview.draft,
+        version: preview.promptTemplate.version,
+        variables: preview.promptTemplate.variables,
+        prompt
+      }, { headers: corsHeaders });
+    } catch (error) {
+      StructuredLogger.error('Prompt template preview failed', { error: error.message });
+      return Response.json({
+        success: false,
+        error: error.message
+      }, { status: 500, headers: corsHeaders });
+    }
+  }
+
   if (url.pathname === '/cleanup' && request.method === 'POST') {
     try {
       validateEnvironment(env);
@@ -1271,6 +7301,20 @@ async function handleRequest(request, env, ctx) {
 ✅ Customer Type Detection (Detailed, Vague, Urgent)
 ✅ Progressive Information Gathering
 ✅ Natural Question Flow Management
+✅ Guarded Conversation Steps (greeting → consent → problem → appliance details → contact → address → scheduling → confirmation → booked → closed), persisted with timestamps
+✅ Rolling Conversation Summaries: older turns condensed onto the conversation, recent turns kept verbatim within a token budget
+✅ Sentence-Aware Shortening: replies over the tenant's voice/SMS limit keep whole sentences, with one model rewrite if none fit
+✅ Service Areas: ZIP checked against excluded ZIPs, ZIP lists or a radius from the base ZIP as soon as it's captured; out-of-area callers get a polite decline with the tenant's referral
+✅ Addresses: Parsed into number, street, unit, city, state and ZIP with suffixes spelled out, checked through a pluggable geocoder (GEOCODER=offline|census) and read back in full on voice calls
+✅ Phone Numbers: Callers and callback numbers stored as E.164, with extensions (;ext=) and international numbers; the voice, SMS and database workers share the same PhoneNormalizer
+✅ Time Preferences: "next Tuesday after 3", "this weekend" or "any morning but Friday" read on the tenant's clock, searched as windows and confirmed back in plain language
+✅ Emergency Escalation: urgent visits page the tenant's on-call technician (flooding, gas and fire get safety advice first); callers are offered a warm transfer, and unacknowledged pages re-escalate from the database worker's cron
+✅ Human Handoff: asking for a person, swearing, repeating yourself or shouting builds a frustration score; a request or a high score hands off (calls transfer to tenant_configs.staff_phone, texts pause the bot and notify staff) and /process returns metadata.handoff
+✅ Intent Classification: every turn is tagged book_repair, pricing_question, hours, status_check, reschedule, cancel, complaint, spam or other with a confidence (keywords and conversation context; the model settles low-confidence turns in hybrid mode), returned as metadata.intent / intentConfidence and logged on the interaction
+✅ Prompt Templates: persona name, tone, diagnostic fee, repair range, warranty policy and hours come from the tenant's active prompt_templates version (edited, validated and rolled back through the database worker), falling back to Sarah, $89 and $150-$300
+✅ Experiments: a tenant's running experiment splits callers between prompt template versions, question orders or voices by a hash of their phone; the variant is kept on the conversation, returned as metadata.experiment and logged on every interaction, and the database worker's POST /analytics/experiments compares booking rate and turns
+✅ Output Guardrails: model replies are checked before they go out; prices, hours and warranty terms must appear in the tenant's prompt variables, FAQ answers or tool results (never the conversation), and legal or medical advice, competitor recommendations (plus tenant_configs.competitor_names) and other people's phone numbers, emails or addresses are blocked; a blocked reply is replaced by the flow's next question, returned as metadata.guardrail and recorded on the database worker's guardrail_events
+✅ Conversation Evaluation: node test/conversation-scenarios.mjs replays the scenarios below turn by turn through the processing handler, with the mock model and in-memory stores, and checks extracted fields, completion, step and reply limits; run it before every deploy
 
 🔄 CONVERSATION FLOW SCENARIOS:
 1. Detailed Customer: "My Samsung washer is leaking from the front door"
@@ -1278,10 +7322,10 @@ async function handleRequest(request, env, ctx) {
 3. Urgent Customer: "Emergency! My dishwasher is flooding!"
 4. Multiple Info: Customer provides name, address, and issue at once
 5. Progressive: Step-by-step information gathering
-6. Confirmation: Final appointment confirmation with pricing
+6. Confirmation: Final appointment confirmation with pricing, booked on "yes"
 7. Address Collection: Street, city, zip code extraction
 8. Contact Info: Name and callback number collection
-9. Scheduling: Time preference and availability
+9. Scheduling: Concrete appointment windows from technician availability
 10. Issue Detail: Specific problem identification
 
 📊 INFORMATION EXTRACTION:
@@ -1291,7 +7335,7 @@ async function handleRequest(request, env, ctx) {
 ✅ Customer Names: Full name extraction from various formats
 ✅ Addresses: Street address, city, zip code parsing
 ✅ Phone Numbers: Multiple format recognition and normalization
-✅ Time Preferences: morning, afternoon, urgent, specific times
+✅ Time Preferences: days, dayparts, clock ranges and excluded weekdays, or urgent
 
 🎤 VOICE-OPTIMIZED RESPONSES:
 - Short questions (under 15 words)
@@ -1335,17 +7379,23 @@ async function handleRequest(request, env, ctx) {
 - Confirmation Stage: Complete summary with pricing
 
 💰 PRICING INTEGRATION:
-- Diagnostic fee: $89 (goes toward repair)
-- Repair range: $150-$300 plus parts
+- Diagnostic fee: $89 (goes toward repair) unless the tenant's prompt template sets diagnostic_fee
+- Repair range: $150-$300 plus parts unless it sets repair_range
 - Mentioned only at final confirmation stage
 - Clear value proposition communication
 
 Worker URL: ${request.url}
 Health Check: ${request.url}/health
-Processing Endpoint: ${request.url}/process
+Processing Endpoint: ${request.url}/process (send Accept: application/x-ndjson to stream start/delta/reply/done events)
+Prompt Preview: ${request.url}/prompt-templates/preview (POST { "organizationId", "template", "variables", "channel", "language", "conversationData" }; leave out template and variables to render the active version)
+Intent Endpoint: ${request.url}/classify (POST { "message": "...", "organizationId", "customerPhone" } -> { "intent", "confidence", "source", "experiment" })
 
 Environment Status:
-- OPENAI_API_KEY: ${env.OPENAI_API_KEY ? '✅ Set' : '❌ Missing'}
+- LLM_PROVIDER: ${LLMProviderFactory.normalizeName(env.LLM_PROVIDER) || 'openai'} (${LLMProviderFactory.hasCredentials(env.LLM_PROVIDER, env) ? '✅ Credentials set' : '❌ Credentials missing'})
+- OPENAI_API_KEY: ${env.OPENAI_API_KEY ? '✅ Set' : '➖ Not set'}
+- ANTHROPIC_API_KEY: ${env.ANTHROPIC_API_KEY ? '✅ Set' : '➖ Not set'}
+- AZURE_OPENAI_ENDPOINT: ${env.AZURE_OPENAI_ENDPOINT ? '✅ Set' : '➖ Not set'}
+- LLM_BASE_URL: ${env.LLM_BASE_URL ? '✅ Set' : '➖ Not set'}
 - SUPABASE_URL: ${env.SUPABASE_URL ? '✅ Set' : '❌ Missing'}
 - SUPABASE_SERVICE_KEY: ${env.SUPABASE_SERVICE_KEY ? '✅ Set' : '❌ Missing'}
 - DATABASE_SERVICE: ${env.DATABASE_SERVICE ? '✅ Connected' : '❌ Missing'}
@@ -6,6 +6,14 @@
 // Environment Variables needed:
 // SUPABASE_URL
 // SUPABASE_SERVICE_KEY
+// ADMIN_API_TOKEN (optional) - turns on maintenance routes like POST /phones/backfill
+
+// Service Bindings (optional):
+// SMS_SERVICE (bound to sms-agent-worker) - texts on-call pages; set the same
+//   SMS_API_TOKEN on both workers
+
+// Cron Triggers:
+// "* * * * *" - re-pages escalations nobody acknowledged in time
 
 // Supabase client function
 async function callSupabase(url, serviceKey, endpoint, method = 'GET', body = null) {
@@ -30,6 +38,129 @@ async function callSupabase(url, serviceKey, endpoint, method = 'GET', body = nu
   return responseText ? JSON.parse(responseText) : [];
 }
 
+// Maintenance routes that rewrite or delete data need
+// "Authorization: Bearer <ADMIN_API_TOKEN>"; without the variable they stay off
+function isAdminRequest(request, env) {
+  if (!env.ADMIN_API_TOKEN) return false;
+
+  const given = request.headers.get('Authorization') || '';
+  const expected = `Bearer ${env.ADMIN_API_TOKEN}`;
+  // Compare every character so the response time doesn't give the token away
+  let difference = given.length ^ expected.length;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= (given.charCodeAt(i) || 0) ^ expected.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+// =============================================================================
+// PHONE NUMBERS - E.164 NORMALIZATION
+// =============================================================================
+
+// Copy of the processor's PhoneNormalizer; change them together so every
+// worker stores a caller under the same number. test/phone-normalizer.mjs
+// runs the same vectors through every copy.
+
+const DEFAULT_PHONE_COUNTRY_CODE = '1';
+
+// Two-digit country codes; 1 and 7 are the only one-digit codes and
+// everything else is three digits
+const TWO_DIGIT_COUNTRY_CODES = new Set([
+  '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+  '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66',
+  '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98'
+]);
+
+const PHONE_EXTENSION_PATTERN = /\s*(?:;\s*ext=|,\s*|\b(?:ext|extension|extensi[óo]n)\.?\s*|\bx\.?\s*|#\s*)(\d{1,6})\s*$/i;
+
+class PhoneNormalizer {
+  static getCountryCode(digits) {
+    if (/^[17]/.test(digits)) return digits.charAt(0);
+    if (TWO_DIGIT_COUNTRY_CODES.has(digits.substring(0, 2))) return digits.substring(0, 2);
+    return digits.substring(0, 3);
+  }
+
+  // Splits a raw number into { e164, countryCode, nationalNumber, extension, valid, reason }.
+  // Numbers without a "+" or international prefix are read as North American.
+  static parse(value, defaultCountryCode = DEFAULT_PHONE_COUNTRY_CODE) {
+    if (value === null || value === undefined) return null;
+
+    let text = String(value).trim().replace(/^tel:/i, '');
+    if (!text) return null;
+
+    let extension = null;
+    const extensionMatch = text.match(PHONE_EXTENSION_PATTERN);
+    if (extensionMatch && /\d{7}/.test(text.slice(0, extensionMatch.index).replace(/\D/g, ''))) {
+      extension = extensionMatch[1];
+      text = text.slice(0, extensionMatch.index);
+    }
+
+    // Anything left besides digits and punctuation ("anonymous", "client:alice") isn't a number
+    if (!/^[+\d\s().-]+$/.test(text)) {
+      return { e164: null, countryCode: null, nationalNumber: null, extension, valid: false, reason: 'not_a_number' };
+    }
+
+    let digits = text.replace(/\D/g, '');
+    const international = /^\s*\+/.test(text) || /^(?:00|011)/.test(digits);
+    if (!international) {
+      // A bare "1" in front of ten digits is the North American trunk prefix
+      if (defaultCountryCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+        digits = digits.substring(1);
+      }
+      digits = `${defaultCountryCode}${digits}`;
+    } else if (!/^\s*\+/.test(text)) {
+      digits = digits.replace(/^(?:011|00)/, '');
+    }
+
+    const countryCode = PhoneNormalizer.getCountryCode(digits);
+    const nationalNumber = digits.substring(countryCode.length);
+    const result = { e164: `+${digits}`, countryCode, nationalNumber, extension, valid: false, reason: null };
+
+    if (/^0/.test(digits)) {
+      result.reason = 'invalid_country_code';
+    } else if (digits.length < 8) {
+      result.reason = 'too_short';
+    } else if (digits.length > 15) {
+      result.reason = 'too_long';
+    } else if (countryCode === '1' && !/^[2-9]\d{2}[2-9]\d{6}$/.test(nationalNumber)) {
+      // Area codes and exchanges never start with 0 or 1
+      result.reason = 'invalid_nanp';
+    } else {
+      result.valid = true;
+    }
+    return result;
+  }
+
+  // E.164 with any extension as ";ext=", or null when the number doesn't hold up
+  static normalize(value, defaultCountryCode = DEFAULT_PHONE_COUNTRY_CODE) {
+    const parsed = PhoneNormalizer.parse(value, defaultCountryCode);
+    if (!parsed?.valid) return null;
+    return parsed.extension ? `${parsed.e164};ext=${parsed.extension}` : parsed.e164;
+  }
+
+  static isValid(value) {
+    return !!PhoneNormalizer.parse(value)?.valid;
+  }
+
+  // "(571) 555-0199 ext. 23" at home, "+44 2079460958" abroad
+  static format(value) {
+    const parsed = PhoneNormalizer.parse(value);
+    if (!parsed?.valid) return value;
+
+    const { countryCode, nationalNumber, extension } = parsed;
+    const number = countryCode === '1' ?
+      `(${nationalNumber.substring(0, 3)}) ${nationalNumber.substring(3, 6)}-${nationalNumber.substring(6)}` :
+      `+${countryCode} ${nationalNumber}`;
+    return extension ? `${number} ext. ${extension}` : number;
+  }
+}
+
+// Stored numbers are E.164; anything that won't parse ("anonymous") is kept
+// as given rather than dropped
+function normalizeStoredPhone(phone) {
+  return PhoneNormalizer.normalize(phone) || phone;
+}
+
 // ============================================================================= 
 // NEW FUNCTIONS FOR VOICE AGENT INTEGRATION
 // =============================================================================
@@ -169,7 +300,7 @@ async function getOrganizationFAQs(organizationId, env) {
       faqs = await callSupabase(
         env.SUPABASE_URL,
         env.SUPABASE_SERVICE_KEY,
-        `faqs?organization_id=eq.${organizationId}&select=id,question,response,keywords,category,usage_count,audio_url`
+        `faqs?organization_id=eq.${organizationId}&select=id,question,response,keywords,category,usage_count,audio_url,language`
       );
       if (faqs.length > 0) {
         console.log(`✅ Found ${faqs.length} FAQs via organization_id`);
@@ -184,7 +315,7 @@ async function getOrganizationFAQs(organizationId, env) {
         faqs = await callSupabase(
           env.SUPABASE_URL,
           env.SUPABASE_SERVICE_KEY,
-          `faqs?company_id=eq.${organizationId}&select=id,question,response,keywords,category,usage_count,audio_url`
+          `faqs?company_id=eq.${organizationId}&select=id,question,response,keywords,category,usage_count,audio_url,language`
         );
         if (faqs.length > 0) {
           console.log(`✅ Found ${faqs.length} FAQs via company_id`);
@@ -200,7 +331,7 @@ async function getOrganizationFAQs(organizationId, env) {
         faqs = await callSupabase(
           env.SUPABASE_URL,
           env.SUPABASE_SERVICE_KEY,
-          `faqs?tenant_id=eq.${organizationId}&select=id,question,response,keywords,category,usage_count,audio_url`
+          `faqs?tenant_id=eq.${organizationId}&select=id,question,response,keywords,category,usage_count,audio_url,language`
         );
         if (faqs.length > 0) {
           console.log(`✅ Found ${faqs.length} FAQs via tenant_id`);
@@ -240,10 +371,11 @@ async function getOrganizationFAQs(organizationId, env) {
 // Get customer information
 async function getCustomer(phone, tenantId, env) {
   try {
-    console.log(`📋 Getting customer: ${phone} (Tenant: ${tenantId})`);
+    const customerPhone = normalizeStoredPhone(phone);
+    console.log(`📋 Getting customer: ${customerPhone} (Tenant: ${tenantId})`);
     
     // Build query with tenant filtering if available
-    let query = `customers?phone=eq.${encodeURIComponent(phone)}&select=id,name,total_interactions,last_contact`;
+    let query = `customers?phone=eq.${encodeURIComponent(customerPhone)}&select=id,name,total_interactions,last_contact`;
     if (tenantId) {
       query += `&tenant_id=eq.${tenantId}`;
     }
@@ -266,10 +398,11 @@ async function getCustomer(phone, tenantId, env) {
 // Create or update customer
 async function upsertCustomer(phone, tenantId, env) {
   try {
-    console.log(`👤 Upserting customer: ${phone} (Tenant: ${tenantId})`);
+    const customerPhone = normalizeStoredPhone(phone);
+    console.log(`👤 Upserting customer: ${customerPhone} (Tenant: ${tenantId})`);
     
     // Try to find existing customer
-    const existing = await getCustomer(phone, tenantId, env);
+    const existing = await getCustomer(customerPhone, tenantId, env);
     
     if (existing) {
       // Update existing customer
@@ -297,7 +430,7 @@ async function upsertCustomer(phone, tenantId, env) {
         'customers',
         'POST',
         {
-          phone: phone,
+          phone: customerPhone,
           tenant_id: tenantId,
           first_contact_date: new Date().toISOString(),
           last_contact_date: new Date().toISOString(),
@@ -332,16 +465,18 @@ async function logInteraction(data, env) {
       {
         tenant_id: data.organizationId || data.tenantId,
         customer_id: customer?.id,
-        customer_phone: data.customerPhone,
+        customer_phone: normalizeStoredPhone(data.customerPhone),
         speech_input: data.speech,
         ai_response: data.response,
         processing_time_ms: data.processingTime,
         channel: 'voice',
         intent: data.intent || null,
-        confidence_score: data.confidenceScore || null,
+        confidence_score: data.confidenceScore ?? null,
         faq_matched: data.faqMatched || false,
         faq_id: data.faqId || null,
         used_cache: data.usedCache || false,
+        experiment_id: data.experimentId || null,
+        experiment_variant: data.experimentVariant || null,
         created_at: new Date().toISOString()
       }
     );
@@ -357,10 +492,12 @@ async function logInteraction(data, env) {
 // Log SMS interaction
 async function logSMSInteraction(data, env) {
   try {
-    console.log(`📱 Logging SMS interaction for tenant: ${data.tenantId}`);
+    // The SMS worker sends organizationId; older callers send tenantId
+    const tenantId = data.tenantId || data.organizationId;
+    console.log(`📱 Logging SMS interaction for tenant: ${tenantId}`);
     
     // Ensure customer exists
-    const customer = await upsertCustomer(data.customerPhone, data.tenantId, env);
+    const customer = await upsertCustomer(data.customerPhone, tenantId, env);
     
     // Log the SMS interaction
     await callSupabase(
@@ -369,16 +506,18 @@ async function logSMSInteraction(data, env) {
       'interactions',
       'POST',
       {
-        tenant_id: data.tenantId,
+        tenant_id: tenantId,
         customer_id: customer?.id,
-        customer_phone: data.customerPhone,
+        customer_phone: normalizeStoredPhone(data.customerPhone),
         speech_input: data.message,
         ai_response: data.response,
         channel: 'sms',
         intent: data.intent || null,
-        confidence_score: data.confidenceScore || null,
+        confidence_score: data.confidenceScore ?? null,
         faq_matched: data.faqMatched || false,
         faq_id: data.faqId || null,
+        experiment_id: data.experimentId || null,
+        experiment_variant: data.experimentVariant || null,
         created_at: new Date().toISOString()
       }
     );
@@ -394,9 +533,10 @@ async function logSMSInteraction(data, env) {
 // Get conversation history
 async function getConversationHistory(phone, tenantId, limit = 5, env) {
   try {
-    console.log(`💬 Getting conversation history for: ${phone}`);
+    const customerPhone = normalizeStoredPhone(phone);
+    console.log(`💬 Getting conversation history for: ${customerPhone}`);
     
-    let query = `interactions?customer_phone=eq.${encodeURIComponent(phone)}&order=created_at.desc&limit=${limit}&select=speech_input,ai_response,created_at,channel`;
+    let query = `interactions?customer_phone=eq.${encodeURIComponent(customerPhone)}&order=created_at.desc&limit=${limit}&select=speech_input,ai_response,created_at,channel`;
     if (tenantId) {
       query += `&tenant_id=eq.${tenantId}`;
     }
@@ -411,17 +551,27 @@ async function getConversationHistory(phone, tenantId, limit = 5, env) {
   }
 }
 
-// Get FAQ match for a query
-async function getFAQMatch(companyId, query, env) {
+// Untagged FAQs are English. The SMS and voice workers filter their cached
+// FAQs by the same rule; test/faq-language.mjs checks all three.
+function faqMatchesLanguage(faq, language) {
+  return (faq.language || 'en') === language;
+}
+
+// Get FAQ match for a query. With a language, only FAQs in that language
+// (untagged ones count as English) are considered.
+async function getFAQMatch(companyId, query, env, language = null) {
   try {
-    console.log(`🔍 FAQ lookup for company ${companyId}: "${query}"`);
+    console.log(`🔍 FAQ lookup for company ${companyId}: "${query}"${language ? ` (${language})` : ''}`);
     
     // Get FAQs for company
-    const faqs = await callSupabase(
+    const allFaqs = await callSupabase(
       env.SUPABASE_URL,
       env.SUPABASE_SERVICE_KEY,
-      `faqs?company_id=eq.${companyId}&select=id,question,response,keywords,category,usage_count`
+      `faqs?company_id=eq.${companyId}&select=id,question,response,keywords,category,usage_count,language`
     );
+    const faqs = language ?
+      (allFaqs || []).filter(faq => faqMatchesLanguage(faq, language)) :
+      allFaqs;
     
     if (!faqs || faqs.length === 0) {
       console.log('❌ No FAQs found for company');
@@ -579,209 +729,2341 @@ async function getAnalytics(tenantId, period = '7d', env) {
 }
 
 // =============================================================================
-// MAIN REQUEST HANDLER
+// APPOINTMENT FUNCTIONS
 // =============================================================================
 
-// Handle different request types
-async function handleRequest(request, env, ctx) {
-  const url = new URL(request.url);
-  
-  // CORS headers for cross-worker communication
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
-  };
-
-  // Handle CORS preflight
-  if (request.method === 'OPTIONS') {
-    return new Response(null, { headers: corsHeaders });
-  }
-
+// Create appointment from a completed intake conversation
+async function createAppointment(data, env) {
   try {
-    // =============================================================================
-    // NEW ENDPOINTS FOR VOICE AGENT INTEGRATION
-    // =============================================================================
+    console.log(`📅 Creating appointment for organization: ${data.organizationId}`);
 
-    // IDENTIFY ORGANIZATION ENDPOINT
-    if (url.pathname === '/identify' && request.method === 'POST') {
-      const { phone } = await request.json();
-      const organizationId = await identifyOrganization(phone, env);
-      return Response.json({ organizationId }, { headers: corsHeaders });
+    if (!data.organizationId || !data.customerPhone) {
+      return { success: false, error: 'organizationId and customerPhone required' };
     }
 
-    // GET ORGANIZATION CONFIG ENDPOINT  
-    if (url.pathname.startsWith('/config/') && request.method === 'GET') {
-      const organizationId = url.pathname.split('/config/')[1];
-      const config = await getOrganizationConfig(organizationId, env);
-      return Response.json(config, { headers: corsHeaders });
-    }
+    // A retried confirmation must not book the same conversation twice
+    if (data.conversationStateId) {
+      const existing = await callSupabase(
+        env.SUPABASE_URL,
+        env.SUPABASE_SERVICE_KEY,
+        `appointments?conversation_state_id=eq.${data.conversationStateId}&status=eq.scheduled&select=*&limit=1`
+      );
 
-    // GET ORGANIZATION FAQS ENDPOINT
-    if (url.pathname === '/organization/faqs' && request.method === 'GET') {
-      const organizationId = url.searchParams.get('organizationId');
-      const faqs = await getOrganizationFAQs(organizationId, env);
-      return Response.json(faqs, { headers: corsHeaders });
+      if (existing.length > 0) {
+        console.log(`♻️ Appointment already exists for conversation: ${existing[0].id}`);
+        return { success: true, appointment: existing[0], duplicate: true };
+      }
     }
 
-    // =============================================================================
-    // EXISTING ENDPOINTS
-    // =============================================================================
+    // Never book outside the service area, whatever the caller was told
+    let reviewReason = null;
+    if (data.zipCode) {
+      const area = await checkServiceArea(data.organizationId, data.zipCode, env);
+      if (area.success && area.status === 'not_served') {
+        console.log(`🚫 Not booking outside the service area: ${area.zipCode}`);
+        return { success: false, code: 'out_of_service_area', error: 'ZIP code is outside the service area', serviceArea: area };
+      }
 
-    // Route requests
-    if (url.pathname === '/log' && request.method === 'POST') {
-      const data = await request.json();
-      const result = await logInteraction(data, env);
-      return Response.json(result, { headers: corsHeaders });
+      // A ZIP we can't place against the tenant's radius is booked but held
+      // for staff to confirm before anyone drives out
+      if (area.success && area.reason === 'no_centroid') {
+        reviewReason = `ZIP ${area.zipCode} has no known centroid, so the service radius was not checked`;
+      }
     }
 
-    if (url.pathname === '/sms-log' && request.method === 'POST') {
-      const data = await request.json();
-      const result = await logSMSInteraction(data, env);
-      return Response.json(result, { headers: corsHeaders });
+    // Concrete slots are re-checked against capacity at booking time
+    let technicianId = null;
+    if (data.scheduledStart) {
+      const assignment = await assignTechnician(data.organizationId, data.scheduledStart, data.scheduledEnd, env);
+      if (!assignment.available) {
+        console.log(`❌ Slot no longer available: ${data.scheduledStart}`);
+        return { success: false, code: 'slot_unavailable', error: 'Requested slot is no longer available' };
+      }
+      technicianId = assignment.technicianId;
     }
 
-    if (url.pathname === '/customer' && request.method === 'POST') {
-      const { phone, tenantId } = await request.json();
-      const customer = await getCustomer(phone, tenantId, env);
-      return Response.json(customer, { headers: corsHeaders });
+    const customer = await getCustomer(data.customerPhone, data.organizationId, env);
+
+    const appointments = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      'appointments',
+      'POST',
+      {
+        organization_id: data.organizationId,
+        customer_id: customer?.id || null,
+        customer_phone: normalizeStoredPhone(data.customerPhone),
+        conversation_state_id: data.conversationStateId || null,
+        customer_name: data.customerName || null,
+        street_address: data.streetAddress || null,
+        city: data.city || null,
+        zip_code: data.zipCode || null,
+        callback_number: normalizeStoredPhone(data.callbackNumber || data.customerPhone),
+        appliance_type: data.applianceType || null,
+        appliance_make: data.applianceMake || null,
+        issue_description: data.issueDescription || null,
+        issue_location: data.issueLocation || null,
+        preferred_time: data.preferredTime || null,
+        intake_data: data.intakeData || null,
+        scheduled_start: data.scheduledStart || null,
+        scheduled_end: data.scheduledEnd || null,
+        technician_id: technicianId,
+        source_channel: data.channel || 'voice',
+        notes: data.notes || null,
+        experiment_id: data.experimentId || null,
+        experiment_variant: data.experimentVariant || null,
+        status: 'scheduled',
+        needs_review: !!reviewReason,
+        review_reason: reviewReason,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }
+    );
+
+    console.log(`✅ Created appointment: ${appointments[0].id}`);
+
+    if (reviewReason) {
+      const escalation = await createEscalation({
+        organizationId: data.organizationId,
+        customerPhone: data.customerPhone,
+        conversationStateId: data.conversationStateId,
+        channel: data.channel,
+        reason: `Confirm the service area before dispatch: ${reviewReason}`,
+        urgency: 'normal',
+        summary: `Appointment ${appointments[0].id} at ${[data.streetAddress, data.city, data.zipCode].filter(Boolean).join(', ')}`,
+        notifyStaff: true
+      }, env);
+      console.log(`⚠️ Appointment ${appointments[0].id} flagged for review: ${reviewReason}`);
+      return { success: true, appointment: appointments[0], review: { reason: reviewReason, escalationId: escalation.escalation?.id || null } };
     }
 
-    if (url.pathname === '/history' && request.method === 'POST') {
-      const { phone, tenantId, limit } = await request.json();
-      const history = await getConversationHistory(phone, tenantId, limit, env);
-      return Response.json(history, { headers: corsHeaders });
+    return { success: true, appointment: appointments[0] };
+  } catch (error) {
+    console.error('Failed to create appointment:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Get a single appointment
+async function getAppointment(appointmentId, env) {
+  try {
+    console.log(`📅 Getting appointment: ${appointmentId}`);
+
+    const appointments = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `appointments?id=eq.${appointmentId}&select=*&limit=1`
+    );
+
+    if (appointments.length > 0) {
+      console.log(`✅ Found appointment: ${appointmentId}`);
+      return appointments[0];
     }
 
-    // FAQ ENDPOINT
-    if (url.pathname === '/faqs' && request.method === 'POST') {
-      const { companyId, query } = await request.json();
-      const faq = await getFAQMatch(companyId, query, env);
-      return Response.json({ faq }, { headers: corsHeaders });
+    console.log('❌ Appointment not found');
+    return null;
+  } catch (error) {
+    console.error('Failed to get appointment:', error);
+    return null;
+  }
+}
+
+// List appointments for an organization
+async function listAppointments(filters, env) {
+  try {
+    console.log(`📅 Listing appointments for organization: ${filters.organizationId}`);
+
+    let query = `appointments?order=created_at.desc&limit=${filters.limit || 50}&select=*`;
+    if (filters.organizationId) {
+      query += `&organization_id=eq.${filters.organizationId}`;
+    }
+    if (filters.customerPhone) {
+      query += `&customer_phone=eq.${encodeURIComponent(normalizeStoredPhone(filters.customerPhone))}`;
+    }
+    if (filters.status) {
+      query += `&status=eq.${filters.status}`;
+    }
+    if (filters.needsReview) {
+      query += '&needs_review=eq.true';
     }
 
-    // FAQ USAGE UPDATE ENDPOINT
-    if (url.pathname === '/faq-usage' && request.method === 'POST') {
-      const { faqId } = await request.json();
-      await updateFAQUsage(faqId, env);
-      return Response.json({ success: true }, { headers: corsHeaders });
+    const appointments = await callSupabase(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY, query);
+
+    console.log(`✅ Found ${appointments.length} appointments`);
+    return appointments;
+  } catch (error) {
+    console.error('Failed to list appointments:', error);
+    return [];
+  }
+}
+
+// Cancel an appointment
+async function cancelAppointment(appointmentId, reason, env) {
+  try {
+    console.log(`🚫 Cancelling appointment: ${appointmentId}`);
+
+    const existing = await getAppointment(appointmentId, env);
+    if (!existing) {
+      return { success: false, error: 'Appointment not found' };
     }
 
-    // DEBUG FAQ ENDPOINT
-    if (url.pathname === '/debug-faqs' && request.method === 'GET') {
-      const companyId = url.searchParams.get('companyId') || '123';
-      
-      try {
-        console.log(`🔍 Debug FAQ lookup for company ${companyId}`);
-        
-        // Test direct Supabase access
-        const faqs = await callSupabase(
-          env.SUPABASE_URL,
-          env.SUPABASE_SERVICE_KEY,
-          `faqs?company_id=eq.${companyId}&select=id,question,response,keywords,category,usage_count`
-        );
-        
-        // Also try to get ALL FAQs to see what's in the table
-        const allFAQs = await callSupabase(
-          env.SUPABASE_URL,
-          env.SUPABASE_SERVICE_KEY,
-          `faqs?select=id,company_id,keywords,response&limit=10`
-        );
-        
-        return Response.json({
-          debug: true,
-          companyId,
-          supabaseUrl: env.SUPABASE_URL,
-          hasServiceKey: !!env.SUPABASE_SERVICE_KEY,
-          faqsFound: faqs ? faqs.length : 0,
-          faqs: faqs || null,
-          allFAQs: allFAQs || null,
-          query: `faqs?company_id=eq.${companyId}&select=id,question,response,keywords,category,usage_count`
-        }, { headers: corsHeaders });
-        
-      } catch (error) {
-        return Response.json({
-          debug: true,
-          error: error.message,
-          companyId,
-          supabaseUrl: env.SUPABASE_URL,
-          hasServiceKey: !!env.SUPABASE_SERVICE_KEY
-        }, { headers: corsHeaders });
-      }
+    if (existing.status === 'cancelled') {
+      return { success: true, appointment: existing };
     }
 
-    // DEBUG ORGANIZATION ENDPOINT
-    if (url.pathname === '/debug-org' && request.method === 'GET') {
-      const phone = url.searchParams.get('phone') || '+1234567890';
-      const orgId = url.searchParams.get('orgId') || '86851e15-2618-4105-93be-0bfb023f1aec';
-      
-      try {
-        console.log(`🔍 Debug organization lookup`);
-        
-        // Test organization identification
-        const identifiedOrg = await identifyOrganization(phone, env);
-        
-        // Test config retrieval
-        const config = await getOrganizationConfig(orgId, env);
-        
-        // Test FAQ retrieval
-        const faqs = await getOrganizationFAQs(orgId, env);
-        
-        return Response.json({
-          debug: true,
-          phone,
-          orgId,
-          identifiedOrg,
-          config,
-          faqCount: faqs.length,
-          faqs: faqs.slice(0, 3), // First 3 FAQs only
-          supabaseUrl: env.SUPABASE_URL,
-          hasServiceKey: !!env.SUPABASE_SERVICE_KEY
-        }, { headers: corsHeaders });
-        
-      } catch (error) {
-        return Response.json({
-          debug: true,
-          error: error.message,
-          phone,
-          orgId,
-          supabaseUrl: env.SUPABASE_URL,
-          hasServiceKey: !!env.SUPABASE_SERVICE_KEY
-        }, { headers: corsHeaders });
+    const updated = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `appointments?id=eq.${appointmentId}`,
+      'PATCH',
+      {
+        status: 'cancelled',
+        cancellation_reason: reason || null,
+        cancelled_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
       }
-    }
+    );
 
-    if (url.pathname === '/analytics' && request.method === 'POST') {
-      const { tenantId, period } = await request.json();
-      const analytics = await getAnalytics(tenantId, period, env);
-      return Response.json(analytics, { headers: corsHeaders });
-    }
+    console.log(`✅ Cancelled appointment: ${appointmentId}`);
+    return { success: true, appointment: updated[0] };
+  } catch (error) {
+    console.error('Failed to cancel appointment:', error);
+    return { success: false, error: error.message };
+  }
+}
 
-    if (url.pathname === '/status' || url.pathname === '/') {
-      return new Response(`
-📋 Enhanced Database Worker Status with Voice Agent Integration
+// =============================================================================
+// SCHEDULING FUNCTIONS
+// =============================================================================
 
-Environment Variables:
-✅ SUPABASE_URL: ${env.SUPABASE_URL ? 'Set' : 'Missing'}
-✅ SUPABASE_SERVICE_KEY: ${env.SUPABASE_SERVICE_KEY ? 'Set' : 'Missing'}
+const DEFAULT_TIMEZONE = 'America/New_York';
 
-NEW VOICE AGENT ENDPOINTS:
-🔗 POST /identify - Identify organization by phone
-  Body: { "phone": "+1234567890" }
-🔗 GET /config/{organizationId} - Get organization configuration
-🔗 GET /organization/faqs?organizationId=UUID - Get organization FAQs
+const DEFAULT_BUSINESS_HOURS = {
+  mon: { open: '08:00', close: '18:00' },
+  tue: { open: '08:00', close: '18:00' },
+  wed: { open: '08:00', close: '18:00' },
+  thu: { open: '08:00', close: '18:00' },
+  fri: { open: '08:00', close: '18:00' },
+  sat: { open: '08:00', close: '18:00' },
+  sun: null
+};
+
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Wall-clock parts of an instant in the given timezone
+function getZonedDateParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute')
+  };
+}
+
+// UTC instant for a wall-clock time in the given timezone (DST-safe)
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wallClock;
+
+  // Two passes settle the offset on either side of a DST change
+  for (let pass = 0; pass < 2; pass++) {
+    const parts = getZonedDateParts(new Date(instant), timeZone);
+    const seen = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    instant += wallClock - seen;
+  }
+
+  return new Date(instant);
+}
+
+function parseClockTime(value) {
+  const [hours, minutes] = String(value).split(':').map(n => parseInt(n, 10));
+  return { hour: hours, minute: minutes || 0 };
+}
+
+function formatClockTime(hour, minute) {
+  const suffix = hour >= 12 ? 'PM' : 'AM';
+  const displayHour = hour % 12 || 12;
+  return minute ? `${displayHour}:${String(minute).padStart(2, '0')} ${suffix}` : `${displayHour} ${suffix}`;
+}
+
+function getBusinessHoursForDay(businessHours, weekdayKey) {
+  const hours = businessHours[weekdayKey];
+  if (!hours) return null;
+
+  // Accept both { open, close } and ['08:00', '18:00']
+  const [open, close] = Array.isArray(hours) ? hours : [hours.open, hours.close];
+  if (!open || !close) return null;
+
+  return { open: parseClockTime(open), close: parseClockTime(close) };
+}
+
+// Load the tenant's scheduling settings and active technicians
+async function loadSchedulingContext(organizationId, env) {
+  const config = await getOrganizationConfig(organizationId, env);
+
+  let technicians = [];
+  try {
+    technicians = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `technicians?organization_id=eq.${organizationId}&is_active=eq.true&select=id,name,max_jobs_per_window`
+    );
+  } catch (error) {
+    console.log('No technicians table, assuming a single technician');
+  }
+
+  return {
+    timeZone: config?.timezone || DEFAULT_TIMEZONE,
+    businessHours: config?.business_hours || DEFAULT_BUSINESS_HOURS,
+    windowMinutes: config?.appointment_window_minutes || 120,
+    horizonDays: config?.scheduling_horizon_days || 7,
+    leadMinutes: config?.min_lead_minutes ?? 120,
+    technicians,
+    // Shops without a technicians roster still get one job per window
+    capacity: technicians.length > 0 ?
+      technicians.reduce((sum, tech) => sum + (tech.max_jobs_per_window || 1), 0) :
+      1
+  };
+}
+
+// Scheduled appointments overlapping a time range
+async function getScheduledAppointments(organizationId, rangeStart, rangeEnd, env) {
+  return callSupabase(
+    env.SUPABASE_URL,
+    env.SUPABASE_SERVICE_KEY,
+    `appointments?organization_id=eq.${organizationId}&status=eq.scheduled&scheduled_start=lt.${rangeEnd}&scheduled_end=gt.${rangeStart}&select=id,technician_id,scheduled_start,scheduled_end`
+  );
+}
+
+// Every appointment window inside business hours over the scheduling horizon
+function buildScheduleWindows(schedulingContext, now) {
+  const { timeZone, businessHours, windowMinutes, horizonDays, leadMinutes } = schedulingContext;
+  const earliestStart = now.getTime() + leadMinutes * 60 * 1000;
+  const today = getZonedDateParts(now, timeZone);
+  const windows = [];
+
+  for (let dayOffset = 0; dayOffset < horizonDays; dayOffset++) {
+    const calendarDay = new Date(Date.UTC(today.year, today.month - 1, today.day + dayOffset));
+    const weekdayIndex = calendarDay.getUTCDay();
+    const hours = getBusinessHoursForDay(businessHours, WEEKDAY_KEYS[weekdayIndex]);
+    if (!hours) continue;
+
+    const year = calendarDay.getUTCFullYear();
+    const month = calendarDay.getUTCMonth() + 1;
+    const day = calendarDay.getUTCDate();
+    const closeMinutes = hours.close.hour * 60 + hours.close.minute;
+
+    for (let startMinutes = hours.open.hour * 60 + hours.open.minute;
+         startMinutes + windowMinutes <= closeMinutes;
+         startMinutes += windowMinutes) {
+      const endMinutes = startMinutes + windowMinutes;
+      const start = zonedTimeToUtc(year, month, day, Math.floor(startMinutes / 60), startMinutes % 60, timeZone);
+      const end = zonedTimeToUtc(year, month, day, Math.floor(endMinutes / 60), endMinutes % 60, timeZone);
+
+      if (start.getTime() < earliestStart) continue;
+
+      const dayLabel = dayOffset === 0 ? 'today' :
+        dayOffset === 1 ? 'tomorrow' :
+        dayOffset < 7 ? WEEKDAY_NAMES[weekdayIndex] :
+        `${WEEKDAY_NAMES[weekdayIndex]} ${MONTH_NAMES[month - 1]} ${day}`;
+
+      windows.push({
+        start: start.toISOString(),
+        end: end.toISOString(),
+        label: `${dayLabel} ${formatClockTime(Math.floor(startMinutes / 60), startMinutes % 60)} to ${formatClockTime(Math.floor(endMinutes / 60), endMinutes % 60)}`,
+        date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+        weekday: WEEKDAY_NAMES[weekdayIndex].toLowerCase(),
+        dayLabel: dayLabel.toLowerCase(),
+        startHour: Math.floor(startMinutes / 60)
+      });
+    }
+  }
+
+  return windows;
+}
+
+// Get open appointment windows for an organization
+async function getAvailableSlots(organizationId, options = {}, env) {
+  try {
+    console.log(`🗓️ Getting available slots for organization: ${organizationId}`);
+
+    const schedulingContext = await loadSchedulingContext(organizationId, env);
+    const windows = buildScheduleWindows(schedulingContext, new Date());
+
+    if (windows.length === 0) {
+      console.log('❌ No appointment windows inside business hours');
+      return { success: true, timeZone: schedulingContext.timeZone, slots: [] };
+    }
+
+    const bookings = await getScheduledAppointments(
+      organizationId,
+      windows[0].start,
+      windows[windows.length - 1].end,
+      env
+    );
+
+    const limit = options.limit || 3;
+    // Spread the offer across days so callers get a real choice
+    const maxPerDay = options.maxPerDay || 2;
+    // The caller's stated days and hours as [{ start, end }] ISO ranges; a
+    // window qualifies when it starts inside one
+    const preferred = Array.isArray(options.windows) ? options.windows : null;
+    const perDay = {};
+    const slots = [];
+
+    for (const window of windows) {
+      if (slots.length >= limit) break;
+      if ((perDay[window.date] || 0) >= maxPerDay) continue;
+      if (preferred && !preferred.some(range => window.start >= range.start && window.start < range.end)) continue;
+
+      const booked = bookings.filter(b => b.scheduled_start < window.end && b.scheduled_end > window.start).length;
+      const remaining = schedulingContext.capacity - booked;
+
+      if (remaining > 0) {
+        slots.push({ ...window, remaining });
+        perDay[window.date] = (perDay[window.date] || 0) + 1;
+      }
+    }
+
+    console.log(`✅ Found ${slots.length} open slots (capacity ${schedulingContext.capacity} per window)`);
+    return { success: true, timeZone: schedulingContext.timeZone, slots };
+  } catch (error) {
+    console.error('Failed to get available slots:', error);
+    return { success: false, error: error.message, slots: [] };
+  }
+}
+
+// Pick a technician with room in the requested window
+async function assignTechnician(organizationId, scheduledStart, scheduledEnd, env) {
+  const schedulingContext = await loadSchedulingContext(organizationId, env);
+  const end = scheduledEnd ||
+    new Date(new Date(scheduledStart).getTime() + schedulingContext.windowMinutes * 60 * 1000).toISOString();
+  const bookings = await getScheduledAppointments(organizationId, scheduledStart, end, env);
+
+  if (bookings.length >= schedulingContext.capacity) {
+    return { available: false };
+  }
+
+  if (schedulingContext.technicians.length === 0) {
+    return { available: true, technicianId: null };
+  }
+
+  // Least-loaded technician with capacity left in this window
+  const candidates = schedulingContext.technicians
+    .map(tech => ({
+      id: tech.id,
+      load: bookings.filter(b => b.technician_id === tech.id).length,
+      capacity: tech.max_jobs_per_window || 1
+    }))
+    .filter(tech => tech.load < tech.capacity)
+    .sort((a, b) => a.load - b.load);
+
+  return candidates.length > 0 ?
+    { available: true, technicianId: candidates[0].id } :
+    { available: false };
+}
+
+// =============================================================================
+// SERVICE AREA AND ESCALATION FUNCTIONS
+// =============================================================================
+
+function parseZipList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(zip => String(zip).trim()).filter(Boolean);
+}
+
+// Approximate ZIP centroids [latitude, longitude] for the Northern Virginia,
+// DC and Maryland area our tenants serve today. Anything not listed here is
+// looked up in the zip_centroids table (loadable from the Census ZCTA gazetteer);
+// a booking whose ZIP is in neither is held for staff review.
+const ZIP_CENTROIDS = {
+  '20001': [38.910, -77.018], '20002': [38.906, -76.985], '20003': [38.882, -76.996], '20005': [38.904, -77.032],
+  '20007': [38.914, -77.078], '20008': [38.935, -77.059], '20009': [38.920, -77.037], '20010': [38.933, -77.030],
+  '20011': [38.952, -77.022], '20016': [38.937, -77.090], '20024': [38.876, -77.018], '20036': [38.908, -77.041],
+  '20109': [38.795, -77.521], '20110': [38.748, -77.485], '20111': [38.761, -77.444], '20120': [38.845, -77.453],
+  '20121': [38.813, -77.456], '20147': [39.040, -77.482], '20148': [38.991, -77.525], '20151': [38.894, -77.446],
+  '20164': [39.014, -77.395], '20165': [39.054, -77.394], '20166': [38.988, -77.446], '20170': [38.982, -77.383],
+  '20171': [38.925, -77.396], '20175': [39.069, -77.596], '20176': [39.180, -77.540], '20190': [38.960, -77.343],
+  '20191': [38.931, -77.350], '20814': [39.005, -77.104], '20815': [38.980, -77.082], '20817': [38.998, -77.155],
+  '20850': [39.090, -77.180], '20852': [39.050, -77.120], '20854': [39.030, -77.210], '20874': [39.160, -77.290],
+  '20878': [39.110, -77.250], '20901': [39.020, -77.010], '20910': [38.998, -77.034], '21201': [39.295, -76.622],
+  '22003': [38.831, -77.214], '22015': [38.787, -77.281], '22030': [38.846, -77.306], '22031': [38.860, -77.260],
+  '22032': [38.818, -77.290], '22033': [38.877, -77.388], '22041': [38.850, -77.144], '22042': [38.863, -77.193],
+  '22043': [38.901, -77.197], '22046': [38.887, -77.180], '22066': [39.002, -77.307], '22101': [38.936, -77.183],
+  '22102': [38.953, -77.230], '22150': [38.772, -77.186], '22151': [38.803, -77.209], '22152': [38.774, -77.232],
+  '22153': [38.745, -77.235], '22180': [38.901, -77.263], '22182': [38.931, -77.264], '22191': [38.625, -77.264],
+  '22192': [38.675, -77.315], '22193': [38.644, -77.345], '22201': [38.887, -77.094], '22202': [38.856, -77.052],
+  '22203': [38.874, -77.116], '22204': [38.860, -77.097], '22205': [38.883, -77.139], '22206': [38.844, -77.088],
+  '22207': [38.904, -77.126], '22209': [38.895, -77.073], '22301': [38.819, -77.059], '22302': [38.828, -77.084],
+  '22304': [38.813, -77.112], '22305': [38.837, -77.063], '22314': [38.806, -77.052], '22401': [38.300, -77.480],
+  '22601': [39.170, -78.170], '23219': [37.540, -77.440], '23220': [37.550, -77.460]
+};
+
+function distanceMiles([lat1, lng1], [lat2, lng2]) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+async function getZipCentroid(zip, env) {
+  if (ZIP_CENTROIDS[zip]) return ZIP_CENTROIDS[zip];
+
+  try {
+    const rows = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `zip_centroids?zip=eq.${zip}&select=latitude,longitude&limit=1`
+    );
+    return rows.length > 0 ? [Number(rows[0].latitude), Number(rows[0].longitude)] : null;
+  } catch (error) {
+    console.log(`No centroid for ZIP ${zip}: ${error.message}`);
+    return null;
+  }
+}
+
+// Check whether an organization serves a ZIP code. Rules apply most specific
+// first: excluded ZIPs, listed ZIPs, then the radius around the base ZIP.
+async function checkServiceArea(organizationId, zipCode, env) {
+  try {
+    const zip = String(zipCode || '').trim().substring(0, 5);
+    console.log(`📍 Checking service area for organization ${organizationId}: ${zip}`);
+
+    if (!/^\d{5}$/.test(zip)) {
+      return { success: false, error: 'Valid 5-digit zipCode required' };
+    }
+
+    const config = await getOrganizationConfig(organizationId, env);
+    const servedZips = parseZipList(config?.service_zip_codes);
+    const excludedZips = parseZipList(config?.excluded_zip_codes);
+    const radiusMiles = Number(config?.service_radius_miles) || 0;
+    const baseZip = String(config?.service_base_zip || '').trim();
+
+    const outcome = (status, reason, details = {}) => {
+      console.log(`${status === 'served' ? '✅' : status === 'not_served' ? '🚫' : '❓'} ZIP ${zip}: ${status} (${reason})`);
+      return {
+        success: true,
+        zipCode: zip,
+        status,
+        served: status === 'unknown' ? null : status === 'served',
+        reason,
+        referral: status === 'not_served' ? config?.out_of_area_referral || null : null,
+        ...details
+      };
+    };
+
+    if (excludedZips.includes(zip)) return outcome('not_served', 'excluded');
+    if (servedZips.includes(zip)) return outcome('served', 'zip_list');
+
+    if (radiusMiles > 0 && /^\d{5}$/.test(baseZip)) {
+      const [base, target] = await Promise.all([getZipCentroid(baseZip, env), getZipCentroid(zip, env)]);
+      if (base && target) {
+        const distance = Math.round(distanceMiles(base, target) * 10) / 10;
+        return outcome(distance <= radiusMiles ? 'served' : 'not_served', 'radius', { distanceMiles: distance, radiusMiles });
+      }
+      // We can't place the ZIP; only a ZIP list can still rule it out
+      if (servedZips.length === 0) return outcome('unknown', 'no_centroid');
+    }
+
+    if (servedZips.length > 0) return outcome('not_served', 'not_listed');
+    return outcome('unknown', 'not_configured');
+  } catch (error) {
+    console.error('Failed to check service area:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Record a request to hand the conversation to a person. Urgent and emergency
+// escalations page the first on-call contact straight away.
+async function createEscalation(data, env) {
+  try {
+    console.log(`🚨 Creating escalation for organization: ${data.organizationId}`);
+
+    const escalations = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      'escalations',
+      'POST',
+      {
+        organization_id: data.organizationId,
+        customer_phone: normalizeStoredPhone(data.customerPhone),
+        conversation_state_id: data.conversationStateId || null,
+        channel: data.channel || 'voice',
+        reason: data.reason || null,
+        urgency: data.urgency || 'normal',
+        summary: data.summary || null,
+        status: 'open',
+        bot_paused_until: data.botPausedUntil || null,
+        created_at: new Date().toISOString()
+      }
+    );
+
+    const escalation = escalations[0];
+    console.log(`✅ Created escalation: ${escalation.id}`);
+
+    if (!PAGED_URGENCIES.includes(escalation.urgency)) {
+      if (!data.notifyStaff) {
+        return { success: true, escalation };
+      }
+
+      // Handoffs from the AI processor let the staff line know someone's waiting
+      try {
+        const notification = await notifyStaff(escalation, env);
+        return { success: true, escalation: notification.escalation, notification: { sent: notification.sent, to: notification.to, reason: notification.reason } };
+      } catch (error) {
+        console.error('Failed to notify staff:', error);
+        return { success: true, escalation, notification: { sent: false, to: null, reason: error.message } };
+      }
+    }
+
+    // Urgent hand-offs page whoever is on call; a paging failure still leaves
+    // the escalation on record for the office
+    try {
+      const page = await pageOnCall(escalation, 0, env);
+      return {
+        success: true,
+        escalation: page.escalation,
+        page: { paged: page.paged, reason: page.reason, contact: page.contact || null, ackDeadline: page.ackDeadline || null }
+      };
+    } catch (error) {
+      console.error('Failed to page on-call contact:', error);
+      return { success: true, escalation, page: { paged: false, reason: error.message, contact: null, ackDeadline: null } };
+    }
+  } catch (error) {
+    console.error('Failed to create escalation:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// =============================================================================
+// ON-CALL PAGING AND RE-ESCALATION
+// =============================================================================
+
+// Escalations at these urgencies page the tenant's on-call contacts
+const PAGED_URGENCIES = ['urgent', 'emergency'];
+
+// Minutes a paged contact has to acknowledge before the next one is paged
+const DEFAULT_ESCALATION_ACK_MINUTES = 10;
+
+// Statuses an acknowledgement can still close
+const ACKNOWLEDGEABLE_STATUSES = ['open', 'paged', 'notified', 'unacknowledged'];
+
+// Statuses under which a handed-off conversation stays with staff
+const HANDOFF_ACTIVE_STATUSES = ['open', 'notified', 'acknowledged'];
+
+// Page labels by urgency; anything else is a customer handed off to staff
+const PAGE_LABELS = { emergency: 'EMERGENCY', urgent: 'Urgent' };
+
+// The tenant's on-call contacts in paging order, from tenant_configs.on_call_contacts
+// ([{ "name": "Sam", "phone": "+15715550100" }]), and how long each gets to answer
+async function loadOnCallRoster(organizationId, env) {
+  const config = await getOrganizationConfig(organizationId, env);
+
+  let contacts = config?.on_call_contacts || [];
+  if (typeof contacts === 'string') {
+    try {
+      contacts = JSON.parse(contacts);
+    } catch (error) {
+      console.log('⚠️ on_call_contacts is not valid JSON');
+      contacts = [];
+    }
+  }
+
+  const ackMinutes = Number(config?.escalation_ack_minutes);
+  return {
+    businessName: config?.business_name || config?.name || 'Appliance repair',
+    staffPhone: PhoneNormalizer.normalize(config?.staff_phone),
+    contacts: (Array.isArray(contacts) ? contacts : [])
+      .map(contact => ({ name: contact.name || null, phone: PhoneNormalizer.normalize(contact.phone) }))
+      .filter(contact => contact.phone),
+    ackMinutes: ackMinutes > 0 ? ackMinutes : DEFAULT_ESCALATION_ACK_MINUTES
+  };
+}
+
+// One-line page: what's wrong, where, and who to call back
+function buildPageMessage(escalation, businessName) {
+  let details = {};
+  try {
+    details = escalation.summary ? JSON.parse(escalation.summary) : {};
+  } catch (error) {
+    details = {};
+  }
+
+  const job = [details.applianceMake, details.applianceType, details.issueDescription].filter(Boolean).join(' ');
+  const address = [details.streetAddress, details.city, details.zipCode].filter(Boolean).join(', ');
+  const callback = PhoneNormalizer.format(details.callbackNumber || escalation.customer_phone);
+  const label = PAGE_LABELS[escalation.urgency] || 'Handoff';
+
+  return [
+    `${businessName} ${label}: ${escalation.reason || 'customer needs help now'}.`,
+    job && `Job: ${job}.`,
+    address && `At: ${address}.`,
+    `Call ${callback}.`,
+    'Reply ACK to take it.'
+  ].filter(Boolean).join(' ');
+}
+
+// Text a page through the SMS worker (SMS_SERVICE binding). It sends from the
+// tenant's own number, and only `sent: true` means the text went out.
+async function sendPage(to, message, organizationId, env) {
+  if (!env.SMS_SERVICE) {
+    console.log('⚠️ SMS_SERVICE not bound, page not sent');
+    return { sent: false, error: 'sms_service_missing' };
+  }
+
+  try {
+    const response = await env.SMS_SERVICE.fetch(new Request('http://internal/sms', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${env.SMS_API_TOKEN || ''}` },
+      body: JSON.stringify({ to, message, organizationId })
+    }));
+    const result = await response.json().catch(() => ({}));
+    return response.ok && result.sent === true ?
+      { sent: true } :
+      { sent: false, error: result.error || `status ${response.status}` };
+  } catch (error) {
+    return { sent: false, error: error.message };
+  }
+}
+
+// Page the contact at `level` of the roster and start their acknowledgement
+// clock. Past the end of the roster the escalation is left unacknowledged.
+async function pageOnCall(escalation, level, env) {
+  const roster = await loadOnCallRoster(escalation.organization_id, env);
+  const contact = roster.contacts[level];
+  const now = new Date();
+
+  if (!contact) {
+    const reason = level === 0 ? 'no_on_call_contacts' : 'roster_exhausted';
+    console.log(`⚠️ Escalation ${escalation.id} not paged: ${reason}`);
+
+    const updated = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `escalations?id=eq.${escalation.id}`,
+      'PATCH',
+      {
+        status: level === 0 ? 'open' : 'unacknowledged',
+        ack_deadline: null,
+        updated_at: now.toISOString()
+      }
+    );
+    return { paged: false, reason, escalation: updated[0] || escalation };
+  }
+
+  const delivery = await sendPage(contact.phone, buildPageMessage(escalation, roster.businessName), escalation.organization_id, env);
+  const ackDeadline = new Date(now.getTime() + roster.ackMinutes * 60 * 1000).toISOString();
+
+  // A failed text still starts the clock, so the next contact gets paged
+  const updated = await callSupabase(
+    env.SUPABASE_URL,
+    env.SUPABASE_SERVICE_KEY,
+    `escalations?id=eq.${escalation.id}`,
+    'PATCH',
+    {
+      status: 'paged',
+      escalation_level: level,
+      paged_to: contact.phone,
+      paged_at: now.toISOString(),
+      ack_deadline: ackDeadline,
+      page_error: delivery.error || null,
+      updated_at: now.toISOString()
+    }
+  );
+
+  console.log(`📟 Paged ${contact.phone} for escalation ${escalation.id} (level ${level}${delivery.sent ? '' : `, send failed: ${delivery.error}`})`);
+  return {
+    paged: delivery.sent,
+    reason: delivery.error || null,
+    contact,
+    ackDeadline,
+    escalation: updated[0] || escalation
+  };
+}
+
+// Text the tenant's staff line (tenant_configs.staff_phone, else the first
+// on-call contact) that a customer was handed off. No acknowledgement clock:
+// handoffs aren't re-escalated.
+async function notifyStaff(escalation, env) {
+  const roster = await loadOnCallRoster(escalation.organization_id, env);
+  const to = roster.staffPhone || roster.contacts[0]?.phone || null;
+
+  if (!to) {
+    console.log(`⚠️ Escalation ${escalation.id} not sent to staff: no staff_phone`);
+    return { sent: false, to: null, reason: 'no_staff_phone', escalation };
+  }
+
+  const delivery = await sendPage(to, buildPageMessage(escalation, roster.businessName), escalation.organization_id, env);
+  const now = new Date().toISOString();
+
+  const updated = await callSupabase(
+    env.SUPABASE_URL,
+    env.SUPABASE_SERVICE_KEY,
+    `escalations?id=eq.${escalation.id}`,
+    'PATCH',
+    {
+      status: 'notified',
+      paged_to: to,
+      paged_at: now,
+      page_error: delivery.error || null,
+      updated_at: now
+    }
+  );
+
+  console.log(`📨 Told ${to} about handoff ${escalation.id}${delivery.sent ? '' : ` (send failed: ${delivery.error})`}`);
+  return { sent: delivery.sent, to, reason: delivery.error || null, escalation: updated[0] || escalation };
+}
+
+// The customer's latest handoff that still has the bot paused, or null
+async function getActiveHandoff(customerPhone, organizationId, env) {
+  const phone = normalizeStoredPhone(customerPhone);
+  if (!phone) return null;
+
+  const organizationFilter = organizationId ? `&organization_id=eq.${organizationId}` : '';
+  const handoffs = await callSupabase(
+    env.SUPABASE_URL,
+    env.SUPABASE_SERVICE_KEY,
+    `escalations?customer_phone=eq.${encodeURIComponent(phone)}${organizationFilter}&bot_paused_until=gt.${new Date().toISOString()}&status=in.(${HANDOFF_ACTIVE_STATUSES.join(',')})&select=*&order=created_at.desc&limit=1`
+  );
+  return handoffs[0] || null;
+}
+
+// Get a single escalation
+async function getEscalation(escalationId, env) {
+  try {
+    const escalations = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `escalations?id=eq.${escalationId}&select=*&limit=1`
+    );
+    return escalations[0] || null;
+  } catch (error) {
+    console.error('Failed to get escalation:', error);
+    return null;
+  }
+}
+
+// Mark an escalation acknowledged, by id (the transfer whisper) or by the
+// paged contact's number (an ACK text, which takes their latest page)
+async function acknowledgeEscalation({ escalationId, phone, via }, env) {
+  try {
+    const pagedTo = PhoneNormalizer.normalize(phone);
+    let filter;
+    if (escalationId) {
+      filter = `id=eq.${escalationId}`;
+    } else if (pagedTo) {
+      const pages = await callSupabase(
+        env.SUPABASE_URL,
+        env.SUPABASE_SERVICE_KEY,
+        `escalations?paged_to=eq.${encodeURIComponent(pagedTo)}&status=in.(${ACKNOWLEDGEABLE_STATUSES.join(',')})&select=id&order=paged_at.desc&limit=1`
+      );
+      if (pages.length === 0) {
+        return { success: false, code: 'not_found', error: 'No open page for this number' };
+      }
+      filter = `id=eq.${pages[0].id}`;
+    } else {
+      return { success: false, code: 'invalid_request', error: 'escalationId or phone required' };
+    }
+
+    const now = new Date().toISOString();
+    const updated = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `escalations?${filter}&status=in.(${ACKNOWLEDGEABLE_STATUSES.join(',')})`,
+      'PATCH',
+      {
+        status: 'acknowledged',
+        acknowledged_at: now,
+        acknowledged_by: pagedTo || null,
+        acknowledged_via: via || null,
+        ack_deadline: null,
+        updated_at: now
+      }
+    );
+
+    if (updated.length === 0) {
+      // Already acknowledged (or resolved) counts as done
+      const existing = escalationId ? await getEscalation(escalationId, env) : null;
+      return existing ?
+        { success: true, escalation: existing } :
+        { success: false, code: 'not_found', error: 'Escalation not found' };
+    }
+
+    console.log(`✅ Escalation ${updated[0].id} acknowledged via ${via || 'api'}`);
+    return { success: true, escalation: updated[0] };
+  } catch (error) {
+    console.error('Failed to acknowledge escalation:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Page the next contact for every escalation whose acknowledgement window has
+// run out. Runs from the cron trigger; POST /escalations/reescalate runs it by hand.
+async function reescalateOverdueEscalations(env, now = new Date()) {
+  const result = { checked: 0, repaged: 0, exhausted: 0, failed: 0 };
+
+  const overdue = await callSupabase(
+    env.SUPABASE_URL,
+    env.SUPABASE_SERVICE_KEY,
+    `escalations?status=eq.paged&ack_deadline=lt.${now.toISOString()}&select=*&order=ack_deadline.asc&limit=50`
+  );
+
+  for (const escalation of overdue) {
+    result.checked++;
+    try {
+      const page = await pageOnCall(escalation, (escalation.escalation_level || 0) + 1, env);
+      if (page.contact) {
+        result.repaged++;
+      } else {
+        result.exhausted++;
+      }
+    } catch (error) {
+      console.error(`Failed to re-escalate ${escalation.id}:`, error);
+      result.failed++;
+    }
+  }
+
+  if (result.checked > 0) {
+    console.log(`📟 Re-escalation: ${result.repaged} re-paged, ${result.exhausted} out of contacts, ${result.failed} failed`);
+  }
+  return { success: true, ...result };
+}
+
+// =============================================================================
+// VOCABULARY FUNCTIONS
+// =============================================================================
+
+// Rows with no organization_id are the global defaults every tenant gets;
+// tenant rows add synonyms on top. Categories match the intake schema's
+// `vocabulary` setting (appliance, brand, issue, location, or a tenant's own).
+function normalizeVocabularyEntry(data) {
+  const phrases = Array.isArray(data.phrases) ? data.phrases : String(data.phrases || '').split(',');
+
+  return {
+    category: String(data.category || '').trim().toLowerCase(),
+    value: String(data.value || '').trim().toLowerCase().replace(/\s+/g, '_'),
+    phrases: [...new Set(phrases.map(phrase => String(phrase).trim().toLowerCase()).filter(Boolean))]
+  };
+}
+
+function validateVocabularyEntry(entry) {
+  if (!/^[a-z][a-z0-9_]*$/.test(entry.category)) return 'category must be a lowercase identifier';
+  if (!entry.value) return 'value is required';
+  if (entry.phrases.length === 0) return 'phrases must list at least one phrase';
+  return null;
+}
+
+// List vocabulary rows for ops tooling
+async function listVocabularies(filters, env) {
+  try {
+    console.log(`📚 Listing vocabularies for organization: ${filters.organizationId || 'global'}`);
+
+    let query = 'vocabularies?select=*&order=category.asc,value.asc';
+    if (filters.organizationId && filters.includeGlobal) {
+      query += `&or=(organization_id.eq.${filters.organizationId},organization_id.is.null)`;
+    } else if (filters.organizationId) {
+      query += `&organization_id=eq.${filters.organizationId}`;
+    } else {
+      query += '&organization_id=is.null';
+    }
+    if (filters.category) {
+      query += `&category=eq.${encodeURIComponent(filters.category)}`;
+    }
+
+    const rows = await callSupabase(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY, query);
+
+    console.log(`✅ Found ${rows.length} vocabulary entries`);
+    return rows;
+  } catch (error) {
+    console.error('Failed to list vocabularies:', error);
+    return [];
+  }
+}
+
+// Merge active global and tenant rows into { category: { value: [phrases] } }
+async function resolveVocabularies(organizationId, env) {
+  try {
+    console.log(`📚 Resolving vocabularies for organization: ${organizationId}`);
+
+    const rows = await listVocabularies({ organizationId, includeGlobal: true }, env);
+    const vocabularies = {};
+
+    for (const row of rows.filter(row => row.is_active !== false)) {
+      const entry = normalizeVocabularyEntry(row);
+      if (validateVocabularyEntry(entry)) continue;
+
+      vocabularies[entry.category] = vocabularies[entry.category] || {};
+      const existing = vocabularies[entry.category][entry.value] || [];
+      vocabularies[entry.category][entry.value] = [...new Set([...existing, ...entry.phrases])];
+    }
+
+    return { success: true, vocabularies };
+  } catch (error) {
+    console.error('Failed to resolve vocabularies:', error);
+    return { success: false, error: error.message, vocabularies: {} };
+  }
+}
+
+async function createVocabularyEntry(data, env) {
+  try {
+    const entry = normalizeVocabularyEntry(data);
+    const validationError = validateVocabularyEntry(entry);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    console.log(`📚 Adding ${entry.category} vocabulary "${entry.value}" for organization: ${data.organizationId || 'global'}`);
+
+    const rows = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      'vocabularies',
+      'POST',
+      {
+        organization_id: data.organizationId || null,
+        ...entry,
+        is_active: data.isActive !== false,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }
+    );
+
+    console.log(`✅ Created vocabulary entry: ${rows[0].id}`);
+    return { success: true, entry: rows[0] };
+  } catch (error) {
+    console.error('Failed to create vocabulary entry:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function updateVocabularyEntry(entryId, data, env) {
+  try {
+    console.log(`📚 Updating vocabulary entry: ${entryId}`);
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (data.category !== undefined || data.value !== undefined || data.phrases !== undefined) {
+      const existing = await callSupabase(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY, `vocabularies?id=eq.${entryId}&select=*&limit=1`);
+      if (existing.length === 0) {
+        return { success: false, error: 'Vocabulary entry not found' };
+      }
+
+      const entry = normalizeVocabularyEntry({ ...existing[0], ...data });
+      const validationError = validateVocabularyEntry(entry);
+      if (validationError) {
+        return { success: false, error: validationError };
+      }
+      Object.assign(updates, entry);
+    }
+    if (data.isActive !== undefined) {
+      updates.is_active = !!data.isActive;
+    }
+
+    const rows = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `vocabularies?id=eq.${entryId}`,
+      'PATCH',
+      updates
+    );
+
+    if (rows.length === 0) {
+      return { success: false, error: 'Vocabulary entry not found' };
+    }
+
+    console.log(`✅ Updated vocabulary entry: ${entryId}`);
+    return { success: true, entry: rows[0] };
+  } catch (error) {
+    console.error('Failed to update vocabulary entry:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function deleteVocabularyEntry(entryId, env) {
+  try {
+    console.log(`🗑️ Deleting vocabulary entry: ${entryId}`);
+
+    const rows = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `vocabularies?id=eq.${entryId}`,
+      'DELETE'
+    );
+
+    if (rows.length === 0) {
+      return { success: false, error: 'Vocabulary entry not found' };
+    }
+
+    console.log(`✅ Deleted vocabulary entry: ${entryId}`);
+    return { success: true, entry: rows[0] };
+  } catch (error) {
+    console.error('Failed to delete vocabulary entry:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// =============================================================================
+// PROMPT TEMPLATE FUNCTIONS
+// =============================================================================
+
+// Variables a tenant sets on a template version. The AI processor holds the
+// default for each (persona "Sarah", the $89 diagnostic fee, ...).
+const PROMPT_TEMPLATE_VARIABLES = ['persona_name', 'tone', 'diagnostic_fee', 'repair_range', 'warranty_policy', 'business_hours'];
+
+// Filled in by the AI processor on every turn; templates can use them but not set them
+const PROMPT_TEMPLATE_SYSTEM_VARIABLES = [
+  'business_name', 'channel_guidance', 'language_guidance', 'service', 'completion_percentage',
+  'conversation_data', 'required_fields', 'examples', 'pricing', 'tools'
+];
+
+// Without these the model can't see what it still has to ask for
+const PROMPT_TEMPLATE_REQUIRED_VARIABLES = ['conversation_data', 'required_fields'];
+
+// The persona introduces itself and the confirmation read-back quotes the fees
+const PROMPT_TEMPLATE_NON_EMPTY_VARIABLES = ['persona_name', 'tone', 'diagnostic_fee', 'repair_range'];
+
+const PROMPT_TEMPLATE_MAX_LENGTH = 8000;
+const PROMPT_VARIABLE_MAX_LENGTH = 500;
+
+// Every problem with a template version, so an editor can fix them in one
+// pass. `template` may be null (the processor's built-in template with the
+// tenant's variables). Placeholders are {{name}}; {{#name}}...{{/name}} is
+// kept only when the variable is set.
+function validatePromptTemplate(template, variables) {
+  const errors = [];
+
+  if (variables != null && (typeof variables !== 'object' || Array.isArray(variables))) {
+    errors.push('variables must be an object');
+  } else {
+    for (const [name, value] of Object.entries(variables || {})) {
+      if (!PROMPT_TEMPLATE_VARIABLES.includes(name)) {
+        errors.push(`${name} is not a variable tenants can set (use ${PROMPT_TEMPLATE_VARIABLES.join(', ')})`);
+      } else if (typeof value !== 'string') {
+        errors.push(`${name} must be a string`);
+      } else if (PROMPT_TEMPLATE_NON_EMPTY_VARIABLES.includes(name) && !value.trim()) {
+        errors.push(`${name} cannot be empty`);
+      } else if (value.length > PROMPT_VARIABLE_MAX_LENGTH) {
+        errors.push(`${name} is longer than ${PROMPT_VARIABLE_MAX_LENGTH} characters`);
+      } else if (/\{\{|\}\}/.test(value)) {
+        errors.push(`${name} cannot contain {{ or }}`);
+      }
+    }
+  }
+
+  if (template == null) return errors;
+  if (typeof template !== 'string' || !template.trim()) {
+    errors.push('template must be a non-empty string');
+    return errors;
+  }
+  if (template.length > PROMPT_TEMPLATE_MAX_LENGTH) {
+    errors.push(`template is longer than ${PROMPT_TEMPLATE_MAX_LENGTH} characters`);
+  }
+
+  const known = [...PROMPT_TEMPLATE_VARIABLES, ...PROMPT_TEMPLATE_SYSTEM_VARIABLES];
+  const used = new Set();
+  const openSections = [];
+
+  for (const [, tag] of template.matchAll(/\{\{([^{}]*)\}\}/g)) {
+    const match = tag.trim().match(/^([#/]?)([a-z_]+)$/);
+    if (!match) {
+      errors.push(`{{${tag}}} is not a valid placeholder`);
+      continue;
+    }
+
+    const [, marker, name] = match;
+    if (!known.includes(name)) {
+      errors.push(`{{${tag}}} uses unknown variable ${name}`);
+      continue;
+    }
+    used.add(name);
+
+    if (marker === '#') {
+      if (openSections.length > 0) {
+        errors.push(`{{#${name}}} is nested inside {{#${openSections[openSections.length - 1]}}}`);
+      }
+      openSections.push(name);
+    } else if (marker === '/') {
+      if (openSections[openSections.length - 1] !== name) {
+        errors.push(`{{/${name}}} does not close an open {{#${name}}}`);
+      } else {
+        openSections.pop();
+      }
+    }
+  }
+
+  for (const name of openSections) {
+    errors.push(`{{#${name}}} is never closed`);
+  }
+  if (/\{\{|\}\}/.test(template.replace(/\{\{[^{}]*\}\}/g, ''))) {
+    errors.push('template has an unmatched {{ or }}');
+  }
+  for (const name of PROMPT_TEMPLATE_REQUIRED_VARIABLES) {
+    if (!used.has(name)) errors.push(`template must include {{${name}}}`);
+  }
+
+  return errors;
+}
+
+// Every version for ops tooling, newest first
+async function listPromptTemplates(organizationId, env) {
+  try {
+    console.log(`📝 Listing prompt templates for organization: ${organizationId}`);
+
+    const rows = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `prompt_templates?organization_id=eq.${organizationId}&select=*&order=version.desc`
+    );
+
+    console.log(`✅ Found ${rows.length} prompt template versions`);
+    return rows;
+  } catch (error) {
+    console.error('Failed to list prompt templates:', error);
+    return [];
+  }
+}
+
+// The version the AI processor renders; `template: null` when the tenant has
+// never saved one
+async function getActivePromptTemplate(organizationId, env) {
+  try {
+    const rows = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `prompt_templates?organization_id=eq.${organizationId}&is_active=eq.true&select=*&order=version.desc&limit=1`
+    );
+
+    return { success: true, template: rows[0] || null };
+  } catch (error) {
+    console.error('Failed to get active prompt template:', error);
+    return { success: false, error: error.message, template: null };
+  }
+}
+
+// One saved version, for prompt template experiments
+async function getPromptTemplateVersion(organizationId, version, env) {
+  try {
+    const rows = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `prompt_templates?organization_id=eq.${organizationId}&version=eq.${Number(version)}&select=*&limit=1`
+    );
+
+    if (rows.length === 0) {
+      return { success: false, error: 'Prompt template version not found' };
+    }
+    return { success: true, template: rows[0] };
+  } catch (error) {
+    console.error('Failed to get prompt template version:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Saving always adds a version: the new one becomes active and the earlier
+// ones stay in the history to roll back to
+async function createPromptTemplate(data, env) {
+  try {
+    if (!data.organizationId) {
+      return { success: false, error: 'organizationId is required' };
+    }
+
+    const template = data.template ?? null;
+    const variables = data.variables || {};
+    const errors = validatePromptTemplate(template, variables);
+    if (errors.length > 0) {
+      return { success: false, error: errors[0], errors };
+    }
+
+    const latest = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `prompt_templates?organization_id=eq.${data.organizationId}&select=version&order=version.desc&limit=1`
+    );
+    const version = (latest[0]?.version || 0) + 1;
+
+    console.log(`📝 Saving prompt template version ${version} for organization: ${data.organizationId}`);
+
+    const rows = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      'prompt_templates',
+      'POST',
+      {
+        organization_id: data.organizationId,
+        version,
+        template,
+        variables,
+        note: data.note || null,
+        rolled_back_from: data.rolledBackFrom || null,
+        created_by: data.createdBy || null,
+        is_active: true,
+        created_at: new Date().toISOString()
+      }
+    );
+
+    // The newest active version wins even if this fails, so a leftover flag
+    // only clutters the history
+    await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `prompt_templates?organization_id=eq.${data.organizationId}&is_active=eq.true&id=neq.${rows[0].id}`,
+      'PATCH',
+      { is_active: false }
+    ).catch(error => console.error('Failed to deactivate earlier prompt templates:', error));
+
+    console.log(`✅ Prompt template version ${version} is active: ${rows[0].id}`);
+    return { success: true, template: rows[0] };
+  } catch (error) {
+    console.error('Failed to save prompt template:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Re-saves an earlier version as the newest one, so the history keeps what
+// was live in between
+async function rollbackPromptTemplate(data, env) {
+  try {
+    if (!data.organizationId || !data.version) {
+      return { success: false, error: 'organizationId and version are required' };
+    }
+
+    const rows = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `prompt_templates?organization_id=eq.${data.organizationId}&version=eq.${Number(data.version)}&select=*&limit=1`
+    );
+    if (rows.length === 0) {
+      return { success: false, error: 'Prompt template version not found' };
+    }
+
+    console.log(`⏪ Rolling prompt template back to version ${rows[0].version} for organization: ${data.organizationId}`);
+
+    return createPromptTemplate({
+      organizationId: data.organizationId,
+      template: rows[0].template,
+      variables: rows[0].variables,
+      note: data.note || `Rollback to version ${rows[0].version}`,
+      rolledBackFrom: rows[0].version,
+      createdBy: data.createdBy
+    }, env);
+  } catch (error) {
+    console.error('Failed to roll back prompt template:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// =============================================================================
+// EXPERIMENT FUNCTIONS
+// =============================================================================
+
+// The variant setting each kind of experiment changes: a saved prompt
+// template version, the order fields are asked in within each step, or the
+// ElevenLabs voice. A variant that leaves its setting out is the control.
+const EXPERIMENT_KINDS = {
+  prompt_template: 'promptTemplateVersion',
+  question_order: 'questionOrder',
+  voice: 'voiceId'
+};
+
+function validateExperiment(data) {
+  if (!data.organizationId) return 'organizationId is required';
+  if (!String(data.name || '').trim()) return 'name is required';
+
+  const setting = EXPERIMENT_KINDS[data.kind];
+  if (!setting) return `kind must be one of ${Object.keys(EXPERIMENT_KINDS).join(', ')}`;
+  if (!Array.isArray(data.variants) || data.variants.length < 2) return 'variants must list at least two variants';
+
+  const keys = new Set();
+  for (const variant of data.variants) {
+    if (!/^[a-z0-9_-]+$/.test(variant?.key || '')) return 'each variant needs a key of lowercase letters, digits, _ or -';
+    if (keys.has(variant.key)) return `duplicate variant ${variant.key}`;
+    keys.add(variant.key);
+
+    if (variant.weight !== undefined && !(Number(variant.weight) > 0)) return `${variant.key}: weight must be a positive number`;
+
+    const others = Object.values(EXPERIMENT_KINDS).filter(other => other !== setting && variant[other] !== undefined);
+    if (others.length > 0) return `${variant.key}: ${data.kind} experiments only set ${setting}`;
+
+    const value = variant[setting];
+    if (value == null) continue;
+    if (setting === 'promptTemplateVersion' && !(Number.isInteger(value) && value > 0)) return `${variant.key}: promptTemplateVersion must be a version number`;
+    if (setting === 'questionOrder' && !(Array.isArray(value) && value.length > 0 && value.every(key => typeof key === 'string' && key))) {
+      return `${variant.key}: questionOrder must list field keys`;
+    }
+    if (setting === 'voiceId' && (typeof value !== 'string' || !value.trim())) return `${variant.key}: voiceId must be an ElevenLabs voice ID`;
+  }
+
+  return null;
+}
+
+// List experiments for ops tooling, newest first
+async function listExperiments(organizationId, env) {
+  try {
+    console.log(`🧪 Listing experiments for organization: ${organizationId}`);
+
+    const rows = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `experiments?organization_id=eq.${organizationId}&select=*&order=created_at.desc`
+    );
+
+    console.log(`✅ Found ${rows.length} experiments`);
+    return rows;
+  } catch (error) {
+    console.error('Failed to list experiments:', error);
+    return [];
+  }
+}
+
+// The experiment the AI processor assigns callers to; null when none is running
+async function getActiveExperiment(organizationId, env) {
+  try {
+    const rows = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `experiments?organization_id=eq.${organizationId}&status=eq.running&select=*&order=started_at.desc&limit=1`
+    );
+
+    return { success: true, experiment: rows[0] || null };
+  } catch (error) {
+    console.error('Failed to get active experiment:', error);
+    return { success: false, error: error.message, experiment: null };
+  }
+}
+
+// Starts an experiment. One runs per tenant at a time, so every interaction
+// belongs to at most one variant.
+async function createExperiment(data, env) {
+  try {
+    const validationError = validateExperiment(data);
+    if (validationError) {
+      return { success: false, error: validationError };
+    }
+
+    const running = await getActiveExperiment(data.organizationId, env);
+    if (!running.success) {
+      throw new Error(running.error);
+    }
+    if (running.experiment) {
+      return { success: false, error: 'An experiment is already running', code: 'experiment_running', experiment: running.experiment };
+    }
+
+    const versions = data.variants.map(variant => variant.promptTemplateVersion).filter(version => version != null);
+    if (versions.length > 0) {
+      const saved = await callSupabase(
+        env.SUPABASE_URL,
+        env.SUPABASE_SERVICE_KEY,
+        `prompt_templates?organization_id=eq.${data.organizationId}&version=in.(${versions.join(',')})&select=version`
+      );
+      const missing = versions.filter(version => !saved.some(row => row.version === version));
+      if (missing.length > 0) {
+        return { success: false, error: `Prompt template version ${missing[0]} not found` };
+      }
+    }
+
+    console.log(`🧪 Starting ${data.kind} experiment "${data.name}" for organization: ${data.organizationId}`);
+
+    const now = new Date().toISOString();
+    const rows = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      'experiments',
+      'POST',
+      {
+        organization_id: data.organizationId,
+        name: data.name.trim(),
+        kind: data.kind,
+        variants: data.variants.map(variant => ({ ...variant, weight: Number(variant.weight ?? 1) })),
+        status: 'running',
+        started_at: now,
+        ended_at: null,
+        created_at: now,
+        updated_at: now
+      }
+    );
+
+    console.log(`✅ Experiment running: ${rows[0].id}`);
+    return { success: true, experiment: rows[0] };
+  } catch (error) {
+    console.error('Failed to create experiment:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function stopExperiment(experimentId, env) {
+  try {
+    console.log(`🧪 Stopping experiment: ${experimentId}`);
+
+    const now = new Date().toISOString();
+    const rows = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `experiments?id=eq.${experimentId}&status=eq.running`,
+      'PATCH',
+      { status: 'stopped', ended_at: now, updated_at: now }
+    );
+
+    if (rows.length === 0) {
+      return { success: false, error: 'Running experiment not found' };
+    }
+
+    console.log(`✅ Stopped experiment: ${experimentId}`);
+    return { success: true, experiment: rows[0] };
+  } catch (error) {
+    console.error('Failed to stop experiment:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// PostgREST caps a response at its max-rows setting, so results read every
+// matching row a page at a time, keyed on id
+const EXPERIMENT_RESULTS_PAGE_SIZE = 1000;
+
+async function fetchAllRows(query, env) {
+  const rows = [];
+  let after = null;
+  while (true) {
+    const page = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `${query}&order=id.asc&limit=${EXPERIMENT_RESULTS_PAGE_SIZE}${after ? `&id=gt.${after}` : ''}`
+    );
+    rows.push(...page);
+    if (page.length < EXPERIMENT_RESULTS_PAGE_SIZE) return rows;
+    after = page[page.length - 1].id;
+  }
+}
+
+// Per variant: conversations (callers who reached the bot), bookings (callers
+// with an appointment booked under that variant), the booking rate and the
+// average number of turns per conversation. Defaults to the running
+// experiment, else the latest one.
+async function getExperimentResults(data, env) {
+  try {
+    let experiment = null;
+    if (data.experimentId) {
+      const rows = await callSupabase(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY, `experiments?id=eq.${data.experimentId}&select=*&limit=1`);
+      experiment = rows[0] || null;
+    } else if (data.organizationId) {
+      experiment = (await listExperiments(data.organizationId, env))[0] || null;
+    }
+    if (!experiment) {
+      return { success: false, error: 'Experiment not found' };
+    }
+
+    console.log(`📊 Getting results for experiment: ${experiment.id}`);
+
+    const interactions = await fetchAllRows(`interactions?experiment_id=eq.${experiment.id}&select=id,customer_phone,experiment_variant`, env);
+    // Appointments carry the variant the caller was in when they booked
+    const appointments = await fetchAllRows(`appointments?experiment_id=eq.${experiment.id}&select=id,customer_phone,experiment_variant`, env);
+
+    const variants = experiment.variants.map(variant => {
+      const turns = interactions.filter(interaction => interaction.experiment_variant === variant.key);
+      const callers = new Set(turns.map(interaction => normalizeStoredPhone(interaction.customer_phone)));
+      const bookings = new Set(appointments
+        .filter(appointment => appointment.experiment_variant === variant.key)
+        .map(appointment => normalizeStoredPhone(appointment.customer_phone))).size;
+
+      return {
+        variant: variant.key,
+        conversations: callers.size,
+        bookings,
+        bookingRate: callers.size > 0 ? (bookings / callers.size * 100).toFixed(1) : 0,
+        turns: turns.length,
+        averageTurns: callers.size > 0 ? Math.round(turns.length / callers.size * 10) / 10 : 0
+      };
+    });
+
+    console.log(`✅ Experiment results: ${interactions.length} interactions across ${variants.length} variants`);
+    return {
+      success: true,
+      experiment: {
+        id: experiment.id,
+        name: experiment.name,
+        kind: experiment.kind,
+        status: experiment.status,
+        startedAt: experiment.started_at,
+        endedAt: experiment.ended_at
+      },
+      variants
+    };
+  } catch (error) {
+    console.error('Failed to get experiment results:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// =============================================================================
+// GUARDRAIL EVENT FUNCTIONS
+// =============================================================================
+
+// Rules the AI processor's output guardrails can trip
+const GUARDRAIL_RULES = ['price', 'hours', 'warranty', 'legal_advice', 'medical_advice', 'competitor', 'pii'];
+
+// One row per model reply the AI processor blocked, with every rule it broke
+async function logGuardrailEvent(data, env) {
+  try {
+    const violations = Array.isArray(data.violations) ? data.violations.filter(violation => GUARDRAIL_RULES.includes(violation?.rule)) : [];
+    if (!data.organizationId || violations.length === 0) {
+      return { success: false, error: 'organizationId and at least one violation are required' };
+    }
+
+    console.log(`🛡️ Logging guardrail event for organization: ${data.organizationId}`);
+
+    const events = await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      'guardrail_events',
+      'POST',
+      {
+        organization_id: data.organizationId,
+        customer_phone: normalizeStoredPhone(data.customerPhone),
+        conversation_state_id: data.conversationStateId || null,
+        channel: data.channel || 'voice',
+        rules: [...new Set(violations.map(violation => violation.rule))],
+        violations,
+        blocked_response: data.blockedResponse || null,
+        fallback_response: data.fallbackResponse || null,
+        created_at: new Date().toISOString()
+      }
+    );
+
+    console.log(`✅ Logged guardrail event: ${events[0].id}`);
+    return { success: true, event: events[0] };
+  } catch (error) {
+    console.error('Failed to log guardrail event:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Blocked replies for review, newest first
+async function listGuardrailEvents(filters, env) {
+  try {
+    console.log(`🛡️ Listing guardrail events for organization: ${filters.organizationId}`);
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+    let query = `guardrail_events?organization_id=eq.${filters.organizationId}&select=*&order=created_at.desc&limit=${limit}`;
+    if (filters.rule) {
+      query += `&rules=cs.{${encodeURIComponent(filters.rule)}}`;
+    }
+
+    const rows = await callSupabase(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY, query);
+
+    console.log(`✅ Found ${rows.length} guardrail events`);
+    return rows;
+  } catch (error) {
+    console.error('Failed to list guardrail events:', error);
+    return [];
+  }
+}
+
+// =============================================================================
+// PHONE NUMBER BACKFILL
+// =============================================================================
+
+// Phone columns written before numbers were normalized, and the column that
+// scopes each table to a tenant
+const PHONE_BACKFILL_TABLES = {
+  customers: { columns: ['phone'], organizationColumn: 'tenant_id' },
+  interactions: { columns: ['customer_phone'], organizationColumn: 'tenant_id' },
+  conversation_states: { columns: ['customer_phone'], organizationColumn: 'organization_id' },
+  appointments: { columns: ['customer_phone', 'callback_number'], organizationColumn: 'organization_id' },
+  escalations: { columns: ['customer_phone'], organizationColumn: 'organization_id' }
+};
+
+const PHONE_BACKFILL_BATCH_SIZE = 200;
+const PHONE_BACKFILL_MAX_BATCH_SIZE = 1000;
+
+// Fold a customer stored under an old format into the row that already has
+// the normalized number
+async function mergeDuplicateCustomer(duplicate, keeper, env) {
+  for (const table of ['interactions', 'appointments']) {
+    await callSupabase(
+      env.SUPABASE_URL,
+      env.SUPABASE_SERVICE_KEY,
+      `${table}?customer_id=eq.${duplicate.id}`,
+      'PATCH',
+      { customer_id: keeper.id }
+    );
+  }
+
+  await callSupabase(
+    env.SUPABASE_URL,
+    env.SUPABASE_SERVICE_KEY,
+    `customers?id=eq.${keeper.id}`,
+    'PATCH',
+    { total_interactions: (keeper.total_interactions || 0) + (duplicate.total_interactions || 0) }
+  );
+
+  await callSupabase(
+    env.SUPABASE_URL,
+    env.SUPABASE_SERVICE_KEY,
+    `customers?id=eq.${duplicate.id}`,
+    'DELETE'
+  );
+}
+
+// The other active conversation for this caller and organization, if the
+// caller already has one under the normalized number
+async function getOtherActiveConversationState(customerPhone, organizationId, stateId, env) {
+  const rows = await callSupabase(
+    env.SUPABASE_URL,
+    env.SUPABASE_SERVICE_KEY,
+    `conversation_states?organization_id=eq.${organizationId}&customer_phone=eq.${encodeURIComponent(customerPhone)}&is_active=eq.true&id=neq.${stateId}&select=id,updated_at&order=updated_at.desc&limit=1`
+  );
+  return rows[0] || null;
+}
+
+// Two active conversations for one caller would leave the agents reading
+// whichever was touched last, so only the most recently updated one stays
+// active. Both keep their rows and history.
+async function mergeDuplicateConversationState(duplicate, keeper, changes, env) {
+  if (new Date(duplicate.updated_at) > new Date(keeper.updated_at)) {
+    await callSupabase(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY, `conversation_states?id=eq.${keeper.id}`, 'PATCH', { is_active: false });
+    await callSupabase(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY, `conversation_states?id=eq.${duplicate.id}`, 'PATCH', changes);
+  } else {
+    await callSupabase(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY, `conversation_states?id=eq.${duplicate.id}`, 'PATCH', { ...changes, is_active: false });
+  }
+}
+
+// Extra columns the duplicate checks need
+const PHONE_BACKFILL_MERGE_COLUMNS = {
+  customers: ',tenant_id,total_interactions',
+  conversation_states: ',organization_id,is_active,updated_at'
+};
+
+// Normalizes one row's phone columns and tallies the outcome in result
+async function backfillPhoneRow(table, definition, row, result, dryRun, env) {
+  const changes = {};
+  for (const column of definition.columns) {
+    if (!row[column]) continue;
+
+    const normalized = PhoneNormalizer.normalize(row[column]);
+    if (!normalized) {
+      // Withheld and SIP callers stay as they are; listed so ops can look
+      result.invalid.push({ id: row.id, column, value: row[column] });
+    } else if (normalized !== row[column]) {
+      changes[column] = normalized;
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    result.unchanged++;
+    return;
+  }
+
+  // The same caller may already have a row under the normalized number
+  if (table === 'customers') {
+    const keeper = await getCustomer(changes.phone, row.tenant_id, env);
+    if (keeper && keeper.id !== row.id) {
+      if (!dryRun) await mergeDuplicateCustomer(row, keeper, env);
+      result.merged++;
+      return;
+    }
+  }
+
+  if (table === 'conversation_states' && changes.customer_phone && row.is_active !== false) {
+    const keeper = await getOtherActiveConversationState(changes.customer_phone, row.organization_id, row.id, env);
+    if (keeper) {
+      if (!dryRun) await mergeDuplicateConversationState(row, keeper, changes, env);
+      result.merged++;
+      return;
+    }
+  }
+
+  if (!dryRun) {
+    await callSupabase(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY, `${table}?id=eq.${row.id}`, 'PATCH', changes);
+  }
+  result.updated++;
+}
+
+// Rewrite one batch of a table's phone numbers to E.164. Call again with the
+// returned nextCursor until it comes back null; dryRun only counts. If a write
+// fails partway through, the counts so far come back with success false and
+// nextCursor at the last row finished, so the next call retries the rest.
+async function backfillPhoneNumbers(options, env) {
+  const { table, after, organizationId, dryRun = false } = options;
+  const definition = PHONE_BACKFILL_TABLES[table];
+  if (!definition) {
+    return { success: false, error: `table must be one of: ${Object.keys(PHONE_BACKFILL_TABLES).join(', ')}` };
+  }
+
+  const limit = Math.min(Number(options.limit) || PHONE_BACKFILL_BATCH_SIZE, PHONE_BACKFILL_MAX_BATCH_SIZE);
+
+  try {
+    console.log(`☎️ Backfilling phone numbers in ${table}${after ? ` after ${after}` : ''}${dryRun ? ' (dry run)' : ''}`);
+
+    const extraColumns = PHONE_BACKFILL_MERGE_COLUMNS[table] || '';
+    let query = `${table}?select=id,${definition.columns.join(',')}${extraColumns}&order=id.asc&limit=${limit}`;
+    if (after) {
+      query += `&id=gt.${after}`;
+    }
+    if (organizationId) {
+      query += `&${definition.organizationColumn}=eq.${organizationId}`;
+    }
+
+    const rows = await callSupabase(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY, query);
+    const result = {
+      success: true,
+      table,
+      dryRun,
+      scanned: rows.length,
+      updated: 0,
+      merged: 0,
+      unchanged: 0,
+      invalid: [],
+      nextCursor: rows.length === limit ? rows[rows.length - 1].id : null
+    };
+
+    let lastDone = after || null;
+    try {
+      for (const row of rows) {
+        await backfillPhoneRow(table, definition, row, result, dryRun, env);
+        lastDone = row.id;
+      }
+    } catch (error) {
+      console.error(`Phone backfill ${table} stopped after ${lastDone || 'no rows'}:`, error);
+      return { ...result, success: false, error: error.message, nextCursor: lastDone };
+    }
+
+    console.log(`✅ Phone backfill ${table}: ${result.updated} updated, ${result.merged} merged, ${result.invalid.length} invalid`);
+    return result;
+  } catch (error) {
+    console.error('Failed to backfill phone numbers:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// =============================================================================
+// MAIN REQUEST HANDLER
+// =============================================================================
+
+// Handle different request types
+async function handleRequest(request, env, ctx) {
+  const url = new URL(request.url);
+  
+  // CORS headers for cross-worker communication
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+  };
+
+  // Handle CORS preflight
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    // =============================================================================
+    // NEW ENDPOINTS FOR VOICE AGENT INTEGRATION
+    // =============================================================================
+
+    // IDENTIFY ORGANIZATION ENDPOINT
+    if (url.pathname === '/identify' && request.method === 'POST') {
+      const { phone } = await request.json();
+      const organizationId = await identifyOrganization(phone, env);
+      return Response.json({ organizationId }, { headers: corsHeaders });
+    }
+
+    // GET ORGANIZATION CONFIG ENDPOINT  
+    if (url.pathname.startsWith('/config/') && request.method === 'GET') {
+      const organizationId = url.pathname.split('/config/')[1];
+      const config = await getOrganizationConfig(organizationId, env);
+      return Response.json(config, { headers: corsHeaders });
+    }
+
+    // GET ORGANIZATION FAQS ENDPOINT
+    if (url.pathname === '/organization/faqs' && request.method === 'GET') {
+      const organizationId = url.searchParams.get('organizationId');
+      const faqs = await getOrganizationFAQs(organizationId, env);
+      return Response.json(faqs, { headers: corsHeaders });
+    }
+
+    // =============================================================================
+    // EXISTING ENDPOINTS
+    // =============================================================================
+
+    // Route requests
+    if (url.pathname === '/log' && request.method === 'POST') {
+      const data = await request.json();
+      const result = await logInteraction(data, env);
+      return Response.json(result, { headers: corsHeaders });
+    }
+
+    if (url.pathname === '/sms-log' && request.method === 'POST') {
+      const data = await request.json();
+      const result = await logSMSInteraction(data, env);
+      return Response.json(result, { headers: corsHeaders });
+    }
+
+    if (url.pathname === '/customer' && request.method === 'POST') {
+      const { phone, tenantId } = await request.json();
+      const customer = await getCustomer(phone, tenantId, env);
+      return Response.json(customer, { headers: corsHeaders });
+    }
+
+    if (url.pathname === '/history' && request.method === 'POST') {
+      const { phone, tenantId, limit } = await request.json();
+      const history = await getConversationHistory(phone, tenantId, limit, env);
+      return Response.json(history, { headers: corsHeaders });
+    }
+
+    // FAQ ENDPOINT
+    if (url.pathname === '/faqs' && request.method === 'POST') {
+      const { companyId, query, language } = await request.json();
+      const faq = await getFAQMatch(companyId, query, env, language);
+      return Response.json({ faq }, { headers: corsHeaders });
+    }
+
+    // FAQ USAGE UPDATE ENDPOINT
+    if (url.pathname === '/faq-usage' && request.method === 'POST') {
+      const { faqId } = await request.json();
+      await updateFAQUsage(faqId, env);
+      return Response.json({ success: true }, { headers: corsHeaders });
+    }
+
+    // DEBUG FAQ ENDPOINT
+    if (url.pathname === '/debug-faqs' && request.method === 'GET') {
+      const companyId = url.searchParams.get('companyId') || '123';
+      
+      try {
+        console.log(`🔍 Debug FAQ lookup for company ${companyId}`);
+        
+        // Test direct Supabase access
+        const faqs = await callSupabase(
+          env.SUPABASE_URL,
+          env.SUPABASE_SERVICE_KEY,
+          `faqs?company_id=eq.${companyId}&select=id,question,response,keywords,category,usage_count`
+        );
+        
+        // Also try to get ALL FAQs to see what's in the table
+        const allFAQs = await callSupabase(
+          env.SUPABASE_URL,
+          env.SUPABASE_SERVICE_KEY,
+          `faqs?select=id,company_id,keywords,response&limit=10`
+        );
+        
+        return Response.json({
+          debug: true,
+          companyId,
+          supabaseUrl: env.SUPABASE_URL,
+          hasServiceKey: !!env.SUPABASE_SERVICE_KEY,
+          faqsFound: faqs ? faqs.length : 0,
+          faqs: faqs || null,
+          allFAQs: allFAQs || null,
+          query: `faqs?company_id=eq.${companyId}&select=id,question,response,keywords,category,usage_count`
+        }, { headers: corsHeaders });
+        
+      } catch (error) {
+        return Response.json({
+          debug: true,
+          error: error.message,
+          companyId,
+          supabaseUrl: env.SUPABASE_URL,
+          hasServiceKey: !!env.SUPABASE_SERVICE_KEY
+        }, { headers: corsHeaders });
+      }
+    }
+
+    // DEBUG ORGANIZATION ENDPOINT
+    if (url.pathname === '/debug-org' && request.method === 'GET') {
+      const phone = url.searchParams.get('phone') || '+1234567890';
+      const orgId = url.searchParams.get('orgId') || '86851e15-2618-4105-93be-0bfb023f1aec';
+      
+      try {
+        console.log(`🔍 Debug organization lookup`);
+        
+        // Test organization identification
+        const identifiedOrg = await identifyOrganization(phone, env);
+        
+        // Test config retrieval
+        const config = await getOrganizationConfig(orgId, env);
+        
+        // Test FAQ retrieval
+        const faqs = await getOrganizationFAQs(orgId, env);
+        
+        return Response.json({
+          debug: true,
+          phone,
+          orgId,
+          identifiedOrg,
+          config,
+          faqCount: faqs.length,
+          faqs: faqs.slice(0, 3), // First 3 FAQs only
+          supabaseUrl: env.SUPABASE_URL,
+          hasServiceKey: !!env.SUPABASE_SERVICE_KEY
+        }, { headers: corsHeaders });
+        
+      } catch (error) {
+        return Response.json({
+          debug: true,
+          error: error.message,
+          phone,
+          orgId,
+          supabaseUrl: env.SUPABASE_URL,
+          hasServiceKey: !!env.SUPABASE_SERVICE_KEY
+        }, { headers: corsHeaders });
+      }
+    }
+
+    if (url.pathname === '/analytics' && request.method === 'POST') {
+      const { tenantId, period } = await request.json();
+      const analytics = await getAnalytics(tenantId, period, env);
+      return Response.json(analytics, { headers: corsHeaders });
+    }
+
+    // =============================================================================
+    // APPOINTMENT ENDPOINTS
+    // =============================================================================
+
+    if (url.pathname === '/appointments' && request.method === 'POST') {
+      const data = await request.json();
+      const result = await createAppointment(data, env);
+      return Response.json(result, {
+        status: result.success ? 200 : result.code === 'slot_unavailable' ? 409 : 400,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname === '/availability' && request.method === 'POST') {
+      const { organizationId, limit, maxPerDay, windows } = await request.json();
+      const availability = await getAvailableSlots(organizationId, { limit, maxPerDay, windows }, env);
+      return Response.json(availability, { headers: corsHeaders });
+    }
+
+    // =============================================================================
+    // SERVICE AREA AND ESCALATION ENDPOINTS
+    // =============================================================================
+
+    if (url.pathname === '/service-area' && request.method === 'POST') {
+      const { organizationId, zipCode } = await request.json();
+      const result = await checkServiceArea(organizationId, zipCode, env);
+      return Response.json(result, {
+        status: result.success ? 200 : 400,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname === '/escalations' && request.method === 'POST') {
+      const data = await request.json();
+      const result = await createEscalation(data, env);
+      return Response.json(result, {
+        status: result.success ? 200 : 400,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname === '/escalations/reescalate' && request.method === 'POST') {
+      const result = await reescalateOverdueEscalations(env).catch(error => ({ success: false, error: error.message }));
+      return Response.json(result, {
+        status: result.success ? 200 : 500,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname === '/escalations/acknowledge' && request.method === 'POST') {
+      const { phone, via } = await request.json().catch(() => ({}));
+      const result = await acknowledgeEscalation({ phone, via: via || 'sms' }, env);
+      return Response.json(result, {
+        status: result.success ? 200 : result.code === 'not_found' ? 404 : 400,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname.startsWith('/escalations/') && url.pathname.endsWith('/acknowledge') && request.method === 'POST') {
+      const escalationId = url.pathname.split('/')[2];
+      const { phone, via } = await request.json().catch(() => ({}));
+      const result = await acknowledgeEscalation({ escalationId, phone, via }, env);
+      return Response.json(result, {
+        status: result.success ? 200 : result.code === 'not_found' ? 404 : 400,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname === '/escalations/handoff' && request.method === 'GET') {
+      const phone = url.searchParams.get('phone');
+      if (!phone) {
+        return Response.json({ error: 'phone parameter required' }, {
+          status: 400,
+          headers: corsHeaders
+        });
+      }
+
+      try {
+        const escalation = await getActiveHandoff(phone, url.searchParams.get('organizationId'), env);
+        return Response.json({ paused: !!escalation, escalation }, {
+          headers: corsHeaders
+        });
+      } catch (error) {
+        return Response.json({ error: error.message }, {
+          status: 500,
+          headers: corsHeaders
+        });
+      }
+    }
+
+    if (url.pathname.startsWith('/escalations/') && request.method === 'GET') {
+      const escalationId = url.pathname.split('/escalations/')[1];
+      const escalation = await getEscalation(escalationId, env);
+      return Response.json(escalation, {
+        status: escalation ? 200 : 404,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname === '/appointments' && request.method === 'GET') {
+      const appointments = await listAppointments({
+        organizationId: url.searchParams.get('organizationId'),
+        customerPhone: url.searchParams.get('customerPhone'),
+        status: url.searchParams.get('status'),
+        needsReview: url.searchParams.get('needsReview') === 'true',
+        limit: url.searchParams.get('limit')
+      }, env);
+      return Response.json(appointments, { headers: corsHeaders });
+    }
+
+    if (url.pathname.startsWith('/appointments/') && url.pathname.endsWith('/cancel') && request.method === 'POST') {
+      const appointmentId = url.pathname.split('/')[2];
+      const { reason } = await request.json().catch(() => ({}));
+      const result = await cancelAppointment(appointmentId, reason, env);
+      return Response.json(result, {
+        status: result.success ? 200 : 404,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname.startsWith('/appointments/') && request.method === 'GET') {
+      const appointmentId = url.pathname.split('/appointments/')[1];
+      const appointment = await getAppointment(appointmentId, env);
+      return Response.json(appointment, {
+        status: appointment ? 200 : 404,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname === '/vocabularies/resolved' && request.method === 'GET') {
+      const result = await resolveVocabularies(url.searchParams.get('organizationId'), env);
+      return Response.json(result, {
+        status: result.success ? 200 : 500,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname === '/vocabularies' && request.method === 'GET') {
+      const entries = await listVocabularies({
+        organizationId: url.searchParams.get('organizationId'),
+        category: url.searchParams.get('category'),
+        includeGlobal: url.searchParams.get('includeGlobal') === 'true'
+      }, env);
+      return Response.json(entries, { headers: corsHeaders });
+    }
+
+    if (url.pathname === '/vocabularies' && request.method === 'POST') {
+      const data = await request.json();
+      const result = await createVocabularyEntry(data, env);
+      return Response.json(result, {
+        status: result.success ? 200 : 400,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname.startsWith('/vocabularies/') && request.method === 'PATCH') {
+      const entryId = url.pathname.split('/vocabularies/')[1];
+      const data = await request.json();
+      const result = await updateVocabularyEntry(entryId, data, env);
+      return Response.json(result, {
+        status: result.success ? 200 : (result.error === 'Vocabulary entry not found' ? 404 : 400),
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname.startsWith('/vocabularies/') && request.method === 'DELETE') {
+      const entryId = url.pathname.split('/vocabularies/')[1];
+      const result = await deleteVocabularyEntry(entryId, env);
+      return Response.json(result, {
+        status: result.success ? 200 : 404,
+        headers: corsHeaders
+      });
+    }
+
+    // =============================================================================
+    // PROMPT TEMPLATE ENDPOINTS
+    // =============================================================================
+
+    if (url.pathname === '/prompt-templates/active' && request.method === 'GET') {
+      const result = await getActivePromptTemplate(url.searchParams.get('organizationId'), env);
+      return Response.json(result, {
+        status: result.success ? 200 : 500,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname === '/prompt-templates/validate' && request.method === 'POST') {
+      const data = await request.json();
+      const errors = validatePromptTemplate(data.template ?? null, data.variables || {});
+      return Response.json({ success: true, valid: errors.length === 0, errors }, { headers: corsHeaders });
+    }
+
+    if (url.pathname === '/prompt-templates/rollback' && request.method === 'POST') {
+      const data = await request.json();
+      const result = await rollbackPromptTemplate(data, env);
+      return Response.json(result, {
+        status: result.success ? 200 : (result.error === 'Prompt template version not found' ? 404 : 400),
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname === '/prompt-templates' && request.method === 'GET') {
+      const versions = await listPromptTemplates(url.searchParams.get('organizationId'), env);
+      return Response.json(versions, { headers: corsHeaders });
+    }
+
+    if (url.pathname === '/prompt-templates' && request.method === 'POST') {
+      const data = await request.json();
+      const result = await createPromptTemplate(data, env);
+      return Response.json(result, {
+        status: result.success ? 200 : 400,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname.startsWith('/prompt-templates/') && request.method === 'GET') {
+      const version = url.pathname.split('/prompt-templates/')[1];
+      const result = await getPromptTemplateVersion(url.searchParams.get('organizationId'), version, env);
+      return Response.json(result, {
+        status: result.success ? 200 : (result.error === 'Prompt template version not found' ? 404 : 500),
+        headers: corsHeaders
+      });
+    }
+
+    // =============================================================================
+    // EXPERIMENT ENDPOINTS
+    // =============================================================================
+
+    if (url.pathname === '/experiments/active' && request.method === 'GET') {
+      const result = await getActiveExperiment(url.searchParams.get('organizationId'), env);
+      return Response.json(result, {
+        status: result.success ? 200 : 500,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname === '/experiments' && request.method === 'GET') {
+      const experiments = await listExperiments(url.searchParams.get('organizationId'), env);
+      return Response.json(experiments, { headers: corsHeaders });
+    }
+
+    if (url.pathname === '/experiments' && request.method === 'POST') {
+      const data = await request.json();
+      const result = await createExperiment(data, env);
+      return Response.json(result, {
+        status: result.success ? 200 : (result.code === 'experiment_running' ? 409 : 400),
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname.startsWith('/experiments/') && url.pathname.endsWith('/stop') && request.method === 'POST') {
+      const experimentId = url.pathname.split('/')[2];
+      const result = await stopExperiment(experimentId, env);
+      return Response.json(result, {
+        status: result.success ? 200 : 404,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname === '/analytics/experiments' && request.method === 'POST') {
+      const data = await request.json();
+      const result = await getExperimentResults(data, env);
+      return Response.json(result, {
+        status: result.success ? 200 : (result.error === 'Experiment not found' ? 404 : 500),
+        headers: corsHeaders
+      });
+    }
+
+    // =============================================================================
+    // GUARDRAIL ENDPOINTS
+    // =============================================================================
+
+    if (url.pathname === '/guardrail-events' && request.method === 'POST') {
+      const data = await request.json();
+      const result = await logGuardrailEvent(data, env);
+      return Response.json(result, {
+        status: result.success ? 200 : 400,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname === '/guardrail-events' && request.method === 'GET') {
+      const events = await listGuardrailEvents({
+        organizationId: url.searchParams.get('organizationId'),
+        rule: url.searchParams.get('rule'),
+        limit: url.searchParams.get('limit')
+      }, env);
+      return Response.json(events, { headers: corsHeaders });
+    }
+
+    // =============================================================================
+    // PHONE NUMBER ENDPOINTS
+    // =============================================================================
+
+    if (url.pathname === '/phones/backfill' && request.method === 'POST') {
+      if (!isAdminRequest(request, env)) {
+        return Response.json({ success: false, error: 'Unauthorized' }, { status: 401, headers: corsHeaders });
+      }
+
+      const options = await request.json();
+      const result = await backfillPhoneNumbers(options, env);
+      return Response.json(result, {
+        status: result.success ? 200 : 400,
+        headers: corsHeaders
+      });
+    }
+
+    if (url.pathname === '/status' || url.pathname === '/') {
+      return new Response(`
+📋 Enhanced Database Worker Status with Voice Agent Integration
+
+Environment Variables:
+✅ SUPABASE_URL: ${env.SUPABASE_URL ? 'Set' : 'Missing'}
+✅ SUPABASE_SERVICE_KEY: ${env.SUPABASE_SERVICE_KEY ? 'Set' : 'Missing'}
+${env.ADMIN_API_TOKEN ? '✅' : '➖'} ADMIN_API_TOKEN: ${env.ADMIN_API_TOKEN ? 'Set' : 'Not set (maintenance routes off)'}
+${env.SMS_API_TOKEN ? '✅' : '➖'} SMS_API_TOKEN: ${env.SMS_API_TOKEN ? 'Set' : 'Not set (the SMS worker refuses pages)'}
+
+NEW VOICE AGENT ENDPOINTS:
+🔗 POST /identify - Identify organization by phone
+  Body: { "phone": "+1234567890" }
+🔗 GET /config/{organizationId} - Get organization configuration
+🔗 GET /organization/faqs?organizationId=UUID - Get organization FAQs
 
 EXISTING ENDPOINTS:
 - POST /log - Log voice interactions
-  Body: { "organizationId": "id", "customerPhone": "+123", "speech": "text", "response": "text", "processingTime": 1000, "intent": "emergency", "faqMatched": true, "faqId": 72 }
+  Body: { "organizationId": "id", "customerPhone": "+123", "speech": "text", "response": "text", "processingTime": 1000, "intent": "book_repair", "confidenceScore": 0.8, "faqMatched": true, "faqId": 72, "experimentId": "UUID", "experimentVariant": "control" }
 - POST /sms-log - Log SMS interactions  
-  Body: { "tenantId": "id", "customerPhone": "+123", "message": "text", "response": "text", "intent": "pricing", "faqMatched": false }
+  Body: { "tenantId": "id", "customerPhone": "+123", "message": "text", "response": "text", "intent": "pricing_question", "confidenceScore": 0.7, "faqMatched": false, "experimentId": "UUID", "experimentVariant": "control" }
+  Intents come from the AI processor's classifier: book_repair, pricing_question, hours, status_check, reschedule, cancel, complaint, spam, other
 - POST /customer - Get customer info
   Body: { "phone": "+123", "tenantId": "id" }
 - POST /history - Get conversation history
   Body: { "phone": "+123", "tenantId": "id", "limit": 5 }
 - POST /faqs - Find best FAQ match
-  Body: { "companyId": 123, "query": "washer broken" }
+  Body: { "companyId": 123, "query": "washer broken", "language": "es" (optional, only FAQs in that language; untagged FAQs are English) }
 - POST /faq-usage - Update FAQ usage count
   Body: { "faqId": 72 }
 - GET /debug-faqs?companyId=123 - Debug FAQ lookup
@@ -790,6 +3072,89 @@ EXISTING ENDPOINTS:
   Body: { "tenantId": "id", "period": "7d" }
 - GET /status - This status page
 
+APPOINTMENT ENDPOINTS:
+📅 POST /appointments - Book an appointment from a completed intake
+  Body: { "organizationId": "UUID", "customerPhone": "+123", "conversationStateId": "UUID", "channel": "voice", "customerName": "John Smith", "streetAddress": "123 Main St", "city": "Fairfax", "zipCode": "22030", "callbackNumber": "+123", "applianceType": "washer", "applianceMake": "Samsung", "issueDescription": "leaking", "preferredTime": "Tuesday 8 AM to 10 AM", "scheduledStart": "ISO", "scheduledEnd": "ISO", "experimentId": "UUID", "experimentVariant": "control" }
+  Returns 409 { "code": "slot_unavailable" } when the window filled up in the meantime
+  A ZIP the service radius can't be checked for (no centroid) is booked with needs_review and texted to staff_phone; returns "review": { "reason", "escalationId" }
+🗓️ POST /availability - Open appointment windows from business hours, technician capacity and bookings
+  Body: { "organizationId": "UUID", "limit": 3, "maxPerDay": 2, "windows": [{ "start": "ISO", "end": "ISO" }] }
+  windows is optional: only windows starting inside one of the ranges are offered
+📅 GET /appointments?organizationId=UUID&customerPhone=+123&status=scheduled&needsReview=true - List appointments
+📅 GET /appointments/{appointmentId} - Get an appointment
+📅 POST /appointments/{appointmentId}/cancel - Cancel an appointment
+  Body: { "reason": "customer cancelled" }
+
+SERVICE AREA AND ESCALATION ENDPOINTS:
+📍 POST /service-area - Check whether a ZIP code is served (excluded ZIPs, ZIP list, or radius from a base ZIP)
+  Body: { "organizationId": "UUID", "zipCode": "22030" }
+  Returns: { "status": "served|not_served|unknown", "reason": "excluded|zip_list|radius|not_listed|no_centroid|not_configured", "distanceMiles": 4.2, "referral": "text" }
+🚨 POST /escalations - Record a hand-off to a person
+  Body: { "organizationId": "UUID", "customerPhone": "+123", "conversationStateId": "UUID", "channel": "voice", "reason": "customer asked for a person", "urgency": "normal|urgent|emergency", "summary": "text", "notifyStaff": true, "botPausedUntil": "ISO" }
+  Urgent and emergency escalations text the first of the tenant's on_call_contacts through SMS_SERVICE, from the tenant's business_phone; "paged" is true only when the text went out
+  Returns: { "escalation": {...}, "page": { "paged": true, "contact": { "name": "Sam", "phone": "+15715550100" }, "ackDeadline": "ISO" } }
+  notifyStaff texts staff_phone (or the first on-call contact) instead; returns "notification": { "sent": true, "to": "+1..." }
+🚨 GET /escalations/handoff?phone=+15715550123&organizationId=UUID - The customer's handoff while it has the bot paused
+  Returns: { "paused": true, "escalation": {...} }
+🚨 GET /escalations/{escalationId} - Get an escalation
+🚨 POST /escalations/{escalationId}/acknowledge - Acknowledge a page (the voice transfer whisper uses this)
+  Body: { "phone": "+15715550100", "via": "transfer" }
+🚨 POST /escalations/acknowledge - Acknowledge the latest page sent to a number (an ACK text reply)
+  Body: { "phone": "+15715550100" }
+🚨 POST /escalations/reescalate - Page the next on-call contact for every escalation past its ack_deadline
+  Also runs from the cron trigger (e.g. "* * * * *"); after the last contact the escalation is marked unacknowledged
+
+VOCABULARY ENDPOINTS:
+📚 GET /vocabularies?organizationId=UUID&category=brand&includeGlobal=true - List synonym entries (no organizationId = global defaults)
+📚 GET /vocabularies/resolved?organizationId=UUID - Global plus tenant synonyms merged by category
+📚 POST /vocabularies - Add an entry (omit organizationId for a global default)
+  Body: { "organizationId": "UUID", "category": "brand", "value": "speed_queen", "phrases": ["speed queen"] }
+📚 PATCH /vocabularies/{entryId} - Update phrases or deactivate
+  Body: { "phrases": ["speed queen", "speedqueen"], "isActive": true }
+📚 DELETE /vocabularies/{entryId} - Remove an entry
+
+PROMPT TEMPLATE ENDPOINTS:
+📝 GET /prompt-templates?organizationId=UUID - Every saved version, newest first
+📝 GET /prompt-templates/active?organizationId=UUID - The version the AI processor uses ("template": null when none was saved)
+📝 POST /prompt-templates - Save a new version and make it active
+  Body: { "organizationId": "UUID", "template": "You are {{persona_name}}, a {{tone}} assistant for {{business_name}}... {{conversation_data}} ... {{required_fields}}" (null = built-in template), "variables": { "persona_name": "Maria", "diagnostic_fee": "$79", "warranty_policy": "90 days on parts and labor" }, "note": "spring pricing" }
+  Tenant variables: persona_name, tone, diagnostic_fee, repair_range, warranty_policy, business_hours
+  Filled in per turn: business_name, channel_guidance, language_guidance, service, completion_percentage, conversation_data, required_fields, examples, pricing, tools
+  {{#warranty_policy}}...{{/warranty_policy}} is kept only when the variable is set; unknown variables, unclosed sections and a missing {{conversation_data}} or {{required_fields}} are rejected with "errors"
+📝 POST /prompt-templates/validate - Check a draft without saving it
+  Body: { "template": "...", "variables": {...} }  Returns: { "valid": false, "errors": ["..."] }
+📝 POST /prompt-templates/rollback - Make an earlier version active again (saved as a new version)
+  Body: { "organizationId": "UUID", "version": 3 }
+📝 GET /prompt-templates/{version}?organizationId=UUID - One saved version (prompt template experiments render these)
+  Preview a rendered prompt through the AI processor's POST /prompt-templates/preview
+
+EXPERIMENT ENDPOINTS:
+🧪 GET /experiments?organizationId=UUID - Every experiment, newest first
+🧪 GET /experiments/active?organizationId=UUID - The running experiment (one per tenant at a time)
+🧪 POST /experiments - Start an experiment; 409 while another one is running
+  Body: { "organizationId": "UUID", "name": "shorter persona", "kind": "prompt_template|question_order|voice", "variants": [{ "key": "control", "weight": 1 }, { "key": "v4", "weight": 1, "promptTemplateVersion": 4 }] }
+  Variants set promptTemplateVersion, questionOrder (["applianceMake", "applianceType", ...], reordered within each step) or voiceId; one that sets nothing is the control
+  The AI processor assigns each caller by a hash of their phone number, keeps it on the conversation state and returns it as metadata.experiment; /log and /sms-log store it as experimentId / experimentVariant
+🧪 POST /experiments/{experimentId}/stop - Stop assigning callers; results stay available
+📊 POST /analytics/experiments - Booking-completion rate and average turns per variant
+  Bookings count the callers whose appointment was booked under the variant (appointments.experiment_variant)
+  Body: { "experimentId": "UUID" } or { "organizationId": "UUID" } for the tenant's latest experiment
+  Returns: { "experiment": {...}, "variants": [{ "variant": "control", "conversations": 40, "bookings": 14, "bookingRate": "35.0", "turns": 312, "averageTurns": 7.8 }] }
+
+GUARDRAIL ENDPOINTS:
+🛡️ POST /guardrail-events - Record a model reply the AI processor blocked
+  Body: { "organizationId": "UUID", "customerPhone": "+123", "conversationStateId": "UUID", "channel": "sms", "violations": [{ "rule": "price", "excerpt": "$49" }], "blockedResponse": "text", "fallbackResponse": "text" }
+  Rules: price, hours, warranty (not in the tenant's prompt variables, FAQ answers or conversation), legal_advice, medical_advice, competitor, pii (a phone number, email or street address that isn't the customer's or the business's)
+🛡️ GET /guardrail-events?organizationId=UUID&rule=price&limit=50 - Blocked replies, newest first
+
+PHONE NUMBER ENDPOINTS:
+☎️ POST /phones/backfill - Rewrite one batch of stored phone numbers to E.164, merging customers that end up with the same number and leaving only the latest of a caller's active conversation_states active
+  Needs "Authorization: Bearer <ADMIN_API_TOKEN>"; returns 401 without it, and always when ADMIN_API_TOKEN isn't set
+  Body: { "table": "customers|interactions|conversation_states|appointments|escalations", "organizationId": "UUID" (optional), "limit": 200, "after": "id from nextCursor", "dryRun": true }
+  Returns: { "scanned": 200, "updated": 12, "merged": 1, "unchanged": 187, "invalid": [{ "id": "UUID", "column": "phone", "value": "anonymous" }], "nextCursor": "id or null" }
+  A failed write stops the batch: the counts so far come back with "success": false, the error, and nextCursor at the last row finished
+  Customer, history, appointment and escalation lookups normalize numbers the same way, so "(571) 555-0199" and "+15715550199" are one caller
+
 DEBUG USAGE:
 curl https://database-worker.metabilityllc1.workers.dev/debug-org?phone=+1234567890&orgId=86851e15-2618-4105-93be-0bfb023f1aec
 
@@ -818,10 +3183,19 @@ Worker URL: ${request.url}
 
 Database Tables Used:
 - customers (id, phone, tenant_id, name, total_interactions, last_contact_date, status)
-- interactions (id, tenant_id, customer_id, customer_phone, speech_input, ai_response, processing_time_ms, channel, intent, faq_matched, faq_id, used_cache, created_at)
-- faqs (id, company_id/organization_id/tenant_id, keywords, response, question, category, usage_count, audio_url)
+- interactions (id, tenant_id, customer_id, customer_phone, speech_input, ai_response, processing_time_ms, channel, intent, confidence_score, faq_matched, faq_id, used_cache, experiment_id, experiment_variant, created_at)
+- faqs (id, company_id/organization_id/tenant_id, keywords, response, question, category, usage_count, audio_url, language)
 - organizations (id, name, phone/business_phone, elevenlabs_voice_id)
-- tenant_configs (organization_id, business_name, business_phone, elevenlabs_voice_id)
+- tenant_configs (organization_id, business_name, business_phone, elevenlabs_voice_id, timezone, business_hours, appointment_window_minutes, scheduling_horizon_days, min_lead_minutes, service_zip_codes, excluded_zip_codes, service_base_zip, service_radius_miles, out_of_area_referral, extraction_mode, extraction_confidence_threshold, intake_schema, default_language, number_languages, language_detection, elevenlabs_voice_id_es, voice_streaming, llm_provider, llm_model, llm_temperature, llm_max_tokens, context_token_budget, voice_max_chars, sms_max_chars, on_call_contacts, escalation_ack_minutes, staff_phone, frustration_handoff_score, handoff_pause_minutes, competitor_names)
+- conversation_states (id, organization_id, customer_phone, conversation_data, current_step, step_history, history_summary, summarized_through, is_active, expires_at, created_at, updated_at)
+- zip_centroids (zip, latitude, longitude)
+- escalations (id, organization_id, customer_phone, conversation_state_id, channel, reason, urgency, summary, status, escalation_level, paged_to, paged_at, ack_deadline, page_error, acknowledged_at, acknowledged_by, acknowledged_via, bot_paused_until, created_at, updated_at)
+- technicians (id, organization_id, name, is_active, max_jobs_per_window)
+- vocabularies (id, organization_id, category, value, phrases, is_active, created_at, updated_at)
+- prompt_templates (id, organization_id, version, template, variables, note, rolled_back_from, created_by, is_active, created_at)
+- experiments (id, organization_id, name, kind, variants, status, started_at, ended_at, created_at, updated_at)
+- guardrail_events (id, organization_id, customer_phone, conversation_state_id, channel, rules, violations, blocked_response, fallback_response, created_at)
+- appointments (id, organization_id, customer_id, customer_phone, conversation_state_id, customer_name, street_address, city, zip_code, callback_number, appliance_type, appliance_make, issue_description, issue_location, preferred_time, intake_data, scheduled_start, scheduled_end, technician_id, source_channel, notes, experiment_id, experiment_variant, status, needs_review, review_reason, cancellation_reason, cancelled_at, created_at, updated_at)
       `, {
         headers: { 'Content-Type': 'text/plain', ...corsHeaders }
       });
@@ -848,5 +3222,12 @@ Database Tables Used:
 export default {
   async fetch(request, env, ctx) {
     return handleRequest(request, env, ctx);
+  },
+
+  // Cron trigger: re-page escalations nobody acknowledged in time
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(reescalateOverdueEscalations(env).catch(error => {
+      console.error('Re-escalation run failed:', error);
+    }));
   }
 };
\ No newline at end of file
@@ -5,6 +5,12 @@
 // AI_SERVICE (bound to ai-processor-worker)
 // DATABASE_SERVICE (bound to database-worker)
 
+// Environment Variables (optional; without them outbound texts are only logged):
+// TWILIO_ACCOUNT_SID
+// TWILIO_AUTH_TOKEN
+// SMS_API_TOKEN - shared with the database worker; programmatic (JSON) sends
+//   need "Authorization: Bearer <SMS_API_TOKEN>" and stay off without it
+
 // =============================================================================
 // ENVIRONMENT VALIDATION - QUICK WIN #1
 // =============================================================================
@@ -73,7 +79,7 @@ class CircuitBreaker {
 // =============================================================================
 
 class SMSErrorResponseManager {
-  static getSMSErrorResponse(error, businessName = 'our service') {
+  static getSMSErrorResponse(error, businessName = 'our service', language = 'en') {
     const errorType = this.categorizeError(error);
     
     const responses = {
@@ -84,8 +90,18 @@ class SMSErrorResponseManager {
       'rate_limit': `You're sending messages too quickly. Please wait a moment before trying again.`,
       'default': `I'm sorry, I'm having technical issues. Please call our main number or try again later.`
     };
-    
-    return responses[errorType] || responses['default'];
+
+    const spanishResponses = {
+      'network': `Tengo problemas de conexión en este momento. Por favor escríbanos de nuevo en un momento o llámenos directamente.`,
+      'ai': `Estoy teniendo dificultades técnicas. Por favor llame a nuestro número principal para recibir ayuda inmediata.`,
+      'database': `No puedo acceder a la información en este momento. Por favor intente de nuevo en unos minutos.`,
+      'validation': `No recibí bien su mensaje. ¿Podría enviarlo de nuevo?`,
+      'rate_limit': `Está enviando mensajes muy rápido. Por favor espere un momento antes de intentar de nuevo.`,
+      'default': `Lo siento, tengo problemas técnicos. Por favor llame a nuestro número principal o intente más tarde.`
+    };
+
+    const table = language === 'es' ? spanishResponses : responses;
+    return table[errorType] || table['default'];
   }
 
   static categorizeError(error) {
@@ -101,6 +117,172 @@ class SMSErrorResponseManager {
   }
 }
 
+// =============================================================================
+// LANGUAGE SELECTION
+// =============================================================================
+
+// Kept in step with the processor's LanguageManager; this copy only needs
+// enough to pick which FAQs to serve and which language to apologize in.
+const SMS_SUPPORTED_LANGUAGES = ['en', 'es'];
+
+const SMS_LANGUAGE_MARKERS = {
+  en: ['the', 'my', 'is', 'and', 'it', 'not', 'please', 'what', 'when', 'how', 'can', 'need', 'thanks'],
+  es: ['el', 'la', 'los', 'las', 'mi', 'es', 'y', 'que', 'por', 'favor', 'para', 'con', 'una', 'necesito', 'cuando', 'cuanto', 'gracias', 'hola', 'no', 'funciona']
+};
+
+class SMSLanguageSelector {
+  static normalize(language) {
+    if (!language || typeof language !== 'string') return null;
+    const code = language.toLowerCase().slice(0, 2);
+    return SMS_SUPPORTED_LANGUAGES.includes(code) ? code : null;
+  }
+
+  // Language configured for the business number, falling back to the tenant default
+  static getNumberLanguage(config, businessPhone) {
+    let numberLanguages = config?.number_languages;
+    if (typeof numberLanguages === 'string') {
+      try {
+        numberLanguages = JSON.parse(numberLanguages);
+      } catch (e) {
+        numberLanguages = null;
+      }
+    }
+
+    return this.normalize(numberLanguages?.[businessPhone]) || this.normalize(config?.default_language);
+  }
+
+  static detect(message) {
+    const text = (message || '').toLowerCase();
+    if (/\b(espa[nñ]ol|spanish)\b/.test(text)) return 'es';
+
+    const tokens = text.match(/[a-z0-9\u00e0-\u00fc]+/g) || [];
+    const score = (language) => tokens.filter(token => SMS_LANGUAGE_MARKERS[language].includes(token)).length;
+    const spanish = score('es') + (/[ñáéíóú¿¡]/.test(text) ? 1 : 0);
+    const english = score('en');
+
+    if (spanish >= 2 && spanish > english) return 'es';
+    if (english >= 2 && english > spanish) return 'en';
+    return null;
+  }
+
+  // Untagged FAQs are English, the same rule as the database worker's
+  // faqMatchesLanguage (test/faq-language.mjs)
+  static servesFaq(faq, language) {
+    return (faq.language || 'en') === language;
+  }
+
+  // A message that clearly reads as one language wins over the number's setting
+  static resolve(message, config, businessPhone) {
+    if (config?.language_detection !== false) {
+      const detected = this.detect(message);
+      if (detected) return detected;
+    }
+    return this.getNumberLanguage(config, businessPhone) || 'en';
+  }
+}
+
+// =============================================================================
+// PHONE NUMBERS - E.164 NORMALIZATION
+// =============================================================================
+
+// Copy of the processor's PhoneNormalizer; change them together so every
+// worker stores a caller under the same number. test/phone-normalizer.mjs
+// runs the same vectors through every copy.
+
+const DEFAULT_PHONE_COUNTRY_CODE = '1';
+
+// Two-digit country codes; 1 and 7 are the only one-digit codes and
+// everything else is three digits
+const TWO_DIGIT_COUNTRY_CODES = new Set([
+  '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+  '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66',
+  '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98'
+]);
+
+const PHONE_EXTENSION_PATTERN = /\s*(?:;\s*ext=|,\s*|\b(?:ext|extension|extensi[óo]n)\.?\s*|\bx\.?\s*|#\s*)(\d{1,6})\s*$/i;
+
+class PhoneNormalizer {
+  static getCountryCode(digits) {
+    if (/^[17]/.test(digits)) return digits.charAt(0);
+    if (TWO_DIGIT_COUNTRY_CODES.has(digits.substring(0, 2))) return digits.substring(0, 2);
+    return digits.substring(0, 3);
+  }
+
+  // Splits a raw number into { e164, countryCode, nationalNumber, extension, valid, reason }.
+  // Numbers without a "+" or international prefix are read as North American.
+  static parse(value, defaultCountryCode = DEFAULT_PHONE_COUNTRY_CODE) {
+    if (value === null || value === undefined) return null;
+
+    let text = String(value).trim().replace(/^tel:/i, '');
+    if (!text) return null;
+
+    let extension = null;
+    const extensionMatch = text.match(PHONE_EXTENSION_PATTERN);
+    if (extensionMatch && /\d{7}/.test(text.slice(0, extensionMatch.index).replace(/\D/g, ''))) {
+      extension = extensionMatch[1];
+      text = text.slice(0, extensionMatch.index);
+    }
+
+    // Anything left besides digits and punctuation ("anonymous", "client:alice") isn't a number
+    if (!/^[+\d\s().-]+$/.test(text)) {
+      return { e164: null, countryCode: null, nationalNumber: null, extension, valid: false, reason: 'not_a_number' };
+    }
+
+    let digits = text.replace(/\D/g, '');
+    const international = /^\s*\+/.test(text) || /^(?:00|011)/.test(digits);
+    if (!international) {
+      // A bare "1" in front of ten digits is the North American trunk prefix
+      if (defaultCountryCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+        digits = digits.substring(1);
+      }
+      digits = `${defaultCountryCode}${digits}`;
+    } else if (!/^\s*\+/.test(text)) {
+      digits = digits.replace(/^(?:011|00)/, '');
+    }
+
+    const countryCode = PhoneNormalizer.getCountryCode(digits);
+    const nationalNumber = digits.substring(countryCode.length);
+    const result = { e164: `+${digits}`, countryCode, nationalNumber, extension, valid: false, reason: null };
+
+    if (/^0/.test(digits)) {
+      result.reason = 'invalid_country_code';
+    } else if (digits.length < 8) {
+      result.reason = 'too_short';
+    } else if (digits.length > 15) {
+      result.reason = 'too_long';
+    } else if (countryCode === '1' && !/^[2-9]\d{2}[2-9]\d{6}$/.test(nationalNumber)) {
+      // Area codes and exchanges never start with 0 or 1
+      result.reason = 'invalid_nanp';
+    } else {
+      result.valid = true;
+    }
+    return result;
+  }
+
+  // E.164 with any extension as ";ext=", or null when the number doesn't hold up
+  static normalize(value, defaultCountryCode = DEFAULT_PHONE_COUNTRY_CODE) {
+    const parsed = PhoneNormalizer.parse(value, defaultCountryCode);
+    if (!parsed?.valid) return null;
+    return parsed.extension ? `${parsed.e164};ext=${parsed.extension}` : parsed.e164;
+  }
+
+  static isValid(value) {
+    return !!PhoneNormalizer.parse(value)?.valid;
+  }
+
+  // "(571) 555-0199 ext. 23" at home, "+44 2079460958" abroad
+  static format(value) {
+    const parsed = PhoneNormalizer.parse(value);
+    if (!parsed?.valid) return value;
+
+    const { countryCode, nationalNumber, extension } = parsed;
+    const number = countryCode === '1' ?
+      `(${nationalNumber.substring(0, 3)}) ${nationalNumber.substring(3, 6)}-${nationalNumber.substring(6)}` :
+      `+${countryCode} ${nationalNumber}`;
+    return extension ? `${number} ext. ${extension}` : number;
+  }
+}
+
 // =============================================================================
 // STRUCTURED LOGGING - QUICK WIN #4
 // =============================================================================
@@ -297,12 +479,79 @@ class EnhancedSMSDatabaseClient {
     });
   }
 
-  async logSMSInteraction(data, ctx) {
+  // An on-call contact's ACK reply closes their latest escalation page
+  async acknowledgeEscalation(phone) {
+    if (!this.service || !phone) return null;
+
+    return this.circuitBreaker.execute(async () => {
+      const request = new Request('http://internal/escalations/acknowledge', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ phone, via: 'sms' })
+      });
+
+      const response = await this.service.fetch(request);
+
+      // Not someone we paged; the text is handled like any other
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`SMS Escalation acknowledge failed: ${response.status}`);
+      }
+
+      const data = await response.json();
+      StructuredLogger.info('Escalation acknowledged by text', {
+        escalation_id: data.escalation?.id,
+        paged_to: phone
+      });
+
+      return data.escalation || null;
+    });
+  }
+
+  // A handoff that still has the bot paused for this customer with this
+  // organization, or null; a pause with one tenant says nothing about another
+  async getActiveHandoff(customerPhone, organizationId) {
+    if (!this.service || !customerPhone || !organizationId) return null;
+
+    return this.circuitBreaker.execute(async () => {
+      const query = new URLSearchParams({ phone: customerPhone, organizationId });
+      const request = new Request(`http://internal/escalations/handoff?${query}`, {
+        method: 'GET',
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      const response = await this.service.fetch(request);
+
+      if (!response.ok) {
+        throw new Error(`SMS Handoff lookup failed: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.paused ? data.escalation : null;
+    });
+  }
+
+  // Without data.intent, `classifyIntent` (if given) tags the turn, and its
+  // experiment variant, as part of the background log, off the reply path
+  async logSMSInteraction(data, ctx, classifyIntent = null) {
     if (!this.service) return;
 
     ctx.waitUntil(
       (async () => {
         try {
+          if (!data.intent && classifyIntent) {
+            const classified = await classifyIntent(data.message, data.organizationId, data.customerPhone).catch(() => null);
+            if (classified) {
+              data = {
+                ...data,
+                intent: classified.intent,
+                confidenceScore: classified.confidence,
+                experimentId: classified.experiment?.id || null,
+                experimentVariant: classified.experiment?.variant || null
+              };
+            }
+          }
+
           await this.circuitBreaker.execute(async () => {
             const request = new Request('http://internal/sms-log', {
               method: 'POST',
@@ -427,9 +676,11 @@ class EnhancedSMSAIClient {
     this.circuitBreaker = new CircuitBreaker('sms-ai-service', 3, 30000);
   }
 
-  async processMessage(message, organizationId, customerPhone) {
+  // { text, intent, intentConfidence, experiment }; intent comes from the
+  // processor's classifier, experiment is the caller's A/B variant
+  async processMessage(message, organizationId, customerPhone, language = null) {
     if (!this.service) {
-      return "Hi! I understand you need help. What can I assist you with?";
+      return { text: "Hi! I understand you need help. What can I assist you with?", intent: null, intentConfidence: null, experiment: null };
     }
 
     return this.circuitBreaker.execute(async () => {
@@ -440,7 +691,8 @@ class EnhancedSMSAIClient {
           message: message,
           tenantId: organizationId,
           customerPhone: customerPhone,
-          channel: 'sms'
+          channel: 'sms',
+          language
         })
       });
 
@@ -451,11 +703,29 @@ class EnhancedSMSAIClient {
       }
       
       const data = await response.json();
+      const intent = data.metadata?.intent || null;
+      const intentConfidence = data.metadata?.intentConfidence ?? null;
+      const experiment = data.metadata?.experiment || null;
+
+      // Handed to staff: after the handoff message itself, no bot reply
+      if (data.metadata?.handoff?.paused && !data.response) {
+        StructuredLogger.info('SMS conversation is with staff', {
+          organization_id: organizationId,
+          escalation_id: data.metadata.handoff.escalationId
+        });
+        return { text: '', intent, intentConfidence, experiment };
+      }
+
       let aiResponse = data.response || "Hi! I understand you need help. What can I assist you with?";
       
-      // Ensure SMS response length
+      // The processor fits the tenant's limit at sentence boundaries; this only
+      // guards the hard cap, still ending on a sentence (or at least a word)
       if (aiResponse.length > 1500) {
-        aiResponse = aiResponse.substring(0, 1500) + "...";
+        const cut = aiResponse.substring(0, 1500);
+        const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '), cut.lastIndexOf('\n'));
+        aiResponse = sentenceEnd > 0 ?
+          cut.substring(0, sentenceEnd + 1).trim() :
+          cut.substring(0, cut.lastIndexOf(' ')) + '…';
         StructuredLogger.warn('SMS Response truncated', {
           original_length: data.response?.length,
           truncated_length: aiResponse.length
@@ -466,12 +736,30 @@ class EnhancedSMSAIClient {
         organization_id: organizationId,
         customer_phone: customerPhone,
         input_length: message?.length || 0,
-        response_length: aiResponse.length
+        response_length: aiResponse.length,
+        intent
       });
       
-      return aiResponse;
+      return { text: aiResponse, intent, intentConfidence, experiment };
     });
   }
+
+  // The processor's keyword intent for turns it didn't answer (quick replies,
+  // FAQs, conversations with staff), plus the caller's experiment variant when
+  // the tenant is known; null when it can't be reached
+  async classifyIntent(message, organizationId = null, customerPhone = null) {
+    if (!this.service || !message) return null;
+
+    const response = await this.service.fetch(new Request('http://internal/classify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message, organizationId, customerPhone })
+    }));
+
+    if (!response.ok) return null;
+    const data = await response.json();
+    return data.intent ? { intent: data.intent, confidence: data.confidence, experiment: data.experiment || null } : null;
+  }
 }
 
 // =============================================================================
@@ -551,33 +839,38 @@ class EnhancedSMSFAQMatcher {
     }
   }
 
-  static getQuickResponse(message) {
-    const msgLower = message.toLowerCase();
-    
+  // Canned replies for a message that is nothing but a greeting, a thank-you
+  // or "help", in the customer's language. Anything with more in it (prices,
+  // hours, "hola, mi lavadora no funciona") goes on to the tenant's FAQs or
+  // the processor, which know the tenant's persona and facts.
+  static getQuickResponse(message, language = 'en', businessName = null) {
+    const text = message.toLowerCase().replace(/[¡!¿?.,]+/g, ' ').replace(/\s+/g, ' ').trim();
+    const business = businessName || (language === 'es' ? 'nosotros' : 'us');
+
     const quickResponses = {
-      'hi': "Hi! I'm Sarah, your virtual assistant. How can I help you today?",
-      'hello': "Hello! I'm Sarah, your virtual assistant. How can I help you today?",
-      'help': "I'm here to help! What appliance needs service?",
-      'hours': "We're typically available 8 AM - 6 PM Monday-Saturday. What can I help you with?",
-      'price': "Our diagnostic fee is $89. Once we identify the issue, we'll provide a repair quote. What appliance needs service?",
-      'cost': "Our diagnostic fee is $89. Once we identify the issue, we'll provide a repair quote. What appliance needs service?",
-      'thanks': "You're welcome! Is there anything else I can help you with?",
-      'thank you': "You're welcome! Is there anything else I can help you with?",
-      'yes': "Great! What can I help you with?",
-      'no': "Okay! If you need anything else, just let me know.",
+      en: {
+        'hi': `Hi! Thanks for texting ${business}. How can I help you today?`,
+        'hello': `Hello! Thanks for texting ${business}. How can I help you today?`,
+        'help': "I'm here to help! What appliance needs service?",
+        'thanks': "You're welcome! Is there anything else I can help you with?",
+        'thank you': "You're welcome! Is there anything else I can help you with?"
+      },
+      es: {
+        'hola': `¡Hola! Gracias por escribir a ${business}. ¿En qué le puedo ayudar hoy?`,
+        'ayuda': '¡Con gusto le ayudo! ¿Qué aparato necesita servicio?',
+        'gracias': '¡De nada! ¿Hay algo más en lo que le pueda ayudar?'
+      }
     };
 
-    for (const [pattern, response] of Object.entries(quickResponses)) {
-      if (msgLower === pattern || (pattern.length > 2 && msgLower.includes(pattern))) {
-        StructuredLogger.info('SMS Quick response triggered', {
-          pattern,
-          input: message
-        });
-        return response;
-      }
+    const response = (quickResponses[language] || quickResponses.en)[text] || null;
+    if (response) {
+      StructuredLogger.info('SMS Quick response triggered', {
+        pattern: text,
+        language,
+        input: message
+      });
     }
-
-    return null;
+    return response;
   }
 }
 
@@ -585,9 +878,13 @@ class EnhancedSMSFAQMatcher {
 // MAIN SMS HANDLER - ENHANCED WITH QUICK WINS
 // =============================================================================
 
+// How on-call technicians answer an escalation page
+const ESCALATION_ACK_PATTERN = /^\s*(?:ack|acknowledged?|on it|got it)\s*[.!]*\s*$/i;
+
 async function handleEnhancedSMS(request, env, ctx) {
   const totalStartTime = EnhancedSMSPerformanceMonitor.startTimer();
   let stageTimer = totalStartTime;
+  let language = 'en';
   
   try {
     // Validate environment
@@ -596,7 +893,7 @@ async function handleEnhancedSMS(request, env, ctx) {
     // Parse Twilio SMS webhook
     const formData = await request.formData();
     const message = formData.get('Body');
-    const customerPhone = formData.get('From');
+    const customerPhone = PhoneNormalizer.normalize(formData.get('From')) || formData.get('From');
     const businessPhone = formData.get('To');
     const messageSid = formData.get('MessageSid') || 'unknown';
     
@@ -620,13 +917,89 @@ async function handleEnhancedSMS(request, env, ctx) {
     // Initialize enhanced clients
     const dbClient = new EnhancedSMSDatabaseClient(env.DATABASE_SERVICE);
     const aiClient = new EnhancedSMSAIClient(env.AI_SERVICE);
+    const classifyIntent = (text, organizationId, phone) => aiClient.classifyIntent(text, organizationId, phone);
+
+    // Step 0: an on-call technician acknowledging an escalation page
+    if (ESCALATION_ACK_PATTERN.test(message)) {
+      const escalation = await dbClient.acknowledgeEscalation(customerPhone).catch(() => null);
+      if (escalation) {
+        // The reason can be model-written; keep it from breaking the TwiML
+        const reason = (escalation.reason || 'urgent call').replace(/[<>&]/g, '');
+        EnhancedSMSPerformanceMonitor.logTotal(totalStartTime, messageSid, {
+          response_type: 'escalation_ack',
+          escalation_id: escalation.id
+        });
+
+        return new Response(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Message>Thanks, it's yours: ${reason}. Customer: ${PhoneNormalizer.format(escalation.customer_phone)}.</Message>
+</Response>`, {
+          headers: { 'Content-Type': 'text/xml' }
+        });
+      }
+    }
+
+    // Step 0.5: identify the organization, then check for a conversation
+    // handed to its staff; the bot stays quiet and the text goes on to
+    // whoever has it
+    const organizationId = await dbClient.identifyOrganizationByBusinessPhone(businessPhone);
+    stageTimer = EnhancedSMSPerformanceMonitor.logStage('identify_org', stageTimer, {
+      message_sid: messageSid,
+      organization_id: organizationId
+    });
+
+    const handoff = await dbClient.getActiveHandoff(customerPhone, organizationId).catch(error => {
+      StructuredLogger.warn('Could not check for a handoff', { error: error.message });
+      return null;
+    });
+    if (handoff) {
+      const staffPhone = handoff.acknowledged_by || handoff.paged_to;
+      if (staffPhone) {
+        ctx.waitUntil(
+          sendTwilioSMS(env, staffPhone, businessPhone, `${PhoneNormalizer.format(customerPhone)}: ${message}`).catch(error => {
+            StructuredLogger.error('Could not forward text to staff', { error: error.message, escalation_id: handoff.id });
+          })
+        );
+      }
+
+      dbClient.logSMSInteraction({
+        organizationId,
+        customerPhone,
+        message,
+        response: '',
+        processingTime: Date.now() - totalStartTime,
+        faqMatched: false,
+        faqId: null,
+        responseType: 'handoff_paused'
+      }, ctx, classifyIntent);
+
+      EnhancedSMSPerformanceMonitor.logTotal(totalStartTime, messageSid, {
+        response_type: 'handoff_paused',
+        escalation_id: handoff.id
+      });
+
+      return new Response(`<?xml version="1.0" encoding="UTF-8"?>
+<Response></Response>`, {
+        headers: { 'Content-Type': 'text/xml' }
+      });
+    }
+
+    // Step 1: Parallel data loading
+    const { config, faqs, history } = await dbClient.batchLoad(organizationId, customerPhone);
+    stageTimer = EnhancedSMSPerformanceMonitor.logStage('load_data', stageTimer, {
+      message_sid: messageSid,
+      faq_count: faqs.length,
+      history_count: history.length
+    });
+
+    language = SMSLanguageSelector.resolve(message, config, businessPhone);
 
-    // Step 1: Quick response check (fastest path)
-    const quickResponse = EnhancedSMSFAQMatcher.getQuickResponse(message);
+    // Step 2: Quick response check (a bare greeting or thank-you)
+    const quickResponse = EnhancedSMSFAQMatcher.getQuickResponse(message, language, config?.business_name);
     if (quickResponse) {
       // Log and return immediately
       dbClient.logSMSInteraction({
-        organizationId: null,
+        organizationId,
         customerPhone,
         message,
         response: quickResponse,
@@ -634,7 +1007,7 @@ async function handleEnhancedSMS(request, env, ctx) {
         faqMatched: true,
         faqId: null,
         responseType: 'quick_response'
-      }, ctx);
+      }, ctx, classifyIntent);
       
       EnhancedSMSPerformanceMonitor.logTotal(totalStartTime, messageSid, {
         response_type: 'quick',
@@ -653,26 +1026,17 @@ async function handleEnhancedSMS(request, env, ctx) {
       message_sid: messageSid
     });
 
-    // Step 2: Identify organization
-    const organizationId = await dbClient.identifyOrganizationByBusinessPhone(businessPhone);
-    stageTimer = EnhancedSMSPerformanceMonitor.logStage('identify_org', stageTimer, {
-      message_sid: messageSid,
-      organization_id: organizationId
-    });
-
-    // Step 3: Parallel data loading
-    const { config, faqs, history } = await dbClient.batchLoad(organizationId, customerPhone);
-    stageTimer = EnhancedSMSPerformanceMonitor.logStage('load_data', stageTimer, {
-      message_sid: messageSid,
-      faq_count: faqs.length,
-      history_count: history.length
-    });
+    // Only serve FAQs written in the customer's language
+    const languageFaqs = faqs.filter(faq => SMSLanguageSelector.servesFaq(faq, language));
 
-    // Step 4: FAQ matching
-    const cachedFaq = EnhancedSMSFAQMatcher.findBestMatch(faqs, message);
+    // Step 3: FAQ matching
+    const cachedFaq = EnhancedSMSFAQMatcher.findBestMatch(languageFaqs, message);
     let finalResponse;
     let faqMatched = false;
     let faqId = null;
+    let intent = null;
+    let intentConfidence = null;
+    let experiment = null;
 
     if (cachedFaq) {
       finalResponse = cachedFaq.response;
@@ -690,15 +1054,22 @@ async function handleEnhancedSMS(request, env, ctx) {
         faq_id: cachedFaq.id
       });
     } else {
-      // Step 5: AI processing
-      finalResponse = await aiClient.processMessage(message, organizationId, customerPhone);
+      // Step 4: AI processing
+      // The processor detects the language itself; only pass the number's setting as a hint
+      const aiResult = await aiClient.processMessage(
+        message, organizationId, customerPhone, SMSLanguageSelector.getNumberLanguage(config, businessPhone)
+      );
+      finalResponse = aiResult.text;
+      intent = aiResult.intent;
+      intentConfidence = aiResult.intentConfidence;
+      experiment = aiResult.experiment;
       stageTimer = EnhancedSMSPerformanceMonitor.logStage('ai_processing', stageTimer, {
         message_sid: messageSid,
         organization_id: organizationId
       });
     }
 
-    // Step 6: Log interaction
+    // Step 5: Log interaction
     const totalProcessingTime = Date.now() - totalStartTime;
     dbClient.logSMSInteraction({
       organizationId,
@@ -708,19 +1079,24 @@ async function handleEnhancedSMS(request, env, ctx) {
       processingTime: totalProcessingTime,
       faqMatched,
       faqId,
+      intent,
+      confidenceScore: intentConfidence,
+      experimentId: experiment?.id || null,
+      experimentVariant: experiment?.variant || null,
       responseType: faqMatched ? 'faq' : 'ai'
-    }, ctx);
+    }, ctx, classifyIntent);
 
     EnhancedSMSPerformanceMonitor.logTotal(totalStartTime, messageSid, {
       response_type: faqMatched ? 'faq' : 'ai',
       organization_id: organizationId,
+      language,
       response_length: finalResponse.length
     });
 
     return new Response(`<?xml version="1.0" encoding="UTF-8"?>
-<Response>
+<Response>${finalResponse ? `
   <Message>${finalResponse}</Message>
-</Response>`, {
+` : ''}</Response>`, {
       headers: { 'Content-Type': 'text/xml' }
     });
 
@@ -734,7 +1110,7 @@ async function handleEnhancedSMS(request, env, ctx) {
     EnhancedSMSPerformanceMonitor.logTotal(totalStartTime, 'ERROR');
     
     // Enhanced error response
-    const errorMessage = SMSErrorResponseManager.getSMSErrorResponse(error);
+    const errorMessage = SMSErrorResponseManager.getSMSErrorResponse(error, undefined, language);
     
     return new Response(`<?xml version="1.0" encoding="UTF-8"?>
 <Response>
@@ -749,33 +1125,117 @@ async function handleEnhancedSMS(request, env, ctx) {
 // ENHANCED PROGRAMMATIC SMS SENDING
 // =============================================================================
 
+// Send through Twilio's Messages API. Without credentials or a sender the
+// message is only logged.
+async function sendTwilioSMS(env, to, from, body) {
+  if (!env.TWILIO_ACCOUNT_SID || !env.TWILIO_AUTH_TOKEN || !from) {
+    console.log('✅ SMS would be sent via Twilio API');
+    return { sent: false, reason: from ? 'twilio_not_configured' : 'no_sender' };
+  }
+
+  const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${env.TWILIO_ACCOUNT_SID}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${btoa(`${env.TWILIO_ACCOUNT_SID}:${env.TWILIO_AUTH_TOKEN}`)}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ To: to, From: from, Body: body }).toString()
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Twilio send failed: ${data.message || response.status}`);
+  }
+
+  StructuredLogger.info('SMS sent via Twilio', { to, message_sid: data.sid });
+  return { sent: true, sid: data.sid };
+}
+
+// Programmatic sends come from other workers holding SMS_API_TOKEN; without
+// the variable nobody can send
+function isTrustedSender(request, env) {
+  if (!env.SMS_API_TOKEN) return false;
+
+  const given = request.headers.get('Authorization') || '';
+  const expected = `Bearer ${env.SMS_API_TOKEN}`;
+  // Compare every character so the response time doesn't give the token away
+  let difference = given.length ^ expected.length;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= (given.charCodeAt(i) || 0) ^ expected.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
 async function sendEnhancedProgrammaticSMS(request, env, ctx) {
   try {
     validateEnvironment(env);
+
+    if (!isTrustedSender(request, env)) {
+      return Response.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+    }
     
-    const { to, message, organizationId, tenantId } = await request.json();
+    const { to: rawTo, message, organizationId, tenantId } = await request.json();
     
-    if (!to || !message) {
+    if (!rawTo || !message) {
       return Response.json({
         success: false,
         error: 'Phone number and message required'
       }, { status: 400 });
     }
 
+    // Twilio wants E.164, and an extension can't receive a text
+    const phone = PhoneNormalizer.parse(rawTo);
+    if (!phone?.valid) {
+      return Response.json({
+        success: false,
+        error: `Invalid phone number: ${phone?.reason || 'not_a_number'}`
+      }, { status: 400 });
+    }
+    const to = phone.e164;
+
     const resolvedOrgId = organizationId || tenantId;
+    if (!resolvedOrgId) {
+      return Response.json({
+        success: false,
+        error: 'organizationId required'
+      }, { status: 400 });
+    }
     
     StructuredLogger.info('Programmatic SMS request', {
       to,
       message_length: message.length,
       organization_id: resolvedOrgId
     });
+
+    // Texts always go out from the tenant's own number, never one the caller names
+    const dbClient = new EnhancedSMSDatabaseClient(env.DATABASE_SERVICE);
+    const config = await dbClient.getOrganizationConfig(resolvedOrgId);
+    const from = PhoneNormalizer.normalize(config?.business_phone);
+    if (!from) {
+      return Response.json({
+        success: false,
+        error: 'No business phone configured for this organization'
+      }, { status: 422 });
+    }
     
-    // Here you would integrate with Twilio API for outbound SMS
-    console.log('✅ SMS would be sent via Twilio API');
+    const delivery = await sendTwilioSMS(env, to, from, message);
+    if (!delivery.sent) {
+      StructuredLogger.warn('Programmatic SMS not sent', {
+        to,
+        organization_id: resolvedOrgId,
+        reason: delivery.reason
+      });
+      return Response.json({
+        success: false,
+        sent: false,
+        error: delivery.reason,
+        to,
+        organizationId: resolvedOrgId
+      }, { status: 503 });
+    }
     
     // Log the outbound SMS
     if (env.DATABASE_SERVICE) {
-      const dbClient = new EnhancedSMSDatabaseClient(env.DATABASE_SERVICE);
       dbClient.logSMSInteraction({
         organizationId: resolvedOrgId,
         customerPhone: to,
@@ -790,7 +1250,9 @@ async function sendEnhancedProgrammaticSMS(request, env, ctx) {
 
     return Response.json({
       success: true,
-      message: 'SMS queued for sending',
+      sent: true,
+      message: 'SMS sent',
+      sid: delivery.sid,
       to,
       content: message,
       organizationId: resolvedOrgId
@@ -832,10 +1294,8 @@ async function handleRequest(request, env, ctx) {
       // Twilio SMS webhook
       return handleEnhancedSMS(request, env, ctx);
     } else {
-      // Programmatic SMS sending
-      const response = await sendEnhancedProgrammaticSMS(request, env, ctx);
-      response.headers.set('Access-Control-Allow-Origin', '*');
-      return response;
+      // Programmatic SMS sending (other workers only, see SMS_API_TOKEN)
+      return sendEnhancedProgrammaticSMS(request, env, ctx);
     }
   }
 
@@ -917,23 +1377,31 @@ async function handleRequest(request, env, ctx) {
 📱 SMS-SPECIFIC OPTIMIZATIONS:
 - Response length validation (1500 char limit)
 - SMS-friendly FAQ filtering
-- Quick response patterns for common messages
+- Quick replies only for a bare greeting, thank-you or "help"; prices and hours go to the tenant's FAQs or the AI processor
 - Enhanced conversation context tracking
 - Business name customization in responses
+- Spanish quick responses, FAQs and error messages (language detected per message, or set per number via number_languages / default_language)
+- Customer numbers normalized to E.164, and programmatic (JSON) sends reject numbers that won't parse
+- Programmatic sends need "Authorization: Bearer <SMS_API_TOKEN>", go out through Twilio from the tenant's business_phone, and answer success: false when nothing was sent (no TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN); the database worker uses this to page on-call technicians
+- On-call technicians reply ACK to an escalation page to acknowledge it before it re-escalates
+- Conversations handed off to staff (asked for a person, or frustrated) get no bot replies until the pause runs out; the customer's texts are forwarded to the staff member
+- Every logged text carries the AI processor's intent and confidence; quick replies and FAQ answers are classified through its /classify endpoint after the reply goes out
+- Logged texts also carry the caller's A/B experiment variant (metadata.experiment, or /classify for FAQ answers)
 
 🚀 SMS PROCESSING PIPELINE:
 1. Environment validation (startup)
 2. Parse Twilio webhook (~5ms)
-3. Quick response check (~10ms) -> INSTANT if matched
-4. Identify organization (~20ms) 
-5. Batch load data (~80ms)
+3. Identify organization (~20ms)
+   Handoff check for that organization (~20ms) -> staff have the conversation, forward and stay quiet
+4. Batch load data (~80ms)
+5. Quick response check (~5ms) -> INSTANT if matched
 6. FAQ matching (~10ms) OR AI processing (~200ms)
 7. Format SMS response (~5ms)
 8. Background logging (~0ms blocking)
 
 PERFORMANCE PATHS:
-- Quick responses: ~25ms total ⚡
-- FAQ matches: ~125ms total ⚡
+- Quick responses: ~125ms total ⚡
+- FAQ matches: ~135ms total ⚡
 - AI responses: ~325ms total 🟡
 
 Worker URL: ${request.url}
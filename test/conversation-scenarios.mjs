@@ -0,0 +1,429 @@
+// =============================================================================
+// CONVERSATION EVALUATION - SCRIPTED SCENARIOS AGAINST IN-MEMORY STORES
+// =============================================================================
+//
+// node test/conversation-scenarios.mjs [scenario ...] - exits non-zero if any
+// turn fails; run it before every deploy
+
+import { loadWorker, printReport } from './load-worker.mjs';
+
+const { handleEnhancedAIProcessing, DEFAULT_RESPONSE_LIMITS, TimePreferenceParser } = await loadWorker('ai-processor-worker.js', [
+  'handleEnhancedAIProcessing',
+  'DEFAULT_RESPONSE_LIMITS',
+  'TimePreferenceParser'
+]);
+
+// Not a real tenant: caches keyed by it only ever hold the in-memory answers
+const EVALUATION_ORGANIZATION_ID = '00000000-0000-4000-8000-0000000e7a10';
+const EVALUATION_TIME_ZONE = 'America/New_York';
+
+// The conversation tables the handler reads and writes through
+// EnhancedDirectSupabaseClient, kept in memory. Understands the PostgREST
+// subset the handler uses: eq/neq/gt/gte/lt/lte/is filters, order and limit.
+class InMemorySupabaseClient {
+  constructor(tables = {}) {
+    this.tables = JSON.parse(JSON.stringify(tables));
+  }
+
+  async query(endpoint, method = 'GET', body = null) {
+    const [table, queryString = ''] = endpoint.split('?');
+    const rows = this.tables[table] || (this.tables[table] = []);
+    const params = new URLSearchParams(queryString);
+    const filters = [...params].filter(([column]) => !['select', 'order', 'limit'].includes(column));
+    const matches = rows.filter(row => filters.every(([column, condition]) => InMemorySupabaseClient.test(row[column], condition)));
+
+    if (method === 'POST') {
+      const created = (Array.isArray(body) ? body : [body]).map(row => ({
+        id: crypto.randomUUID(),
+        created_at: new Date().toISOString(),
+        ...JSON.parse(JSON.stringify(row))
+      }));
+      rows.push(...created);
+      return JSON.parse(JSON.stringify(created));
+    }
+    if (method === 'PATCH') {
+      matches.forEach(row => Object.assign(row, JSON.parse(JSON.stringify(body))));
+      return JSON.parse(JSON.stringify(matches));
+    }
+    if (method === 'DELETE') {
+      this.tables[table] = rows.filter(row => !matches.includes(row));
+      return JSON.parse(JSON.stringify(matches));
+    }
+
+    let result = [...matches];
+    const order = params.get('order');
+    if (order) {
+      const [column, direction] = order.split('.');
+      const sign = direction === 'desc' ? -1 : 1;
+      result.sort((a, b) => (String(a[column] ?? '') < String(b[column] ?? '') ? -1 : String(a[column] ?? '') > String(b[column] ?? '') ? 1 : 0) * sign);
+    }
+    const limit = Number(params.get('limit'));
+    if (limit > 0) result = result.slice(0, limit);
+    return JSON.parse(JSON.stringify(result));
+  }
+
+  static test(value, condition) {
+    const [operator, ...rest] = condition.split('.');
+    const operand = rest.join('.');
+    const text = value === null || value === undefined ? null : String(value);
+
+    switch (operator) {
+      case 'eq': return text === operand;
+      case 'neq': return text !== operand;
+      case 'gt': return text !== null && text > operand;
+      case 'gte': return text !== null && text >= operand;
+      case 'lt': return text !== null && text < operand;
+      case 'lte': return text !== null && text <= operand;
+      case 'is': return operand === 'null' ? text === null : text === operand;
+      default: return true;
+    }
+  }
+}
+
+// Stands in for EnhancedDatabaseServiceClient with the database worker's
+// response shapes: every ZIP is served, three windows open tomorrow, no
+// saved prompt template, vocabularies or experiment. Bookings, escalations
+// and guardrail events are kept for the checks.
+class InMemoryDatabaseService {
+  constructor({ faqs = [], now = new Date() } = {}) {
+    this.faqs = faqs;
+    this.slots = InMemoryDatabaseService.buildSlots(now, EVALUATION_TIME_ZONE);
+    this.appointments = [];
+    this.escalations = [];
+    this.guardrailEvents = [];
+  }
+
+  // Tomorrow 8-10, 10-12 and 1-3 on the tenant's wall clock; the labels are
+  // fixed so scenarios can expect them
+  static buildSlots(now, timeZone) {
+    const day = TimePreferenceParser.addDays(TimePreferenceParser.getToday(now, timeZone), 1);
+    const at = hour => TimePreferenceParser.zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hour * 60, timeZone);
+    return [[8, 10], [10, 12], [13, 15]].map(([startHour, endHour]) => {
+      const clock = hour => `${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`;
+      return {
+        start: at(startHour).toISOString(),
+        end: at(endHour).toISOString(),
+        label: `tomorrow ${clock(startHour)} to ${clock(endHour)}`,
+        weekday: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][day.getUTCDay()],
+        dayLabel: 'tomorrow',
+        startHour
+      };
+    });
+  }
+
+  async createAppointment(appointment) {
+    const created = { id: crypto.randomUUID(), status: 'scheduled', ...appointment };
+    this.appointments.push(created);
+    return { success: true, appointment: created };
+  }
+
+  async getAvailableSlots(organizationId, options = {}) {
+    const windows = options.windows || [];
+    const slots = this.slots.filter(slot => windows.length === 0 || windows.some(window => slot.start >= window.start && slot.start < window.end));
+    return { success: true, timeZone: EVALUATION_TIME_ZONE, slots: slots.slice(0, options.limit || 3) };
+  }
+
+  async lookupFAQ(organizationId, query) {
+    const text = String(query || '').toLowerCase();
+    const faq = this.faqs.find(entry => entry.keywords.some(keyword => text.includes(keyword))) || null;
+    return { success: true, faq };
+  }
+
+  async checkServiceArea(organizationId, zipCode) {
+    return { success: true, zipCode, status: 'served', reason: 'zip_list' };
+  }
+
+  async getVocabularies() {
+    return { success: true, vocabularies: {} };
+  }
+
+  async createEscalation(escalation) {
+    const created = { id: crypto.randomUUID(), status: 'open', ...escalation };
+    this.escalations.push(created);
+    return {
+      success: true,
+      escalation: created,
+      ...(['urgent', 'emergency'].includes(escalation.urgency) ? { page: { paged: false, reason: 'no_on_call_contacts', contact: null, ackDeadline: null } } : {}),
+      ...(escalation.notifyStaff ? { notification: { sent: false, to: null, reason: 'no_staff_phone' } } : {})
+    };
+  }
+
+  async getPromptTemplate() {
+    return { success: true, template: null };
+  }
+
+  async validatePromptTemplate() {
+    return { success: true, valid: true, errors: [] };
+  }
+
+  async getPromptTemplateVersion() {
+    return { success: false, error: 'Prompt template version not found' };
+  }
+
+  async getActiveExperiment() {
+    return { success: true, experiment: null };
+  }
+
+  async logGuardrailEvent(event) {
+    this.guardrailEvents.push(event);
+    return { success: true };
+  }
+}
+
+// The scenarios on the processor's /status page, replayed turn by turn. `expect` per turn:
+// `fields` are extracted values (null = still empty, true = set to anything),
+// `completion` the completion percentage, `step` the conversation step,
+// `includes` / `excludes` text in the reply (any case), `booked` / `escalated`
+// whether an appointment / escalation exists. `llmResponses` scripts the mock model as
+// MOCK_LLM_RESPONSES would.
+const CONVERSATION_SCENARIOS = [
+  {
+    name: 'detailed_customer',
+    channel: 'sms',
+    turns: [
+      {
+        message: 'My Samsung washer is leaking from the front door',
+        expect: {
+          fields: { applianceType: 'washer', applianceMake: 'Samsung', issueDescription: 'leaking', issueLocation: 'front' },
+          completion: 33,
+          step: 'contact',
+          includes: ['full name']
+        }
+      }
+    ]
+  },
+  {
+    name: 'vague_customer',
+    channel: 'voice',
+    turns: [
+      { message: 'My dryer is broken', expect: { fields: { applianceType: 'dryer', issueDescription: null, applianceMake: null }, completion: 11, step: 'problem' } },
+      { message: "It won't heat up", expect: { fields: { issueDescription: 'not_heating' }, completion: 22, step: 'appliance_details', includes: ['brand'] } },
+      { message: "It's a Whirlpool", expect: { fields: { applianceMake: 'Whirlpool' }, completion: 33, step: 'contact' } }
+    ]
+  },
+  {
+    name: 'urgent_customer',
+    channel: 'sms',
+    turns: [
+      {
+        message: 'Emergency! My dishwasher is flooding!',
+        expect: { fields: { applianceType: 'dishwasher', emergency: true }, includes: ['shut off the water', 'emergency'], escalated: true }
+      }
+    ]
+  },
+  {
+    name: 'multiple_info',
+    channel: 'sms',
+    turns: [
+      {
+        message: "Hi, I'm John Smith at 123 Main Street, Fairfax 22030. My LG refrigerator isn't cooling",
+        expect: {
+          fields: {
+            customerName: 'John Smith',
+            streetAddress: '123 Main Street',
+            city: 'Fairfax',
+            zipCode: '22030',
+            applianceType: 'refrigerator',
+            applianceMake: 'Lg',
+            issueDescription: 'not_cooling'
+          },
+          completion: 78,
+          includes: ['callback number']
+        }
+      }
+    ]
+  },
+  {
+    name: 'progressive',
+    channel: 'sms',
+    llmResponses: [{ match: 'warranty', reply: 'Every repair comes with our standard workmanship guarantee. Could I get your full name?' }],
+    turns: [
+      { message: 'Hi', expect: { completion: 0, step: 'problem', includes: ['appliance'] } },
+      { message: 'My oven', expect: { fields: { applianceType: 'oven' }, completion: 11 } },
+      { message: "It won't heat", expect: { fields: { issueDescription: 'not_heating' }, completion: 22 } },
+      { message: 'GE', expect: { fields: { applianceMake: 'Ge' }, completion: 33, step: 'contact' } },
+      // An open question goes to the (mock) model without losing the place
+      { message: 'Do you offer a warranty on repairs?', expect: { completion: 33, step: 'contact', includes: ['workmanship guarantee'] } },
+      { message: 'Maria Lopez', expect: { fields: { customerName: 'Maria Lopez' }, completion: 44 } }
+    ]
+  },
+  {
+    name: 'confirmation',
+    channel: 'sms',
+    turns: [
+      { message: 'My Samsung washer is leaking', expect: { completion: 33 } },
+      { message: 'My name is John Smith', expect: { fields: { customerName: 'John Smith' } } },
+      { message: '123 Main Street', expect: { fields: { streetAddress: '123 Main Street' } } },
+      { message: 'Fairfax 22030', expect: { fields: { city: 'Fairfax', zipCode: '22030' } } },
+      { message: '571-555-0199', expect: { step: 'scheduling' } },
+      { message: 'The first one', expect: { completion: 100, step: 'confirmation', includes: ['$89', '$150-$300', 'tomorrow 8 AM to 10 AM'], booked: false } },
+      { message: 'Yes', expect: { step: 'booked', includes: ['all set', 'Reference'], booked: true } }
+    ]
+  },
+  {
+    name: 'address_collection',
+    channel: 'voice',
+    turns: [
+      { message: 'My Maytag dryer is not starting', expect: { completion: 33 } },
+      { message: 'Sam Lee', expect: { fields: { customerName: 'Sam Lee' } } },
+      { message: '123 Main St', expect: { fields: { streetAddress: '123 Main Street', city: null } } },
+      // Callers can't see the address, so it's read back with the ZIP spelled out
+      { message: 'Fairfax 22030', expect: { fields: { city: 'Fairfax', zipCode: '22030' }, step: 'address', includes: ['2 2 0 3 0'] } }
+    ]
+  },
+  {
+    name: 'contact_info',
+    channel: 'sms',
+    turns: [
+      { message: 'My Whirlpool dishwasher is not draining', expect: { completion: 33, includes: ['full name'] } },
+      { message: 'This is Maria Lopez', expect: { fields: { customerName: 'Maria Lopez' }, includes: ['callback number'] } },
+      { message: '(571) 555-0199', expect: { fields: { callbackNumber: '+15715550199' } } }
+    ]
+  },
+  {
+    name: 'scheduling',
+    channel: 'sms',
+    turns: [
+      { message: 'My LG dryer is not heating', expect: { completion: 33 } },
+      { message: 'Ana Ruiz', expect: { fields: { customerName: 'Ana Ruiz' } } },
+      { message: '55 Oak Ave', expect: { fields: { streetAddress: '55 Oak Avenue' } } },
+      { message: 'Reston 20190', expect: { fields: { city: 'Reston', zipCode: '20190' } } },
+      {
+        message: '703-555-0123',
+        expect: { fields: { offeredSlots: true, preferredTime: null }, step: 'scheduling', includes: ['1. Tomorrow 8 AM to 10 AM', '3. Tomorrow 1 PM to 3 PM'] }
+      },
+      // A preference picks the offered window that fits it
+      { message: 'Tomorrow afternoon', expect: { fields: { selectedSlot: true, preferredTime: 'tomorrow 1 PM to 3 PM' }, step: 'confirmation' } }
+    ]
+  },
+  {
+    name: 'issue_detail',
+    channel: 'sms',
+    turns: [
+      { message: "It's the fridge", expect: { fields: { applianceType: 'refrigerator', issueDescription: null }, step: 'problem' } },
+      // Where it leaks is only asked about, and kept, for leaks
+      { message: "It's leaking from the bottom", expect: { fields: { issueDescription: 'leaking', issueLocation: 'bottom' }, step: 'appliance_details' } }
+    ]
+  }
+];
+
+// Every reply, whatever the scenario: something to say, no unrendered
+// values, inside the channel's default limit and one question at most
+function checkConversationTurn(body, expect, channel, databaseClient) {
+  const failures = [];
+  const fail = (check, expected, actual) => failures.push({ check, expected, actual });
+  const text = body.response || '';
+  const extracted = body.metadata?.extractedInfo || {};
+
+  if (!body.success) fail('success', true, body.error || false);
+  if (!text.trim()) fail('response', 'a reply', text);
+  if (/\b(?:undefined|null|NaN)\b|\[object /.test(text)) fail('response', 'no unrendered values', text);
+
+  const limit = DEFAULT_RESPONSE_LIMITS[channel === 'voice' ? 'voice' : 'sms'];
+  if (text.length > limit) fail('responseLength', `at most ${limit}`, text.length);
+
+  const questions = (text.match(/\?/g) || []).length;
+  if (questions > 1) fail('questions', 'at most 1', questions);
+
+  for (const [field, value] of Object.entries(expect.fields || {})) {
+    const actual = extracted[field] ?? null;
+    const passed = value === true ? actual !== null && actual !== '' : JSON.stringify(actual) === JSON.stringify(value);
+    if (!passed) fail(`fields.${field}`, value, actual);
+  }
+
+  if (expect.completion !== undefined && body.metadata?.completionPercentage !== expect.completion) {
+    fail('completion', expect.completion, body.metadata?.completionPercentage ?? null);
+  }
+  if (expect.step !== undefined && body.metadata?.conversationStep !== expect.step) {
+    fail('step', expect.step, body.metadata?.conversationStep ?? null);
+  }
+  for (const phrase of expect.includes || []) {
+    if (!text.toLowerCase().includes(phrase.toLowerCase())) fail('includes', phrase, text);
+  }
+  for (const phrase of expect.excludes || []) {
+    if (text.toLowerCase().includes(phrase.toLowerCase())) fail('excludes', phrase, text);
+  }
+  if (expect.booked !== undefined && (databaseClient.appointments.length > 0) !== expect.booked) {
+    fail('booked', expect.booked, databaseClient.appointments.length > 0);
+  }
+  if (expect.escalated !== undefined && (databaseClient.escalations.length > 0) !== expect.escalated) {
+    fail('escalated', expect.escalated, databaseClient.escalations.length > 0);
+  }
+
+  return failures;
+}
+
+// Each scenario gets fresh stores and the mock model, so nothing leaves the
+// process and the same script always gets the same replies
+async function runConversationScenario(scenario) {
+  const directDB = new InMemorySupabaseClient({
+    tenant_configs: [{ organization_id: EVALUATION_ORGANIZATION_ID, business_name: 'Evaluation Appliance Repair', timezone: EVALUATION_TIME_ZONE, ...scenario.config }]
+  });
+  const databaseClient = new InMemoryDatabaseService({ faqs: scenario.faqs });
+  const env = {
+    SUPABASE_URL: 'https://evaluation.invalid',
+    SUPABASE_SERVICE_KEY: 'evaluation',
+    DATABASE_SERVICE: databaseClient,
+    LLM_PROVIDER: 'mock',
+    MOCK_LLM_RESPONSES: scenario.llmResponses || [],
+    GEOCODER: 'offline'
+  };
+  const customerPhone = scenario.customerPhone || '+15555550100';
+  const turns = [];
+
+  for (const turn of scenario.turns) {
+    const pending = [];
+    const request = new Request('http://evaluation/process', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: turn.message, tenantId: EVALUATION_ORGANIZATION_ID, customerPhone, channel: scenario.channel, language: scenario.language })
+    });
+    const response = await handleEnhancedAIProcessing(request, env, { waitUntil: promise => pending.push(promise) }, null, { directDB, databaseClient });
+    const body = await response.json();
+    await Promise.allSettled(pending);
+
+    // What the voice or SMS worker would log, so history and summaries see the turn
+    await directDB.query('interactions', 'POST', {
+      organization_id: EVALUATION_ORGANIZATION_ID,
+      customer_phone: customerPhone,
+      speech_input: turn.message,
+      ai_response: body.response,
+      channel: scenario.channel
+    });
+
+    const failures = checkConversationTurn(body, turn.expect || {}, scenario.channel, databaseClient);
+    turns.push({
+      message: turn.message,
+      response: body.response,
+      step: body.metadata?.conversationStep || null,
+      completionPercentage: body.metadata?.completionPercentage ?? null,
+      passed: failures.length === 0,
+      failures
+    });
+  }
+
+  return { scenario: scenario.name, channel: scenario.channel, passed: turns.every(turn => turn.passed), turns };
+}
+
+// `names` limits the run to some scenarios
+async function runConversationScenarios(names = null) {
+  const scenarios = names ? CONVERSATION_SCENARIOS.filter(scenario => names.includes(scenario.name)) : CONVERSATION_SCENARIOS;
+  const results = [];
+  for (const scenario of scenarios) {
+    results.push(await runConversationScenario(scenario));
+  }
+
+  return {
+    total: results.length,
+    passed: results.filter(result => result.passed).length,
+    failed: results.filter(result => !result.passed).length,
+    results
+  };
+}
+
+const report = await runConversationScenarios(process.argv.length > 2 ? process.argv.slice(2) : null);
+printReport('Conversation scenarios', report, ({ scenario, channel, turns }) =>
+  `${scenario} (${channel}): ${turns.filter(turn => !turn.passed).map(turn =>
+    `${JSON.stringify(turn.message)} ${turn.failures.map(({ check, expected, actual }) => `${check} expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`).join('; ')}`
+  ).join(' | ')}`
+);
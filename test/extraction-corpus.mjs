@@ -0,0 +1,159 @@
+// =============================================================================
+// EXTRACTION REGRESSION CORPUS
+// =============================================================================
+//
+// node test/extraction-corpus.mjs - exits non-zero if any utterance fails
+
+import { loadWorker, printReport } from './load-worker.mjs';
+
+const { EnhancedConversationStateManager, IntakeSchema, LanguageManager } = await loadWorker('ai-processor-worker.js', [
+  'EnhancedConversationStateManager',
+  'IntakeSchema',
+  'LanguageManager'
+]);
+
+// Utterances from real calls and texts that the keyword matcher has gotten
+// wrong before. `previous` is the conversation data going in; `expect` lists
+// field values after the message (null = must stay empty); `language`
+// defaults to English.
+export const EXTRACTION_REGRESSION_CORPUS = [
+  { message: 'Can you get someone out here tomorrow?', expect: { applianceMake: null, preferredTime: 'tomorrow' } },
+  { message: 'I need to arrange a visit for next week', expect: { applianceType: null, preferredTime: 'next week' } },
+  { message: "It's not leaking, it just won't drain", expect: { issueDescription: 'not_draining' } },
+  { message: 'My Samsung washer is leaking from the front door', expect: { applianceType: 'washer', applianceMake: 'Samsung', issueDescription: 'leaking', issueLocation: 'front' } },
+  { message: "my frigidaire's been dead since sunday", expect: { applianceMake: 'Frigidaire', issueDescription: 'not_starting', customerName: null } },
+  { message: "The dish washer isn't cleaning the dishes", expect: { applianceType: 'dishwasher', issueDescription: 'not_cleaning' } },
+  { message: "It's the dryer, not the washer", expect: { applianceType: 'dryer' } },
+  { message: "It's not a Samsung, it's an LG", expect: { applianceMake: 'Lg' } },
+  { message: 'Back of the fridge is warm', expect: { applianceType: 'refrigerator', issueDescription: 'not_cooling', issueLocation: null } },
+  { message: "I'm calling about my GE oven", expect: { customerName: null, applianceMake: 'Ge', applianceType: 'oven' } },
+  { message: 'tomorrow morning', previous: { customerName: 'John Smith' }, expect: { customerName: 'John Smith', preferredTime: 'tomorrow morning' } },
+  { message: 'Any morning but Friday works for me', expect: { preferredTime: 'any morning except Friday' } },
+  { message: 'This weekend would be great', expect: { preferredTime: 'this weekend' } },
+  { message: 'anytime after 3', expect: { preferredTime: 'any day after 3 PM' } },
+  { message: 'It started leaking after 2 weeks', expect: { issueDescription: 'leaking', preferredTime: null } },
+  { message: 'Can you come tomorrow at 10?', expect: { preferredTime: 'tomorrow around 10 AM' } },
+  { message: 'Tomorrow 9 to 11 works', expect: { preferredTime: 'tomorrow between 9 AM and 11 AM' } },
+  { message: 'It has been broken since Tuesday', expect: { preferredTime: null } },
+  { message: 'I work until 5 so after that', expect: { preferredTime: 'any day after 5 PM' } },
+  { message: 'I need it fixed in 2 to 3 weeks', expect: { preferredTime: null } },
+  {
+    message: 'Sarah Jones',
+    previous: { customerName: 'John Smith', fieldMeta: { customerName: { confidence: 0.8, source: 'pattern' } } },
+    expect: { customerName: 'John Smith' }
+  },
+  { message: 'My name is Maria Lopez', expect: { customerName: 'Maria Lopez' } },
+  { message: 'It broke 2 weeks ago', expect: { streetAddress: null } },
+  { message: '4512 Lee Highway Court', expect: { streetAddress: '4512 Lee Highway Court' } },
+  { message: 'Fairfax, VA 22030', expect: { city: 'Fairfax', zipCode: '22030' } },
+  { message: 'Do you cover 22030?', expect: { city: null, zipCode: '22030' } },
+  { message: 'my zip is 22030 and the washer is leaking', expect: { streetAddress: null, city: null, zipCode: '22030' } },
+  { message: 'zip 22030', expect: { city: null, zipCode: '22030' } },
+  { message: 'I have 2 kids and 3 dogs', expect: { streetAddress: null } },
+  { message: '4512 Broadway', expect: { streetAddress: '4512 Broadway' } },
+  { message: 'You can reach me at (571) 555-0199', expect: { callbackNumber: '+15715550199' } },
+  { message: 'call 571.555.0199 ext 23', expect: { callbackNumber: '+15715550199;ext=23' } },
+  { message: "I'm visiting, my cell is +44 20 7946 0958", expect: { callbackNumber: '+442079460958' } },
+  { message: 'My account number is 123-456-7890', expect: { callbackNumber: null } },
+  { message: '123 main st and my washer is leaking', expect: { streetAddress: '123 Main Street', applianceType: 'washer' } },
+  { message: '456 Oak Ave Apt 4B, Fairfax, VA 22030', expect: { streetAddress: '456 Oak Avenue Apt 4B', city: 'Fairfax', zipCode: '22030' } },
+  { message: 'I live at 12 n elm rd in Vienna', expect: { streetAddress: '12 North Elm Road', city: 'Vienna' } },
+  { message: '1600 Pennsylvania Ave NW, Washington, DC 20500', expect: { streetAddress: '1600 Pennsylvania Avenue NW', city: 'Washington', zipCode: '20500' } },
+  { message: "The AC in the back isn't cooling", expect: { applianceType: 'air_conditioner', issueDescription: 'not_cooling' } },
+  { message: "The range won't turn on", expect: { applianceType: 'oven', issueDescription: 'not_starting' } },
+  { message: 'Emergency! My dishwasher is flooding!', expect: { applianceType: 'dishwasher', issueDescription: 'leaking', preferredTime: 'urgent' } },
+  { message: "There's no water coming out", expect: { issueDescription: null } },
+  { message: 'No leaks, but it is really loud', expect: { issueDescription: 'noisy' } },
+  { message: "yes that's right", expect: { lastConfirmation: 'yes' } },
+  { message: "No, that's wrong", expect: { lastConfirmation: 'no' } },
+  { message: "that's not right", expect: { lastConfirmation: 'no' } },
+  { message: 'I need someone right away', expect: { lastConfirmation: null, preferredTime: 'urgent' } },
+  {
+    message: 'my neighbor has a Samsung',
+    previous: { applianceMake: 'Whirlpool', fieldMeta: { applianceMake: { confidence: 1, source: 'confirmed' } } },
+    expect: { applianceMake: 'Whirlpool' }
+  },
+  {
+    message: 'no, my name is Jon not John',
+    previous: { customerName: 'John', fieldMeta: { customerName: { confidence: 1, source: 'confirmed' } } },
+    expect: { customerName: 'Jon', lastConfirmation: null }
+  },
+  {
+    message: "that's the wrong address",
+    previous: { streetAddress: '123 Main Street' },
+    expect: { streetAddress: null, correctingField: 'streetAddress' }
+  },
+  {
+    message: 'No problem',
+    previous: { issueDescription: 'leaking' },
+    expect: { issueDescription: 'leaking', correctingField: null }
+  },
+  {
+    message: "No, that's the right number",
+    previous: { callbackNumber: '+15715550199' },
+    expect: { callbackNumber: '+15715550199', correctingField: null }
+  },
+  {
+    message: 'no the name is right',
+    previous: { customerName: 'John Smith' },
+    expect: { customerName: 'John Smith', correctingField: null }
+  },
+  {
+    message: 'Can you change the day?',
+    previous: { preferredTime: 'tomorrow morning' },
+    expect: { preferredTime: 'tomorrow morning', correctingField: null }
+  },
+  {
+    message: "Actually, the number is 571-555-0142",
+    previous: { callbackNumber: '+15715550199', fieldMeta: { callbackNumber: { confidence: 1, source: 'confirmed' } } },
+    expect: { callbackNumber: '+15715550142' }
+  },
+  {
+    message: 'the range in the kitchen',
+    previous: { applianceType: 'microwave', fieldMeta: { applianceType: { confidence: 0.8, source: 'pattern' } } },
+    expect: { applianceType: 'microwave' }
+  },
+  { message: 'Mi lavadora Samsung está goteando por abajo', language: 'es', expect: { applianceType: 'washer', applianceMake: 'Samsung', issueDescription: 'leaking', issueLocation: 'bottom' } },
+  { message: 'La secadora no calienta, pero no hace ruido', language: 'es', expect: { applianceType: 'dryer', issueDescription: 'not_heating' } },
+  { message: 'Me llamo José García', language: 'es', expect: { customerName: 'José García' } },
+  { message: 'mañana por la mañana', language: 'es', expect: { preferredTime: 'mañana por la mañana', customerName: null } },
+  { message: 'cualquier mañana menos el viernes', language: 'es', expect: { preferredTime: 'cualquier día por la mañana excepto el viernes' } },
+  { message: 'sí, es correcto', language: 'es', expect: { lastConfirmation: 'yes' } },
+  {
+    message: 'la dirección está mal',
+    language: 'es',
+    previous: { streetAddress: '123 Main Street' },
+    expect: { streetAddress: null, correctingField: 'streetAddress' }
+  }
+];
+
+export function runExtractionRegressionCorpus() {
+  const managers = {};
+  const getManager = language => {
+    if (!managers[language]) {
+      const schema = LanguageManager.localizeSchema(new IntakeSchema(), language);
+      managers[language] = new EnhancedConversationStateManager(null, schema).setLanguage(language);
+    }
+    return managers[language];
+  };
+
+  const results = EXTRACTION_REGRESSION_CORPUS.map(({ message, language = 'en', previous = {}, expect }) => {
+    const extracted = getManager(language).extractInformation(message, previous);
+    const failures = Object.entries(expect)
+      .filter(([field, value]) => (extracted[field] ?? null) !== value)
+      .map(([field, value]) => ({ field, expected: value, actual: extracted[field] ?? null }));
+
+    return { message, language, passed: failures.length === 0, failures };
+  });
+
+  return {
+    total: results.length,
+    passed: results.filter(result => result.passed).length,
+    failed: results.filter(result => !result.passed).length,
+    results
+  };
+}
+
+printReport('Extraction corpus', runExtractionRegressionCorpus(), ({ message, language, failures }) =>
+  `[${language}] ${JSON.stringify(message)}: ${failures.map(({ field, expected, actual }) => `${field} expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`).join('; ')}`
+);
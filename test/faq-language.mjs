@@ -0,0 +1,48 @@
+// =============================================================================
+// FAQ LANGUAGE - ONE RULE FOR THE DATABASE LOOKUP AND THE CACHED COPIES
+// =============================================================================
+//
+// node test/faq-language.mjs - exits non-zero if the database worker's
+// lookup_faq filter and the SMS and voice caches disagree about which FAQs a
+// language gets
+
+import { loadWorker, printReport } from './load-worker.mjs';
+
+const { faqMatchesLanguage } = await loadWorker('database-worker.js', ['faqMatchesLanguage']);
+const { SMSLanguageSelector } = await loadWorker('sms-agent-worker.js', ['SMSLanguageSelector']);
+const { VoiceLanguage } = await loadWorker('voice-agent-worker.js', ['VoiceLanguage']);
+
+const FILTERS = {
+  'database-worker.js faqMatchesLanguage': faqMatchesLanguage,
+  'sms-agent-worker.js SMSLanguageSelector.servesFaq': (faq, language) => SMSLanguageSelector.servesFaq(faq, language),
+  'voice-agent-worker.js VoiceLanguage.servesFaq': (faq, language) => VoiceLanguage.servesFaq(faq, language)
+};
+
+// Untagged FAQs are English and never reach a Spanish caller
+const FAQ_LANGUAGE_VECTORS = [
+  { faq: { language: 'en' }, language: 'en', serves: true },
+  { faq: { language: 'es' }, language: 'es', serves: true },
+  { faq: { language: null }, language: 'en', serves: true },
+  { faq: {}, language: 'en', serves: true },
+  { faq: { language: 'en' }, language: 'es', serves: false },
+  { faq: { language: 'es' }, language: 'en', serves: false },
+  { faq: { language: null }, language: 'es', serves: false },
+  { faq: {}, language: 'es', serves: false }
+];
+
+const results = [];
+for (const [name, filter] of Object.entries(FILTERS)) {
+  for (const vector of FAQ_LANGUAGE_VECTORS) {
+    const actual = filter(vector.faq, vector.language);
+    results.push({ name, ...vector, actual, passed: actual === vector.serves });
+  }
+}
+
+printReport('FAQ language', {
+  total: results.length,
+  passed: results.filter(result => result.passed).length,
+  failed: results.filter(result => !result.passed).length,
+  results
+}, ({ name, faq, language, serves, actual }) =>
+  `${name} ${JSON.stringify(faq)} for ${language}: expected ${serves}, got ${actual}`
+);
@@ -0,0 +1,25 @@
+// =============================================================================
+// WORKER LOADER - OFFLINE ACCESS TO A WORKER'S TOP-LEVEL CLASSES AND FUNCTIONS
+// =============================================================================
+
+import { readFile } from 'node:fs/promises';
+
+// The workers are single files with only a default export; this re-exports
+// the named top-level bindings so these scripts can drive them directly
+export async function loadWorker(file, names) {
+  // The workers log every step as JSON lines; VERBOSE=1 keeps them
+  if (!process.env.VERBOSE) console.log = () => {};
+
+  const source = await readFile(new URL(`../${file}`, import.meta.url), 'utf8');
+  const module = `${source}\nexport { ${names.join(', ')} };`;
+  return import(`data:text/javascript,${encodeURIComponent(module)}`);
+}
+
+// One line per failure, a summary line, and a non-zero exit if anything failed
+export function printReport(title, report, describe) {
+  for (const result of report.results.filter(result => !result.passed)) {
+    process.stdout.write(`FAIL ${describe(result)}\n`);
+  }
+  process.stdout.write(`${title}: ${report.passed}/${report.total} passed\n`);
+  if (report.failed > 0) process.exitCode = 1;
+}
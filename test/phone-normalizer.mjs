@@ -0,0 +1,55 @@
+// =============================================================================
+// PHONE NORMALIZER - SHARED VECTORS FOR EVERY WORKER'S COPY
+// =============================================================================
+//
+// node test/phone-normalizer.mjs - exits non-zero if any worker's copy of
+// PhoneNormalizer disagrees with a vector
+
+import { loadWorker, printReport } from './load-worker.mjs';
+
+const WORKERS = ['ai-processor-worker.js', 'voice-agent-worker.js', 'sms-agent-worker.js', 'database-worker.js'];
+
+// `normalize` is the stored form (null = rejected), `format` the spoken or
+// texted one
+const PHONE_VECTORS = [
+  { input: '(571) 555-0199', normalize: '+15715550199', format: '(571) 555-0199' },
+  { input: '571.555.0199', normalize: '+15715550199', format: '(571) 555-0199' },
+  { input: '1-571-555-0199', normalize: '+15715550199', format: '(571) 555-0199' },
+  { input: '+1 571 555 0199', normalize: '+15715550199', format: '(571) 555-0199' },
+  { input: 'tel:+15715550199', normalize: '+15715550199', format: '(571) 555-0199' },
+  { input: '571-555-0199 ext 23', normalize: '+15715550199;ext=23', format: '(571) 555-0199 ext. 23' },
+  { input: '+15715550199;ext=23', normalize: '+15715550199;ext=23', format: '(571) 555-0199 ext. 23' },
+  { input: '571-555-0199 x5', normalize: '+15715550199;ext=5', format: '(571) 555-0199 ext. 5' },
+  { input: '+44 20 7946 0958', normalize: '+442079460958', format: '+44 2079460958' },
+  { input: '011 44 20 7946 0958', normalize: '+442079460958', format: '+44 2079460958' },
+  { input: '0044 20 7946 0958', normalize: '+442079460958', format: '+44 2079460958' },
+  { input: '+52 55 1234 5678', normalize: '+525512345678', format: '+52 5512345678' },
+  { input: '123-456-7890', normalize: null, format: '123-456-7890' },
+  { input: '555-0199', normalize: null, format: '555-0199' },
+  { input: 'anonymous', normalize: null, format: 'anonymous' },
+  { input: 'client:alice', normalize: null, format: 'client:alice' },
+  { input: '+1234567890123456', normalize: null, format: '+1234567890123456' },
+  { input: '', normalize: null, format: '' }
+];
+
+const results = [];
+for (const file of WORKERS) {
+  const { PhoneNormalizer } = await loadWorker(file, ['PhoneNormalizer']);
+
+  for (const vector of PHONE_VECTORS) {
+    const actual = { normalize: PhoneNormalizer.normalize(vector.input), format: PhoneNormalizer.format(vector.input) };
+    const failures = ['normalize', 'format']
+      .filter(method => actual[method] !== vector[method])
+      .map(method => ({ method, expected: vector[method], actual: actual[method] }));
+    results.push({ file, input: vector.input, passed: failures.length === 0, failures });
+  }
+}
+
+printReport('Phone vectors', {
+  total: results.length,
+  passed: results.filter(result => result.passed).length,
+  failed: results.filter(result => !result.passed).length,
+  results
+}, ({ file, input, failures }) =>
+  `${file} ${JSON.stringify(input)}: ${failures.map(({ method, expected, actual }) => `${method} expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`).join('; ')}`
+);
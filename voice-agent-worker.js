@@ -10,6 +10,7 @@
 // DEFAULT_VOICE_ID
 // SUPABASE_URL
 // SUPABASE_SERVICE_KEY
+// TWILIO_AUTH_TOKEN (checks X-Twilio-Signature on the warm transfer callbacks)
 
 // Service Bindings needed:
 // AI_SERVICE (bound to ai-processor-worker)
@@ -98,7 +99,7 @@ class CircuitBreaker {
 // =============================================================================
 
 class ErrorResponseManager {
-  static getVoiceErrorResponse(error, businessName = 'our service') {
+  static getVoiceErrorResponse(error, businessName = 'our service', language = 'en') {
     const errorType = this.categorizeError(error);
     
     const responses = {
@@ -109,8 +110,18 @@ class ErrorResponseManager {
       'validation': `I didn't receive your information properly. Could you please try your call again?`,
       'default': `I'm sorry, I'm experiencing technical issues. Please call our main number for immediate help.`
     };
-    
-    return responses[errorType] || responses['default'];
+
+    const spanishResponses = {
+      'network': `Tengo problemas de conexión en este momento. Por favor llame directamente a ${businessName} o intente de nuevo en un momento.`,
+      'ai': `Estoy teniendo algunas dificultades técnicas. Permítame comunicarle con alguien que le pueda ayudar.`,
+      'voice': `Tengo problemas con la generación de voz. Por favor llame a nuestro número principal para recibir ayuda inmediata.`,
+      'database': `No puedo acceder a su información en este momento. Por favor intente llamar de nuevo en un momento.`,
+      'validation': `No recibí bien su información. ¿Podría intentar su llamada de nuevo?`,
+      'default': `Lo siento, estoy teniendo problemas técnicos. Por favor llame a nuestro número principal para recibir ayuda inmediata.`
+    };
+
+    const table = language === 'es' ? spanishResponses : responses;
+    return table[errorType] || table['default'];
   }
 
   static categorizeError(error) {
@@ -126,6 +137,209 @@ class ErrorResponseManager {
   }
 }
 
+// =============================================================================
+// CALL LANGUAGE - GATHER, VOICE AND GREETING SETTINGS PER LANGUAGE
+// =============================================================================
+
+const VOICE_LANGUAGES = {
+  en: {
+    gather: 'en-US',
+    hints: 'washer,dryer,dishwasher,refrigerator,broken,leaking,repair',
+    sayVoice: 'alice',
+    voiceSettings: { stability: 0.6, similarity_boost: 0.75, style: 0.1, use_speaker_boost: true },
+    consentWords: ['okay', 'yes', 'sure', 'no', 'hurry', 'rush'],
+    positiveWords: ['okay', 'yes', 'sure', 'fine', 'alright', 'ok', 'good', 'sounds good'],
+    negativeWords: ['no', 'hurry', 'rush', 'fast', 'quick', 'busy', 'time'],
+    greeting: (businessName) => `Hi, this is Sarah from ${businessName}. Before we proceed, I would like to let you know you are on a recorded line and my responses can take 4 to 5 seconds as I will be updating your records during our conversation, so for me to better assist you please be patient with me. Would that be okay with you?`,
+    confirmed: 'Great! How can I help you today?',
+    hurry: 'I understand your concerns and respect your time. Please send us a text message with your full name, address, what appliance is having an issue, appliance make and model if you have it, and what issues you are noticing. We can get your appointment scheduled faster. Will that be okay?'
+  },
+  es: {
+    gather: 'es-US',
+    hints: 'lavadora,secadora,lavavajillas,refrigerador,estufa,gotea,no enciende,reparación',
+    sayVoice: 'Polly.Lupe',
+    voiceSettings: { stability: 0.55, similarity_boost: 0.8, style: 0.1, use_speaker_boost: true },
+    consentWords: ['sí', 'si', 'claro', 'bueno', 'está bien', 'esta bien', 'de acuerdo', 'no', 'prisa', 'apuro'],
+    positiveWords: ['sí', 'si', 'claro', 'bueno', 'está bien', 'esta bien', 'de acuerdo', 'vale', 'perfecto'],
+    negativeWords: ['no', 'prisa', 'apuro', 'rápido', 'rapido', 'ocupado', 'ocupada', 'tiempo'],
+    greeting: (businessName) => `Hola, le habla Sarah de ${businessName}. Antes de continuar, le informo que esta llamada se está grabando y que mis respuestas pueden tardar de 4 a 5 segundos porque voy actualizando su información durante la conversación, así que le pido un poco de paciencia. ¿Le parece bien?`,
+    confirmed: '¡Perfecto! ¿En qué le puedo ayudar hoy?',
+    hurry: 'Entiendo y respeto su tiempo. Envíenos un mensaje de texto con su nombre completo, su dirección, qué aparato tiene el problema, la marca y el modelo si los tiene, y qué problema está notando. Así podemos agendar su cita más rápido. ¿Le parece bien?'
+  }
+};
+
+class VoiceLanguage {
+  // Untagged FAQs are English, the same rule as the database worker's
+  // faqMatchesLanguage (test/faq-language.mjs)
+  static servesFaq(faq, language) {
+    return (faq.language || 'en') === language;
+  }
+
+  static normalize(language) {
+    if (!language || typeof language !== 'string') return null;
+    const code = language.toLowerCase().slice(0, 2);
+    return VOICE_LANGUAGES[code] ? code : null;
+  }
+
+  static get(language) {
+    return VOICE_LANGUAGES[language] || VOICE_LANGUAGES.en;
+  }
+
+  // Our own Gather actions carry ?lang=, so once a call has a language it keeps it.
+  // New calls use the language set for the dialed number, then the tenant default.
+  static resolve(url, config, businessPhone) {
+    const fromUrl = this.normalize(url.searchParams.get('lang'));
+    if (fromUrl) return fromUrl;
+
+    let numberLanguages = config?.number_languages;
+    if (typeof numberLanguages === 'string') {
+      try {
+        numberLanguages = JSON.parse(numberLanguages);
+      } catch (e) {
+        numberLanguages = null;
+      }
+    }
+
+    return this.normalize(numberLanguages?.[businessPhone]) || this.normalize(config?.default_language) || 'en';
+  }
+
+  // Callers who ask for the other language at the consent prompt hear the greeting again in it
+  static detectSwitch(speech) {
+    const text = (speech || '').toLowerCase();
+    if (/\b(espa[nñ]ol|spanish)\b/.test(text)) return 'es';
+    if (/\b(english|ingl[eé]s)\b/.test(text)) return 'en';
+    return null;
+  }
+
+  // A voice experiment's variant replaces the tenant's English voice
+  static getVoiceId(config, language, env, experiment = null) {
+    if (language !== 'es' && experiment?.voiceId) {
+      return experiment.voiceId;
+    }
+    if (language === 'es' && config?.elevenlabs_voice_id_es) {
+      return config.elevenlabs_voice_id_es;
+    }
+    return config?.elevenlabs_voice_id || env.DEFAULT_VOICE_ID;
+  }
+
+  // Cached audio is recorded per language; English keeps the original keys
+  static assetKey(templateKey, language) {
+    return language === 'en' ? templateKey : `${templateKey}_${language}`;
+  }
+
+  static gather(origin, language, stage = null) {
+    const settings = this.get(language);
+    const params = new URLSearchParams();
+    if (stage) params.set('stage', stage);
+    params.set('lang', language);
+
+    return `<Gather input="speech" timeout="6" speechTimeout="auto" speechModel="phone_call" action="${origin}/voice?${params.toString().replace(/&/g, '&amp;')}" enhanced="true" language="${settings.gather}" hints="${settings.hints}">
+  </Gather>`;
+  }
+}
+
+// =============================================================================
+// PHONE NUMBERS - E.164 NORMALIZATION
+// =============================================================================
+
+// Copy of the processor's PhoneNormalizer; change them together so every
+// worker stores a caller under the same number. test/phone-normalizer.mjs
+// runs the same vectors through every copy.
+
+const DEFAULT_PHONE_COUNTRY_CODE = '1';
+
+// Two-digit country codes; 1 and 7 are the only one-digit codes and
+// everything else is three digits
+const TWO_DIGIT_COUNTRY_CODES = new Set([
+  '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+  '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66',
+  '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98'
+]);
+
+const PHONE_EXTENSION_PATTERN = /\s*(?:;\s*ext=|,\s*|\b(?:ext|extension|extensi[óo]n)\.?\s*|\bx\.?\s*|#\s*)(\d{1,6})\s*$/i;
+
+class PhoneNormalizer {
+  static getCountryCode(digits) {
+    if (/^[17]/.test(digits)) return digits.charAt(0);
+    if (TWO_DIGIT_COUNTRY_CODES.has(digits.substring(0, 2))) return digits.substring(0, 2);
+    return digits.substring(0, 3);
+  }
+
+  // Splits a raw number into { e164, countryCode, nationalNumber, extension, valid, reason }.
+  // Numbers without a "+" or international prefix are read as North American.
+  static parse(value, defaultCountryCode = DEFAULT_PHONE_COUNTRY_CODE) {
+    if (value === null || value === undefined) return null;
+
+    let text = String(value).trim().replace(/^tel:/i, '');
+    if (!text) return null;
+
+    let extension = null;
+    const extensionMatch = text.match(PHONE_EXTENSION_PATTERN);
+    if (extensionMatch && /\d{7}/.test(text.slice(0, extensionMatch.index).replace(/\D/g, ''))) {
+      extension = extensionMatch[1];
+      text = text.slice(0, extensionMatch.index);
+    }
+
+    // Anything left besides digits and punctuation ("anonymous", "client:alice") isn't a number
+    if (!/^[+\d\s().-]+$/.test(text)) {
+      return { e164: null, countryCode: null, nationalNumber: null, extension, valid: false, reason: 'not_a_number' };
+    }
+
+    let digits = text.replace(/\D/g, '');
+    const international = /^\s*\+/.test(text) || /^(?:00|011)/.test(digits);
+    if (!international) {
+      // A bare "1" in front of ten digits is the North American trunk prefix
+      if (defaultCountryCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+        digits = digits.substring(1);
+      }
+      digits = `${defaultCountryCode}${digits}`;
+    } else if (!/^\s*\+/.test(text)) {
+      digits = digits.replace(/^(?:011|00)/, '');
+    }
+
+    const countryCode = PhoneNormalizer.getCountryCode(digits);
+    const nationalNumber = digits.substring(countryCode.length);
+    const result = { e164: `+${digits}`, countryCode, nationalNumber, extension, valid: false, reason: null };
+
+    if (/^0/.test(digits)) {
+      result.reason = 'invalid_country_code';
+    } else if (digits.length < 8) {
+      result.reason = 'too_short';
+    } else if (digits.length > 15) {
+      result.reason = 'too_long';
+    } else if (countryCode === '1' && !/^[2-9]\d{2}[2-9]\d{6}$/.test(nationalNumber)) {
+      // Area codes and exchanges never start with 0 or 1
+      result.reason = 'invalid_nanp';
+    } else {
+      result.valid = true;
+    }
+    return result;
+  }
+
+  // E.164 with any extension as ";ext=", or null when the number doesn't hold up
+  static normalize(value, defaultCountryCode = DEFAULT_PHONE_COUNTRY_CODE) {
+    const parsed = PhoneNormalizer.parse(value, defaultCountryCode);
+    if (!parsed?.valid) return null;
+    return parsed.extension ? `${parsed.e164};ext=${parsed.extension}` : parsed.e164;
+  }
+
+  static isValid(value) {
+    return !!PhoneNormalizer.parse(value)?.valid;
+  }
+
+  // "(571) 555-0199 ext. 23" at home, "+44 2079460958" abroad
+  static format(value) {
+    const parsed = PhoneNormalizer.parse(value);
+    if (!parsed?.valid) return value;
+
+    const { countryCode, nationalNumber, extension } = parsed;
+    const number = countryCode === '1' ?
+      `(${nationalNumber.substring(0, 3)}) ${nationalNumber.substring(3, 6)}-${nationalNumber.substring(6)}` :
+      `+${countryCode} ${nationalNumber}`;
+    return extension ? `${number} ext. ${extension}` : number;
+  }
+}
+
 // =============================================================================
 // STRUCTURED LOGGING WITH TWILIO LATENCY
 // =============================================================================
@@ -370,6 +584,8 @@ class ResponseAudioMatcher {
       'what city and zip',
       'best callback number',
       'morning or afternoon',
+      'i have openings',
+      'the next opening is',
       'preferred time',
       'what\'s your full name',
       'what\'s your address',
@@ -377,7 +593,8 @@ class ResponseAudioMatcher {
       'what\'s happening with',
       'what\'s wrong with',
       'what type of appliance',
-      'perfect! i have'
+      'perfect! i have',
+      'you\'re all set'
     ];
   }
 
@@ -543,20 +760,21 @@ class AudioCacheManager {
     return this.responseMatching.findBestMatch(aiResponse, audioCache);
   }
 
-  async getGreetingAudio(organizationId, businessName) {
+  async getGreetingAudio(organizationId, businessName, language = 'en') {
     try {
-      let audioUrl = await this.getCachedAudio(organizationId, 'greeting');
+      let audioUrl = await this.getCachedAudio(organizationId, VoiceLanguage.assetKey('greeting', language));
       
       if (audioUrl) {
         StructuredLogger.cache('greeting_cache_hit', {
           organization_id: organizationId,
           business_name: businessName,
-          disclaimer_included: true
+          disclaimer_included: true,
+          language
         });
         return {
           audioUrl,
           fromCache: true,
-          text: `Hi, this is Sarah from ${businessName}. Before we proceed, I would like to let you know you are on a recorded line and my responses can take 4 to 5 seconds as I will be updating your records during our conversation, so for me to better assist you please be patient with me. Would that be okay with you?`,
+          text: VoiceLanguage.get(language).greeting(businessName),
           requiresConfirmation: true
         };
       }
@@ -576,32 +794,30 @@ class AudioCacheManager {
     }
   }
 
-  async getConfirmationResponse(organizationId, customerResponse) {
+  async getConfirmationResponse(organizationId, customerResponse, language = 'en') {
     const responseLower = customerResponse.toLowerCase();
+    const settings = VoiceLanguage.get(language);
     
-    const positiveWords = ['okay', 'yes', 'sure', 'fine', 'alright', 'ok', 'good', 'sounds good'];
-    const isPositive = positiveWords.some(word => responseLower.includes(word));
-    
-    const negativeWords = ['no', 'hurry', 'rush', 'fast', 'quick', 'busy', 'time'];
-    const isNegative = negativeWords.some(word => responseLower.includes(word));
+    const isPositive = settings.positiveWords.some(word => responseLower.includes(word));
+    const isNegative = settings.negativeWords.some(word => responseLower.includes(word));
     
     if (isPositive) {
-      const audioUrl = await this.getCachedAudio(organizationId, 'greeting_confirmed');
+      const audioUrl = await this.getCachedAudio(organizationId, VoiceLanguage.assetKey('greeting_confirmed', language));
       if (audioUrl) {
         return {
           audioUrl,
           fromCache: true,
-          text: 'Great! How can I help you today?',
+          text: settings.confirmed,
           continueConversation: true
         };
       }
     } else if (isNegative) {
-      const audioUrl = await this.getCachedAudio(organizationId, 'greeting_hurry_sms');
+      const audioUrl = await this.getCachedAudio(organizationId, VoiceLanguage.assetKey('greeting_hurry_sms', language));
       if (audioUrl) {
         return {
           audioUrl,
           fromCache: true,
-          text: 'I understand your concerns and respect your time. Please send us a text message with your full name, address, what appliance is having an issue, appliance make and model if you have it, and what issues you are noticing. We can get your appointment scheduled faster. Will that be okay?',
+          text: settings.hurry,
           continueConversation: false
         };
       }
@@ -697,6 +913,53 @@ class EnhancedDatabaseClient {
     });
   }
 
+  async getEscalation(escalationId) {
+    if (!this.service || !escalationId) return null;
+
+    return this.circuitBreaker.execute(async () => {
+      const request = new Request(`http://internal/escalations/${escalationId}`, {
+        method: 'GET',
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      const response = await this.service.fetch(request);
+      if (response.status === 404) return null;
+
+      if (!response.ok) {
+        throw new Error(`Escalation fetch failed: ${response.status}`);
+      }
+
+      return response.json();
+    });
+  }
+
+  // The on-call technician took the transferred call
+  async acknowledgeEscalation(escalationId, phone) {
+    if (!this.service || !escalationId) return null;
+
+    return this.circuitBreaker.execute(async () => {
+      const request = new Request(`http://internal/escalations/${escalationId}/acknowledge`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ phone, via: 'transfer' })
+      });
+
+      const response = await this.service.fetch(request);
+
+      if (!response.ok) {
+        throw new Error(`Escalation acknowledge failed: ${response.status}`);
+      }
+
+      const data = await response.json();
+      StructuredLogger.info('Escalation acknowledged by transfer', {
+        escalation_id: escalationId,
+        acknowledged_by: phone
+      });
+
+      return data.escalation || null;
+    });
+  }
+
   async batchCall(operations) {
     const promises = operations.map(async (op) => {
       try {
@@ -731,9 +994,12 @@ class EnhancedAIClient {
     this.circuitBreaker = new CircuitBreaker('ai-service', 3, 30000);
   }
 
-  async processMessage(speechResult, organizationId, customerPhone) {
+  // Returns the reply along with the language the processor settled on, which
+  // may differ from the one we sent if the caller switched mid-call, and the
+  // conversation step it landed in.
+  async processMessage(speechResult, organizationId, customerPhone, language = 'en', stage = null) {
     if (!this.service) {
-      return "I understand you need help. What appliance is giving you trouble?";
+      return { text: "I understand you need help. What appliance is giving you trouble?", language };
     }
 
     return this.circuitBreaker.execute(async () => {
@@ -743,7 +1009,9 @@ class EnhancedAIClient {
         body: JSON.stringify({
           message: speechResult,
           tenantId: organizationId,
-          customerPhone: customerPhone
+          customerPhone: customerPhone,
+          language,
+          stage
         })
       });
 
@@ -761,12 +1029,131 @@ class EnhancedAIClient {
         customer_phone: customerPhone,
         input_length: speechResult?.length || 0,
         response_length: aiResponse.length,
-        completion_percentage: data.metadata?.completionPercentage || 0
+        completion_percentage: data.metadata?.completionPercentage || 0,
+        language: data.metadata?.language || language
       });
       
-      return aiResponse;
+      return {
+        text: aiResponse,
+        language: VoiceLanguage.normalize(data.metadata?.language) || language,
+        step: data.metadata?.conversationStep || null,
+        transfer: data.metadata?.transfer || null,
+        handoff: data.metadata?.handoff || null,
+        intent: data.metadata?.intent || null,
+        intentConfidence: data.metadata?.intentConfidence ?? null,
+        experiment: data.metadata?.experiment || null
+      };
+    });
+  }
+
+  // Same as processMessage, but asks the processor for NDJSON and hands each
+  // sentence of the reply to onSentence as soon as the guardrail has passed
+  // it, so synthesis overlaps the processor saving state. Deltas are never
+  // voiced: the guardrail may still replace them. onLanguage fires as soon as
+  // the processor settles the language, onExperiment with the caller's A/B
+  // variant (for its voice).
+  async processMessageStream(speechResult, organizationId, customerPhone, language = 'en', { stage = null, onLanguage, onExperiment, onSentence } = {}) {
+    if (!this.service) {
+      return this.processMessage(speechResult, organizationId, customerPhone, language, stage);
+    }
+
+    return this.circuitBreaker.execute(async () => {
+      const request = new Request('http://internal/process', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/x-ndjson' },
+        body: JSON.stringify({
+          message: speechResult,
+          tenantId: organizationId,
+          customerPhone: customerPhone,
+          language,
+          stage
+        })
+      });
+
+      const response = await this.service.fetch(request);
+
+      if (!response.ok) {
+        throw new Error(`AI processing failed: ${response.status}`);
+      }
+
+      // A processor without streaming answers with the plain JSON body
+      if (!(response.headers.get('content-type') || '').includes('application/x-ndjson')) {
+        const data = await response.json();
+        return {
+          text: data.response || "I understand you need help. What appliance is giving you trouble?",
+          language: VoiceLanguage.normalize(data.metadata?.language) || language,
+          step: data.metadata?.conversationStep || null,
+          transfer: data.metadata?.transfer || null,
+          handoff: data.metadata?.handoff || null,
+          intent: data.metadata?.intent || null,
+          intentConfidence: data.metadata?.intentConfidence ?? null,
+          experiment: data.metadata?.experiment || null
+        };
+      }
+
+      const chunker = new SentenceChunker(sentence => onSentence?.(sentence));
+      let result = null;
+
+      await readNdjson(response, (event) => {
+        if (event.type === 'start') {
+          language = VoiceLanguage.normalize(event.language) || language;
+          onLanguage?.(language);
+          onExperiment?.(event.experiment || null);
+        } else if (event.type === 'reply') {
+          // The guardrail has checked (and possibly rewritten) this text
+          chunker.push(event.text);
+          chunker.flush();
+        } else if (event.type === 'done') {
+          result = event;
+        } else if (event.type === 'error') {
+          throw new Error(`AI processing failed: ${event.error}`);
+        }
+      });
+
+      if (!result) {
+        throw new Error('AI processing stream ended without a result');
+      }
+
+      const aiResponse = result.response || "I understand you need help. What appliance is giving you trouble?";
+
+      StructuredLogger.info('AI processing completed', {
+        organization_id: organizationId,
+        customer_phone: customerPhone,
+        input_length: speechResult?.length || 0,
+        response_length: aiResponse.length,
+        completion_percentage: result.metadata?.completionPercentage || 0,
+        language: result.metadata?.language || language,
+        streamed: true
+      });
+
+      return {
+        text: aiResponse,
+        language: VoiceLanguage.normalize(result.metadata?.language) || language,
+        step: result.metadata?.conversationStep || null,
+        transfer: result.metadata?.transfer || null,
+        handoff: result.metadata?.handoff || null,
+        intent: result.metadata?.intent || null,
+        intentConfidence: result.metadata?.intentConfidence ?? null,
+        experiment: result.metadata?.experiment || null
+      };
     });
   }
+
+  // The processor's keyword intent for a turn it didn't answer (an FAQ
+  // match), with the caller's experiment variant
+  async classifyIntent(speechResult, organizationId = null, customerPhone = null) {
+    if (!this.service || !speechResult) return null;
+
+    const response = await this.service.fetch(new Request('http://internal/classify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: speechResult, organizationId, customerPhone })
+    }));
+
+    if (!response.ok) return null;
+    const data = await response.json();
+    return data.intent ? { intent: data.intent, confidence: data.confidence, experiment: data.experiment || null } : null;
+  }
 }
 
 // =============================================================================
@@ -779,7 +1166,7 @@ class EnhancedElevenLabs {
     this.circuitBreaker = new CircuitBreaker('elevenlabs', 3, 30000);
   }
 
-  async generateVoice(text, voiceId, retries = 2) {
+  async generateVoice(text, voiceId, language = 'en', retries = 2) {
     return this.circuitBreaker.execute(async () => {
       for (let attempt = 0; attempt <= retries; attempt++) {
         try {
@@ -793,12 +1180,8 @@ class EnhancedElevenLabs {
             body: JSON.stringify({
               text: text,
               model_id: 'eleven_turbo_v2_5',
-              voice_settings: {
-                stability: 0.6,
-                similarity_boost: 0.75,
-                style: 0.1,
-                use_speaker_boost: true
-              },
+              language_code: language,
+              voice_settings: VoiceLanguage.get(language).voiceSettings,
               optimize_streaming_latency: 4,
               output_format: 'mp3_22050_32'
             })
@@ -812,6 +1195,7 @@ class EnhancedElevenLabs {
           
           StructuredLogger.info('Voice generation successful', {
             voice_id: voiceId,
+            language,
             text_length: text.length,
             audio_size: audioBuffer.byteLength,
             attempt: attempt + 1
@@ -960,6 +1344,90 @@ class IntelligentFAQMatcher {
   }
 }
 
+// =============================================================================
+// STREAMED RESPONSE AUDIO - SENTENCE-BY-SENTENCE SYNTHESIS
+// =============================================================================
+
+async function readNdjson(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (line) => {
+    if (line.trim()) onEvent(JSON.parse(line));
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer);
+}
+
+// Splits streamed text into sentences worth a separate ElevenLabs call.
+// Short sentences ("Great!") ride along with the next one.
+class SentenceChunker {
+  constructor(onSentence, minLength = 24) {
+    this.onSentence = onSentence;
+    this.minLength = minLength;
+    this.buffer = '';
+  }
+
+  push(text) {
+    this.buffer += text;
+    const boundary = /[.!?]+["')\]]?\s+/g;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(this.buffer))) {
+      const end = match.index + match[0].length;
+      const sentence = this.buffer.slice(start, end).trim();
+      if (sentence.length >= this.minLength) {
+        this.onSentence(sentence);
+        start = end;
+      }
+    }
+
+    this.buffer = this.buffer.slice(start);
+  }
+
+  flush() {
+    const rest = this.buffer.trim();
+    this.buffer = '';
+    if (rest) this.onSentence(rest);
+  }
+}
+
+// Lines the clips synthesized from the streamed reply up against the final
+// response. Clips are kept only while they match it in order (a failed clip
+// ends the run); whatever is left gets one more synthesis call. Returns null
+// if nothing usable came out of the stream.
+async function assembleStreamedAudio(clips, finalText, synthesize) {
+  const urls = [];
+  let covered = 0;
+
+  for (const clip of clips) {
+    const url = await clip.audioUrl;
+    const at = finalText.indexOf(clip.text, covered);
+    if (!url || at === -1 || finalText.slice(covered, at).trim()) break;
+    urls.push(url);
+    covered = at + clip.text.length;
+  }
+
+  const remainder = finalText.slice(covered).trim();
+  if (remainder) {
+    const url = await synthesize(remainder);
+    if (!url) return null;
+    urls.push(url);
+  }
+
+  return urls.length > 0 ? urls : null;
+}
+
 // =============================================================================
 // MAIN VOICE CALL HANDLER - WITH DETAILED TIMING LOGS
 // =============================================================================
@@ -976,6 +1444,7 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
   const totalStartTime = EnhancedPerformanceMonitor.startTimer();
   let stageTimer = totalStartTime;
   let timer = Date.now();
+  let language = 'en';
   
   try {
     validateEnvironment(env);
@@ -990,9 +1459,11 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
     timer = log('parse_form_data', timer);
     
     const speechResult = formData.get('SpeechResult');
-    const customerPhone = formData.get('From');
+    const customerPhone = PhoneNormalizer.normalize(formData.get('From')) || formData.get('From');
     const businessPhone = formData.get('To');
     const callSid = formData.get('CallSid') || 'unknown';
+    const requestUrl = new URL(request.url);
+    language = VoiceLanguage.normalize(requestUrl.searchParams.get('lang')) || 'en';
     
     const twilioProcessingTime = Date.now() - twilioWebhookStart;
     EnhancedPerformanceMonitor.logTwilioLatency('webhook_processing', twilioProcessingTime, {
@@ -1049,14 +1520,16 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
       });
       
       const businessName = config?.business_name || "ABZ Appliance Repair";
+      language = VoiceLanguage.resolve(requestUrl, config, businessPhone);
       
-      const cachedGreeting = await audioCache.getGreetingAudio(organizationId, businessName);
+      const cachedGreeting = await audioCache.getGreetingAudio(organizationId, businessName, language);
       timer = log('check_greeting_cache', timer);
       
       stageTimer = EnhancedPerformanceMonitor.logStage('check_greeting_cache', stageTimer, {
         call_sid: callSid,
         cache_hit: !!cachedGreeting,
-        has_disclaimer: cachedGreeting?.requiresConfirmation || false
+        has_disclaimer: cachedGreeting?.requiresConfirmation || false,
+        language
       });
       
       let audioUrl;
@@ -1072,10 +1545,10 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
           disclaimer_included: true
         });
       } else {
-        const greeting = `Hi, this is Sarah from ${businessName}. Before we proceed, I would like to let you know you are on a recorded line and my responses can take 4 to 5 seconds as I will be updating your records during our conversation, so for me to better assist you please be patient with me. Would that be okay with you?`;
-        const voiceId = config?.elevenlabs_voice_id || env.DEFAULT_VOICE_ID;
+        const greeting = VoiceLanguage.get(language).greeting(businessName);
+        const voiceId = VoiceLanguage.getVoiceId(config, language, env);
         
-        const audioBuffer = await elevenlabs.generateVoice(greeting, voiceId);
+        const audioBuffer = await elevenlabs.generateVoice(greeting, voiceId, language);
         timer = log('generate_greeting_voice', timer);
         
         stageTimer = EnhancedPerformanceMonitor.logStage('generate_voice', stageTimer, {
@@ -1083,7 +1556,7 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
           text_length: greeting.length
         });
         
-        const filename = `greeting-disclaimer-${organizationId || 'default'}-${callSid}-${Date.now()}.mp3`;
+        const filename = `greeting-disclaimer-${language}-${organizationId || 'default'}-${callSid}-${Date.now()}.mp3`;
         audioUrl = await r2Client.uploadAudio(audioBuffer, filename);
         timer = log('upload_greeting_audio', timer);
         
@@ -1098,6 +1571,7 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
       EnhancedPerformanceMonitor.logTotal(totalStartTime, callSid, {
         call_type: 'greeting_with_disclaimer',
         organization_id: organizationId,
+        language,
         used_cache: !!cachedGreeting,
         twilio_latency_ms: twilioProcessingTime
       });
@@ -1105,15 +1579,14 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
       return new Response(`<?xml version="1.0" encoding="UTF-8"?>
 <Response>
   <Play>${audioUrl}</Play>
-  <Gather input="speech" timeout="6" speechTimeout="auto" speechModel="phone_call" action="${new URL(request.url).origin}/voice" enhanced="true" language="en-US" hints="washer,dryer,dishwasher,refrigerator,broken,leaking,repair">
-  </Gather>
+  ${VoiceLanguage.gather(requestUrl.origin, language, 'consent')}
 </Response>`, {
         headers: { 'Content-Type': 'text/xml' }
       });
     }
 
     // Handle confirmation or regular conversation
-    const organizationId = await this.directIdentifyOrganization(businessPhone, env);
+    const organizationId = await directIdentifyOrganization(businessPhone, env);
     timer = log('identify_organization_for_response', timer);
     
     stageTimer = EnhancedPerformanceMonitor.logStage('identify_org', stageTimer, {
@@ -1121,15 +1594,32 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
       organization_id: organizationId
     });
 
-    // Check if this is a confirmation response to disclaimer
-    const isConfirmationResponse = speechResult && (
-      speechResult.toLowerCase().includes('okay') ||
-      speechResult.toLowerCase().includes('yes') ||
-      speechResult.toLowerCase().includes('sure') ||
-      speechResult.toLowerCase().includes('no') ||
-      speechResult.toLowerCase().includes('hurry') ||
-      speechResult.toLowerCase().includes('rush')
-    );
+    // Check if this is a confirmation response to disclaimer. Only the greeting's
+    // Gather is tagged stage=consent, so a later "yes" to the booking summary
+    // still reaches the AI processor.
+    const isConsentStage = requestUrl.searchParams.get('stage') === 'consent';
+
+    // Checked before consent words, since "español" would otherwise read as "no"
+    const requestedLanguage = isConsentStage ? VoiceLanguage.detectSwitch(speechResult) : null;
+    if (requestedLanguage && requestedLanguage !== language) {
+      StructuredLogger.info('Caller switched language at greeting', {
+        call_sid: callSid,
+        from: language,
+        to: requestedLanguage
+      });
+
+      // Redirect drops SpeechResult, so the greeting branch replays it in the new language
+      return new Response(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Redirect method="POST">${requestUrl.origin}/voice?lang=${requestedLanguage}</Redirect>
+</Response>`, {
+        headers: { 'Content-Type': 'text/xml' }
+      });
+    }
+
+    const consentWords = VoiceLanguage.get(language).consentWords;
+    const isConfirmationResponse = isConsentStage && speechResult &&
+      consentWords.some(word => speechResult.toLowerCase().includes(word));
 
     if (isConfirmationResponse) {
       StructuredLogger.info('Handling confirmation response', {
@@ -1137,7 +1627,7 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
         speech_result: speechResult
       });
 
-      const confirmationResponse = await audioCache.getConfirmationResponse(organizationId, speechResult);
+      const confirmationResponse = await audioCache.getConfirmationResponse(organizationId, speechResult, language);
       timer = log('get_confirmation_response', timer);
       
       if (confirmationResponse) {
@@ -1157,8 +1647,7 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
           return new Response(`<?xml version="1.0" encoding="UTF-8"?>
 <Response>
   <Play>${confirmationResponse.audioUrl}</Play>
-  <Gather input="speech" timeout="6" speechTimeout="auto" speechModel="phone_call" action="${new URL(request.url).origin}/voice" enhanced="true" language="en-US" hints="washer,dryer,dishwasher,refrigerator,broken,leaking,repair">
-  </Gather>
+  ${VoiceLanguage.gather(requestUrl.origin, language)}
 </Response>`, {
             headers: { 'Content-Type': 'text/xml' }
           });
@@ -1180,12 +1669,19 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
     ]);
     timer = log('load_config_and_faqs', timer);
 
-    // Load common audio cache templates
+    // Without a lang= from our own Gather, use the language set for the number
+    if (!requestUrl.searchParams.get('lang')) {
+      language = VoiceLanguage.resolve(requestUrl, config, businessPhone);
+    }
+
+    // Load common audio cache templates (recorded in English only)
     const commonTemplates = [
       'understand', 'what_appliance', 'what_issue', 'check_availability',
       'diagnostic_fee', 'common_issue', 'technician_intro', 'anything_else'
     ];
-    const cachedAudio = await audioCache.getCachedAudioBatch(organizationId, commonTemplates);
+    const cachedAudio = language === 'en'
+      ? await audioCache.getCachedAudioBatch(organizationId, commonTemplates)
+      : {};
     timer = log('load_audio_cache_batch', timer);
     
     stageTimer = EnhancedPerformanceMonitor.logStage('load_data_and_cache', stageTimer, {
@@ -1194,14 +1690,22 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
       cached_audio_count: Object.keys(cachedAudio).length
     });
 
-    // Try FAQ matching first
-    const cachedFaq = IntelligentFAQMatcher.findBestMatch(faqs, speechResult);
+    // Try FAQ matching first, against FAQs in the call's language
+    const languageFaqs = (faqs || []).filter(faq => VoiceLanguage.servesFaq(faq, language));
+    const cachedFaq = IntelligentFAQMatcher.findBestMatch(languageFaqs, speechResult);
     timer = log('faq_matching', timer);
     
     let aiResponse;
     let faqMatched = false;
     let faqId = null;
     let audioUrl = null;
+    let audioUrls = null;
+    let conversationStep = null;
+    let transfer = null;
+    let handoff = null;
+    let intent = null;
+    let intentConfidence = null;
+    let experiment = null;
 
     if (cachedFaq) {
       aiResponse = cachedFaq.response;
@@ -1223,18 +1727,62 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
         faq_id: cachedFaq.id
       });
     } else {
-      // AI processing
-      aiResponse = await aiClient.processMessage(speechResult, organizationId, customerPhone);
+      // AI processing. When streaming, each sentence of the guarded reply goes
+      // to ElevenLabs as soon as it arrives, while the processor saves state.
+      const streamedClips = [];
+      let clipIndex = 0;
+      const synthesizeClip = (text) => elevenlabs.generateVoice(text, VoiceLanguage.getVoiceId(config, language, env, experiment), language)
+        .then(audioBuffer => r2Client.uploadAudio(audioBuffer, `response-${organizationId || 'default'}-${callSid}-${Date.now()}-${clipIndex++}.mp3`))
+        .catch(error => {
+          StructuredLogger.warn('Streamed sentence synthesis failed', {
+            call_sid: callSid,
+            error: error.message
+          });
+          return null;
+        });
+
+      // Lets the processor tell a "no" to recording consent from any other answer
+      const processStage = isConsentStage ? 'consent' : null;
+      const aiResult = config?.voice_streaming === false ?
+        await aiClient.processMessage(speechResult, organizationId, customerPhone, language, processStage) :
+        await aiClient.processMessageStream(speechResult, organizationId, customerPhone, language, {
+          stage: processStage,
+          onLanguage: (streamLanguage) => { language = streamLanguage; },
+          onExperiment: (streamExperiment) => { experiment = streamExperiment; },
+          onSentence: (sentence) => streamedClips.push({ text: sentence, audioUrl: synthesizeClip(sentence) })
+        });
+      aiResponse = aiResult.text;
+      language = aiResult.language;
+      conversationStep = aiResult.step;
+      transfer = aiResult.transfer;
+      handoff = aiResult.handoff;
+      intent = aiResult.intent;
+      intentConfidence = aiResult.intentConfidence;
+      experiment = aiResult.experiment;
       timer = log('ai_processing', timer);
       
       stageTimer = EnhancedPerformanceMonitor.logStage('ai_processing', stageTimer, {
         call_sid: callSid,
-        organization_id: organizationId
+        organization_id: organizationId,
+        language,
+        streamed_sentences: streamedClips.length
       });
+
+      if (streamedClips.length > 0) {
+        audioUrls = await assembleStreamedAudio(streamedClips, aiResponse, synthesizeClip);
+        timer = log('streamed_voice', timer);
+
+        stageTimer = EnhancedPerformanceMonitor.logStage('streamed_voice', stageTimer, {
+          call_sid: callSid,
+          streamed_sentences: streamedClips.length,
+          clips_played: audioUrls ? audioUrls.length : 0
+        });
+      }
     }
 
-    // Check if AI response matches cached audio (ONLY if no FAQ audio and NOT conversation flow)
-    if (!audioUrl) {
+    // Check if AI response matches cached audio (ONLY if no FAQ audio and NOT conversation flow).
+    // Cached clips are in the tenant's voice, so a voice experiment's variant skips them.
+    if (!audioUrl && !audioUrls && language === 'en' && !experiment?.voiceId) {
       const matchedCache = audioCache.matchResponseToCache(aiResponse, cachedAudio);
       timer = log('cache_matching', timer);
       
@@ -1262,10 +1810,10 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
       }
     }
 
-    // Generate voice if no cached audio found
-    if (!audioUrl) {
-      const voiceId = config?.elevenlabs_voice_id || env.DEFAULT_VOICE_ID;
-      const audioBuffer = await elevenlabs.generateVoice(aiResponse, voiceId);
+    // Generate voice if no cached or streamed audio found
+    if (!audioUrl && !audioUrls) {
+      const voiceId = VoiceLanguage.getVoiceId(config, language, env, experiment);
+      const audioBuffer = await elevenlabs.generateVoice(aiResponse, voiceId, language);
       timer = log('generate_voice', timer);
       
       stageTimer = EnhancedPerformanceMonitor.logStage('voice_generation', stageTimer, {
@@ -1290,6 +1838,14 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
     ctx.waitUntil(
       (async () => {
         try {
+          // FAQ answers never reach the processor; tag them here, off the reply path
+          if (!intent && speechResult) {
+            const classified = await aiClient.classifyIntent(speechResult, organizationId, customerPhone).catch(() => null);
+            intent = classified?.intent || null;
+            intentConfidence = classified?.confidence ?? null;
+            experiment = classified?.experiment || null;
+          }
+
           const response = await fetch(`${env.SUPABASE_URL}/rest/v1/interactions`, {
             method: 'POST',
             headers: {
@@ -1305,6 +1861,10 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
               processing_time_ms: totalProcessingTime,
               // twilio_processing_time_ms: twilioProcessingTime,
               channel: 'voice',
+              intent,
+              confidence_score: intentConfidence,
+              experiment_id: experiment?.id || null,
+              experiment_variant: experiment?.variant || null,
               faq_matched: faqMatched,
               faq_id: faqId,
               //used_cache: !!audioUrl && !faqMatched
@@ -1327,14 +1887,15 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
       call_type: 'response',
       organization_id: organizationId,
       faq_matched: faqMatched,
+      language,
       used_cache: Object.keys(cachedAudio).length > 0,
       is_conversation_flow: audioCache.responseMatching.isConversationFlowResponse(aiResponse),
       twilio_latency_ms: twilioProcessingTime
     });
 
-    // Determine continuation
+    // Determine continuation; a closed conversation (e.g. consent declined) hangs up
     const responseCheck = aiResponse.toLowerCase();
-    const shouldContinue = responseCheck.includes('?') ||
+    const shouldContinue = conversationStep !== 'closed' && (responseCheck.includes('?') ||
                           responseCheck.includes('what') ||
                           responseCheck.includes('brand') ||
                           responseCheck.includes('schedule') ||
@@ -1349,24 +1910,53 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
                           responseCheck.includes('name') ||
                           responseCheck.includes('city') ||
                           responseCheck.includes('time') ||
-                          faqMatched;
+                          (language === 'es' && /ayud|servicio|necesit|direcci|nombre|ciudad|hora/.test(responseCheck)) ||
+                          faqMatched);
 
     timer = log('prepare_final_response', timer);
     console.log(`🕐 TOTAL CALL TIME: ${Date.now() - totalStartTime}ms`);
 
+    const plays = (audioUrls || [audioUrl]).map(url => `<Play>${url}</Play>`).join('\n  ');
+
+    // Emergency warm transfer: the technician hears who's calling and presses 1
+    // to take it. A handoff goes straight to the tenant's staff line.
+    const dialTarget = transfer?.number ? { ...transfer, kind: 'emergency' } :
+      handoff?.action === 'transfer' && handoff.number ? { number: handoff.number, escalationId: handoff.escalationId, kind: 'handoff' } :
+      null;
+
+    if (dialTarget) {
+      const transferQuery = `escalationId=${encodeURIComponent(dialTarget.escalationId || '')}&amp;lang=${language}&amp;kind=${dialTarget.kind}`;
+      const whisper = dialTarget.kind === 'emergency' ? ` url="${requestUrl.origin}/voice/whisper?${transferQuery}"` : '';
+
+      StructuredLogger.info('Transferring call', {
+        call_sid: callSid,
+        escalation_id: dialTarget.escalationId,
+        kind: dialTarget.kind
+      });
+
+      return new Response(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${plays}
+  <Dial action="${requestUrl.origin}/voice/transfer-status?${transferQuery}" timeout="25" callerId="${businessPhone}">
+    <Number${whisper}>${dialTarget.number}</Number>
+  </Dial>
+</Response>`, {
+        headers: { 'Content-Type': 'text/xml' }
+      });
+    }
+
     if (shouldContinue) {
       return new Response(`<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-  <Play>${audioUrl}</Play>
-  <Gather input="speech" timeout="6" speechTimeout="auto" speechModel="phone_call" action="${new URL(request.url).origin}/voice" enhanced="true" language="en-US" hints="washer,dryer,dishwasher,refrigerator,broken,leaking,repair">
-  </Gather>
+  ${plays}
+  ${VoiceLanguage.gather(requestUrl.origin, language)}
 </Response>`, {
         headers: { 'Content-Type': 'text/xml' }
       });
     } else {
       return new Response(`<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-  <Play>${audioUrl}</Play>
+  ${plays}
 </Response>`, {
         headers: { 'Content-Type': 'text/xml' }
       });
@@ -1384,11 +1974,12 @@ async function handleEnhancedVoiceCall(request, env, ctx) {
     EnhancedPerformanceMonitor.logTotal(totalStartTime, 'ERROR');
     
     const businessName = "our service";
-    const errorMessage = ErrorResponseManager.getVoiceErrorResponse(error, businessName);
+    const errorMessage = ErrorResponseManager.getVoiceErrorResponse(error, businessName, language);
+    const settings = VoiceLanguage.get(language);
     
     return new Response(`<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-  <Say voice="alice">${errorMessage}</Say>
+  <Say voice="${settings.sayVoice}" language="${settings.gather}">${errorMessage}</Say>
 </Response>`, {
       headers: { 'Content-Type': 'text/xml' }
     });
@@ -1448,6 +2039,127 @@ async function handleLatencyTest(request, env, ctx) {
   }
 }
 
+// =============================================================================
+// WARM TRANSFER - EMERGENCY CALLS TO THE ON-CALL TECHNICIAN
+// =============================================================================
+
+// The transfer callbacks acknowledge escalations, so they only act on
+// requests Twilio signed: base64 HMAC-SHA1 of the full URL plus the sorted
+// POST parameters, keyed with the auth token. Without TWILIO_AUTH_TOKEN
+// nothing passes.
+async function isTwilioRequest(request, formData, env) {
+  if (!env.TWILIO_AUTH_TOKEN) return false;
+
+  const params = [...formData.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const signed = request.url + params.map(([key, value]) => `${key}${value}`).join('');
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(env.TWILIO_AUTH_TOKEN), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']
+  );
+  const digest = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(signed));
+  const expected = btoa(String.fromCharCode(...new Uint8Array(digest)));
+
+  const given = request.headers.get('X-Twilio-Signature') || '';
+  // Compare every character so the response time doesn't give the signature away
+  let difference = given.length ^ expected.length;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= (given.charCodeAt(i) || 0) ^ expected.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+// Played to the technician before the caller is connected. Pressing 1 takes
+// the call and acknowledges the page; anything else leaves it paged.
+async function handleTransferWhisper(request, formData, env) {
+  const url = new URL(request.url);
+  const escalationId = url.searchParams.get('escalationId');
+  const dbClient = new EnhancedDatabaseClient(env.DATABASE_SERVICE);
+
+  const escalation = await dbClient.getEscalation(escalationId).catch(() => null);
+  // The reason can be model-written; keep it from breaking the TwiML
+  const reason = (escalation?.reason || 'urgent customer call').replace(/[<>&]/g, '');
+
+  return new Response(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Gather numDigits="1" timeout="8" action="${url.origin}/voice/whisper-accept?escalationId=${encodeURIComponent(escalationId || '')}">
+    <Say voice="alice">Transferred call, ${reason}. Press 1 to take it.</Say>
+  </Gather>
+  <Hangup/>
+</Response>`, {
+    headers: { 'Content-Type': 'text/xml' }
+  });
+}
+
+async function handleTransferAccept(request, formData, env) {
+  const url = new URL(request.url);
+
+  if (formData.get('Digits') !== '1') {
+    return new Response(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Hangup/>
+</Response>`, {
+      headers: { 'Content-Type': 'text/xml' }
+    });
+  }
+
+  // On the technician's leg, To is the technician's number
+  const dbClient = new EnhancedDatabaseClient(env.DATABASE_SERVICE);
+  await dbClient.acknowledgeEscalation(url.searchParams.get('escalationId'), formData.get('To')).catch(error => {
+    StructuredLogger.warn('Could not acknowledge transferred escalation', { error: error.message });
+  });
+
+  // Ending the whisper without hanging up bridges the two calls
+  return new Response(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Say voice="alice">Connecting.</Say>
+</Response>`, {
+    headers: { 'Content-Type': 'text/xml' }
+  });
+}
+
+// Where the caller lands once the <Dial> ends: after a connected call we're
+// done; otherwise the page (or the staff notification, for a handoff) still
+// stands and someone calls back
+async function handleTransferStatus(request, formData, env) {
+  const url = new URL(request.url);
+  const language = VoiceLanguage.normalize(url.searchParams.get('lang')) || 'en';
+  const settings = VoiceLanguage.get(language);
+
+  const bridged = formData.get('DialBridged');
+  const connected = bridged ? bridged === 'true' : formData.get('DialCallStatus') === 'completed';
+
+  StructuredLogger.info('Warm transfer finished', {
+    call_sid: formData.get('CallSid'),
+    escalation_id: url.searchParams.get('escalationId'),
+    dial_status: formData.get('DialCallStatus'),
+    connected
+  });
+
+  if (connected) {
+    return new Response(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Hangup/>
+</Response>`, {
+      headers: { 'Content-Type': 'text/xml' }
+    });
+  }
+
+  const messages = url.searchParams.get('kind') === 'handoff' ? {
+    en: "I couldn't reach anyone right now, but our team knows you called and someone will call you back shortly.",
+    es: 'No pude comunicarle con nadie en este momento, pero nuestro equipo sabe que llamó y alguien le llamará en breve.'
+  } : {
+    en: "I couldn't get them on the line, but our on-call technician has been paged and will call you back shortly.",
+    es: 'No pude comunicarle, pero nuestro técnico de guardia ya está avisado y le llamará en breve.'
+  };
+  const message = messages[language] || messages.en;
+
+  return new Response(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  <Say voice="${settings.sayVoice}" language="${settings.gather}">${message}</Say>
+</Response>`, {
+    headers: { 'Content-Type': 'text/xml' }
+  });
+}
+
 // =============================================================================
 // MAIN REQUEST HANDLER
 // =============================================================================
@@ -1458,6 +2170,21 @@ async function handleRequest(request, env, ctx) {
   if (url.pathname === '/voice' || url.pathname === '/') {
     return handleEnhancedVoiceCall(request, env, ctx);
   }
+
+  const transferHandlers = {
+    '/voice/whisper': handleTransferWhisper,
+    '/voice/whisper-accept': handleTransferAccept,
+    '/voice/transfer-status': handleTransferStatus
+  };
+
+  if (transferHandlers[url.pathname] && request.method === 'POST') {
+    const formData = await request.formData();
+    if (!await isTwilioRequest(request, formData, env)) {
+      StructuredLogger.warn('Rejected unsigned transfer callback', { path: url.pathname });
+      return new Response('Forbidden', { status: 403 });
+    }
+    return transferHandlers[url.pathname](request, formData, env);
+  }
   
   if (url.pathname === '/test-latency' && request.method === 'POST') {
     return handleLatencyTest(request, env, ctx);
@@ -1576,7 +2303,14 @@ async function handleRequest(request, env, ctx) {
           'circuit-breaker-protection',
           'advanced-error-handling',
           'latency-test-endpoint',
-          'direct-supabase-logging'
+          'direct-supabase-logging',
+          'spanish-language-support',
+          'streamed-sentence-synthesis',
+          'e164-phone-normalization',
+          'emergency-warm-transfer',
+          'staff-handoff-transfer',
+          'interaction-intents',
+          'experiment-voices'
         ]
       });
     } catch (error) {
@@ -1598,6 +2332,13 @@ async function handleRequest(request, env, ctx) {
 ✅ Detailed Console Logs - TIMING: [stage] took [X]ms format
 ✅ Total Call Time - Complete end-to-end timing
 ✅ Direct Supabase Logging - Bypasses broken database worker
+✅ Spanish Calls - es-US Gather, Spanish greeting and voice per number (lang= carried on each Gather)
+✅ Streamed Replies - AI text arrives as NDJSON and each sentence is voiced once the guardrail has passed the reply, while state is saved (voice_streaming=false turns it off)
+✅ E.164 Caller Numbers - Twilio From values normalized before they reach the AI and database workers
+✅ Emergency Warm Transfer - Callers who accept are <Dial>ed to the on-call technician, who hears the reason and presses 1 to take the call (acknowledging the page); /voice/transfer-status covers a missed connection; these callbacks need a valid X-Twilio-Signature (TWILIO_AUTH_TOKEN)
+✅ Staff Handoff - When the AI processor hands a frustrated caller (or one asking for a person) to staff, the call is <Dial>ed to the tenant's staff line
+✅ Interaction Intents - Every logged turn carries the AI processor's intent and confidence (FAQ answers are classified through /classify)
+✅ Experiment Voices - A voice experiment's variant (metadata.experiment.voiceId) speaks the AI replies in place of cached clips; the greeting and FAQ recordings keep the tenant's voice, and every logged turn carries its variant
 
 🕐 TIMING BREAKDOWN TRACKING:
 1. validate_environment - Environment validation